@@ -0,0 +1,28 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FolioForge.Api.Contracts;
+
+public class AddSectionRequest
+{
+    [Required, StringLength(50), RegularExpression(@"^[A-Za-z][A-Za-z0-9-]*$", ErrorMessage = "Section type must start with a letter and contain only letters, digits or hyphens.")]
+    public string SectionType { get; set; } = default!;
+
+    [Required, StringLength(50)]
+    public string Variant { get; set; } = "default";
+
+    /// <summary>
+    /// Raw JSON content for the new section, e.g. <c>{"items":[]}</c>.
+    /// </summary>
+    [Required]
+    public string Content { get; set; } = "{}";
+
+    [Range(0, 100)]
+    public int SortOrder { get; set; }
+
+    /// <summary>
+    /// The portfolio <c>version</c> the editor is based on. When the portfolio
+    /// has changed since, nothing is added and the response is 409 Conflict.
+    /// </summary>
+    [Required]
+    public int? Version { get; set; }
+}
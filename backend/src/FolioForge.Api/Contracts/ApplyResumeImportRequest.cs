@@ -0,0 +1,34 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FolioForge.Api.Contracts;
+
+public class ApplyResumeImportRequest
+{
+    /// <summary>
+    /// Final content for each section the owner kept from the import.
+    /// Sections not listed stay as they are; an empty list applies nothing.
+    /// </summary>
+    [MaxLength(100)]
+    public List<ResumeImportSectionItem> Sections { get; set; } = new();
+
+    /// <summary>
+    /// The portfolio <c>version</c> the review was built against. When set and the
+    /// portfolio has changed since, nothing is applied and the response is 409 Conflict.
+    /// </summary>
+    public int? Version { get; set; }
+}
+
+public class ResumeImportSectionItem
+{
+    /// <summary>Existing section to overwrite; omit to add the section as new.</summary>
+    public Guid? SectionId { get; set; }
+
+    [Required, StringLength(50), RegularExpression(@"^[A-Za-z][A-Za-z0-9-]*$", ErrorMessage = "Section type must start with a letter and contain only letters, digits or hyphens.")]
+    public string SectionType { get; set; } = default!;
+
+    /// <summary>
+    /// Raw JSON content after the owner's merge, e.g. <c>{"items":[]}</c>.
+    /// </summary>
+    [Required]
+    public string Content { get; set; } = "{}";
+}
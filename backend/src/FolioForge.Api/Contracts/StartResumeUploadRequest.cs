@@ -0,0 +1,14 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace FolioForge.Api.Contracts;
+
+public class StartResumeUploadRequest
+{
+    /// <summary>Name of the file being uploaded; only its extension is used.</summary>
+    [Required, StringLength(255)]
+    public string FileName { get; set; } = default!;
+
+    /// <summary>Total size in bytes. Chunks can't go past it.</summary>
+    [Range(typeof(long), "1", "10485760", ErrorMessage = "File size must be between 1 byte and 10 MB.")]
+    public long Size { get; set; }
+}
@@ -0,0 +1,31 @@
+using System.ComponentModel.DataAnnotations;
+using FolioForge.Domain.Entities;
+
+namespace FolioForge.Api.Contracts;
+
+public class SubmitContactMessageRequest
+{
+    [Required, StringLength(ContactMessage.MaxNameLength, MinimumLength = 1)]
+    public string Name { get; set; } = default!;
+
+    [Required, EmailAddress, StringLength(ContactMessage.MaxEmailLength)]
+    public string Email { get; set; } = default!;
+
+    [StringLength(ContactMessage.MaxSubjectLength)]
+    public string? Subject { get; set; }
+
+    [Required, StringLength(ContactMessage.MaxMessageLength, MinimumLength = 10,
+        ErrorMessage = "Message must be between 10 and 5000 characters.")]
+    public string Message { get; set; } = default!;
+
+    /// <summary>Hidden honeypot field: people never see it, so anything here marks the message as spam.</summary>
+    public string? Website { get; set; }
+
+    /// <summary>Token from GET /api/p/{slug}/contact/challenge.</summary>
+    [Required]
+    public string ChallengeToken { get; set; } = default!;
+
+    /// <summary>The proof of work for <see cref="ChallengeToken"/>.</summary>
+    [Required, StringLength(32)]
+    public string ChallengeSolution { get; set; } = default!;
+}
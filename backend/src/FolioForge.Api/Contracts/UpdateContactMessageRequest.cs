@@ -0,0 +1,10 @@
+namespace FolioForge.Api.Contracts;
+
+/// <summary>Inbox flags to change on a contact message; omitted flags stay as they are.</summary>
+public class UpdateContactMessageRequest
+{
+    public bool? IsRead { get; set; }
+    public bool? IsStarred { get; set; }
+    public bool? IsArchived { get; set; }
+    public bool? IsSpam { get; set; }
+}
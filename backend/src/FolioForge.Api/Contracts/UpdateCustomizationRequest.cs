@@ -28,7 +28,35 @@ public class UpdateCustomizationRequest
     [Required, RegularExpression(@"^(single-column|two-column|sidebar)$", ErrorMessage = "Layout must be 'single-column', 'two-column', or 'sidebar'.")]
     public string Layout { get; set; } = "single-column";
 
+    // Dark palette — omit (null) to let the client derive it from the light colors
+
+    [RegularExpression(@"^#[0-9A-Fa-f]{6}$", ErrorMessage = "Must be a valid hex color.")]
+    public string? DarkPrimaryColor { get; set; }
+
+    [RegularExpression(@"^#[0-9A-Fa-f]{6}$", ErrorMessage = "Must be a valid hex color.")]
+    public string? DarkSecondaryColor { get; set; }
+
+    [RegularExpression(@"^#[0-9A-Fa-f]{6}$", ErrorMessage = "Must be a valid hex color.")]
+    public string? DarkBackgroundColor { get; set; }
+
+    [RegularExpression(@"^#[0-9A-Fa-f]{6}$", ErrorMessage = "Must be a valid hex color.")]
+    public string? DarkTextColor { get; set; }
+
+    /// <summary>
+    /// "auto" lets visitors switch between the light and dark palette;
+    /// "light" or "dark" locks the portfolio to one.
+    /// </summary>
+    [Required, RegularExpression(@"^(auto|light|dark)$", ErrorMessage = "Color mode must be 'auto', 'light', or 'dark'.")]
+    public string ColorMode { get; set; } = "auto";
+
     public List<SectionCustomizationItem> Sections { get; set; } = new();
+
+    /// <summary>
+    /// The portfolio <c>version</c> the editor loaded. When set and the portfolio
+    /// has changed since, the save is rejected with 409 Conflict.
+    /// Omit to overwrite unconditionally.
+    /// </summary>
+    public int? Version { get; set; }
 }
 
 public class SectionCustomizationItem
@@ -43,6 +71,12 @@ public class SectionCustomizationItem
     [Required, StringLength(50)]
     public string Variant { get; set; } = "default";
 
+    /// <summary>
+    /// Column in the two-column layout. Other layouts ignore it.
+    /// </summary>
+    [RegularExpression(@"^(main|side)$", ErrorMessage = "Column must be 'main' or 'side'.")]
+    public string Column { get; set; } = "main";
+
     /// <summary>
     /// Optional raw JSON content for the section.
     /// When present the section body is replaced with this value.
@@ -0,0 +1,78 @@
+using FolioForge.Api.Contracts;
+using FolioForge.Application.Commands.UpdateContactMessage;
+using FolioForge.Application.ContactMessages.Queries;
+using MediatR;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using System.IdentityModel.Tokens.Jwt;
+using System.Security.Claims;
+
+namespace FolioForge.Api.Controllers;
+
+/// <summary>
+/// The signed-in user's inbox: messages visitors sent through the contact
+/// forms of their published portfolios.
+/// </summary>
+[ApiController]
+[Route("api/messages")]
+[Authorize]
+public class ContactMessagesController : ControllerBase
+{
+    private readonly ISender _mediator;
+
+    public ContactMessagesController(ISender mediator)
+    {
+        _mediator = mediator;
+    }
+
+    private Guid GetUserId()
+    {
+        var sub = User.FindFirst(JwtRegisteredClaimNames.Sub)?.Value
+               ?? User.FindFirst(ClaimTypes.NameIdentifier)?.Value;
+        return Guid.Parse(sub!);
+    }
+
+    /// <summary>
+    /// A page of messages, newest first.
+    /// GET /api/messages?folder=inbox|starred|archived|spam&amp;portfolioId=&amp;page=1&amp;pageSize=20
+    /// </summary>
+    [HttpGet]
+    public async Task<IActionResult> List(
+        [FromQuery] string folder = ContactFolders.Inbox,
+        [FromQuery] Guid? portfolioId = null,
+        [FromQuery] int page = 1,
+        [FromQuery] int pageSize = 20)
+    {
+        if (!ContactFolders.All.Contains(folder))
+            return BadRequest(new { error = $"Unknown folder '{folder}'. Use one of: {string.Join(", ", ContactFolders.All)}." });
+
+        var result = await _mediator.Send(new GetContactMessagesQuery(GetUserId(), portfolioId, folder, page, pageSize));
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Unread inbox messages (not archived or spam) per portfolio, e.g. <c>{ "&lt;portfolioId&gt;": 3 }</c>.
+    /// GET /api/messages/unread-counts
+    /// </summary>
+    [HttpGet("unread-counts")]
+    public async Task<IActionResult> UnreadCounts()
+    {
+        var counts = await _mediator.Send(new GetUnreadContactCountsQuery(GetUserId()));
+        return Ok(counts);
+    }
+
+    /// <summary>
+    /// Mark a message read/unread, star or archive it, or move it into or out of Spam.
+    /// PATCH /api/messages/{id}
+    /// Returns the updated message.
+    /// </summary>
+    [HttpPatch("{id:guid}")]
+    public async Task<IActionResult> Update(Guid id, [FromBody] UpdateContactMessageRequest request)
+    {
+        var message = await _mediator.Send(new UpdateContactMessageCommand(
+            id, GetUserId(), request.IsRead, request.IsStarred, request.IsArchived, request.IsSpam));
+        if (message is null) return NotFound();
+
+        return Ok(message);
+    }
+}
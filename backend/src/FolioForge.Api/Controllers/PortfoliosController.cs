@@ -1,9 +1,14 @@
 ﻿using FolioForge.Api.Contracts;
+using FolioForge.Application.Commands.AddSection;
+using FolioForge.Application.Commands.ApplyResumeImport;
 using FolioForge.Application.Commands.CreatePortfolio;
 using FolioForge.Application.Commands.DeletePortfolio;
+using FolioForge.Application.Commands.DeleteSection;
+using FolioForge.Application.Commands.DiscardResumeImport;
 using FolioForge.Application.Commands.UpdateCustomization;
 using FolioForge.Application.Common.Events;
 using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.Jobs;
 using FolioForge.Application.Portfolios.Queries;
 using FolioForge.Domain.Interfaces;
 using FolioForge.Infrastructure.Persistence;
@@ -12,8 +17,10 @@ using FolioForge.Infrastructure.Resilience.Bulkhead;
 using MediatR;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
+using System.ComponentModel.DataAnnotations;
 using System.Security.Claims;
 using System.IdentityModel.Tokens.Jwt;
+using System.Text.Json;
 
 namespace FolioForge.Api.Controllers
 {
@@ -27,19 +34,25 @@ namespace FolioForge.Api.Controllers
         private readonly IPortfolioRepository _repository;
         private readonly IUserRepository _userRepository;
         private readonly IPlanRepository _planRepository;
+        private readonly IResumeJobTracker _jobTracker;
+        private readonly IResumeUploadStore _uploadStore;
 
         public PortfoliosController(
             ISender mediator,
             IEventPublisher publisher,
             IPortfolioRepository repository,
             IUserRepository userRepository,
-            IPlanRepository planRepository)
+            IPlanRepository planRepository,
+            IResumeJobTracker jobTracker,
+            IResumeUploadStore uploadStore)
         {
             _mediator = mediator;
             _publisher = publisher;
             _repository = repository;
             _userRepository = userRepository;
             _planRepository = planRepository;
+            _jobTracker = jobTracker;
+            _uploadStore = uploadStore;
         }
 
         /// <summary>
@@ -69,7 +82,9 @@ namespace FolioForge.Api.Controllers
                         return StatusCode(403, new
                         {
                             error = $"Your {plan.Name} plan allows {plan.MaxPortfolios} portfolio(s). Upgrade to create more.",
-                            code = "PLAN_LIMIT_PORTFOLIOS"
+                            code = "PLAN_LIMIT_PORTFOLIOS",
+                            limit = "portfolios",
+                            max = plan.MaxPortfolios
                         });
                 }
             }
@@ -134,8 +149,10 @@ namespace FolioForge.Api.Controllers
             return NoContent();
         }
 
-        private static readonly string[] AllowedExtensions = { ".pdf" };
+        // Word, Markdown and LinkedIn exports are converted to plain text in the browser
+        private static readonly string[] AllowedExtensions = { ".pdf", ".txt" };
         private const long MaxFileSizeBytes = 10 * 1024 * 1024; // 10 MB
+        private const int ContentCheckBytes = 8192;
 
         [HttpPost("{id}/upload-resume")]
         [RateLimit("Upload")]
@@ -143,22 +160,13 @@ namespace FolioForge.Api.Controllers
         [RequestSizeLimit(10 * 1024 * 1024)] // 10 MB hard limit at Kestrel level
         public async Task<IActionResult> UploadResume(Guid id, IFormFile file)
         {
-            // ── Plan limit: AI parses ──
+            // The parse is staged on the portfolio as an import, so it must be the caller's
             var userId = GetUserId();
-            var user = await _userRepository.GetByIdAsync(userId);
-            if (user != null)
-            {
-                var plan = await _planRepository.GetByIdAsync(user.PlanId);
-                if (plan != null && user.AiParsesUsedThisMonth >= plan.MaxAiParsesPerMonth)
-                    return StatusCode(403, new
-                    {
-                        error = $"You've used all {plan.MaxAiParsesPerMonth} AI parse(s) this month. Upgrade for more.",
-                        code = "PLAN_LIMIT_AI_PARSES"
-                    });
+            if (!await OwnsPortfolioAsync(id, userId)) return NotFound();
 
-                user.IncrementAiParses();
-                await _userRepository.SaveChangesAsync();
-            }
+            // ── Plan limit: AI parses ──
+            var limitReached = await UseAiParseAsync(userId, consume: true);
+            if (limitReached is not null) return limitReached;
 
             if (file == null || file.Length == 0)
                 return BadRequest(new { error = "No file uploaded." });
@@ -168,34 +176,432 @@ namespace FolioForge.Api.Controllers
 
             var extension = Path.GetExtension(file.FileName)?.ToLowerInvariant();
             if (string.IsNullOrEmpty(extension) || !AllowedExtensions.Contains(extension))
-                return BadRequest(new { error = "Only PDF files are accepted." });
+                return BadRequest(new { error = "Only PDF or plain-text resumes are accepted." });
 
-            // Verify the file starts with %PDF magic bytes (not just the extension)
-            using var headerStream = file.OpenReadStream();
-            var header = new byte[5];
-            var bytesRead = await headerStream.ReadAsync(header, 0, header.Length);
-            if (bytesRead < 5 || System.Text.Encoding.ASCII.GetString(header) != "%PDF-")
-                return BadRequest(new { error = "File content is not a valid PDF." });
+            using (var headerStream = file.OpenReadStream())
+            {
+                var contentError = await CheckResumeContentAsync(extension, headerStream);
+                if (contentError is not null) return BadRequest(new { error = contentError });
+            }
 
             var folderPath = Path.Combine(Directory.GetCurrentDirectory(), "Uploads");
             if (!Directory.Exists(folderPath))
                 Directory.CreateDirectory(folderPath);
 
-            var filePath = Path.Combine(folderPath, $"{id}_{Guid.NewGuid()}.pdf");
+            var filePath = Path.Combine(folderPath, $"{id}_{Guid.NewGuid()}{extension}");
             using (var stream = new FileStream(filePath, FileMode.Create))
             {
                 await file.CopyToAsync(stream);
             }
 
-            await _publisher.PublishAsync(new ResumeUploadedEvent(id, filePath));
+            return ResumeQueued(id, await StartResumeJobAsync(id, userId, filePath));
+        }
+
+        /// <summary>
+        /// Start a chunked upload, for large files and flaky connections.
+        /// POST /api/portfolios/{id}/resume-uploads  { fileName, size }
+        /// Returns 201 { uploadId, size, receivedBytes, chunkSize }
+        /// </summary>
+        [HttpPost("{id:guid}/resume-uploads")]
+        [RateLimit("Upload")]
+        public async Task<IActionResult> StartResumeUpload(Guid id, [FromBody] StartResumeUploadRequest request)
+        {
+            var userId = GetUserId();
+            if (!await OwnsPortfolioAsync(id, userId)) return NotFound();
+
+            // Checked now so a long upload isn't wasted; counted when it completes
+            var limitReached = await UseAiParseAsync(userId, consume: false);
+            if (limitReached is not null) return limitReached;
+
+            var extension = Path.GetExtension(request.FileName).ToLowerInvariant();
+            if (!AllowedExtensions.Contains(extension))
+                return BadRequest(new { error = "Only PDF or plain-text resumes are accepted." });
+
+            var session = await _uploadStore.StartAsync(id, userId, extension, request.Size, HttpContext.RequestAborted);
+            return CreatedAtAction(nameof(GetResumeUpload), new { id, uploadId = session.UploadId }, ToUploadResponse(session));
+        }
+
+        /// <summary>
+        /// How much of a chunked upload has arrived — where to resume after a dropped connection.
+        /// GET /api/portfolios/{id}/resume-uploads/{uploadId}
+        /// </summary>
+        [HttpGet("{id:guid}/resume-uploads/{uploadId:guid}")]
+        public async Task<IActionResult> GetResumeUpload(Guid id, Guid uploadId)
+        {
+            var session = await FindResumeUploadAsync(id, uploadId, HttpContext.RequestAborted);
+            if (session is null) return NotFound();
+
+            return Ok(ToUploadResponse(session));
+        }
+
+        /// <summary>
+        /// Append a chunk at the byte offset in the <c>Upload-Offset</c> header. The offset
+        /// must equal <c>receivedBytes</c>; otherwise 409 with the offset to continue from.
+        /// PATCH /api/portfolios/{id}/resume-uploads/{uploadId}  (application/octet-stream)
+        /// Returns { receivedBytes }
+        /// </summary>
+        [HttpPatch("{id:guid}/resume-uploads/{uploadId:guid}")]
+        [Bulkhead("Upload")]
+        [RequestSizeLimit(ResumeUploadSession.ChunkSizeBytes + 64 * 1024)]
+        public async Task<IActionResult> AppendResumeUploadChunk(Guid id, Guid uploadId, [FromHeader(Name = "Upload-Offset")] long offset)
+        {
+            var session = await FindResumeUploadAsync(id, uploadId, HttpContext.RequestAborted);
+            if (session is null) return NotFound();
+
+            var result = await _uploadStore.AppendAsync(uploadId, offset, Request.Body, HttpContext.RequestAborted);
+
+            return result.Status switch
+            {
+                ResumeChunkStatus.Accepted => Ok(new { receivedBytes = result.ReceivedBytes }),
+                ResumeChunkStatus.OffsetMismatch => Conflict(new
+                {
+                    error = "This chunk doesn't continue the upload.",
+                    code = "UPLOAD_OFFSET_MISMATCH",
+                    receivedBytes = result.ReceivedBytes
+                }),
+                ResumeChunkStatus.TooLarge => BadRequest(new
+                {
+                    error = $"Chunks can be at most {ResumeUploadSession.ChunkSizeBytes / 1024} KB and can't go past the file size."
+                }),
+                _ => NotFound()
+            };
+        }
+
+        /// <summary>
+        /// Finish a chunked upload once every byte has arrived and queue it like
+        /// <see cref="UploadResume"/>. Safe to repeat: an upload that was already
+        /// completed answers with the job it started, and uses no second parse.
+        /// POST /api/portfolios/{id}/resume-uploads/{uploadId}/complete
+        /// Returns 202 { message, portfolioId, jobId }
+        /// </summary>
+        [HttpPost("{id:guid}/resume-uploads/{uploadId:guid}/complete")]
+        [RateLimit("Upload")]
+        public async Task<IActionResult> CompleteResumeUpload(Guid id, Guid uploadId)
+        {
+            var cancellationToken = HttpContext.RequestAborted;
+            var session = await FindResumeUploadAsync(id, uploadId, cancellationToken);
+            if (session is null) return NotFound();
+
+            // Most likely a retry whose first response never arrived
+            if (session.JobId is Guid existingJobId) return ResumeQueued(id, existingJobId);
+
+            if (!session.IsComplete)
+                return Conflict(new
+                {
+                    error = $"Only {session.ReceivedBytes} of {session.Size} bytes have arrived.",
+                    code = "UPLOAD_INCOMPLETE",
+                    receivedBytes = session.ReceivedBytes
+                });
+
+            // Only the request that gets the file goes on, so the parse is counted once
+            var filePath = await _uploadStore.CompleteAsync(uploadId, cancellationToken);
+            if (filePath is null) return NotFound();
+
+            var userId = GetUserId();
+            var limitReached = await UseAiParseAsync(userId, consume: true);
+            if (limitReached is not null)
+            {
+                System.IO.File.Delete(filePath);
+                await _uploadStore.DiscardAsync(uploadId, cancellationToken);
+                return limitReached;
+            }
+
+            string? contentError;
+            using (var stream = System.IO.File.OpenRead(filePath))
+            {
+                contentError = await CheckResumeContentAsync(session.Extension, stream);
+            }
+            if (contentError is not null)
+            {
+                System.IO.File.Delete(filePath);
+                await _uploadStore.DiscardAsync(uploadId, cancellationToken);
+                return BadRequest(new { error = contentError });
+            }
+
+            Guid jobId;
+            try
+            {
+                jobId = await StartResumeJobAsync(id, userId, filePath);
+            }
+            catch
+            {
+                // Nothing was queued: give back the parse and the file, so retrying complete works
+                await RefundAiParseAsync(userId);
+                if (!await _uploadStore.ReopenAsync(uploadId, filePath, CancellationToken.None))
+                    System.IO.File.Delete(filePath);
+                throw;
+            }
+
+            await _uploadStore.RecordJobAsync(uploadId, jobId, cancellationToken);
+            return ResumeQueued(id, jobId);
+        }
+
+        /// <summary>
+        /// Cancel a chunked upload and throw away what was received.
+        /// DELETE /api/portfolios/{id}/resume-uploads/{uploadId}
+        /// </summary>
+        [HttpDelete("{id:guid}/resume-uploads/{uploadId:guid}")]
+        public async Task<IActionResult> CancelResumeUpload(Guid id, Guid uploadId)
+        {
+            var session = await FindResumeUploadAsync(id, uploadId, HttpContext.RequestAborted);
+            if (session is null) return NotFound();
+
+            await _uploadStore.DiscardAsync(uploadId, HttpContext.RequestAborted);
+            return NoContent();
+        }
+
+        private async Task<bool> OwnsPortfolioAsync(Guid id, Guid userId)
+        {
+            var portfolio = await _repository.GetByIdAsync(id);
+            return portfolio is not null && portfolio.UserId == userId;
+        }
+
+        private async Task<ResumeUploadSession?> FindResumeUploadAsync(Guid portfolioId, Guid uploadId, CancellationToken cancellationToken)
+        {
+            var session = await _uploadStore.GetAsync(uploadId, cancellationToken);
+            return session is not null && session.PortfolioId == portfolioId && session.UserId == GetUserId() ? session : null;
+        }
+
+        private static object ToUploadResponse(ResumeUploadSession session) => new
+        {
+            uploadId = session.UploadId,
+            size = session.Size,
+            receivedBytes = session.ReceivedBytes,
+            chunkSize = ResumeUploadSession.ChunkSizeBytes
+        };
+
+        /// <summary>
+        /// 403 when the owner has used this month's AI parses, otherwise null —
+        /// after counting one against their plan when <paramref name="consume"/> is set.
+        /// </summary>
+        private async Task<IActionResult?> UseAiParseAsync(Guid userId, bool consume)
+        {
+            var user = await _userRepository.GetByIdAsync(userId);
+            if (user == null) return null;
+
+            var plan = await _planRepository.GetByIdAsync(user.PlanId);
+            if (plan != null && user.AiParsesUsedThisMonth >= plan.MaxAiParsesPerMonth)
+                return StatusCode(403, new
+                {
+                    error = $"You've used all {plan.MaxAiParsesPerMonth} AI parse(s) this month. Upgrade for more.",
+                    code = "PLAN_LIMIT_AI_PARSES",
+                    limit = "aiParses",
+                    max = plan.MaxAiParsesPerMonth
+                });
+
+            if (consume)
+            {
+                user.IncrementAiParses();
+                await _userRepository.SaveChangesAsync();
+            }
+            return null;
+        }
+
+        /// <summary>
+        /// Undoes <see cref="UseAiParseAsync"/> for a parse that never got queued.
+        /// </summary>
+        private async Task RefundAiParseAsync(Guid userId)
+        {
+            var user = await _userRepository.GetByIdAsync(userId);
+            if (user == null) return;
 
-            // Return 202 Accepted — tells the frontend: "We got it. We are working on it."
-            return Accepted(new { message = "Resume queued for processing", portfolioId = id });
+            user.RefundAiParse();
+            await _userRepository.SaveChangesAsync();
         }
 
         /// <summary>
-        /// Update the full customization (theme, colors, fonts, layout, section order/visibility/variant).
+        /// Checks the start of a resume's content, not just its extension.
+        /// Returns the reason it's refused, or null when it looks right.
+        /// </summary>
+        private static async Task<string?> CheckResumeContentAsync(string extension, Stream content)
+        {
+            var header = new byte[ContentCheckBytes];
+            var bytesRead = await content.ReadAtLeastAsync(header, header.Length, throwOnEndOfStream: false);
+
+            if (extension == ".pdf")
+            {
+                return bytesRead < 5 || System.Text.Encoding.ASCII.GetString(header, 0, 5) != "%PDF-"
+                    ? "File content is not a valid PDF."
+                    : null;
+            }
+
+            // NUL bytes mean a binary file renamed to .txt
+            return Array.IndexOf(header, (byte)0, 0, bytesRead) >= 0
+                ? "File content is not plain text."
+                : null;
+        }
+
+        /// <summary>
+        /// Starts a job for a saved resume and hands it to the worker.
+        /// </summary>
+        private async Task<Guid> StartResumeJobAsync(Guid id, Guid userId, string filePath)
+        {
+            var job = await _jobTracker.StartAsync(id, userId);
+            try
+            {
+                await _publisher.PublishAsync(new ResumeUploadedEvent(id, filePath, job.JobId));
+            }
+            catch
+            {
+                await _jobTracker.UpdateAsync(job.JobId, ResumeJobStage.Failed,
+                    "We couldn't queue your resume for processing. Please try again.");
+                throw;
+            }
+
+            return job.JobId;
+        }
+
+        // Return 202 Accepted — tells the frontend: "We got it. We are working on it."
+        // The job id lets it follow progress through the resume-jobs endpoints.
+        private IActionResult ResumeQueued(Guid id, Guid jobId) => AcceptedAtAction(
+            nameof(GetResumeJob),
+            new { id, jobId },
+            new { message = "Resume queued for processing", portfolioId = id, jobId });
+
+        /// <summary>
+        /// Current stage of a resume upload.
+        /// GET /api/portfolios/{id}/resume-jobs/{jobId}
+        /// </summary>
+        [HttpGet("{id:guid}/resume-jobs/{jobId:guid}")]
+        public async Task<IActionResult> GetResumeJob(Guid id, Guid jobId)
+        {
+            var job = await FindResumeJobAsync(id, jobId, HttpContext.RequestAborted);
+            if (job is null) return NotFound();
+
+            return Ok(job);
+        }
+
+        private static readonly TimeSpan JobEventsPollInterval = TimeSpan.FromSeconds(1);
+        private static readonly TimeSpan JobEventsKeepAliveInterval = TimeSpan.FromSeconds(15);
+        private static readonly TimeSpan JobEventsMaxDuration = TimeSpan.FromMinutes(5);
+        private static readonly JsonSerializerOptions JobEventJsonOptions = new(JsonSerializerDefaults.Web);
+
+        /// <summary>
+        /// Server-sent events for a resume upload: a <c>status</c> event with the
+        /// job on connect and on every stage change. The stream closes once the job
+        /// is done or failed, or after five minutes — clients reconnect or poll.
+        /// GET /api/portfolios/{id}/resume-jobs/{jobId}/events
+        /// </summary>
+        [HttpGet("{id:guid}/resume-jobs/{jobId:guid}/events")]
+        public async Task StreamResumeJob(Guid id, Guid jobId)
+        {
+            var cancellationToken = HttpContext.RequestAborted;
+            var job = await FindResumeJobAsync(id, jobId, cancellationToken);
+            if (job is null)
+            {
+                Response.StatusCode = StatusCodes.Status404NotFound;
+                return;
+            }
+
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no"; // stop nginx from buffering the stream
+
+            var deadline = DateTime.UtcNow + JobEventsMaxDuration;
+            var lastWrite = DateTime.UtcNow;
+            string? lastStage = null;
+
+            try
+            {
+                while (job is not null && DateTime.UtcNow < deadline)
+                {
+                    if (job.Stage != lastStage)
+                    {
+                        var json = JsonSerializer.Serialize(job, JobEventJsonOptions);
+                        await Response.WriteAsync($"event: status\ndata: {json}\n\n", cancellationToken);
+                        await Response.Body.FlushAsync(cancellationToken);
+                        lastStage = job.Stage;
+                        lastWrite = DateTime.UtcNow;
+
+                        if (job.IsFinished) return;
+                    }
+                    else if (DateTime.UtcNow - lastWrite >= JobEventsKeepAliveInterval)
+                    {
+                        await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                        await Response.Body.FlushAsync(cancellationToken);
+                        lastWrite = DateTime.UtcNow;
+                    }
+
+                    await Task.Delay(JobEventsPollInterval, cancellationToken);
+                    job = await _jobTracker.GetAsync(jobId, cancellationToken);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client went away
+            }
+        }
+
+        /// <summary>
+        /// The job, if it belongs to this portfolio and to the current user.
+        /// </summary>
+        private async Task<ResumeJobStatus?> FindResumeJobAsync(Guid portfolioId, Guid jobId, CancellationToken cancellationToken)
+        {
+            var job = await _jobTracker.GetAsync(jobId, cancellationToken);
+            return job is not null && job.PortfolioId == portfolioId && job.UserId == GetUserId() ? job : null;
+        }
+
+        /// <summary>
+        /// The AI's parse of the last uploaded resume, waiting for review.
+        /// GET /api/portfolios/{id}/resume-import
+        /// Returns 404 when nothing is pending.
+        /// </summary>
+        [HttpGet("{id:guid}/resume-import")]
+        public async Task<IActionResult> GetResumeImport(Guid id)
+        {
+            var result = await _mediator.Send(new GetResumeImportQuery(id, GetUserId()));
+            if (result is null) return NotFound();
+
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Commit the reviewed import: each listed section is overwritten or added.
+        /// POST /api/portfolios/{id}/resume-import/apply
+        /// Returns the new version, 404 when nothing is pending, or 409 when <c>version</c> is stale.
+        /// </summary>
+        [HttpPost("{id:guid}/resume-import/apply")]
+        public async Task<IActionResult> ApplyResumeImport(Guid id, [FromBody] ApplyResumeImportRequest request)
+        {
+            var command = new ApplyResumeImportCommand(
+                id, GetUserId(),
+                request.Sections.Select(s => new ResumeImportChoice(s.SectionId, s.SectionType, s.Content)).ToList(),
+                request.Version);
+
+            var result = await _mediator.Send(command);
+
+            return result.Status switch
+            {
+                ApplyResumeImportStatus.NotFound => NotFound(),
+                ApplyResumeImportStatus.NoImport => NotFound(new { error = "There is no resume import waiting for review." }),
+                ApplyResumeImportStatus.Invalid => BadRequest(new { error = result.Error }),
+                ApplyResumeImportStatus.Conflict => StatusCode(409, new
+                {
+                    error = "This portfolio was changed somewhere else since you started the review.",
+                    code = "VERSION_CONFLICT",
+                    currentVersion = result.Version
+                }),
+                _ => Ok(new { version = result.Version })
+            };
+        }
+
+        /// <summary>
+        /// Throw away the pending import; sections are left as they are.
+        /// DELETE /api/portfolios/{id}/resume-import
+        /// </summary>
+        [HttpDelete("{id:guid}/resume-import")]
+        public async Task<IActionResult> DiscardResumeImport(Guid id)
+        {
+            var result = await _mediator.Send(new DiscardResumeImportCommand(id, GetUserId()));
+            if (!result) return NotFound();
+
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Update the full customization (theme, light/dark colors, fonts, layout, section order/visibility/variant).
         /// PUT /api/portfolios/{id}/customization
+        /// Returns the new version, or 409 when <c>version</c> is stale.
         /// </summary>
         [HttpPut("{id:guid}/customization")]
         public async Task<IActionResult> UpdateCustomization(Guid id, [FromBody] UpdateCustomizationRequest request)
@@ -212,17 +618,84 @@ namespace FolioForge.Api.Controllers
                 request.FontHeading,
                 request.FontBody,
                 request.Layout,
+                request.DarkPrimaryColor,
+                request.DarkSecondaryColor,
+                request.DarkBackgroundColor,
+                request.DarkTextColor,
+                request.ColorMode,
                 request.Sections.Select(s => new SectionCustomization(
-                    s.SectionId, s.SortOrder, s.IsVisible, s.Variant, s.Content
-                )).ToList()
+                    s.SectionId, s.SortOrder, s.IsVisible, s.Variant, s.Content, s.Column
+                )).ToList(),
+                request.Version
             );
 
             var result = await _mediator.Send(command);
-            if (!result) return NotFound();
 
-            return NoContent();
+            return result.Status switch
+            {
+                UpdateCustomizationStatus.NotFound => NotFound(),
+                UpdateCustomizationStatus.Conflict => StatusCode(409, new
+                {
+                    error = "This portfolio was changed somewhere else since you opened it.",
+                    code = "VERSION_CONFLICT",
+                    currentVersion = result.Version
+                }),
+                _ => Ok(new { version = result.Version })
+            };
+        }
+
+        /// <summary>
+        /// Add a hand-made section (blank or duplicated) to a portfolio.
+        /// POST /api/portfolios/{id}/sections
+        /// Returns 201 { section, version }, or 409 when <c>version</c> is stale.
+        /// </summary>
+        [HttpPost("{id:guid}/sections")]
+        public async Task<IActionResult> AddSection(Guid id, [FromBody] AddSectionRequest request)
+        {
+            var command = new AddSectionCommand(
+                id, GetUserId(),
+                request.SectionType,
+                request.Variant,
+                request.Content,
+                request.SortOrder,
+                request.Version!.Value);
+
+            var result = await _mediator.Send(command);
+
+            return result.Status switch
+            {
+                AddSectionStatus.NotFound => NotFound(),
+                AddSectionStatus.Invalid => BadRequest(new { error = result.Error }),
+                AddSectionStatus.Conflict => VersionConflict(result.Version),
+                _ => StatusCode(201, new { section = result.Section, version = result.Version })
+            };
+        }
+
+        /// <summary>
+        /// Delete a single section from a portfolio.
+        /// DELETE /api/portfolios/{id}/sections/{sectionId}?version=
+        /// Returns the new version, or 409 when <c>version</c> is stale.
+        /// </summary>
+        [HttpDelete("{id:guid}/sections/{sectionId:guid}")]
+        public async Task<IActionResult> DeleteSection(Guid id, Guid sectionId, [FromQuery, Required] int? version)
+        {
+            var result = await _mediator.Send(new DeleteSectionCommand(id, GetUserId(), sectionId, version!.Value));
+
+            return result.Status switch
+            {
+                DeleteSectionStatus.NotFound => NotFound(),
+                DeleteSectionStatus.Conflict => VersionConflict(result.Version),
+                _ => Ok(new { version = result.Version })
+            };
         }
 
+        private ObjectResult VersionConflict(int? currentVersion) => StatusCode(409, new
+        {
+            error = "This portfolio was changed somewhere else since you opened it.",
+            code = "VERSION_CONFLICT",
+            currentVersion
+        });
+
         /// <summary>
         /// Publish a portfolio so it's publicly viewable at /api/p/{slug}.
         /// POST /api/portfolios/{id}/publish
@@ -1,7 +1,11 @@
+using FolioForge.Api.Contracts;
+using FolioForge.Application.Commands.SubmitContactMessage;
 using FolioForge.Application.Common.Interfaces;
 using FolioForge.Application.DTOs;
 using FolioForge.Domain.Interfaces;
 using FolioForge.Infrastructure.Persistence;
+using FolioForge.Infrastructure.RateLimiting;
+using MediatR;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 
@@ -18,15 +22,21 @@ namespace FolioForge.Api.Controllers
         private readonly IPortfolioRepository _repository;
         private readonly ApplicationDbContext _dbContext;
         private readonly IPlanRepository _planRepository;
+        private readonly ISender _mediator;
+        private readonly IContactChallengeService _challenges;
 
         public PublicController(
             IPortfolioRepository repository,
             ApplicationDbContext dbContext,
-            IPlanRepository planRepository)
+            IPlanRepository planRepository,
+            ISender mediator,
+            IContactChallengeService challenges)
         {
             _repository = repository;
             _dbContext = dbContext;
             _planRepository = planRepository;
+            _mediator = mediator;
+            _challenges = challenges;
         }
 
         /// <summary>
@@ -64,6 +74,11 @@ namespace FolioForge.Api.Controllers
                     FontHeading = portfolio.Theme.FontHeading,
                     FontBody = portfolio.Theme.FontBody,
                     Layout = portfolio.Theme.Layout,
+                    DarkPrimaryColor = portfolio.Theme.DarkPrimaryColor,
+                    DarkSecondaryColor = portfolio.Theme.DarkSecondaryColor,
+                    DarkBackgroundColor = portfolio.Theme.DarkBackgroundColor,
+                    DarkTextColor = portfolio.Theme.DarkTextColor,
+                    ColorMode = portfolio.Theme.ColorMode ?? "auto",
                 },
                 Sections = portfolio.Sections
                     .Where(s => s.IsVisible)
@@ -76,9 +91,67 @@ namespace FolioForge.Api.Controllers
                         SortOrder = s.SortOrder,
                         IsVisible = s.IsVisible,
                         Variant = s.Variant ?? "default",
+                        Column = s.Column ?? "main",
                     })
                     .ToList(),
             });
         }
+
+        /// <summary>
+        /// A proof-of-work challenge for a portfolio's contact form.
+        /// GET /api/p/{slug}/contact/challenge
+        /// The browser solves it while the visitor writes and sends the solution
+        /// with the message. Returns { token, difficulty, expiresAt }.
+        /// </summary>
+        [HttpGet("{slug}/contact/challenge")]
+        public async Task<IActionResult> GetContactChallenge(string slug)
+        {
+            var published = await _dbContext.Portfolios.IgnoreQueryFilters()
+                .AnyAsync(p => p.Slug == slug && p.IsPublished);
+            if (!published)
+                return NotFound(new { error = "Portfolio not found or is not published." });
+
+            var challenge = _challenges.Issue(slug);
+            return Ok(new { token = challenge.Token, difficulty = challenge.Difficulty, expiresAt = challenge.ExpiresAt });
+        }
+
+        /// <summary>
+        /// Send a message to the owner of a published portfolio via its contact form.
+        /// POST /api/p/{slug}/contact
+        /// Needs a solved challenge. Lands in the owner's inbox (/api/messages), or in
+        /// their Spam folder when it looks like spam — the response doesn't say which.
+        /// Returns 202 with the message id, 400 CHALLENGE_FAILED, or 404 when the
+        /// portfolio isn't published. Limited per visitor per portfolio; the handler
+        /// also caps verified messages per portfolio overall (429 CONTACT_LIMIT).
+        /// </summary>
+        [HttpPost("{slug}/contact")]
+        [RateLimit("Contact", PartitionBy = "slug")]
+        public async Task<IActionResult> SubmitContactMessage(string slug, [FromBody] SubmitContactMessageRequest request)
+        {
+            var result = await _mediator.Send(new SubmitContactMessageCommand(
+                slug, request.Name, request.Email, request.Subject, request.Message,
+                request.ChallengeToken, request.ChallengeSolution, request.Website));
+
+            return result.Status switch
+            {
+                SubmitContactMessageStatus.NotFound =>
+                    NotFound(new { error = "Portfolio not found or is not published." }),
+                SubmitContactMessageStatus.ChallengeFailed =>
+                    BadRequest(new { error = "The form check expired or didn't verify. Please try sending again.", code = "CHALLENGE_FAILED" }),
+                SubmitContactMessageStatus.RateLimited => ContactLimitReached(result.RetryAfterSeconds ?? 0),
+                _ => Accepted(new { id = result.MessageId })
+            };
+        }
+
+        /// <summary>429 with Retry-After, like the rate-limit middleware, so the client waits it out.</summary>
+        private ObjectResult ContactLimitReached(double retryAfterSeconds)
+        {
+            Response.Headers["Retry-After"] = Math.Ceiling(retryAfterSeconds).ToString();
+            return StatusCode(StatusCodes.Status429TooManyRequests, new
+            {
+                error = "This portfolio has received a lot of messages recently. Please try again later.",
+                code = "CONTACT_LIMIT"
+            });
+        }
     }
 }
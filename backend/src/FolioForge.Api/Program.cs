@@ -33,6 +33,8 @@ builder.Services.AddCors(options =>
                     )
                     .AllowAnyHeader()
                     .AllowAnyMethod()
+                    // Read by the client: Retry-After by its retry policy, RateLimit-* for quota indicators
+                    .WithExposedHeaders("Retry-After", "RateLimit-Limit", "RateLimit-Remaining")
                     .AllowCredentials();
             }
             else
@@ -45,6 +47,7 @@ builder.Services.AddCors(options =>
                 policy.WithOrigins(allowedOrigins)
                     .AllowAnyHeader()
                     .AllowAnyMethod()
+                    .WithExposedHeaders("Retry-After", "RateLimit-Limit", "RateLimit-Remaining")
                     .AllowCredentials();
             }
         });
@@ -0,0 +1,39 @@
+using FolioForge.Application.DTOs;
+using MediatR;
+
+namespace FolioForge.Application.Commands.AddSection;
+
+/// <summary>
+/// Command to add a hand-made section (blank or duplicated) to a portfolio.
+/// <c>ExpectedVersion</c> is the <c>Version</c> the editor is based on; when it
+/// no longer matches, nothing is added and the result is a conflict.
+/// </summary>
+public record AddSectionCommand(
+    Guid PortfolioId,
+    Guid UserId,
+    string SectionType,
+    string Variant,
+    string Content,
+    int SortOrder,
+    int ExpectedVersion
+) : IRequest<AddSectionResult>;
+
+public enum AddSectionStatus
+{
+    Added,
+    NotFound,
+    /// <summary>The portfolio changed since the client loaded it.</summary>
+    Conflict,
+    /// <summary>The content is malformed or the portfolio is full; see <c>Error</c>.</summary>
+    Invalid
+}
+
+/// <summary>
+/// Outcome of adding a section. <c>Version</c> is the portfolio's version after
+/// the add, or its current version on a conflict.
+/// </summary>
+public record AddSectionResult(
+    AddSectionStatus Status,
+    PortfolioSectionDto? Section = null,
+    int? Version = null,
+    string? Error = null);
@@ -0,0 +1,84 @@
+using System.Text.Json;
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.DTOs;
+using FolioForge.Domain.Entities;
+using FolioForge.Domain.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Commands.AddSection;
+
+public class AddSectionCommandHandler : IRequestHandler<AddSectionCommand, AddSectionResult>
+{
+    /// <summary>Matches the SortOrder range accepted by the customization endpoint.</summary>
+    public const int MaxSections = 100;
+
+    private readonly IPortfolioRepository _repository;
+    private readonly ICacheService _cache;
+
+    public AddSectionCommandHandler(IPortfolioRepository repository, ICacheService cache)
+    {
+        _repository = repository;
+        _cache = cache;
+    }
+
+    public async Task<AddSectionResult> Handle(AddSectionCommand request, CancellationToken cancellationToken)
+    {
+        var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
+
+        // Not found or not owned by this user → 404
+        if (portfolio is null || portfolio.UserId != request.UserId)
+            return new AddSectionResult(AddSectionStatus.NotFound);
+
+        // Stale editor: someone saved since this client loaded
+        if (request.ExpectedVersion != portfolio.Version)
+            return new AddSectionResult(AddSectionStatus.Conflict, Version: portfolio.Version);
+
+        if (portfolio.Sections.Count >= MaxSections)
+            return new AddSectionResult(AddSectionStatus.Invalid, Version: portfolio.Version,
+                Error: $"A portfolio can have at most {MaxSections} sections.");
+
+        try
+        {
+            using var _ = JsonDocument.Parse(request.Content);
+        }
+        catch (JsonException)
+        {
+            return new AddSectionResult(AddSectionStatus.Invalid, Version: portfolio.Version,
+                Error: "Section content must be valid JSON.");
+        }
+
+        var section = new PortfolioSection(request.SectionType, request.SortOrder, request.Content)
+        {
+            Variant = request.Variant
+        };
+        portfolio.AddSection(section);
+
+        try
+        {
+            await _repository.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException ex)
+        {
+            // Another save landed between the version check and this write
+            return new AddSectionResult(AddSectionStatus.Conflict,
+                Version: await PortfolioConcurrency.CurrentVersionAsync(ex, cancellationToken));
+        }
+
+        // Invalidate caches — the portfolio and the user's list
+        await _cache.RemoveAsync(CacheKeys.PortfolioById(request.PortfolioId), cancellationToken);
+        await _cache.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(request.UserId), cancellationToken);
+
+        return new AddSectionResult(AddSectionStatus.Added, new PortfolioSectionDto
+        {
+            Id = section.Id,
+            SectionType = section.SectionType,
+            Content = section.Content,
+            SortOrder = section.SortOrder,
+            IsVisible = section.IsVisible,
+            Variant = section.Variant,
+            Column = section.Column
+        }, portfolio.Version);
+    }
+}
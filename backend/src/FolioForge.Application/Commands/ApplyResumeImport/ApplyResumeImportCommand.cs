@@ -0,0 +1,37 @@
+using MediatR;
+
+namespace FolioForge.Application.Commands.ApplyResumeImport;
+
+/// <summary>
+/// Command to commit the owner's reviewed version of a pending resume import.
+/// Each choice is the final content for one section: <c>SectionId</c> updates an
+/// existing section, null adds a new one at the end. Sections left out are not
+/// touched. An empty list applies nothing but still closes the import.
+/// <c>ExpectedVersion</c> works as for customization saves.
+/// </summary>
+public record ApplyResumeImportCommand(
+    Guid PortfolioId,
+    Guid UserId,
+    List<ResumeImportChoice> Sections,
+    int? ExpectedVersion = null
+) : IRequest<ApplyResumeImportResult>;
+
+public record ResumeImportChoice(Guid? SectionId, string SectionType, string Content);
+
+public enum ApplyResumeImportStatus
+{
+    Applied,
+    NotFound,
+    /// <summary>There is no import waiting — it was applied or discarded elsewhere.</summary>
+    NoImport,
+    /// <summary>The portfolio changed since the review loaded, or a target section is gone.</summary>
+    Conflict,
+    /// <summary>A choice has malformed content or would exceed the section limit; see <c>Error</c>.</summary>
+    Invalid
+}
+
+/// <summary>
+/// Outcome of applying an import. <c>Version</c> is the portfolio's version after
+/// the apply, or its current version on a conflict.
+/// </summary>
+public record ApplyResumeImportResult(ApplyResumeImportStatus Status, int? Version = null, string? Error = null);
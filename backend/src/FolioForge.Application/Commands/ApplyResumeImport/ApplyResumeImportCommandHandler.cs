@@ -0,0 +1,93 @@
+using System.Text.Json;
+using FolioForge.Application.Commands.AddSection;
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Domain.Entities;
+using FolioForge.Domain.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Commands.ApplyResumeImport;
+
+public class ApplyResumeImportCommandHandler : IRequestHandler<ApplyResumeImportCommand, ApplyResumeImportResult>
+{
+    private readonly IPortfolioRepository _repository;
+    private readonly ICacheService _cache;
+
+    public ApplyResumeImportCommandHandler(IPortfolioRepository repository, ICacheService cache)
+    {
+        _repository = repository;
+        _cache = cache;
+    }
+
+    public async Task<ApplyResumeImportResult> Handle(ApplyResumeImportCommand request, CancellationToken cancellationToken)
+    {
+        var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
+
+        // Not found or not owned by this user → 404
+        if (portfolio is null || portfolio.UserId != request.UserId)
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.NotFound);
+
+        if (portfolio.PendingImport is null)
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.NoImport, portfolio.Version);
+
+        // The review was built against these sections; an edit since then would be overwritten
+        if (request.ExpectedVersion is int expected && expected != portfolio.Version)
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.Conflict, portfolio.Version);
+
+        if (request.Sections.Any(c => c.SectionId is Guid id && portfolio.Sections.All(s => s.Id != id)))
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.Conflict, portfolio.Version);
+
+        var additions = request.Sections.Count(c => c.SectionId is null);
+        if (portfolio.Sections.Count + additions > AddSectionCommandHandler.MaxSections)
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.Invalid, portfolio.Version,
+                $"A portfolio can have at most {AddSectionCommandHandler.MaxSections} sections.");
+
+        // Validate everything up front so a bad choice doesn't leave half an import applied
+        foreach (var choice in request.Sections)
+        {
+            try
+            {
+                using var _ = JsonDocument.Parse(choice.Content);
+            }
+            catch (JsonException)
+            {
+                return new ApplyResumeImportResult(ApplyResumeImportStatus.Invalid, portfolio.Version,
+                    $"Content for the {choice.SectionType} section must be valid JSON.");
+            }
+        }
+
+        // Renumber densely: appending after the highest sort order could leave the
+        // 0–100 range the customization endpoint accepts, failing every later save
+        var nextSortOrder = 0;
+        foreach (var existing in portfolio.Sections.OrderBy(s => s.SortOrder))
+            existing.SortOrder = nextSortOrder++;
+
+        foreach (var choice in request.Sections)
+        {
+            var section = choice.SectionId is Guid id ? portfolio.Sections.First(s => s.Id == id) : null;
+            if (section is null)
+                portfolio.AddSection(new PortfolioSection(choice.SectionType, nextSortOrder++, choice.Content));
+            else
+                section.UpdateContentRaw(choice.Content);
+        }
+
+        portfolio.ResolveImport(sectionsChanged: request.Sections.Count > 0);
+
+        await _repository.UpdateAsync(portfolio);
+        try
+        {
+            await _repository.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            return new ApplyResumeImportResult(ApplyResumeImportStatus.Conflict);
+        }
+
+        // Invalidate caches — the portfolio and the user's list
+        await _cache.RemoveAsync(CacheKeys.PortfolioById(request.PortfolioId), cancellationToken);
+        await _cache.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(request.UserId), cancellationToken);
+
+        return new ApplyResumeImportResult(ApplyResumeImportStatus.Applied, portfolio.Version);
+    }
+}
@@ -0,0 +1,24 @@
+using MediatR;
+
+namespace FolioForge.Application.Commands.DeleteSection;
+
+/// <summary>
+/// Command to delete a single section from a portfolio owned by the specified user.
+/// <c>ExpectedVersion</c> works as for <c>AddSectionCommand</c>.
+/// </summary>
+public record DeleteSectionCommand(Guid PortfolioId, Guid UserId, Guid SectionId, int ExpectedVersion) : IRequest<DeleteSectionResult>;
+
+public enum DeleteSectionStatus
+{
+    Deleted,
+    /// <summary>The portfolio or section is not found / not owned.</summary>
+    NotFound,
+    /// <summary>The portfolio changed since the client loaded it.</summary>
+    Conflict
+}
+
+/// <summary>
+/// Outcome of deleting a section. <c>Version</c> is the portfolio's version after
+/// the delete, or its current version on a conflict.
+/// </summary>
+public record DeleteSectionResult(DeleteSectionStatus Status, int? Version = null);
@@ -0,0 +1,52 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Domain.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Commands.DeleteSection;
+
+public class DeleteSectionCommandHandler : IRequestHandler<DeleteSectionCommand, DeleteSectionResult>
+{
+    private readonly IPortfolioRepository _repository;
+    private readonly ICacheService _cache;
+
+    public DeleteSectionCommandHandler(IPortfolioRepository repository, ICacheService cache)
+    {
+        _repository = repository;
+        _cache = cache;
+    }
+
+    public async Task<DeleteSectionResult> Handle(DeleteSectionCommand request, CancellationToken cancellationToken)
+    {
+        var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
+
+        // Not found or not owned by this user → 404
+        if (portfolio is null || portfolio.UserId != request.UserId)
+            return new DeleteSectionResult(DeleteSectionStatus.NotFound);
+
+        // Stale editor: someone saved since this client loaded
+        if (request.ExpectedVersion != portfolio.Version)
+            return new DeleteSectionResult(DeleteSectionStatus.Conflict, portfolio.Version);
+
+        if (!portfolio.RemoveSection(request.SectionId))
+            return new DeleteSectionResult(DeleteSectionStatus.NotFound);
+
+        try
+        {
+            await _repository.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException ex)
+        {
+            // Another save landed between the version check and this write
+            return new DeleteSectionResult(DeleteSectionStatus.Conflict,
+                await PortfolioConcurrency.CurrentVersionAsync(ex, cancellationToken));
+        }
+
+        // Invalidate caches — the portfolio and the user's list
+        await _cache.RemoveAsync(CacheKeys.PortfolioById(request.PortfolioId), cancellationToken);
+        await _cache.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(request.UserId), cancellationToken);
+
+        return new DeleteSectionResult(DeleteSectionStatus.Deleted, portfolio.Version);
+    }
+}
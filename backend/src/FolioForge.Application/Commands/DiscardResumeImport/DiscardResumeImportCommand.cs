@@ -0,0 +1,9 @@
+using MediatR;
+
+namespace FolioForge.Application.Commands.DiscardResumeImport;
+
+/// <summary>
+/// Command to throw away a pending resume import without changing any section.
+/// Returns false if the portfolio is not found / not owned, or has no import pending.
+/// </summary>
+public record DiscardResumeImportCommand(Guid PortfolioId, Guid UserId) : IRequest<bool>;
@@ -0,0 +1,36 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Domain.Interfaces;
+using MediatR;
+
+namespace FolioForge.Application.Commands.DiscardResumeImport;
+
+public class DiscardResumeImportCommandHandler : IRequestHandler<DiscardResumeImportCommand, bool>
+{
+    private readonly IPortfolioRepository _repository;
+    private readonly ICacheService _cache;
+
+    public DiscardResumeImportCommandHandler(IPortfolioRepository repository, ICacheService cache)
+    {
+        _repository = repository;
+        _cache = cache;
+    }
+
+    public async Task<bool> Handle(DiscardResumeImportCommand request, CancellationToken cancellationToken)
+    {
+        var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
+
+        // Not found or not owned by this user → 404
+        if (portfolio is null || portfolio.UserId != request.UserId || portfolio.PendingImport is null)
+            return false;
+
+        portfolio.ResolveImport(sectionsChanged: false);
+        await _repository.SaveChangesAsync();
+
+        // The cached DTOs still say an import is pending
+        await _cache.RemoveAsync(CacheKeys.PortfolioById(request.PortfolioId), cancellationToken);
+        await _cache.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(request.UserId), cancellationToken);
+
+        return true;
+    }
+}
@@ -0,0 +1,38 @@
+using MediatR;
+
+namespace FolioForge.Application.Commands.SubmitContactMessage;
+
+/// <summary>
+/// Command for a visitor's message to the owner of the published portfolio
+/// at <paramref name="Slug"/>. Requires a solved contact challenge, counts
+/// against the portfolio's shared message quota, scores the
+/// message for spam and stores it in the owner's inbox (notifying them) or,
+/// when it looks like spam, quietly in their Spam folder.
+/// <paramref name="Honeypot"/> is the form's hidden field; people leave it empty.
+/// </summary>
+public record SubmitContactMessageCommand(
+    string Slug,
+    string Name,
+    string Email,
+    string? Subject,
+    string Message,
+    string ChallengeToken,
+    string ChallengeSolution,
+    string? Honeypot = null
+) : IRequest<SubmitContactMessageResult>;
+
+public enum SubmitContactMessageStatus
+{
+    Sent,
+    /// <summary>No published portfolio has that slug.</summary>
+    NotFound,
+    /// <summary>The proof-of-work challenge is missing, invalid, expired or already used.</summary>
+    ChallengeFailed,
+    /// <summary>The portfolio has received all the messages its quota allows for now.</summary>
+    RateLimited
+}
+
+public record SubmitContactMessageResult(
+    SubmitContactMessageStatus Status,
+    Guid? MessageId = null,
+    double? RetryAfterSeconds = null);
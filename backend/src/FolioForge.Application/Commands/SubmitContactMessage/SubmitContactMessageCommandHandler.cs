@@ -0,0 +1,88 @@
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.RateLimiting;
+using FolioForge.Application.ContactMessages;
+using FolioForge.Domain.Entities;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Commands.SubmitContactMessage;
+
+public class SubmitContactMessageCommandHandler : IRequestHandler<SubmitContactMessageCommand, SubmitContactMessageResult>
+{
+    /// <summary>
+    /// Rate-limit policy capping the messages one portfolio accepts from all visitors.
+    /// Charged here rather than by <c>[RateLimit]</c>, once the challenge has verified,
+    /// so junk requests can't use up the owner's quota.
+    /// </summary>
+    public const string PerPortfolioPolicy = "ContactPerSlug";
+
+    private readonly IApplicationDbContext _context;
+    private readonly IContactNotifier _notifier;
+    private readonly IContactChallengeService _challenges;
+    private readonly IRateLimiter _rateLimiter;
+
+    public SubmitContactMessageCommandHandler(
+        IApplicationDbContext context,
+        IContactNotifier notifier,
+        IContactChallengeService challenges,
+        IRateLimiter rateLimiter)
+    {
+        _context = context;
+        _notifier = notifier;
+        _challenges = challenges;
+        _rateLimiter = rateLimiter;
+    }
+
+    public async Task<SubmitContactMessageResult> Handle(SubmitContactMessageCommand request, CancellationToken cancellationToken)
+    {
+        // Public request: no tenant is resolved, so look across tenants like the public portfolio view
+        var portfolio = await _context.Portfolios
+            .IgnoreQueryFilters()
+            .FirstOrDefaultAsync(p => p.Slug == request.Slug && p.IsPublished, cancellationToken);
+        if (portfolio is null)
+            return new SubmitContactMessageResult(SubmitContactMessageStatus.NotFound);
+
+        var challenge = await _challenges.VerifyAsync(
+            portfolio.Slug, request.ChallengeToken, request.ChallengeSolution, cancellationToken);
+        if (challenge.Status != ContactChallengeStatus.Valid)
+            return new SubmitContactMessageResult(SubmitContactMessageStatus.ChallengeFailed);
+
+        var quota = await _rateLimiter.TryAcquireAsync(
+            PerPortfolioPolicy, $"slug={portfolio.Slug.ToLowerInvariant()}", cancellationToken);
+        if (!quota.IsAllowed)
+            return new SubmitContactMessageResult(
+                SubmitContactMessageStatus.RateLimited, RetryAfterSeconds: quota.RetryAfterSeconds);
+
+        var message = new ContactMessage(
+            portfolio.Id, portfolio.UserId, portfolio.TenantId,
+            request.Name, request.Email, request.Subject, request.Message);
+
+        var spam = ContactSpamScorer.Score(
+            request.Name, request.Subject, request.Message,
+            new ContactSpamScorer.Signals(
+                HoneypotFilled: !string.IsNullOrWhiteSpace(request.Honeypot),
+                SubmittedTooFast: challenge.SubmittedTooFast));
+        message.RecordSpamScore(spam.Score, spam.IsSpam);
+
+        await _context.ContactMessages.AddAsync(message, cancellationToken);
+        await _context.SaveChangesAsync(cancellationToken);
+
+        // Spam is kept for the owner to review, but doesn't get to ping them
+        if (spam.IsSpam)
+            return new SubmitContactMessageResult(SubmitContactMessageStatus.Sent, message.Id);
+
+        var owner = await _context.Users
+            .IgnoreQueryFilters()
+            .FirstOrDefaultAsync(u => u.Id == portfolio.UserId, cancellationToken);
+        if (owner is not null)
+        {
+            await _notifier.NotifyAsync(new ContactNotification(
+                message.Id, owner.Email, owner.FullName,
+                portfolio.Title, portfolio.Slug,
+                message.SenderName, message.SenderEmail, message.Subject, message.Message),
+                cancellationToken);
+        }
+
+        return new SubmitContactMessageResult(SubmitContactMessageStatus.Sent, message.Id);
+    }
+}
@@ -0,0 +1,17 @@
+using FolioForge.Application.DTOs;
+using MediatR;
+
+namespace FolioForge.Application.Commands.UpdateContactMessage;
+
+/// <summary>
+/// Command to change the inbox state of a contact message owned by the specified user.
+/// Null flags are left as they are. Returns the updated message, or null if not found / not owned.
+/// </summary>
+public record UpdateContactMessageCommand(
+    Guid MessageId,
+    Guid UserId,
+    bool? IsRead = null,
+    bool? IsStarred = null,
+    bool? IsArchived = null,
+    bool? IsSpam = null
+) : IRequest<ContactMessageDto?>;
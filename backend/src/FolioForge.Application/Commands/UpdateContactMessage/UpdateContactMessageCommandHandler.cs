@@ -0,0 +1,43 @@
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.ContactMessages;
+using FolioForge.Application.DTOs;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Commands.UpdateContactMessage;
+
+public class UpdateContactMessageCommandHandler : IRequestHandler<UpdateContactMessageCommand, ContactMessageDto?>
+{
+    private readonly IApplicationDbContext _context;
+
+    public UpdateContactMessageCommandHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<ContactMessageDto?> Handle(UpdateContactMessageCommand request, CancellationToken cancellationToken)
+    {
+        var message = await _context.ContactMessages
+            .FirstOrDefaultAsync(m => m.Id == request.MessageId, cancellationToken);
+
+        // Not found or not owned by this user → 404
+        if (message is null || message.UserId != request.UserId)
+            return null;
+
+        if (request.IsRead == true) message.MarkRead();
+        else if (request.IsRead == false) message.MarkUnread();
+
+        if (request.IsStarred is bool starred) message.SetStarred(starred);
+        if (request.IsArchived is bool archived) message.SetArchived(archived);
+        if (request.IsSpam is bool spam) message.SetSpam(spam);
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        var portfolioTitle = await _context.Portfolios
+            .Where(p => p.Id == message.PortfolioId)
+            .Select(p => p.Title)
+            .FirstOrDefaultAsync(cancellationToken);
+
+        return message.ToDto(portfolioTitle ?? string.Empty);
+    }
+}
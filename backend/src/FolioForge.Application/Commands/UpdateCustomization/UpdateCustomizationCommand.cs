@@ -4,6 +4,8 @@ namespace FolioForge.Application.Commands.UpdateCustomization;
 
 /// <summary>
 /// Command to update the full customization (theme + section layout) of a portfolio.
+/// <c>ExpectedVersion</c> is the <c>Version</c> the editor loaded; when it no longer
+/// matches, nothing is written and the result is a conflict. Null skips the check.
 /// </summary>
 public record UpdateCustomizationCommand(
     Guid PortfolioId,
@@ -19,18 +21,41 @@ public record UpdateCustomizationCommand(
     string FontBody,
     // Layout
     string Layout,
-    // Sections customization (order, visibility, variant)
-    List<SectionCustomization> Sections
-) : IRequest<bool>;
+    // Dark palette (null = derived from the light one) and color-mode lock
+    string? DarkPrimaryColor,
+    string? DarkSecondaryColor,
+    string? DarkBackgroundColor,
+    string? DarkTextColor,
+    string ColorMode,
+    // Sections customization (order, visibility, variant, column)
+    List<SectionCustomization> Sections,
+    int? ExpectedVersion = null
+) : IRequest<UpdateCustomizationResult>;
+
+public enum UpdateCustomizationStatus
+{
+    Updated,
+    NotFound,
+    /// <summary>The portfolio changed since the client loaded it, or a section it sent is gone.</summary>
+    Conflict
+}
+
+/// <summary>
+/// Outcome of a customization save. <c>Version</c> is the portfolio's version
+/// after the save, or its current version on a conflict when known.
+/// </summary>
+public record UpdateCustomizationResult(UpdateCustomizationStatus Status, int? Version = null);
 
 /// <summary>
 /// Lightweight DTO for section-level customization.
 /// <c>Content</c> is optional: null means "leave the existing content unchanged".
+/// <c>Column</c> places the section in the two-column layout ("main" or "side").
 /// </summary>
 public record SectionCustomization(
     Guid SectionId,
     int SortOrder,
     bool IsVisible,
     string Variant,
-    string? Content = null
+    string? Content = null,
+    string Column = "main"
 );
@@ -2,10 +2,11 @@ using FolioForge.Application.Common;
 using FolioForge.Application.Common.Interfaces;
 using FolioForge.Domain.Interfaces;
 using MediatR;
+using Microsoft.EntityFrameworkCore;
 
 namespace FolioForge.Application.Commands.UpdateCustomization;
 
-public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomizationCommand, bool>
+public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomizationCommand, UpdateCustomizationResult>
 {
     private readonly IPortfolioRepository _repository;
     private readonly ICacheService _cache;
@@ -16,15 +17,24 @@ public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomiza
         _cache = cache;
     }
 
-    public async Task<bool> Handle(UpdateCustomizationCommand request, CancellationToken cancellationToken)
+    public async Task<UpdateCustomizationResult> Handle(UpdateCustomizationCommand request, CancellationToken cancellationToken)
     {
         var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
 
         // Not found or not owned by this user → 404
         if (portfolio is null || portfolio.UserId != request.UserId)
-            return false;
+            return new UpdateCustomizationResult(UpdateCustomizationStatus.NotFound);
 
-        // 1. Update theme/colors/fonts/layout
+        // Stale editor: someone saved (or the AI re-parsed) since this client loaded
+        if (request.ExpectedVersion is int expected && expected != portfolio.Version)
+            return new UpdateCustomizationResult(UpdateCustomizationStatus.Conflict, portfolio.Version);
+
+        // Edits to a section deleted elsewhere would otherwise be dropped without a word
+        if (request.ExpectedVersion is not null
+            && request.Sections.Any(u => portfolio.Sections.All(s => s.Id != u.SectionId)))
+            return new UpdateCustomizationResult(UpdateCustomizationStatus.Conflict, portfolio.Version);
+
+        // 1. Update theme/colors/fonts/layout/color mode
         portfolio.UpdateCustomization(
             request.ThemeName,
             request.PrimaryColor,
@@ -33,10 +43,15 @@ public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomiza
             request.TextColor,
             request.FontHeading,
             request.FontBody,
-            request.Layout
+            request.Layout,
+            request.DarkPrimaryColor,
+            request.DarkSecondaryColor,
+            request.DarkBackgroundColor,
+            request.DarkTextColor,
+            request.ColorMode
         );
 
-        // 2. Update section order, visibility, variant, and optionally content
+        // 2. Update section order, visibility, variant, column, and optionally content
         foreach (var sectionUpdate in request.Sections)
         {
             var section = portfolio.Sections.FirstOrDefault(s => s.Id == sectionUpdate.SectionId);
@@ -45,6 +60,7 @@ public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomiza
             section.SortOrder = sectionUpdate.SortOrder;
             section.IsVisible = sectionUpdate.IsVisible;
             section.Variant   = sectionUpdate.Variant;
+            section.Column    = sectionUpdate.Column;
 
             // Only update content when the client explicitly sends a new value
             if (sectionUpdate.Content is not null)
@@ -62,12 +78,20 @@ public class UpdateCustomizationCommandHandler : IRequestHandler<UpdateCustomiza
         }
 
         await _repository.UpdateAsync(portfolio);
-        await _repository.SaveChangesAsync();
+        try
+        {
+            await _repository.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            // Another save landed between our read and write; the client reloads to see it
+            return new UpdateCustomizationResult(UpdateCustomizationStatus.Conflict);
+        }
 
         // Invalidate caches — the portfolio and the user's list
         await _cache.RemoveAsync(CacheKeys.PortfolioById(request.PortfolioId), cancellationToken);
         await _cache.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(request.UserId), cancellationToken);
 
-        return true;
+        return new UpdateCustomizationResult(UpdateCustomizationStatus.Updated, portfolio.Version);
     }
 }
@@ -14,6 +14,14 @@ public static class CacheKeys
     public static string PortfoliosByUser(Guid userId) => $"user:{userId}:portfolios";
     public static string PortfolioBySlug(string slug) => $"portfolio:slug:{slug}";
 
+    // ── Resume jobs ──
+    public static string ResumeJob(Guid jobId) => $"resume-job:{jobId}";
+    public static string ResumeUpload(Guid uploadId) => $"resume-upload:{uploadId}";
+
+    // ── Contact form ──
+    /// <summary>Marks a contact-form challenge as spent, so it can't be replayed.</summary>
+    public static string ContactChallenge(string nonce) => $"contact-challenge:{nonce}";
+
     // ── Tenant ──
     public static string TenantById(Guid id) => $"tenant:id:{id}";
     public static string TenantByIdentifier(string identifier) => $"tenant:ident:{identifier}";
@@ -28,4 +36,6 @@ public static class CacheKeys
     public static readonly TimeSpan PortfolioTtl = TimeSpan.FromMinutes(15);
     public static readonly TimeSpan TenantTtl = TimeSpan.FromHours(1);
     public static readonly TimeSpan UserPortfolioListTtl = TimeSpan.FromMinutes(10);
+    public static readonly TimeSpan ResumeJobTtl = TimeSpan.FromHours(1);
+    public static readonly TimeSpan ResumeUploadTtl = TimeSpan.FromHours(24);
 }
@@ -6,5 +6,6 @@ using System.Threading.Tasks;
 
 namespace FolioForge.Application.Common.Events
 {
-    public record ResumeUploadedEvent(Guid PortfolioId, string FilePath);
+    // JobId is empty for messages queued before job tracking existed
+    public record ResumeUploadedEvent(Guid PortfolioId, string FilePath, Guid JobId = default);
 }
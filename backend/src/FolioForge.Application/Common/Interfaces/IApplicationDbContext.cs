@@ -9,6 +9,7 @@ public interface IApplicationDbContext
     DbSet<User> Users { get; }
     DbSet<Portfolio> Portfolios { get; }
     DbSet<PortfolioSection> Sections { get; }
+    DbSet<ContactMessage> ContactMessages { get; }
 
     Task<int> SaveChangesAsync(CancellationToken cancellationToken);
 }
\ No newline at end of file
@@ -38,4 +38,12 @@ public interface ICacheService
     /// Checks whether a key exists in the cache.
     /// </summary>
     Task<bool> ExistsAsync(string key, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Sets a key only if it isn't there yet, in one atomic step. Returns false
+    /// when it was already set — exactly one of several concurrent callers gets
+    /// true. Meant for markers ("this was used"); the value isn't read back
+    /// through <see cref="GetAsync{T}"/>.
+    /// </summary>
+    Task<bool> SetIfAbsentAsync<T>(string key, T value, TimeSpan expiration, CancellationToken cancellationToken = default);
 }
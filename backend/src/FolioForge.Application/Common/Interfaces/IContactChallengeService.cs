@@ -0,0 +1,38 @@
+namespace FolioForge.Application.Common.Interfaces;
+
+/// <summary>
+/// Proof-of-work challenges for the public contact form. The page fetches a
+/// challenge when the form is first used and the browser solves it while the
+/// visitor types; the server only accepts a message with a solved, unspent
+/// challenge for the same portfolio. Cheap for one visitor, costly at spam volume.
+/// </summary>
+public interface IContactChallengeService
+{
+    /// <summary>A signed challenge for the portfolio at <paramref name="slug"/>.</summary>
+    ContactChallenge Issue(string slug);
+
+    /// <summary>
+    /// Checks the token's signature, slug and age and the solution's work, then
+    /// spends the token, so each challenge sends at most one message.
+    /// </summary>
+    Task<ContactChallengeVerification> VerifyAsync(string slug, string token, string solution, CancellationToken cancellationToken = default);
+}
+
+/// <summary>
+/// Find a <c>solution</c> such that SHA-256 of <c>"{Token}:{solution}"</c>
+/// starts with <c>Difficulty</c> zero bits.
+/// </summary>
+public record ContactChallenge(string Token, int Difficulty, DateTime ExpiresAt);
+
+public enum ContactChallengeStatus
+{
+    Valid,
+    /// <summary>Malformed, tampered with, for another portfolio, or the work doesn't check out.</summary>
+    Invalid,
+    Expired,
+    /// <summary>Already used for a message.</summary>
+    Reused
+}
+
+/// <summary><c>SubmittedTooFast</c>: sent sooner after the challenge than a person could type a message.</summary>
+public record ContactChallengeVerification(ContactChallengeStatus Status, bool SubmittedTooFast = false);
@@ -0,0 +1,24 @@
+namespace FolioForge.Application.Common.Interfaces;
+
+/// <summary>
+/// Tells a portfolio owner that a visitor sent them a message. The message is
+/// already in their inbox when this runs, so a failed notification loses nothing:
+/// implementations log delivery failures rather than throw them at the visitor.
+/// Implementations: in-memory (local development, tests) and SMTP.
+/// </summary>
+public interface IContactNotifier
+{
+    Task NotifyAsync(ContactNotification notification, CancellationToken cancellationToken = default);
+}
+
+/// <summary>What a notification says about a new contact message.</summary>
+public record ContactNotification(
+    Guid MessageId,
+    string OwnerEmail,
+    string OwnerName,
+    string PortfolioTitle,
+    string PortfolioSlug,
+    string SenderName,
+    string SenderEmail,
+    string? Subject,
+    string Message);
@@ -0,0 +1,27 @@
+using FolioForge.Application.Common.Jobs;
+
+namespace FolioForge.Application.Common.Interfaces;
+
+/// <summary>
+/// Shared record of resume-processing progress. The API starts a job when a
+/// resume is uploaded, the worker moves it through the stages, and the
+/// owner's browser reads it back.
+/// </summary>
+public interface IResumeJobTracker
+{
+    /// <summary>
+    /// Creates a job in the <see cref="ResumeJobStage.Uploaded"/> stage.
+    /// </summary>
+    Task<ResumeJobStatus> StartAsync(Guid portfolioId, Guid userId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Moves a job to <paramref name="stage"/>. Unknown or expired jobs, and jobs
+    /// that already finished, are left as they are.
+    /// </summary>
+    Task UpdateAsync(Guid jobId, string stage, string? error = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a job's current status, or null when it doesn't exist or has expired.
+    /// </summary>
+    Task<ResumeJobStatus?> GetAsync(Guid jobId, CancellationToken cancellationToken = default);
+}
@@ -0,0 +1,53 @@
+using FolioForge.Application.Common.Jobs;
+
+namespace FolioForge.Application.Common.Interfaces;
+
+/// <summary>
+/// Resumable, chunked resume uploads. The bytes are assembled in a partial
+/// file; when the last chunk is in, <see cref="CompleteAsync"/> hands over a
+/// finished file for the worker, just like a single-request upload. The
+/// session outlives that, holding its job id, so a repeated complete can be
+/// answered without starting a second job.
+/// </summary>
+public interface IResumeUploadStore
+{
+    /// <summary>
+    /// Opens a session for a file of <paramref name="size"/> bytes.
+    /// </summary>
+    Task<ResumeUploadSession> StartAsync(Guid portfolioId, Guid userId, string extension, long size, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Gets a session, or null when it doesn't exist or has expired.
+    /// </summary>
+    Task<ResumeUploadSession?> GetAsync(Guid uploadId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Appends <paramref name="data"/> at <paramref name="offset"/>. A chunk cut off
+    /// part way is dropped, so sending it again from the same offset is safe.
+    /// </summary>
+    Task<ResumeChunkResult> AppendAsync(Guid uploadId, long offset, Stream data, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Ends a session whose bytes have all arrived and returns the path of the
+    /// assembled file. Returns null when the session is unknown, incomplete, or
+    /// already completed — only one caller ever gets the file.
+    /// </summary>
+    Task<string?> CompleteAsync(Guid uploadId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Undoes <see cref="CompleteAsync"/> when the file couldn't be queued: moves
+    /// it back into the session so it can be completed again. Returns false when
+    /// the session is gone or already has a job; the file is left where it is.
+    /// </summary>
+    Task<bool> ReopenAsync(Guid uploadId, string filePath, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Records the job a completed session's file was queued as.
+    /// </summary>
+    Task RecordJobAsync(Guid uploadId, Guid jobId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Drops a session and whatever was received for it.
+    /// </summary>
+    Task DiscardAsync(Guid uploadId, CancellationToken cancellationToken = default);
+}
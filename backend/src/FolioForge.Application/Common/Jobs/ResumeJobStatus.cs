@@ -0,0 +1,32 @@
+namespace FolioForge.Application.Common.Jobs;
+
+/// <summary>
+/// Stages of a resume upload, in the order the worker moves through them.
+/// <see cref="Done"/> and <see cref="Failed"/> are final.
+/// </summary>
+public static class ResumeJobStage
+{
+    public const string Uploaded = "uploaded";
+    public const string ExtractingText = "extracting_text";
+    public const string AiParsing = "ai_parsing";
+    public const string GeneratingSections = "generating_sections";
+    public const string Done = "done";
+    public const string Failed = "failed";
+
+    public static bool IsFinal(string stage) => stage is Done or Failed;
+}
+
+/// <summary>
+/// Where one resume upload is in the pipeline. <c>Error</c> is a message
+/// safe to show the owner, set only when the job failed.
+/// </summary>
+public record ResumeJobStatus(
+    Guid JobId,
+    Guid PortfolioId,
+    Guid UserId,
+    string Stage,
+    string? Error,
+    DateTime UpdatedAt)
+{
+    public bool IsFinished => ResumeJobStage.IsFinal(Stage);
+}
@@ -0,0 +1,10 @@
+namespace FolioForge.Application.Common.Jobs;
+
+/// <summary>
+/// A resume that can't be turned into a portfolio for a reason the owner can act on.
+/// The message is shown to them as the job's failure reason.
+/// </summary>
+public class ResumeProcessingException : Exception
+{
+    public ResumeProcessingException(string message) : base(message) { }
+}
@@ -0,0 +1,40 @@
+namespace FolioForge.Application.Common.Jobs;
+
+/// <summary>
+/// A resume being uploaded in chunks. Chunks must arrive in order: each one
+/// starts at <see cref="ReceivedBytes"/>, so after a dropped connection the
+/// client asks for the session and carries on from there.
+/// <see cref="JobId"/> is set once the upload has been completed and queued,
+/// so completing it again answers with the same job.
+/// </summary>
+public record ResumeUploadSession(
+    Guid UploadId,
+    Guid PortfolioId,
+    Guid UserId,
+    string Extension,
+    long Size,
+    long ReceivedBytes,
+    DateTime CreatedAt,
+    Guid? JobId = null)
+{
+    /// <summary>Largest chunk the API accepts in one request.</summary>
+    public const int ChunkSizeBytes = 1024 * 1024;
+
+    public bool IsComplete => ReceivedBytes == Size;
+}
+
+public enum ResumeChunkStatus
+{
+    Accepted,
+    NotFound,
+    /// <summary>The chunk didn't start where the last one ended.</summary>
+    OffsetMismatch,
+    /// <summary>The chunk was bigger than <see cref="ResumeUploadSession.ChunkSizeBytes"/> or ran past the declared size.</summary>
+    TooLarge
+}
+
+/// <summary>
+/// Outcome of appending a chunk. <c>ReceivedBytes</c> is where the next chunk
+/// has to start, whatever the status.
+/// </summary>
+public record ResumeChunkResult(ResumeChunkStatus Status, long ReceivedBytes);
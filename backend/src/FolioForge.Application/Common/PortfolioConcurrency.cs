@@ -0,0 +1,23 @@
+using FolioForge.Domain.Entities;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.Common;
+
+/// <summary>
+/// Helpers for saves that lose the race on <see cref="Portfolio.Version"/>.
+/// </summary>
+public static class PortfolioConcurrency
+{
+    /// <summary>
+    /// The version the winning write left in the database, or null when it
+    /// can't be read (the portfolio was deleted, or wasn't the conflicting entry).
+    /// </summary>
+    public static async Task<int?> CurrentVersionAsync(DbUpdateConcurrencyException exception, CancellationToken cancellationToken)
+    {
+        var entry = exception.Entries.FirstOrDefault(e => e.Entity is Portfolio);
+        if (entry is null) return null;
+
+        var values = await entry.GetDatabaseValuesAsync(cancellationToken);
+        return values?.GetValue<int>(nameof(Portfolio.Version));
+    }
+}
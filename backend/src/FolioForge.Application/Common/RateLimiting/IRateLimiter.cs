@@ -27,4 +27,14 @@ public interface IRateLimiter
         string policyName,
         string clientId,
         CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Returns one token taken by <see cref="TryAcquireAsync"/> (never beyond the
+    /// bucket's capacity) — for a request that another bucket turned away.
+    /// Best effort: failures are logged, not thrown.
+    /// </summary>
+    Task ReleaseAsync(
+        string policyName,
+        string clientId,
+        CancellationToken cancellationToken = default);
 }
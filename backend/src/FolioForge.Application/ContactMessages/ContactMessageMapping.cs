@@ -0,0 +1,25 @@
+using FolioForge.Application.DTOs;
+using FolioForge.Domain.Entities;
+
+namespace FolioForge.Application.ContactMessages;
+
+internal static class ContactMessageMapping
+{
+    public static ContactMessageDto ToDto(this ContactMessage message, string portfolioTitle) => new()
+    {
+        Id = message.Id,
+        PortfolioId = message.PortfolioId,
+        PortfolioTitle = portfolioTitle,
+        SenderName = message.SenderName,
+        SenderEmail = message.SenderEmail,
+        Subject = message.Subject,
+        Message = message.Message,
+        CreatedAt = message.CreatedAt,
+        ReadAt = message.ReadAt,
+        IsRead = message.IsRead,
+        IsStarred = message.IsStarred,
+        IsArchived = message.IsArchived,
+        IsSpam = message.IsSpam,
+        SpamScore = message.SpamScore
+    };
+}
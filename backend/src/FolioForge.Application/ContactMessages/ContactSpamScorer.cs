@@ -0,0 +1,75 @@
+using System.Text.RegularExpressions;
+
+namespace FolioForge.Application.ContactMessages;
+
+/// <summary>
+/// Scores a contact-form submission for spam. Each signal adds points and a
+/// reason; at <see cref="SpamThreshold"/> or more the message goes to the
+/// owner's Spam folder instead of the inbox (and no notification is sent).
+/// The owner can still read it there and mark it "not spam".
+/// </summary>
+public static partial class ContactSpamScorer
+{
+    public const int SpamThreshold = 5;
+
+    /// <summary>What the form told us about how it was filled in.</summary>
+    public record Signals(bool HoneypotFilled, bool SubmittedTooFast);
+
+    public record Result(int Score, IReadOnlyList<string> Reasons)
+    {
+        public bool IsSpam => Score >= SpamThreshold;
+    }
+
+    private static readonly string[] SpamPhrases =
+    [
+        "backlink", "seo service", "guest post", "casino", "viagra", "cialis",
+        "crypto", "bitcoin", "forex", "loan", "make money", "work from home",
+        "click here", "buy now", "limited offer", "increase your traffic"
+    ];
+
+    public static Result Score(string name, string? subject, string message, Signals signals)
+    {
+        var score = 0;
+        var reasons = new List<string>();
+
+        void Add(int points, string reason)
+        {
+            score += points;
+            reasons.Add(reason);
+        }
+
+        // A field people never see — only bots fill it in
+        if (signals.HoneypotFilled) Add(10, "honeypot");
+        if (signals.SubmittedTooFast) Add(5, "too-fast");
+
+        var text = $"{subject} {message}";
+
+        var links = UrlPattern().Matches(text).Count;
+        if (links > 5) Add(4, "many-links");
+        else if (links > 2) Add(2, "links");
+
+        if (MarkupPattern().IsMatch(text)) Add(3, "link-markup");
+        if (UrlPattern().IsMatch(name)) Add(3, "link-in-name");
+
+        var lower = text.ToLowerInvariant();
+        var phrases = SpamPhrases.Count(p => lower.Contains(p));
+        if (phrases > 0) Add(Math.Min(phrases * 2, 6), "spam-phrases");
+
+        var letters = text.Where(char.IsLetter).ToList();
+        if (letters.Count >= 20 && letters.Count(char.IsUpper) > letters.Count * 0.6)
+            Add(2, "shouting");
+
+        if (RepeatedCharacters().IsMatch(message)) Add(1, "repeated-characters");
+
+        return new Result(score, reasons);
+    }
+
+    [GeneratedRegex(@"(https?://|www\.)\S+", RegexOptions.IgnoreCase)]
+    private static partial Regex UrlPattern();
+
+    [GeneratedRegex(@"<a\s+href|\[url[=\]]", RegexOptions.IgnoreCase)]
+    private static partial Regex MarkupPattern();
+
+    [GeneratedRegex(@"(.)\1{9,}")]
+    private static partial Regex RepeatedCharacters();
+}
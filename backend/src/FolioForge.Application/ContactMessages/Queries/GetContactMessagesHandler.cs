@@ -0,0 +1,60 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.DTOs;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.ContactMessages.Queries;
+
+public class GetContactMessagesHandler : IRequestHandler<GetContactMessagesQuery, PagedResult<ContactMessageDto>>
+{
+    private readonly IApplicationDbContext _context;
+
+    public GetContactMessagesHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<PagedResult<ContactMessageDto>> Handle(GetContactMessagesQuery request, CancellationToken cancellationToken)
+    {
+        // Clamp page/pageSize to safe bounds
+        var page = Math.Max(1, request.Page);
+        var pageSize = Math.Clamp(request.PageSize, 1, 50);
+
+        var query = _context.ContactMessages.Where(m => m.UserId == request.UserId);
+
+        if (request.PortfolioId is Guid portfolioId)
+            query = query.Where(m => m.PortfolioId == portfolioId);
+
+        query = request.Folder switch
+        {
+            ContactFolders.Spam => query.Where(m => m.IsSpam),
+            ContactFolders.Archived => query.Where(m => m.IsArchived && !m.IsSpam),
+            ContactFolders.Starred => query.Where(m => m.IsStarred && !m.IsArchived && !m.IsSpam),
+            _ => query.Where(m => !m.IsArchived && !m.IsSpam)
+        };
+
+        var totalCount = await query.CountAsync(cancellationToken);
+
+        var messages = await query
+            .OrderByDescending(m => m.CreatedAt)
+            .Skip((page - 1) * pageSize)
+            .Take(pageSize)
+            .ToListAsync(cancellationToken);
+
+        var portfolioIds = messages.Select(m => m.PortfolioId).Distinct().ToList();
+        var titles = await _context.Portfolios
+            .Where(p => portfolioIds.Contains(p.Id))
+            .ToDictionaryAsync(p => p.Id, p => p.Title, cancellationToken);
+
+        return new PagedResult<ContactMessageDto>
+        {
+            Items = messages
+                .Select(m => m.ToDto(titles.GetValueOrDefault(m.PortfolioId, string.Empty)))
+                .ToList(),
+            Page = page,
+            PageSize = pageSize,
+            TotalCount = totalCount
+        };
+    }
+}
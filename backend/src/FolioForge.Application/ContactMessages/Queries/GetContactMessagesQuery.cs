@@ -0,0 +1,29 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.DTOs;
+using MediatR;
+
+namespace FolioForge.Application.ContactMessages.Queries;
+
+/// <summary>
+/// Returns a page of the user's inbox, newest first, optionally for one portfolio.
+/// <c>Folder</c>: "inbox" (not archived), "starred" (not archived), "archived" or "spam";
+/// spam shows only in "spam".
+/// Defaults: page 1, pageSize 20, max 50.
+/// </summary>
+public record GetContactMessagesQuery(
+    Guid UserId,
+    Guid? PortfolioId = null,
+    string Folder = ContactFolders.Inbox,
+    int Page = 1,
+    int PageSize = 20
+) : IRequest<PagedResult<ContactMessageDto>>;
+
+public static class ContactFolders
+{
+    public const string Inbox = "inbox";
+    public const string Starred = "starred";
+    public const string Archived = "archived";
+    public const string Spam = "spam";
+
+    public static readonly string[] All = [Inbox, Starred, Archived, Spam];
+}
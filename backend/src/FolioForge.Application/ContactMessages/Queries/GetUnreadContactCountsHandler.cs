@@ -0,0 +1,24 @@
+using FolioForge.Application.Common.Interfaces;
+using MediatR;
+using Microsoft.EntityFrameworkCore;
+
+namespace FolioForge.Application.ContactMessages.Queries;
+
+public class GetUnreadContactCountsHandler : IRequestHandler<GetUnreadContactCountsQuery, Dictionary<Guid, int>>
+{
+    private readonly IApplicationDbContext _context;
+
+    public GetUnreadContactCountsHandler(IApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<Dictionary<Guid, int>> Handle(GetUnreadContactCountsQuery request, CancellationToken cancellationToken)
+    {
+        return await _context.ContactMessages
+            .Where(m => m.UserId == request.UserId && m.ReadAt == null && !m.IsArchived && !m.IsSpam)
+            .GroupBy(m => m.PortfolioId)
+            .Select(g => new { PortfolioId = g.Key, Count = g.Count() })
+            .ToDictionaryAsync(x => x.PortfolioId, x => x.Count, cancellationToken);
+    }
+}
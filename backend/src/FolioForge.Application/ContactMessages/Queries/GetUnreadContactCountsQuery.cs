@@ -0,0 +1,9 @@
+using MediatR;
+
+namespace FolioForge.Application.ContactMessages.Queries;
+
+/// <summary>
+/// Returns how many unread inbox messages (not archived, not spam) each of the user's portfolios has.
+/// Portfolios with none are left out.
+/// </summary>
+public record GetUnreadContactCountsQuery(Guid UserId) : IRequest<Dictionary<Guid, int>>;
@@ -0,0 +1,20 @@
+namespace FolioForge.Application.DTOs;
+
+/// <summary>A contact message as shown in the owner's inbox.</summary>
+public class ContactMessageDto
+{
+    public Guid Id { get; set; }
+    public Guid PortfolioId { get; set; }
+    public string PortfolioTitle { get; set; } = string.Empty;
+    public string SenderName { get; set; } = string.Empty;
+    public string SenderEmail { get; set; } = string.Empty;
+    public string? Subject { get; set; }
+    public string Message { get; set; } = string.Empty;
+    public DateTime CreatedAt { get; set; }
+    public DateTime? ReadAt { get; set; }
+    public bool IsRead { get; set; }
+    public bool IsStarred { get; set; }
+    public bool IsArchived { get; set; }
+    public bool IsSpam { get; set; }
+    public int SpamScore { get; set; }
+}
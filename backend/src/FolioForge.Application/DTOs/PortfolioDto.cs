@@ -16,6 +16,12 @@ namespace FolioForge.Application.DTOs
         public string FontHeading { get; set; } = "Inter";
         public string FontBody { get; set; } = "Inter";
         public string Layout { get; set; } = "single-column";
+        public string? DarkPrimaryColor { get; set; }
+        public string? DarkSecondaryColor { get; set; }
+        public string? DarkBackgroundColor { get; set; }
+        public string? DarkTextColor { get; set; }
+        /// <summary>"auto" lets visitors switch light/dark; "light" or "dark" locks the page to one.</summary>
+        public string ColorMode { get; set; } = "auto";
     }
 
     public class PortfolioDto
@@ -25,6 +31,10 @@ namespace FolioForge.Application.DTOs
         public string Slug { get; set; } = string.Empty;
         public ThemeConfigDto Theme { get; set; } = new();
         public bool IsPublished { get; set; }
+        /// <summary>Send back with customization saves for conflict detection.</summary>
+        public int Version { get; set; }
+        /// <summary>An AI resume parse is waiting for review (see <c>GET …/resume-import</c>).</summary>
+        public bool HasPendingImport { get; set; }
         public List<PortfolioSectionDto> Sections { get; set; } = new();
     }
 }
@@ -14,5 +14,6 @@ namespace FolioForge.Application.DTOs
         public int SortOrder { get; set; }
         public bool IsVisible { get; set; } = true;
         public string Variant { get; set; } = "default";
+        public string Column { get; set; } = "main";
     }
 }
@@ -0,0 +1,18 @@
+namespace FolioForge.Application.DTOs;
+
+/// <summary>
+/// An AI resume parse staged for review. <c>Sections</c> use the same content
+/// shapes as live sections, so the client can diff them item by item.
+/// </summary>
+public class ResumeImportDto
+{
+    public DateTime CreatedAt { get; set; }
+    public List<ImportedSectionDto> Sections { get; set; } = new();
+}
+
+public class ImportedSectionDto
+{
+    public string SectionType { get; set; } = string.Empty;
+    /// <summary>Section content JSON, e.g. <c>{"items":[…]}</c></summary>
+    public string Content { get; set; } = string.Empty;
+}
@@ -37,6 +37,8 @@ public class GetPortfolioByIdHandler : IRequestHandler<GetPortfolioByIdQuery, Po
                 Id = entity.Id,
                 Title = entity.Title,
                 Slug = entity.Slug,
+                Version = entity.Version,
+                HasPendingImport = entity.PendingImport != null,
                 Theme = new ThemeConfigDto
                 {
                     Name = entity.Theme.Name,
@@ -46,7 +48,12 @@ public class GetPortfolioByIdHandler : IRequestHandler<GetPortfolioByIdQuery, Po
                     TextColor = entity.Theme.TextColor,
                     FontHeading = entity.Theme.FontHeading,
                     FontBody = entity.Theme.FontBody,
-                    Layout = entity.Theme.Layout
+                    Layout = entity.Theme.Layout,
+                    DarkPrimaryColor = entity.Theme.DarkPrimaryColor,
+                    DarkSecondaryColor = entity.Theme.DarkSecondaryColor,
+                    DarkBackgroundColor = entity.Theme.DarkBackgroundColor,
+                    DarkTextColor = entity.Theme.DarkTextColor,
+                    ColorMode = entity.Theme.ColorMode ?? "auto"
                 },
                 // Map the sections so React can see them
                 Sections = entity.Sections
@@ -58,7 +65,8 @@ public class GetPortfolioByIdHandler : IRequestHandler<GetPortfolioByIdQuery, Po
                     Content = s.Content,
                     SortOrder = s.SortOrder,
                     IsVisible = s.IsVisible,
-                    Variant = s.Variant
+                    Variant = s.Variant,
+                    Column = s.Column
                 }).ToList()
             };
         }, CacheKeys.PortfolioTtl, cancellationToken);
@@ -44,6 +44,8 @@ public class GetPortfoliosByUserHandler : IRequestHandler<GetPortfoliosByUserQue
                 Id = entity.Id,
                 Title = entity.Title,
                 Slug = entity.Slug,
+                Version = entity.Version,
+                HasPendingImport = entity.PendingImport != null,
                 Theme = new ThemeConfigDto
                 {
                     Name = entity.Theme.Name,
@@ -53,7 +55,12 @@ public class GetPortfoliosByUserHandler : IRequestHandler<GetPortfoliosByUserQue
                     TextColor = entity.Theme.TextColor,
                     FontHeading = entity.Theme.FontHeading,
                     FontBody = entity.Theme.FontBody,
-                    Layout = entity.Theme.Layout
+                    Layout = entity.Theme.Layout,
+                    DarkPrimaryColor = entity.Theme.DarkPrimaryColor,
+                    DarkSecondaryColor = entity.Theme.DarkSecondaryColor,
+                    DarkBackgroundColor = entity.Theme.DarkBackgroundColor,
+                    DarkTextColor = entity.Theme.DarkTextColor,
+                    ColorMode = entity.Theme.ColorMode ?? "auto"
                 },
                 Sections = entity.Sections
                     .OrderBy(s => s.SortOrder)
@@ -64,7 +71,8 @@ public class GetPortfoliosByUserHandler : IRequestHandler<GetPortfoliosByUserQue
                     Content = s.Content,
                     SortOrder = s.SortOrder,
                     IsVisible = s.IsVisible,
-                    Variant = s.Variant
+                    Variant = s.Variant,
+                    Column = s.Column
                 }).ToList()
             }).ToList();
 
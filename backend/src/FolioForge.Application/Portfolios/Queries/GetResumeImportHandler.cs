@@ -0,0 +1,31 @@
+using System.Text.Json;
+using FolioForge.Application.DTOs;
+using FolioForge.Domain.Interfaces;
+using MediatR;
+
+namespace FolioForge.Application.Portfolios.Queries;
+
+public class GetResumeImportHandler : IRequestHandler<GetResumeImportQuery, ResumeImportDto?>
+{
+    private readonly IPortfolioRepository _repository;
+
+    public GetResumeImportHandler(IPortfolioRepository repository)
+    {
+        _repository = repository;
+    }
+
+    public async Task<ResumeImportDto?> Handle(GetResumeImportQuery request, CancellationToken cancellationToken)
+    {
+        // Not cached: it's read once per review, and applying or discarding clears it
+        var portfolio = await _repository.GetByIdAsync(request.PortfolioId);
+
+        if (portfolio is null || portfolio.UserId != request.UserId || portfolio.PendingImport is null)
+            return null;
+
+        return new ResumeImportDto
+        {
+            CreatedAt = portfolio.PendingImportCreatedAt ?? portfolio.UpdatedAt,
+            Sections = JsonSerializer.Deserialize<List<ImportedSectionDto>>(portfolio.PendingImport) ?? new()
+        };
+    }
+}
@@ -0,0 +1,10 @@
+using FolioForge.Application.DTOs;
+using MediatR;
+
+namespace FolioForge.Application.Portfolios.Queries;
+
+/// <summary>
+/// Returns the resume import waiting for review on a portfolio the user owns,
+/// or null when the portfolio isn't theirs or nothing is pending.
+/// </summary>
+public record GetResumeImportQuery(Guid PortfolioId, Guid UserId) : IRequest<ResumeImportDto?>;
@@ -0,0 +1,100 @@
+using FolioForge.Domain.Interfaces;
+
+namespace FolioForge.Domain.Entities;
+
+/// <summary>
+/// A message a visitor sent through a published portfolio's contact form.
+/// It lands in the inbox of the portfolio's owner, who can read, star and
+/// archive it. The sender is known only by the name and email they typed.
+/// Messages the spam filter flags land in the owner's Spam folder instead.
+/// </summary>
+public class ContactMessage : BaseEntity, ITenantEntity
+{
+    public const int MaxNameLength = 100;
+    public const int MaxEmailLength = 256;
+    public const int MaxSubjectLength = 150;
+    public const int MaxMessageLength = 5000;
+
+    public Guid TenantId { get; set; }
+    public Guid PortfolioId { get; private set; }
+
+    /// <summary>The portfolio's owner — whose inbox this is.</summary>
+    public Guid UserId { get; private set; }
+
+    public string SenderName { get; private set; } = default!;
+    public string SenderEmail { get; private set; } = default!;
+    public string? Subject { get; private set; }
+    public string Message { get; private set; } = default!;
+
+    /// <summary>When the owner first opened it (null while unread).</summary>
+    public DateTime? ReadAt { get; private set; }
+    public bool IsStarred { get; private set; }
+    public bool IsArchived { get; private set; }
+
+    /// <summary>In the Spam folder: flagged by the filter or moved there by the owner.</summary>
+    public bool IsSpam { get; private set; }
+
+    /// <summary>The spam filter's score when the message arrived (higher is more suspicious).</summary>
+    public int SpamScore { get; private set; }
+
+    public bool IsRead => ReadAt != null;
+
+    private ContactMessage() { } // EF Core
+
+    public ContactMessage(
+        Guid portfolioId,
+        Guid userId,
+        Guid tenantId,
+        string senderName,
+        string senderEmail,
+        string? subject,
+        string message)
+    {
+        PortfolioId = portfolioId;
+        UserId = userId;
+        TenantId = tenantId;
+        SenderName = senderName.Trim();
+        SenderEmail = senderEmail.Trim();
+        Subject = string.IsNullOrWhiteSpace(subject) ? null : subject.Trim();
+        Message = message.Trim();
+    }
+
+    /// <summary>Record the spam filter's verdict on a new message.</summary>
+    public void RecordSpamScore(int score, bool isSpam)
+    {
+        SpamScore = score;
+        IsSpam = isSpam;
+    }
+
+    /// <summary>The owner moving a message into or out of the Spam folder.</summary>
+    public void SetSpam(bool isSpam)
+    {
+        IsSpam = isSpam;
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    public void MarkRead()
+    {
+        if (ReadAt != null) return;
+        ReadAt = DateTime.UtcNow;
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    public void MarkUnread()
+    {
+        ReadAt = null;
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    public void SetStarred(bool starred)
+    {
+        IsStarred = starred;
+        UpdatedAt = DateTime.UtcNow;
+    }
+
+    public void SetArchived(bool archived)
+    {
+        IsArchived = archived;
+        UpdatedAt = DateTime.UtcNow;
+    }
+}
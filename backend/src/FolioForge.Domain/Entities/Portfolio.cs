@@ -20,6 +20,21 @@ namespace FolioForge.Domain.Entities
         public string Title { get; private set; } = default!;
         public bool IsPublished { get; private set; }
 
+        /// <summary>
+        /// Bumped on every customization save, every section added or removed and
+        /// every AI re-parse. Clients send
+        /// the version they loaded so a save from a stale editor is rejected instead
+        /// of silently overwriting newer changes. Also an EF concurrency token.
+        /// </summary>
+        public int Version { get; private set; }
+
+        /// <summary>
+        /// Sections the AI extracted from an uploaded resume, waiting for the owner
+        /// to review them (JSON array of <c>{ sectionType, content }</c>). Null when
+        /// there is nothing to review. Written by the worker, never applied automatically.
+        /// </summary>
+        public string? PendingImport { get; private set; }
+        public DateTime? PendingImportCreatedAt { get; private set; }
 
         public List<PortfolioSection> Sections { get; private set; } = new();
 
@@ -34,7 +49,13 @@ namespace FolioForge.Domain.Entities
             string TextColor,
             string FontHeading,
             string FontBody,
-            string Layout   // "single-column", "two-column", "sidebar"
+            string Layout,  // "single-column", "two-column", "sidebar"
+            // Dark palette; null colors are derived from the light palette by the client
+            string? DarkPrimaryColor = null,
+            string? DarkSecondaryColor = null,
+            string? DarkBackgroundColor = null,
+            string? DarkTextColor = null,
+            string ColorMode = "auto"   // "auto" (visitor can switch), "light", "dark" (locked)
         );
 
         public ThemeConfig Theme { get; private set; } = default!;
@@ -56,6 +77,22 @@ namespace FolioForge.Domain.Entities
         public void AddSection(PortfolioSection section)
         {
             Sections.Add(section);
+            UpdatedAt = DateTime.UtcNow;
+            Version++;
+        }
+
+        /// <summary>
+        /// Remove a single section. Returns false when the section doesn't belong to this portfolio.
+        /// </summary>
+        public bool RemoveSection(Guid sectionId)
+        {
+            var section = Sections.FirstOrDefault(s => s.Id == sectionId);
+            if (section is null) return false;
+
+            Sections.Remove(section);
+            UpdatedAt = DateTime.UtcNow;
+            Version++;
+            return true;
         }
 
         public void UpdateTheme(string primaryColor, string font)
@@ -64,18 +101,26 @@ namespace FolioForge.Domain.Entities
         }
 
         /// <summary>
-        /// Full customization update — theme preset, colors, fonts, layout.
+        /// Full customization update — theme preset, light and dark colors, fonts,
+        /// layout, and whether visitors may switch between light and dark.
         /// </summary>
         public void UpdateCustomization(
             string themeName, string primaryColor, string secondaryColor,
             string backgroundColor, string textColor,
-            string fontHeading, string fontBody, string layout)
+            string fontHeading, string fontBody, string layout,
+            string? darkPrimaryColor = null, string? darkSecondaryColor = null,
+            string? darkBackgroundColor = null, string? darkTextColor = null,
+            string colorMode = "auto")
         {
             Theme = new ThemeConfig(
                 themeName, primaryColor, secondaryColor,
                 backgroundColor, textColor,
-                fontHeading, fontBody, layout);
+                fontHeading, fontBody, layout,
+                darkPrimaryColor, darkSecondaryColor,
+                darkBackgroundColor, darkTextColor,
+                colorMode);
             UpdatedAt = DateTime.UtcNow;
+            Version++;
         }
 
         /// <summary>
@@ -86,6 +131,20 @@ namespace FolioForge.Domain.Entities
             Sections.Clear();
             foreach (var s in sections) Sections.Add(s);
             UpdatedAt = DateTime.UtcNow;
+            Version++;
+        }
+
+        /// <summary>
+        /// Close the pending resume import once the owner has reviewed it. When
+        /// <paramref name="sectionsChanged"/>, the version goes up so open editors
+        /// reload instead of saving over the imported content.
+        /// </summary>
+        public void ResolveImport(bool sectionsChanged)
+        {
+            PendingImport = null;
+            PendingImportCreatedAt = null;
+            UpdatedAt = DateTime.UtcNow;
+            if (sectionsChanged) Version++;
         }
 
         public void Publish()
@@ -22,6 +22,12 @@ namespace FolioForge.Domain.Entities
         /// </summary>
         public string Variant { get; set; } = "default";
 
+        /// <summary>
+        /// Column the section sits in when the portfolio uses the two-column layout:
+        /// "main" or "side". Ignored by the other layouts.
+        /// </summary>
+        public string Column { get; set; } = "main";
+
         // Store JSON content as a string for SQL Server compatibility
         // This allows flexible schema-less data storage
         public string Content { get; private set; } = default!;
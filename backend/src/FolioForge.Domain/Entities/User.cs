@@ -81,5 +81,16 @@ namespace FolioForge.Domain.Entities
             UpdatedAt = DateTime.UtcNow;
             return AiParsesUsedThisMonth;
         }
+
+        /// <summary>
+        /// Gives back a parse counted by <see cref="IncrementAiParses"/> that never ran.
+        /// </summary>
+        public void RefundAiParse()
+        {
+            if (AiParsesUsedThisMonth == 0) return;
+
+            AiParsesUsedThisMonth--;
+            UpdatedAt = DateTime.UtcNow;
+        }
     }
 }
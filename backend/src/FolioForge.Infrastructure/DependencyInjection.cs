@@ -2,6 +2,7 @@
 using FolioForge.Application.Common.Interfaces;
 using FolioForge.Domain.Interfaces;
 using FolioForge.Infrastructure.Messaging;
+using FolioForge.Infrastructure.Notifications;
 using FolioForge.Infrastructure.Persistence;
 using FolioForge.Infrastructure.RateLimiting;
 using FolioForge.Infrastructure.Repositories;
@@ -39,6 +40,8 @@ namespace FolioForge.Infrastructure
                 ConnectionMultiplexer.Connect(redisConnectionString));
 
             services.AddSingleton<ICacheService, RedisCacheService>();
+            services.AddSingleton<IResumeJobTracker, CacheResumeJobTracker>();
+            services.AddSingleton<IResumeUploadStore, DiskResumeUploadStore>();
 
             // Register tenant context as scoped (one per request)
             services.AddScoped<ITenantContext, TenantContext>();
@@ -62,6 +65,23 @@ namespace FolioForge.Infrastructure
             services.AddScoped<IPaymentService, RazorpayService>();
             services.AddHttpClient<IAiService, GroqAiService>();
 
+            // Contact-form notifications: logged in memory unless an SMTP relay is configured
+            var contactNotifierSection = configuration.GetSection(ContactNotifierOptions.SectionName);
+            services.Configure<ContactNotifierOptions>(contactNotifierSection);
+            if (string.Equals(contactNotifierSection["Provider"], "Smtp", StringComparison.OrdinalIgnoreCase))
+                services.AddSingleton<IContactNotifier, SmtpContactNotifier>();
+            else
+                services.AddSingleton<IContactNotifier, InMemoryContactNotifier>();
+
+            // Contact-form spam protection: proof-of-work challenges signed with their own key,
+            // never the JWT one — a missing secret stops startup rather than surfacing on first use
+            services.AddOptions<ContactProtectionOptions>()
+                .Bind(configuration.GetSection(ContactProtectionOptions.SectionName))
+                .Validate(options => options.HasUsableSecret,
+                    $"ContactProtection:Secret is required: a random value of at least {ContactProtectionOptions.MinSecretLength} characters.")
+                .ValidateOnStart();
+            services.AddSingleton<IContactChallengeService, HmacContactChallengeService>();
+
             // Distributed rate limiting (Token Bucket via Redis)
             services.AddDistributedRateLimiting(configuration);
 
@@ -0,0 +1,39 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace FolioForge.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPendingImport : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "PendingImport",
+                table: "portfolios",
+                type: "nvarchar(max)",
+                nullable: true);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "PendingImportCreatedAt",
+                table: "portfolios",
+                type: "datetime2",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PendingImport",
+                table: "portfolios");
+
+            migrationBuilder.DropColumn(
+                name: "PendingImportCreatedAt",
+                table: "portfolios");
+        }
+    }
+}
@@ -0,0 +1,40 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace FolioForge.Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddContactSpam : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "IsSpam",
+                table: "contact_messages",
+                type: "bit",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<int>(
+                name: "SpamScore",
+                table: "contact_messages",
+                type: "int",
+                nullable: false,
+                defaultValue: 0);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "IsSpam",
+                table: "contact_messages");
+
+            migrationBuilder.DropColumn(
+                name: "SpamScore",
+                table: "contact_messages");
+        }
+    }
+}
@@ -0,0 +1,30 @@
+namespace FolioForge.Infrastructure.Notifications;
+
+/// <summary>
+/// Configuration for contact-message notifications.
+/// Bound from appsettings.json section "ContactNotifier".
+/// </summary>
+public sealed class ContactNotifierOptions
+{
+    public const string SectionName = "ContactNotifier";
+
+    /// <summary>"InMemory" (default: logged and kept in memory) or "Smtp".</summary>
+    public string Provider { get; set; } = "InMemory";
+
+    public SmtpSettings Smtp { get; set; } = new();
+}
+
+public sealed class SmtpSettings
+{
+    public string Host { get; set; } = "localhost";
+    public int Port { get; set; } = 25;
+    public bool EnableSsl { get; set; }
+
+    /// <summary>Leave empty for an unauthenticated relay.</summary>
+    public string? UserName { get; set; }
+    public string? Password { get; set; }
+
+    /// <summary>Sender address of the notification emails.</summary>
+    public string FromAddress { get; set; } = "no-reply@folioforge.local";
+    public string FromName { get; set; } = "FolioForge";
+}
@@ -0,0 +1,38 @@
+using System.Collections.Concurrent;
+using FolioForge.Application.Common.Interfaces;
+using Microsoft.Extensions.Logging;
+
+namespace FolioForge.Infrastructure.Notifications;
+
+/// <summary>
+/// <see cref="IContactNotifier"/> that sends nothing: it logs each notification
+/// and keeps the most recent ones in memory. For local development and tests,
+/// where the owner reads messages in the dashboard inbox.
+/// </summary>
+public class InMemoryContactNotifier : IContactNotifier
+{
+    private const int MaxKept = 100;
+
+    private readonly ConcurrentQueue<ContactNotification> _sent = new();
+    private readonly ILogger<InMemoryContactNotifier> _logger;
+
+    public InMemoryContactNotifier(ILogger<InMemoryContactNotifier> logger)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>Most recent notifications, oldest first.</summary>
+    public IReadOnlyCollection<ContactNotification> Sent => _sent.ToArray();
+
+    public Task NotifyAsync(ContactNotification notification, CancellationToken cancellationToken = default)
+    {
+        _sent.Enqueue(notification);
+        while (_sent.Count > MaxKept && _sent.TryDequeue(out _)) { }
+
+        _logger.LogInformation(
+            "Contact message {MessageId} for {OwnerEmail} on portfolio {Slug} from {SenderEmail}",
+            notification.MessageId, notification.OwnerEmail, notification.PortfolioSlug, notification.SenderEmail);
+
+        return Task.CompletedTask;
+    }
+}
@@ -0,0 +1,65 @@
+using System.Net;
+using System.Net.Mail;
+using System.Text;
+using FolioForge.Application.Common.Interfaces;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace FolioForge.Infrastructure.Notifications;
+
+/// <summary>
+/// <see cref="IContactNotifier"/> that emails the owner through an SMTP relay.
+/// Reply-To is the visitor, so the owner can answer straight from their mail client.
+/// </summary>
+public class SmtpContactNotifier : IContactNotifier
+{
+    private readonly SmtpSettings _settings;
+    private readonly ILogger<SmtpContactNotifier> _logger;
+
+    public SmtpContactNotifier(IOptions<ContactNotifierOptions> options, ILogger<SmtpContactNotifier> logger)
+    {
+        _settings = options.Value.Smtp;
+        _logger = logger;
+    }
+
+    public async Task NotifyAsync(ContactNotification notification, CancellationToken cancellationToken = default)
+    {
+        using var mail = new MailMessage
+        {
+            From = new MailAddress(_settings.FromAddress, _settings.FromName),
+            Subject = $"New message on {notification.PortfolioTitle}: {notification.Subject ?? $"from {notification.SenderName}"}",
+            Body = BuildBody(notification),
+            IsBodyHtml = false
+        };
+        mail.To.Add(new MailAddress(notification.OwnerEmail, notification.OwnerName));
+        mail.ReplyToList.Add(new MailAddress(notification.SenderEmail, notification.SenderName));
+
+        using var client = new SmtpClient(_settings.Host, _settings.Port) { EnableSsl = _settings.EnableSsl };
+        if (!string.IsNullOrEmpty(_settings.UserName))
+            client.Credentials = new NetworkCredential(_settings.UserName, _settings.Password);
+
+        try
+        {
+            await client.SendMailAsync(mail, cancellationToken);
+        }
+        catch (Exception ex) when (ex is SmtpException or InvalidOperationException)
+        {
+            // The message is already in the inbox; don't fail the visitor's request
+            _logger.LogError(ex, "Failed to email contact message {MessageId} to {OwnerEmail}",
+                notification.MessageId, notification.OwnerEmail);
+        }
+    }
+
+    private static string BuildBody(ContactNotification n)
+    {
+        var body = new StringBuilder()
+            .AppendLine($"{n.SenderName} <{n.SenderEmail}> sent a message through your portfolio \"{n.PortfolioTitle}\" (/p/{n.PortfolioSlug}).")
+            .AppendLine();
+        if (n.Subject is not null)
+            body.AppendLine($"Subject: {n.Subject}").AppendLine();
+        body.AppendLine(n.Message)
+            .AppendLine()
+            .AppendLine("Reply to this email to answer them, or read it in your FolioForge inbox.");
+        return body.ToString();
+    }
+}
@@ -30,6 +30,7 @@ public class ApplicationDbContext : DbContext, IApplicationDbContext
     public DbSet<PortfolioSection> Sections { get; set; }
     public DbSet<RefreshToken> RefreshTokens { get; set; }
     public DbSet<Plan> Plans { get; set; }
+    public DbSet<ContactMessage> ContactMessages { get; set; }
 
     /// <summary>Well-known plan IDs. Seeded via HasData.</summary>
     public static readonly Guid FreePlanId = Guid.Parse("00000000-0000-0000-0000-000000000010");
@@ -192,6 +193,11 @@ public class ApplicationDbContext : DbContext, IApplicationDbContext
                   .IsRequired()
                   .HasMaxLength(100);
 
+            // Optimistic concurrency: UPDATEs include "WHERE Version = <loaded>",
+            // so two saves racing past the handler's version check can't both win
+            entity.Property(e => e.Version)
+                  .IsConcurrencyToken();
+
             // SQL Server JSON Column Configuration
             // We store the ThemeConfig object as a raw JSON string
             entity.Property(e => e.Theme)
@@ -239,6 +245,11 @@ public class ApplicationDbContext : DbContext, IApplicationDbContext
                   .HasMaxLength(50)
                   .HasDefaultValue("default");
 
+            // Main or side column in the two-column layout
+            entity.Property(e => e.Column)
+                  .HasMaxLength(10)
+                  .HasDefaultValue("main");
+
             // Performance: Index the SectionType
             // This allows fast queries like: "Find all Grid widgets"
             entity.HasIndex(e => e.SectionType);
@@ -271,6 +282,46 @@ public class ApplicationDbContext : DbContext, IApplicationDbContext
             entity.Property(e => e.ReplacedByToken)
                   .HasMaxLength(256);
         });
+
+        // ============================================================
+        // 4. Configure ContactMessage (Owner Inbox)
+        // ============================================================
+        modelBuilder.Entity<ContactMessage>(entity =>
+        {
+            entity.ToTable("contact_messages");
+            entity.HasKey(e => e.Id);
+
+            entity.Property(e => e.SenderName)
+                  .IsRequired()
+                  .HasMaxLength(ContactMessage.MaxNameLength);
+
+            entity.Property(e => e.SenderEmail)
+                  .IsRequired()
+                  .HasMaxLength(ContactMessage.MaxEmailLength);
+
+            entity.Property(e => e.Subject)
+                  .HasMaxLength(ContactMessage.MaxSubjectLength);
+
+            entity.Property(e => e.Message)
+                  .IsRequired()
+                  .HasMaxLength(ContactMessage.MaxMessageLength);
+
+            // Derived from ReadAt
+            entity.Ignore(e => e.IsRead);
+
+            // The inbox lists by owner and folder; unread counts group by portfolio
+            entity.HasIndex(e => new { e.UserId, e.IsArchived });
+            entity.HasIndex(e => e.PortfolioId);
+
+            // Deleting a portfolio deletes the messages sent through it
+            entity.HasOne<Portfolio>()
+                  .WithMany()
+                  .HasForeignKey(e => e.PortfolioId)
+                  .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => e.TenantId);
+            entity.HasQueryFilter(e => e.TenantId == _tenantContext.TenantId);
+        });
     }
 
     /// <summary>
@@ -8,10 +8,21 @@ namespace FolioForge.Infrastructure.RateLimiting;
 ///   [RateLimit("Upload")]        → applies the "Upload" policy
 ///   [RateLimit(Disabled = true)] → exempts this endpoint from rate limiting
 ///
-/// When applied to both a controller and an action, the action-level attribute wins.
-/// If no attribute is present, the middleware falls back to the "Default" policy.
+///   [RateLimit("Contact", PartitionBy = "slug")]
+///                                → one bucket per client per {slug} route value
+///   [RateLimit("Showcase", PartitionBy = "slug", PerClient = false)]
+///                                → one bucket per {slug}, shared by every client
+///
+/// A shared bucket is charged for every attempt, valid or not, so anyone can
+/// drain it. To cap only requests that pass a check (like the contact form's
+/// per-portfolio quota), charge IRateLimiter from the handler after the check.
+///
+/// Several attributes on one action are all enforced; the request needs a token
+/// from each bucket, and a denied request gets back the tokens it took. When applied to both a controller and an action, the
+/// action-level attributes win. If no attribute is present, the middleware
+/// falls back to the "Default" policy.
 /// </summary>
-[AttributeUsage(AttributeTargets.Class | AttributeTargets.Method, AllowMultiple = false, Inherited = true)]
+[AttributeUsage(AttributeTargets.Class | AttributeTargets.Method, AllowMultiple = true, Inherited = true)]
 public sealed class RateLimitAttribute : Attribute
 {
     /// <summary>Name of the rate-limit policy to apply.</summary>
@@ -20,6 +31,18 @@ public sealed class RateLimitAttribute : Attribute
     /// <summary>Set to true to disable rate limiting for this endpoint.</summary>
     public bool Disabled { get; set; }
 
+    /// <summary>
+    /// Route value to partition buckets by (e.g. "slug"), so each resource gets
+    /// its own quota. Null partitions by client only.
+    /// </summary>
+    public string? PartitionBy { get; set; }
+
+    /// <summary>
+    /// False shares the bucket between all clients, so with <see cref="PartitionBy"/>
+    /// it caps the resource's total traffic no matter how many clients send it.
+    /// </summary>
+    public bool PerClient { get; set; } = true;
+
     public RateLimitAttribute(string policyName = "Default")
     {
         PolicyName = policyName;
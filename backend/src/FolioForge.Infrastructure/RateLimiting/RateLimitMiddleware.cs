@@ -1,6 +1,7 @@
 using FolioForge.Application.Common.RateLimiting;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc.Controllers;
+using Microsoft.AspNetCore.Routing;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using System.Net;
@@ -19,6 +20,10 @@ namespace FolioForge.Infrastructure.RateLimiting;
 ///
 /// 2. Uses the [RateLimit] attribute to determine which policy applies.
 ///    No attribute → "Default" policy. [RateLimit(Disabled = true)] → skip.
+///    Several attributes → every bucket must have a token; a bucket can be
+///    partitioned by a route value (PartitionBy) and shared across clients.
+///    When one bucket denies, tokens already taken from the others go back,
+///    so a throttled request costs nothing.
 ///
 /// 3. Emits standard rate-limit headers on EVERY response (configurable):
 ///    • RateLimit-Limit     — bucket capacity
@@ -98,67 +103,104 @@ public sealed class RateLimitMiddleware
             return;
         }
 
-        // Determine which policy applies to this endpoint
-        var policyName = ResolvePolicyName(context);
-        if (policyName is null)
+        // Determine which policies apply to this endpoint
+        var policies = ResolvePolicies(context);
+        if (policies.Count == 0)
         {
             // [RateLimit(Disabled = true)] on this endpoint
             await _next(context);
             return;
         }
 
-        // Execute the rate limit check
-        var result = await _rateLimiter.TryAcquireAsync(policyName, clientId, context.RequestAborted);
+        // Execute the rate limit checks; the tightest bucket decides the headers
+        RateLimitResult? tightest = null;
+        string policyName = policies[0].PolicyName;
+        var acquired = new List<(string PolicyName, string BucketKey)>();
+        foreach (var policy in policies)
+        {
+            var bucketKey = BuildBucketKey(policy, clientId, context);
+            var result = await _rateLimiter.TryAcquireAsync(policy.PolicyName, bucketKey, context.RequestAborted);
+
+            if (tightest is null || !result.IsAllowed || (tightest.IsAllowed && result.Remaining < tightest.Remaining))
+            {
+                tightest = result;
+                policyName = policy.PolicyName;
+            }
+            if (!result.IsAllowed) break;
+            acquired.Add((policy.PolicyName, bucketKey));
+        }
+
+        if (!tightest!.IsAllowed)
+        {
+            foreach (var (acquiredPolicy, bucketKey) in acquired)
+                await _rateLimiter.ReleaseAsync(acquiredPolicy, bucketKey, context.RequestAborted);
+        }
 
         // Attach rate-limit headers (helps clients self-regulate)
-        if (options.IncludeHeadersOnSuccess || !result.IsAllowed)
+        if (options.IncludeHeadersOnSuccess || !tightest!.IsAllowed)
         {
-            SetRateLimitHeaders(context.Response, result);
+            SetRateLimitHeaders(context.Response, tightest!);
         }
 
-        if (result.IsAllowed)
+        if (tightest!.IsAllowed)
         {
             await _next(context);
             return;
         }
 
         // 429 Too Many Requests
-        await WriteThrottledResponse(context, result, policyName, clientId);
+        await WriteThrottledResponse(context, tightest, policyName, clientId);
     }
 
     /// <summary>
-    /// Resolves the rate-limit policy name from endpoint metadata.
-    /// Returns null if rate limiting is explicitly disabled for this endpoint.
+    /// Resolves the rate-limit policies from endpoint metadata.
+    /// Returns an empty list if rate limiting is explicitly disabled for this endpoint.
     /// </summary>
-    private static string? ResolvePolicyName(HttpContext context)
+    private static IReadOnlyList<RateLimitAttribute> ResolvePolicies(HttpContext context)
     {
         var endpoint = context.GetEndpoint();
         if (endpoint is null)
         {
-            return "Default";
+            return [DefaultPolicy];
         }
 
-        // Check for [RateLimit] attribute on the action method first, then on the controller
+        // Check for [RateLimit] attributes on the action method first, then on the controller
         var actionDescriptor = endpoint.Metadata.GetMetadata<ControllerActionDescriptor>();
         if (actionDescriptor is not null)
         {
-            // Action-level attribute takes priority
-            var actionAttr = actionDescriptor.MethodInfo.GetCustomAttribute<RateLimitAttribute>();
-            if (actionAttr is not null)
+            // Action-level attributes take priority
+            var actionAttrs = actionDescriptor.MethodInfo.GetCustomAttributes<RateLimitAttribute>().ToList();
+            if (actionAttrs.Count > 0)
             {
-                return actionAttr.Disabled ? null : actionAttr.PolicyName;
+                return actionAttrs.Any(a => a.Disabled) ? [] : actionAttrs;
             }
 
-            // Controller-level attribute
-            var controllerAttr = actionDescriptor.ControllerTypeInfo.GetCustomAttribute<RateLimitAttribute>();
-            if (controllerAttr is not null)
+            // Controller-level attributes
+            var controllerAttrs = actionDescriptor.ControllerTypeInfo.GetCustomAttributes<RateLimitAttribute>().ToList();
+            if (controllerAttrs.Count > 0)
             {
-                return controllerAttr.Disabled ? null : controllerAttr.PolicyName;
+                return controllerAttrs.Any(a => a.Disabled) ? [] : controllerAttrs;
             }
         }
 
         // No attribute → use Default policy
-        return "Default";
+        return [DefaultPolicy];
+    }
+
+    private static readonly RateLimitAttribute DefaultPolicy = new("Default");
+
+    /// <summary>
+    /// The bucket discriminator: the client, the client within a route value
+    /// (<c>{clientId}|slug=abc</c>), or the route value alone (<c>slug=abc</c>).
+    /// </summary>
+    private static string BuildBucketKey(RateLimitAttribute policy, string clientId, HttpContext context)
+    {
+        if (string.IsNullOrEmpty(policy.PartitionBy))
+            return clientId;
+
+        var value = context.GetRouteValue(policy.PartitionBy)?.ToString()?.ToLowerInvariant() ?? string.Empty;
+        var partition = $"{policy.PartitionBy}={value}";
+        return policy.PerClient ? $"{clientId}|{partition}" : partition;
     }
 
     private static bool IsExcludedPath(string path)
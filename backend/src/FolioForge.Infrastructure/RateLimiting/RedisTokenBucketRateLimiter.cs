@@ -105,6 +105,24 @@ public sealed class RedisTokenBucketRateLimiter : IRateLimiter
         return { allowed, remaining, tostring(retry_after) }
         """);
 
+    /// <summary>
+    /// Puts one token back, capped at capacity. A bucket that has expired in the
+    /// meantime is left alone: it starts full anyway.
+    /// </summary>
+    private static readonly LuaScript ReleaseScript = LuaScript.Prepare(
+        """
+        local key = @key
+        local capacity = tonumber(@capacity)
+
+        local tokens = tonumber(redis.call('HGET', key, 'tokens'))
+        if tokens == nil then
+            return 0
+        end
+
+        redis.call('HSET', key, 'tokens', tostring(math.min(capacity, tokens + 1)))
+        return 1
+        """);
+
     public RedisTokenBucketRateLimiter(
         IConnectionMultiplexer redis,
         IOptionsMonitor<RateLimiterOptions> optionsMonitor,
@@ -122,6 +140,10 @@ public sealed class RedisTokenBucketRateLimiter : IRateLimiter
     {
         var options = _optionsMonitor.CurrentValue;
 
+        // The master switch also covers limits charged outside the middleware (contact quota)
+        if (!options.Enabled)
+            return RateLimitResult.Allowed(limit: 0, remaining: 0);
+
         if (!options.Policies.TryGetValue(policyName, out var policyOptions))
         {
             _logger.LogWarning(
@@ -187,6 +209,33 @@ public sealed class RedisTokenBucketRateLimiter : IRateLimiter
         }
     }
 
+    public async Task ReleaseAsync(
+        string policyName,
+        string clientId,
+        CancellationToken cancellationToken = default)
+    {
+        var options = _optionsMonitor.CurrentValue;
+        if (!options.Policies.TryGetValue(policyName, out var policyOptions))
+            return;
+
+        var policy = policyOptions.ToPolicy(policyName);
+        try
+        {
+            await _redis.GetDatabase().ScriptEvaluateAsync(ReleaseScript, new
+            {
+                key = (RedisKey)BuildKey(options.KeyPrefix, policyName, clientId),
+                capacity = policy.BucketCapacity
+            });
+        }
+        catch (Exception ex)
+        {
+            // The token comes back with the next refill anyway
+            _logger.LogWarning(ex,
+                "Could not release a token for '{ClientId}' on '{PolicyName}'",
+                clientId, policyName);
+        }
+    }
+
     /// <summary>
     /// Builds a Redis key: {prefix}:{policyName}:{clientId}
     /// Example: "rl:Default:user_abc123" or "rl:Auth:ip_192.168.1.1"
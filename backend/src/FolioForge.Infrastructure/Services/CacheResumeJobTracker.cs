@@ -0,0 +1,50 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.Jobs;
+using Microsoft.Extensions.Logging;
+
+namespace FolioForge.Infrastructure.Services;
+
+/// <summary>
+/// <see cref="IResumeJobTracker"/> on top of the distributed cache, so the API
+/// and the worker see the same job. Jobs expire after <see cref="CacheKeys.ResumeJobTtl"/>.
+/// </summary>
+public class CacheResumeJobTracker : IResumeJobTracker
+{
+    private readonly ICacheService _cache;
+    private readonly ILogger<CacheResumeJobTracker> _logger;
+
+    public CacheResumeJobTracker(ICacheService cache, ILogger<CacheResumeJobTracker> logger)
+    {
+        _cache = cache;
+        _logger = logger;
+    }
+
+    public async Task<ResumeJobStatus> StartAsync(Guid portfolioId, Guid userId, CancellationToken cancellationToken = default)
+    {
+        var status = new ResumeJobStatus(
+            Guid.NewGuid(), portfolioId, userId, ResumeJobStage.Uploaded, null, DateTime.UtcNow);
+
+        await _cache.SetAsync(CacheKeys.ResumeJob(status.JobId), status, CacheKeys.ResumeJobTtl, cancellationToken);
+        return status;
+    }
+
+    public async Task UpdateAsync(Guid jobId, string stage, string? error = null, CancellationToken cancellationToken = default)
+    {
+        var current = await GetAsync(jobId, cancellationToken);
+        if (current is null)
+        {
+            _logger.LogDebug("Resume job {JobId} not found; stage {Stage} not recorded", jobId, stage);
+            return;
+        }
+
+        // A redelivered message must not reopen a job the owner already saw finish
+        if (current.IsFinished) return;
+
+        var next = current with { Stage = stage, Error = error, UpdatedAt = DateTime.UtcNow };
+        await _cache.SetAsync(CacheKeys.ResumeJob(jobId), next, CacheKeys.ResumeJobTtl, cancellationToken);
+    }
+
+    public Task<ResumeJobStatus?> GetAsync(Guid jobId, CancellationToken cancellationToken = default) =>
+        _cache.GetAsync<ResumeJobStatus>(CacheKeys.ResumeJob(jobId), cancellationToken);
+}
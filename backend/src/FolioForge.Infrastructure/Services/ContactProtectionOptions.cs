@@ -0,0 +1,36 @@
+namespace FolioForge.Infrastructure.Services;
+
+/// <summary>
+/// Configuration for the contact form's spam protection.
+/// Bound from appsettings.json section "ContactProtection".
+/// </summary>
+public sealed class ContactProtectionOptions
+{
+    public const string SectionName = "ContactProtection";
+
+    /// <summary>Shortest <see cref="Secret"/> accepted at startup.</summary>
+    public const int MinSecretLength = 32;
+
+    /// <summary>HMAC key that signs challenges. Required, and distinct from <c>Jwt:Secret</c>.</summary>
+    public string? Secret { get; set; }
+
+    /// <summary>
+    /// False for a missing or short secret, or a leftover <c>OVERRIDE_…</c>
+    /// placeholder — anyone who knows the key can forge challenges.
+    /// </summary>
+    public bool HasUsableSecret =>
+        Secret is { Length: >= MinSecretLength }
+        && !Secret.StartsWith("OVERRIDE_", StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// Leading zero bits the proof-of-work hash needs. Each extra bit doubles the
+    /// work: 16 takes a browser about a second or two, a spam run far longer.
+    /// </summary>
+    public int Difficulty { get; set; } = 16;
+
+    /// <summary>Messages sent sooner than this after the challenge count toward spam.</summary>
+    public double MinSubmitSeconds { get; set; } = 3;
+
+    /// <summary>How long a challenge stays usable.</summary>
+    public double ChallengeLifetimeMinutes { get; set; } = 60;
+}
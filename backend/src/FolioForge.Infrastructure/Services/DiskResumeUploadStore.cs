@@ -0,0 +1,170 @@
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.Jobs;
+using Microsoft.Extensions.Logging;
+
+namespace FolioForge.Infrastructure.Services;
+
+/// <summary>
+/// <see cref="IResumeUploadStore"/> that assembles chunks in <c>Uploads/partial</c>
+/// and keeps session state in the distributed cache. Sessions expire after
+/// <see cref="CacheKeys.ResumeUploadTtl"/>; their partial files are swept when
+/// the next session starts.
+/// </summary>
+public class DiskResumeUploadStore : IResumeUploadStore
+{
+    private readonly ICacheService _cache;
+    private readonly ILogger<DiskResumeUploadStore> _logger;
+    private readonly string _uploadsPath;
+
+    public DiskResumeUploadStore(ICacheService cache, ILogger<DiskResumeUploadStore> logger)
+        : this(cache, logger, Path.Combine(Directory.GetCurrentDirectory(), "Uploads"))
+    {
+    }
+
+    /// <param name="uploadsPath">Folder finished uploads are moved to; the API's <c>Uploads</c> by default.</param>
+    public DiskResumeUploadStore(ICacheService cache, ILogger<DiskResumeUploadStore> logger, string uploadsPath)
+    {
+        _cache = cache;
+        _logger = logger;
+        _uploadsPath = uploadsPath;
+    }
+
+    private string PartialFolder => Path.Combine(_uploadsPath, "partial");
+
+    private string PartialPath(Guid uploadId) => Path.Combine(PartialFolder, $"{uploadId}.part");
+
+    public async Task<ResumeUploadSession> StartAsync(Guid portfolioId, Guid userId, string extension, long size, CancellationToken cancellationToken = default)
+    {
+        Directory.CreateDirectory(PartialFolder);
+        SweepExpiredParts();
+
+        var session = new ResumeUploadSession(
+            Guid.NewGuid(), portfolioId, userId, extension, size, 0, DateTime.UtcNow);
+
+        await _cache.SetAsync(CacheKeys.ResumeUpload(session.UploadId), session, CacheKeys.ResumeUploadTtl, cancellationToken);
+        return session;
+    }
+
+    public Task<ResumeUploadSession?> GetAsync(Guid uploadId, CancellationToken cancellationToken = default) =>
+        _cache.GetAsync<ResumeUploadSession>(CacheKeys.ResumeUpload(uploadId), cancellationToken);
+
+    public async Task<ResumeChunkResult> AppendAsync(Guid uploadId, long offset, Stream data, CancellationToken cancellationToken = default)
+    {
+        var session = await GetAsync(uploadId, cancellationToken);
+        if (session is null || session.JobId is not null) return new ResumeChunkResult(ResumeChunkStatus.NotFound, 0);
+        if (offset != session.ReceivedBytes)
+            return new ResumeChunkResult(ResumeChunkStatus.OffsetMismatch, session.ReceivedBytes);
+
+        var limit = Math.Min(ResumeUploadSession.ChunkSizeBytes, session.Size - offset);
+        long written = 0;
+
+        FileStream file;
+        try
+        {
+            file = new FileStream(PartialPath(uploadId), FileMode.OpenOrCreate, FileAccess.Write, FileShare.None);
+        }
+        catch (IOException)
+        {
+            // Another request is writing this session right now
+            return new ResumeChunkResult(ResumeChunkStatus.OffsetMismatch, session.ReceivedBytes);
+        }
+
+        await using (file)
+        {
+            // Drop whatever a cut-off attempt at this chunk left behind
+            file.SetLength(offset);
+            file.Position = offset;
+
+            var buffer = new byte[81920];
+            int read;
+            while ((read = await data.ReadAsync(buffer, cancellationToken)) > 0)
+            {
+                if (written + read > limit)
+                {
+                    file.SetLength(offset);
+                    return new ResumeChunkResult(ResumeChunkStatus.TooLarge, session.ReceivedBytes);
+                }
+
+                await file.WriteAsync(buffer.AsMemory(0, read), cancellationToken);
+                written += read;
+            }
+        }
+
+        var next = session with { ReceivedBytes = offset + written };
+        await _cache.SetAsync(CacheKeys.ResumeUpload(uploadId), next, CacheKeys.ResumeUploadTtl, cancellationToken);
+        return new ResumeChunkResult(ResumeChunkStatus.Accepted, next.ReceivedBytes);
+    }
+
+    public async Task<string?> CompleteAsync(Guid uploadId, CancellationToken cancellationToken = default)
+    {
+        var session = await GetAsync(uploadId, cancellationToken);
+        if (session is null || !session.IsComplete || session.JobId is not null) return null;
+
+        var filePath = Path.Combine(_uploadsPath, $"{session.PortfolioId}_{Guid.NewGuid()}{session.Extension}");
+        try
+        {
+            File.Move(PartialPath(uploadId), filePath);
+        }
+        catch (IOException)
+        {
+            // The move is atomic: a concurrent complete took the file first
+            return null;
+        }
+
+        return filePath;
+    }
+
+    public async Task<bool> ReopenAsync(Guid uploadId, string filePath, CancellationToken cancellationToken = default)
+    {
+        var session = await GetAsync(uploadId, cancellationToken);
+        if (session is null || session.JobId is not null) return false;
+
+        try
+        {
+            File.Move(filePath, PartialPath(uploadId));
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Could not reopen upload {UploadId}", uploadId);
+            return false;
+        }
+
+        return true;
+    }
+
+    public async Task RecordJobAsync(Guid uploadId, Guid jobId, CancellationToken cancellationToken = default)
+    {
+        var session = await GetAsync(uploadId, cancellationToken);
+        if (session is null) return;
+
+        await _cache.SetAsync(CacheKeys.ResumeUpload(uploadId), session with { JobId = jobId }, CacheKeys.ResumeUploadTtl, cancellationToken);
+    }
+
+    public async Task DiscardAsync(Guid uploadId, CancellationToken cancellationToken = default)
+    {
+        await _cache.RemoveAsync(CacheKeys.ResumeUpload(uploadId), cancellationToken);
+        TryDelete(PartialPath(uploadId));
+    }
+
+    private void SweepExpiredParts()
+    {
+        var cutoff = DateTime.UtcNow - CacheKeys.ResumeUploadTtl;
+        foreach (var path in Directory.EnumerateFiles(PartialFolder, "*.part"))
+        {
+            if (File.GetLastWriteTimeUtc(path) < cutoff) TryDelete(path);
+        }
+    }
+
+    private void TryDelete(string path)
+    {
+        try
+        {
+            File.Delete(path);
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Could not delete partial upload {Path}", path);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using System.Security.Cryptography;
+using System.Text;
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using Microsoft.Extensions.Options;
+
+namespace FolioForge.Infrastructure.Services;
+
+/// <summary>
+/// <see cref="IContactChallengeService"/> with stateless, HMAC-signed tokens:
+/// <c>{difficulty}.{issuedAtUnixMs}.{nonce}.{signature}</c>, the signature
+/// covering the slug as well. Only spent tokens are remembered, in the
+/// distributed cache, until they would have expired anyway.
+/// </summary>
+public class HmacContactChallengeService : IContactChallengeService
+{
+    private readonly ICacheService _cache;
+    private readonly ContactProtectionOptions _options;
+    private readonly byte[] _key;
+    private readonly TimeProvider _time;
+
+    public HmacContactChallengeService(ICacheService cache, IOptions<ContactProtectionOptions> options)
+        : this(cache, options, TimeProvider.System)
+    {
+    }
+
+    public HmacContactChallengeService(ICacheService cache, IOptions<ContactProtectionOptions> options, TimeProvider time)
+    {
+        _cache = cache;
+        _options = options.Value;
+        _time = time;
+        _key = Encoding.UTF8.GetBytes(_options.Secret
+            ?? throw new InvalidOperationException("ContactProtection:Secret is required."));
+    }
+
+    private TimeSpan Lifetime => TimeSpan.FromMinutes(_options.ChallengeLifetimeMinutes);
+
+    public ContactChallenge Issue(string slug)
+    {
+        var issuedAt = _time.GetUtcNow();
+        var nonce = Convert.ToHexString(RandomNumberGenerator.GetBytes(16)).ToLowerInvariant();
+        var payload = $"{_options.Difficulty}.{issuedAt.ToUnixTimeMilliseconds()}.{nonce}";
+
+        return new ContactChallenge(
+            $"{payload}.{Sign(slug, payload)}",
+            _options.Difficulty,
+            issuedAt.Add(Lifetime).UtcDateTime);
+    }
+
+    public async Task<ContactChallengeVerification> VerifyAsync(string slug, string token, string solution, CancellationToken cancellationToken = default)
+    {
+        var parts = token.Split('.');
+        if (parts.Length != 4
+            || !int.TryParse(parts[0], out var difficulty)
+            || !long.TryParse(parts[1], out var issuedAtMs)
+            || string.IsNullOrEmpty(solution) || solution.Length > 32)
+        {
+            return new ContactChallengeVerification(ContactChallengeStatus.Invalid);
+        }
+
+        var payload = $"{parts[0]}.{parts[1]}.{parts[2]}";
+        var expected = Encoding.ASCII.GetBytes(Sign(slug, payload));
+        if (!CryptographicOperations.FixedTimeEquals(expected, Encoding.ASCII.GetBytes(parts[3])))
+            return new ContactChallengeVerification(ContactChallengeStatus.Invalid);
+
+        var elapsed = _time.GetUtcNow() - DateTimeOffset.FromUnixTimeMilliseconds(issuedAtMs);
+        if (elapsed > Lifetime)
+            return new ContactChallengeVerification(ContactChallengeStatus.Expired);
+
+        if (LeadingZeroBits(SHA256.HashData(Encoding.UTF8.GetBytes($"{token}:{solution}"))) < difficulty)
+            return new ContactChallengeVerification(ContactChallengeStatus.Invalid);
+
+        // One atomic write: of several submissions racing with the same solution, only one gets through
+        if (!await _cache.SetIfAbsentAsync(CacheKeys.ContactChallenge(parts[2]), true, Lifetime, cancellationToken))
+            return new ContactChallengeVerification(ContactChallengeStatus.Reused);
+
+        return new ContactChallengeVerification(
+            ContactChallengeStatus.Valid,
+            SubmittedTooFast: elapsed < TimeSpan.FromSeconds(_options.MinSubmitSeconds));
+    }
+
+    private string Sign(string slug, string payload)
+    {
+        var mac = HMACSHA256.HashData(_key, Encoding.UTF8.GetBytes($"{slug.ToLowerInvariant()}|{payload}"));
+        return Convert.ToBase64String(mac).TrimEnd('=').Replace('+', '-').Replace('/', '_');
+    }
+
+    private static int LeadingZeroBits(byte[] hash)
+    {
+        var bits = 0;
+        foreach (var b in hash)
+        {
+            if (b == 0) { bits += 8; continue; }
+            bits += System.Numerics.BitOperations.LeadingZeroCount((uint)b) - 24;
+            break;
+        }
+        return bits;
+    }
+}
@@ -154,4 +154,22 @@ public class RedisCacheService : ICacheService
             return false;
         }
     }
+
+    public async Task<bool> SetIfAbsentAsync<T>(string key, T value, TimeSpan expiration, CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            // SET NX with the TTL; IDistributedCache has no conditional write
+            var json = JsonSerializer.Serialize(value, JsonOptions);
+            var set = await _redis.GetDatabase().StringSetAsync($"{_instanceName}{key}", json, expiration, When.NotExists);
+            _logger.LogDebug("Cache SET NX for key: {CacheKey}, set: {Set}", key, set);
+            return set;
+        }
+        catch (Exception ex)
+        {
+            // Like the other operations, an unreachable cache doesn't fail the request
+            _logger.LogWarning(ex, "Error writing to cache for key: {CacheKey}. Treated as not set before.", key);
+            return true;
+        }
+    }
 }
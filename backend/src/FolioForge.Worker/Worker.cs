@@ -2,7 +2,8 @@
 using FolioForge.Application.Common;
 using FolioForge.Application.Common.Events;
 using FolioForge.Application.Common.Interfaces;
-using FolioForge.Domain.Entities;
+using FolioForge.Application.Common.Jobs;
+using FolioForge.Application.DTOs;
 using FolioForge.Infrastructure.Persistence;
 using FolioForge.Infrastructure.Telemetry;
 using OpenTelemetry.Trace;
@@ -92,7 +93,7 @@ public class Worker : BackgroundService
                         resumeEvent.PortfolioId);
 
                     var sw = Stopwatch.StartNew();
-                    await ProcessResumeAsync(resumeEvent.FilePath, resumeEvent.PortfolioId);
+                    await ProcessResumeAsync(resumeEvent);
                     sw.Stop();
 
                     FolioForgeDiagnostics.ResumeProcessingDuration.Record(sw.Elapsed.TotalMilliseconds,
@@ -144,87 +145,78 @@ public class Worker : BackgroundService
 
     }
 
-    private async Task ProcessResumeAsync(string filePath, Guid portfolioId)
+    /// <summary>Failure reason for errors that aren't the resume's fault</summary>
+    private const string GenericFailureReason =
+        "Something went wrong while processing your resume. Please try uploading it again.";
+
+    private async Task ProcessResumeAsync(ResumeUploadedEvent resumeEvent)
     {
+        var (portfolioId, filePath, jobId) = (resumeEvent.PortfolioId, resumeEvent.FilePath, resumeEvent.JobId);
+
         using (var scope = _scopeFactory.CreateScope())
         {
             var dbContext = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
             var pdfService = scope.ServiceProvider.GetRequiredService<IPdfService>();
             var aiService = scope.ServiceProvider.GetRequiredService<IAiService>();
+            var jobTracker = scope.ServiceProvider.GetRequiredService<IResumeJobTracker>();
 
             try
             {
                 // 1. Extract & Analyze
-                var text = pdfService.ExtractText(filePath);
+                await jobTracker.UpdateAsync(jobId, ResumeJobStage.ExtractingText);
+                // .txt uploads were converted from Word, Markdown or a LinkedIn export by the client
+                var isPlainText = Path.GetExtension(filePath).Equals(".txt", StringComparison.OrdinalIgnoreCase);
+                var text = isPlainText
+                    ? await File.ReadAllTextAsync(filePath)
+                    : pdfService.ExtractText(filePath);
+                if (string.IsNullOrWhiteSpace(text))
+                    throw new ResumeProcessingException(isPlainText
+                        ? "Your resume file is empty. Check the file and try again."
+                        : "We couldn't find any text in this PDF. If it's a scan, export it as a text PDF and try again.");
                 _logger.LogInformation("Text extracted from {FilePath}. Calling AI...", filePath);
 
+                await jobTracker.UpdateAsync(jobId, ResumeJobStage.AiParsing);
                 var jsonString = await aiService.GeneratePortfolioDataAsync(text);
                 _logger.LogInformation("AI data received for Portfolio {PortfolioId}", portfolioId);
 
-                var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
-                var data = JsonSerializer.Deserialize<AiResultDto>(jsonString, options);
-                if (data is null)
-                    throw new InvalidOperationException("Failed to deserialize AI response into AiResultDto.");
-
-                // ==================================================
-                // TRANSACTIONAL Nuke & Pave
-                // Wrapping delete + insert in a single transaction
-                // ensures atomicity — if insert fails, delete is rolled back.
-                // ==================================================
-                await using var transaction = await dbContext.Database.BeginTransactionAsync();
-
+                AiResultDto? data;
                 try
                 {
-                    // 2. Fetch and delete only AI-managed sections.
-                    // Keep user-managed sections (e.g., Contact) intact.
-                    var aiManagedSectionTypes = new[] { "About", "Skills", "Timeline", "Projects", "Education", "Contact", "Markdown" };
-                    var existingSections = await dbContext.Sections
-                                                .Where(s => s.PortfolioId == portfolioId && aiManagedSectionTypes.Contains(s.SectionType))
-                                                .ToListAsync();
-
-                    if (existingSections.Any())
-                    {
-                        dbContext.Sections.RemoveRange(existingSections);
-                        await dbContext.SaveChangesAsync();
-                    }
-
-                    // 3. Clear the tracker to prevent conflicts
-                    dbContext.ChangeTracker.Clear();
-
-                    // 4. Insert New Sections
-                    var newSections = new List<PortfolioSection>
-                    {
-                        new PortfolioSection("About", 1, JsonSerializer.Serialize(new { content = data.Summary }))
-                            { PortfolioId = portfolioId },
-
-                        new PortfolioSection("Skills", 2, JsonSerializer.Serialize(new { items = data.Skills }))
-                            { PortfolioId = portfolioId },
-
-                        new PortfolioSection("Timeline", 3, JsonSerializer.Serialize(new { items = data.Experience }))
-                            { PortfolioId = portfolioId },
-
-                        new PortfolioSection("Projects", 4, JsonSerializer.Serialize(new { items = data.Projects }))
-                            { PortfolioId = portfolioId },
-
-                        new PortfolioSection("Education", 5, JsonSerializer.Serialize(new { items = data.Education }))
-                            { PortfolioId = portfolioId },
-
-                        new PortfolioSection("Contact", 6, JsonSerializer.Serialize(new { links = data.Links }))
-                            { PortfolioId = portfolioId },
-                    };
-
-                    await dbContext.Sections.AddRangeAsync(newSections);
-                    await dbContext.SaveChangesAsync();
-
-                    // Commit — both delete and insert succeed atomically
-                    await transaction.CommitAsync();
+                    var options = new JsonSerializerOptions { PropertyNameCaseInsensitive = true };
+                    data = JsonSerializer.Deserialize<AiResultDto>(jsonString, options);
                 }
-                catch
+                catch (JsonException)
                 {
-                    // Rollback — old sections are preserved if insert fails
-                    await transaction.RollbackAsync();
-                    throw;
+                    data = null;
                 }
+                if (data is null)
+                    throw new ResumeProcessingException(
+                        "The AI couldn't make sense of this resume. Please try again, or upload a different file.");
+
+                await jobTracker.UpdateAsync(jobId, ResumeJobStage.GeneratingSections);
+
+                // 2. Stage the parse as a proposal. Nothing touches the live sections
+                // until the owner reviews it — see ApplyResumeImportCommand.
+                var proposal = new List<ImportedSectionDto>
+                {
+                    new() { SectionType = "About",     Content = JsonSerializer.Serialize(new { content = data.Summary }) },
+                    new() { SectionType = "Skills",    Content = JsonSerializer.Serialize(new { items = data.Skills }) },
+                    new() { SectionType = "Timeline",  Content = JsonSerializer.Serialize(new { items = data.Experience }) },
+                    new() { SectionType = "Projects",  Content = JsonSerializer.Serialize(new { items = data.Projects }) },
+                    new() { SectionType = "Education", Content = JsonSerializer.Serialize(new { items = data.Education }) },
+                    new() { SectionType = "Contact",   Content = JsonSerializer.Serialize(new { links = data.Links }) },
+                };
+                var proposalJson = JsonSerializer.Serialize(proposal);
+
+                // A newer upload replaces an import that was never reviewed
+                var staged = await dbContext.Portfolios
+                    .IgnoreQueryFilters()
+                    .Where(p => p.Id == portfolioId)
+                    .ExecuteUpdateAsync(s => s
+                        .SetProperty(p => p.PendingImport, proposalJson)
+                        .SetProperty(p => p.PendingImportCreatedAt, DateTime.UtcNow));
+                if (staged == 0)
+                    throw new ResumeProcessingException("This portfolio no longer exists.");
 
                 // Invalidate Redis cache for this portfolio so the next fetch gets fresh data
                 var cacheService = scope.ServiceProvider.GetRequiredService<ICacheService>();
@@ -240,11 +232,14 @@ public class Worker : BackgroundService
                     await cacheService.RemoveByPrefixAsync(CacheKeys.PortfoliosByUser(portfolio.UserId));
                 }
 
-                _logger.LogInformation("Database updated successfully for Portfolio {PortfolioId}", portfolioId);
+                _logger.LogInformation("Resume import staged for review on Portfolio {PortfolioId}", portfolioId);
+                await jobTracker.UpdateAsync(jobId, ResumeJobStage.Done);
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error processing resume for Portfolio {PortfolioId}", portfolioId);
+                await jobTracker.UpdateAsync(jobId, ResumeJobStage.Failed,
+                    ex is ResumeProcessingException ? ex.Message : GenericFailureReason);
                 throw; // Re-throw so the consumer handler can NACK the message
             }
             finally
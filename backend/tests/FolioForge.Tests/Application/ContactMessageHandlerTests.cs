@@ -0,0 +1,169 @@
+using FluentAssertions;
+using FolioForge.Application.Commands.SubmitContactMessage;
+using FolioForge.Application.Commands.UpdateContactMessage;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.RateLimiting;
+using FolioForge.Application.ContactMessages.Queries;
+using FolioForge.Domain.Entities;
+using FolioForge.Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+
+namespace FolioForge.Tests.Application;
+
+public class ContactMessageHandlerTests : IDisposable
+{
+    private readonly ApplicationDbContext _context;
+    private readonly Mock<IContactNotifier> _notifier = new();
+    private readonly Mock<IContactChallengeService> _challenges = new();
+    private readonly Mock<IRateLimiter> _rateLimiter = new();
+    private readonly Guid _tenantId = Guid.NewGuid();
+    private readonly User _owner;
+    private readonly Portfolio _portfolio;
+
+    public ContactMessageHandlerTests()
+    {
+        // The contact form is public: no tenant is resolved for the request
+        var tenantContext = new Mock<ITenantContext>();
+        tenantContext.Setup(t => t.TenantId).Returns(_tenantId);
+        tenantContext.Setup(t => t.IsResolved).Returns(false);
+
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+
+        _context = new ApplicationDbContext(options, tenantContext.Object);
+
+        _owner = new User("owner@example.com", "Olive Owner", "hash", _tenantId);
+        _portfolio = new Portfolio(_owner.Id, _tenantId, "olive", "Olive's Portfolio");
+        _portfolio.Publish();
+        _context.Users.Add(_owner);
+        _context.Portfolios.Add(_portfolio);
+        _context.SaveChanges();
+
+        _challenges.Setup(c => c.VerifyAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new ContactChallengeVerification(ContactChallengeStatus.Valid));
+        _rateLimiter.Setup(r => r.TryAcquireAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(RateLimitResult.Allowed(20, 19));
+    }
+
+    private Task<SubmitContactMessageResult> Submit(string slug = "olive", string message = "Hello, are you available?", string? honeypot = null) =>
+        new SubmitContactMessageCommandHandler(_context, _notifier.Object, _challenges.Object, _rateLimiter.Object).Handle(
+            new SubmitContactMessageCommand(slug, "Ada", "ada@example.com", "Project", message, "token", "42", honeypot),
+            CancellationToken.None);
+
+    [Fact]
+    public async Task Submit_ShouldStoreInOwnersInboxAndNotify()
+    {
+        var result = await Submit();
+
+        result.Status.Should().Be(SubmitContactMessageStatus.Sent);
+        var stored = await _context.ContactMessages.SingleAsync();
+        stored.Id.Should().Be(result.MessageId!.Value);
+        stored.UserId.Should().Be(_owner.Id);
+        stored.TenantId.Should().Be(_tenantId);
+
+        _notifier.Verify(n => n.NotifyAsync(
+            It.Is<ContactNotification>(c => c.OwnerEmail == "owner@example.com" && c.MessageId == stored.Id),
+            It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task Submit_ToUnpublishedPortfolio_ShouldReturnNotFound()
+    {
+        _portfolio.Unpublish();
+        await _context.SaveChangesAsync();
+
+        var result = await Submit();
+
+        result.Status.Should().Be(SubmitContactMessageStatus.NotFound);
+        (await _context.ContactMessages.AnyAsync()).Should().BeFalse();
+        _notifier.Verify(n => n.NotifyAsync(It.IsAny<ContactNotification>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Submit_WithFailedChallenge_ShouldNotStoreTheMessage()
+    {
+        _challenges.Setup(c => c.VerifyAsync("olive", It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new ContactChallengeVerification(ContactChallengeStatus.Reused));
+
+        var result = await Submit();
+
+        result.Status.Should().Be(SubmitContactMessageStatus.ChallengeFailed);
+        (await _context.ContactMessages.AnyAsync()).Should().BeFalse();
+        // Unverified requests must not use up the portfolio's quota
+        _rateLimiter.Verify(r => r.TryAcquireAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Submit_WhenPortfolioQuotaIsUsedUp_ShouldReturnRateLimited()
+    {
+        _rateLimiter.Setup(r => r.TryAcquireAsync(
+                SubmitContactMessageCommandHandler.PerPortfolioPolicy, "slug=olive", It.IsAny<CancellationToken>()))
+            .ReturnsAsync(RateLimitResult.Denied(20, 600));
+
+        var result = await Submit();
+
+        result.Status.Should().Be(SubmitContactMessageStatus.RateLimited);
+        result.RetryAfterSeconds.Should().Be(600);
+        (await _context.ContactMessages.AnyAsync()).Should().BeFalse();
+        _notifier.Verify(n => n.NotifyAsync(It.IsAny<ContactNotification>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Submit_WithHoneypotFilled_ShouldGoToSpamWithoutNotifying()
+    {
+        var result = await Submit(honeypot: "https://example.com");
+
+        result.Status.Should().Be(SubmitContactMessageStatus.Sent);
+        var stored = await _context.ContactMessages.SingleAsync();
+        stored.IsSpam.Should().BeTrue();
+        _notifier.Verify(n => n.NotifyAsync(It.IsAny<ContactNotification>(), It.IsAny<CancellationToken>()), Times.Never);
+
+        var list = new GetContactMessagesHandler(_context);
+        (await list.Handle(new GetContactMessagesQuery(_owner.Id), CancellationToken.None)).TotalCount.Should().Be(0);
+        (await list.Handle(new GetContactMessagesQuery(_owner.Id, Folder: ContactFolders.Spam), CancellationToken.None))
+            .Items.Should().ContainSingle(m => m.Id == stored.Id);
+
+        var counts = await new GetUnreadContactCountsHandler(_context)
+            .Handle(new GetUnreadContactCountsQuery(_owner.Id), CancellationToken.None);
+        counts.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task Folders_And_UnreadCounts_ShouldFollowInboxFlags()
+    {
+        var first = (await Submit(message: "First message here")).MessageId!.Value;
+        var second = (await Submit(message: "Second message here")).MessageId!.Value;
+        await Submit(message: "Third message here");
+
+        var update = new UpdateContactMessageCommandHandler(_context);
+        await update.Handle(new UpdateContactMessageCommand(first, _owner.Id, IsRead: true, IsStarred: true), CancellationToken.None);
+        await update.Handle(new UpdateContactMessageCommand(second, _owner.Id, IsArchived: true), CancellationToken.None);
+
+        var list = new GetContactMessagesHandler(_context);
+        (await list.Handle(new GetContactMessagesQuery(_owner.Id), CancellationToken.None)).TotalCount.Should().Be(2);
+        (await list.Handle(new GetContactMessagesQuery(_owner.Id, Folder: ContactFolders.Starred), CancellationToken.None))
+            .Items.Should().ContainSingle(m => m.Id == first);
+        (await list.Handle(new GetContactMessagesQuery(_owner.Id, Folder: ContactFolders.Archived), CancellationToken.None))
+            .Items.Should().ContainSingle(m => m.Id == second);
+
+        var counts = await new GetUnreadContactCountsHandler(_context)
+            .Handle(new GetUnreadContactCountsQuery(_owner.Id), CancellationToken.None);
+        counts.Should().ContainKey(_portfolio.Id).WhoseValue.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task Update_ByAnotherUser_ShouldReturnNull()
+    {
+        var id = (await Submit()).MessageId!.Value;
+
+        var result = await new UpdateContactMessageCommandHandler(_context)
+            .Handle(new UpdateContactMessageCommand(id, Guid.NewGuid(), IsRead: true), CancellationToken.None);
+
+        result.Should().BeNull();
+        (await _context.ContactMessages.SingleAsync()).IsRead.Should().BeFalse();
+    }
+
+    public void Dispose() => _context.Dispose();
+}
@@ -0,0 +1,51 @@
+using FluentAssertions;
+using FolioForge.Application.ContactMessages;
+
+namespace FolioForge.Tests.Application;
+
+public class ContactSpamScorerTests
+{
+    private static readonly ContactSpamScorer.Signals Human = new(HoneypotFilled: false, SubmittedTooFast: false);
+
+    [Fact]
+    public void Score_OrdinaryMessage_ShouldNotBeSpam()
+    {
+        var result = ContactSpamScorer.Score("Ada Lovelace", "Freelance project",
+            "Hi! I loved your portfolio. Are you available for a two-week project in March? See https://example.com/brief", Human);
+
+        result.IsSpam.Should().BeFalse();
+        result.Score.Should().Be(0);
+    }
+
+    [Fact]
+    public void Score_HoneypotOrTooFast_ShouldBeSpamOnTheirOwn()
+    {
+        var honeypot = ContactSpamScorer.Score("Ada", null, "Hello, nice work there", new(HoneypotFilled: true, SubmittedTooFast: false));
+        var tooFast = ContactSpamScorer.Score("Ada", null, "Hello, nice work there", new(HoneypotFilled: false, SubmittedTooFast: true));
+
+        honeypot.IsSpam.Should().BeTrue();
+        honeypot.Reasons.Should().Equal("honeypot");
+        tooFast.IsSpam.Should().BeTrue();
+        tooFast.Reasons.Should().Equal("too-fast");
+    }
+
+    [Fact]
+    public void Score_LinkStuffedSalesPitch_ShouldBeSpam()
+    {
+        var result = ContactSpamScorer.Score("Best SEO http://seo.example", "Increase your traffic",
+            "We offer backlink and guest post packages. <a href=\"http://a.example\">click here</a> http://b.example http://c.example",
+            Human);
+
+        result.IsSpam.Should().BeTrue();
+        result.Reasons.Should().Contain(["links", "link-markup", "link-in-name", "spam-phrases"]);
+    }
+
+    [Fact]
+    public void Score_Shouting_ShouldAddPointsButNotFlagOnItsOwn()
+    {
+        var result = ContactSpamScorer.Score("Ada", null, "PLEASE CALL ME BACK ABOUT THE WEBSITE TODAY", Human);
+
+        result.Reasons.Should().ContainSingle().Which.Should().Be("shouting");
+        result.IsSpam.Should().BeFalse();
+    }
+}
@@ -0,0 +1,105 @@
+using FluentAssertions;
+using FolioForge.Application.Commands.AddSection;
+using FolioForge.Application.Commands.DeleteSection;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Domain.Entities;
+using FolioForge.Domain.Interfaces;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+
+namespace FolioForge.Tests.Application;
+
+public class SectionCommandHandlerTests
+{
+    private readonly Mock<IPortfolioRepository> _repository = new();
+    private readonly Mock<ICacheService> _cache = new();
+    private readonly Portfolio _portfolio = new(Guid.NewGuid(), Guid.NewGuid(), "s", "S");
+    private readonly PortfolioSection _about = new("About", 0, "{}");
+
+    public SectionCommandHandlerTests()
+    {
+        _portfolio.AddSection(_about);
+        _repository.Setup(r => r.GetByIdAsync(_portfolio.Id)).ReturnsAsync(_portfolio);
+    }
+
+    private Task<AddSectionResult> Add(int expectedVersion) =>
+        new AddSectionCommandHandler(_repository.Object, _cache.Object).Handle(
+            new AddSectionCommand(_portfolio.Id, _portfolio.UserId, "Projects", "default", "{\"items\":[]}", 1, expectedVersion),
+            CancellationToken.None);
+
+    private Task<DeleteSectionResult> Delete(int expectedVersion) =>
+        new DeleteSectionCommandHandler(_repository.Object, _cache.Object).Handle(
+            new DeleteSectionCommand(_portfolio.Id, _portfolio.UserId, _about.Id, expectedVersion),
+            CancellationToken.None);
+
+    [Fact]
+    public async Task Add_ShouldReturnTheSectionAndTheNewVersion()
+    {
+        var version = _portfolio.Version;
+
+        var result = await Add(version);
+
+        result.Status.Should().Be(AddSectionStatus.Added);
+        result.Section!.SectionType.Should().Be("Projects");
+        result.Version.Should().Be(version + 1);
+        _portfolio.Sections.Should().HaveCount(2);
+    }
+
+    [Fact]
+    public async Task Add_FromAStaleEditor_ShouldConflictWithoutAdding()
+    {
+        var result = await Add(_portfolio.Version - 1);
+
+        result.Status.Should().Be(AddSectionStatus.Conflict);
+        result.Version.Should().Be(_portfolio.Version);
+        _portfolio.Sections.Should().ContainSingle();
+        _repository.Verify(r => r.SaveChangesAsync(), Times.Never);
+    }
+
+    [Fact]
+    public async Task Add_LosingARaceToAnotherSave_ShouldConflict()
+    {
+        // Both passed the version check; the other write got to the database first
+        _repository.Setup(r => r.SaveChangesAsync())
+            .ThrowsAsync(new DbUpdateConcurrencyException("Version changed"));
+
+        var result = await Add(_portfolio.Version);
+
+        result.Status.Should().Be(AddSectionStatus.Conflict);
+        result.Section.Should().BeNull();
+        _cache.Verify(c => c.RemoveAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Delete_LosingARaceToAnotherSave_ShouldConflict()
+    {
+        _repository.Setup(r => r.SaveChangesAsync())
+            .ThrowsAsync(new DbUpdateConcurrencyException("Version changed"));
+
+        var result = await Delete(_portfolio.Version);
+
+        result.Status.Should().Be(DeleteSectionStatus.Conflict);
+    }
+
+    [Fact]
+    public async Task Delete_FromAStaleEditor_ShouldConflictWithoutDeleting()
+    {
+        var result = await Delete(_portfolio.Version + 1);
+
+        result.Status.Should().Be(DeleteSectionStatus.Conflict);
+        _portfolio.Sections.Should().ContainSingle();
+        _repository.Verify(r => r.SaveChangesAsync(), Times.Never);
+    }
+
+    [Fact]
+    public async Task Delete_ShouldReturnTheNewVersion()
+    {
+        var version = _portfolio.Version;
+
+        var result = await Delete(version);
+
+        result.Status.Should().Be(DeleteSectionStatus.Deleted);
+        result.Version.Should().Be(version + 1);
+        _portfolio.Sections.Should().BeEmpty();
+    }
+}
@@ -156,3 +156,165 @@ public class PagedResultTests
         result.TotalPages.Should().Be(4); // 20/5 = 4 exactly
     }
 }
+
+public class PortfolioSectionManagementTests
+{
+    private static Portfolio NewPortfolio() =>
+        new(Guid.NewGuid(), Guid.NewGuid(), "my-portfolio", "My Portfolio");
+
+    [Fact]
+    public void RemoveSection_ShouldRemoveOnlyTheMatchingSection()
+    {
+        var portfolio = NewPortfolio();
+        var keep = new PortfolioSection("About", 0, "{}");
+        var remove = new PortfolioSection("Projects", 1, "{\"items\":[]}");
+        portfolio.AddSection(keep);
+        portfolio.AddSection(remove);
+
+        var removed = portfolio.RemoveSection(remove.Id);
+
+        removed.Should().BeTrue();
+        portfolio.Sections.Should().ContainSingle().Which.Should().Be(keep);
+        portfolio.UpdatedAt.Should().BeCloseTo(DateTime.UtcNow, TimeSpan.FromSeconds(5));
+    }
+
+    [Fact]
+    public void RemoveSection_UnknownId_ShouldReturnFalse()
+    {
+        var portfolio = NewPortfolio();
+        portfolio.AddSection(new PortfolioSection("About", 0, "{}"));
+
+        portfolio.RemoveSection(Guid.NewGuid()).Should().BeFalse();
+        portfolio.Sections.Should().HaveCount(1);
+    }
+
+    [Fact]
+    public void NewSection_ShouldSitInTheMainColumn()
+    {
+        PortfolioSection.Create("Skills", 0, new { items = Array.Empty<string>() })
+            .Column.Should().Be("main");
+    }
+}
+
+public class PortfolioVersionTests
+{
+    [Fact]
+    public void NewPortfolio_ShouldStartAtVersionZero()
+    {
+        new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "v", "V").Version.Should().Be(0);
+    }
+
+    [Fact]
+    public void CustomizationAndSectionReplacement_ShouldEachBumpVersion()
+    {
+        var portfolio = new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "v", "V");
+
+        portfolio.UpdateCustomization("ocean", "#000000", "#111111", "#FFFFFF", "#222222", "Inter", "Inter", "sidebar");
+        portfolio.ReplaceSections(new List<PortfolioSection> { new("About", 0, "{}") });
+
+        portfolio.Version.Should().Be(2);
+    }
+
+    [Fact]
+    public void AddingAndRemovingSections_ShouldEachBumpVersion()
+    {
+        var portfolio = new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "v", "V");
+        var section = new PortfolioSection("About", 0, "{}");
+
+        portfolio.AddSection(section);
+        portfolio.RemoveSection(section.Id);
+
+        portfolio.Version.Should().Be(2);
+    }
+}
+
+public class PortfolioColorModeTests
+{
+    [Fact]
+    public void NewPortfolio_ShouldLetVisitorsSwitchModes()
+    {
+        var theme = new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "c", "C").Theme;
+
+        theme.ColorMode.Should().Be("auto");
+        theme.DarkBackgroundColor.Should().BeNull();
+    }
+
+    [Fact]
+    public void UpdateCustomization_ShouldStoreDarkPaletteAndLock()
+    {
+        var portfolio = new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "c", "C");
+
+        portfolio.UpdateCustomization(
+            "default", "#3B82F6", "#10B981", "#FFFFFF", "#1F2937", "Inter", "Inter", "single-column",
+            "#60A5FA", "#34D399", "#0F172A", "#E2E8F0", "dark");
+
+        portfolio.Theme.DarkBackgroundColor.Should().Be("#0F172A");
+        portfolio.Theme.ColorMode.Should().Be("dark");
+    }
+}
+
+public class PortfolioImportTests
+{
+    [Fact]
+    public void ResolveImport_ShouldBumpVersionOnlyWhenSectionsChanged()
+    {
+        var portfolio = new Portfolio(Guid.NewGuid(), Guid.NewGuid(), "i", "I");
+
+        portfolio.ResolveImport(sectionsChanged: false);
+        portfolio.Version.Should().Be(0);
+
+        portfolio.ResolveImport(sectionsChanged: true);
+        portfolio.Version.Should().Be(1);
+        portfolio.PendingImport.Should().BeNull();
+        portfolio.PendingImportCreatedAt.Should().BeNull();
+    }
+}
+
+public class ContactMessageTests
+{
+    [Fact]
+    public void NewMessage_ShouldBeTrimmedAndUnread()
+    {
+        var message = new ContactMessage(Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid(),
+            " Ada ", " ada@example.com ", "   ", " Hello there ");
+
+        message.SenderName.Should().Be("Ada");
+        message.SenderEmail.Should().Be("ada@example.com");
+        message.Subject.Should().BeNull();
+        message.Message.Should().Be("Hello there");
+        message.IsRead.Should().BeFalse();
+        message.IsStarred.Should().BeFalse();
+        message.IsArchived.Should().BeFalse();
+        message.IsSpam.Should().BeFalse();
+    }
+
+    [Fact]
+    public void MarkRead_ShouldKeepTheFirstReadTime()
+    {
+        var message = new ContactMessage(Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid(),
+            "Ada", "ada@example.com", null, "Hello there");
+
+        message.MarkRead();
+        var firstRead = message.ReadAt;
+        message.MarkRead();
+
+        message.IsRead.Should().BeTrue();
+        message.ReadAt.Should().Be(firstRead);
+
+        message.MarkUnread();
+        message.IsRead.Should().BeFalse();
+    }
+
+    [Fact]
+    public void SetSpam_ShouldOverrideTheFiltersVerdictButKeepItsScore()
+    {
+        var message = new ContactMessage(Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid(),
+            "Ada", "ada@example.com", null, "Hello there");
+        message.RecordSpamScore(7, isSpam: true);
+
+        message.SetSpam(false);
+
+        message.IsSpam.Should().BeFalse();
+        message.SpamScore.Should().Be(7);
+    }
+}
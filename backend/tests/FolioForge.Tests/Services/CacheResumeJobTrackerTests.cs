@@ -0,0 +1,90 @@
+using FluentAssertions;
+using FolioForge.Application.Common;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.Jobs;
+using FolioForge.Infrastructure.Services;
+using Microsoft.Extensions.Logging;
+using Moq;
+
+namespace FolioForge.Tests.Services;
+
+public class CacheResumeJobTrackerTests
+{
+    private readonly Dictionary<string, ResumeJobStatus> _store = new();
+    private readonly CacheResumeJobTracker _sut;
+
+    public CacheResumeJobTrackerTests()
+    {
+        // Back the cache with a dictionary so stages round-trip like they would through Redis
+        var cache = new Mock<ICacheService>();
+        cache.Setup(c => c.SetAsync(It.IsAny<string>(), It.IsAny<ResumeJobStatus>(), It.IsAny<TimeSpan?>(), It.IsAny<CancellationToken>()))
+            .Callback<string, ResumeJobStatus, TimeSpan?, CancellationToken>((key, value, _, _) => _store[key] = value)
+            .Returns(Task.CompletedTask);
+        cache.Setup(c => c.GetAsync<ResumeJobStatus>(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((string key, CancellationToken _) => _store.GetValueOrDefault(key));
+
+        _sut = new CacheResumeJobTracker(cache.Object, new Mock<ILogger<CacheResumeJobTracker>>().Object);
+    }
+
+    [Fact]
+    public async Task StartAsync_ShouldCreateAnUploadedJob()
+    {
+        var portfolioId = Guid.NewGuid();
+        var userId = Guid.NewGuid();
+
+        var job = await _sut.StartAsync(portfolioId, userId);
+
+        job.Stage.Should().Be(ResumeJobStage.Uploaded);
+        job.PortfolioId.Should().Be(portfolioId);
+        job.UserId.Should().Be(userId);
+        job.IsFinished.Should().BeFalse();
+        _store.Should().ContainKey(CacheKeys.ResumeJob(job.JobId));
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldMoveTheJobToTheNextStage()
+    {
+        var job = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid());
+
+        await _sut.UpdateAsync(job.JobId, ResumeJobStage.AiParsing);
+
+        var current = await _sut.GetAsync(job.JobId);
+        current!.Stage.Should().Be(ResumeJobStage.AiParsing);
+        current.Error.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldKeepTheFailureReason()
+    {
+        var job = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid());
+
+        await _sut.UpdateAsync(job.JobId, ResumeJobStage.Failed, "No text found");
+
+        var current = await _sut.GetAsync(job.JobId);
+        current!.IsFinished.Should().BeTrue();
+        current.Error.Should().Be("No text found");
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldNotReopenAFinishedJob()
+    {
+        var job = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid());
+        await _sut.UpdateAsync(job.JobId, ResumeJobStage.Done);
+
+        await _sut.UpdateAsync(job.JobId, ResumeJobStage.ExtractingText);
+
+        var current = await _sut.GetAsync(job.JobId);
+        current!.Stage.Should().Be(ResumeJobStage.Done);
+    }
+
+    [Fact]
+    public async Task UpdateAsync_ShouldIgnoreUnknownJobs()
+    {
+        var jobId = Guid.NewGuid();
+
+        await _sut.UpdateAsync(jobId, ResumeJobStage.AiParsing);
+
+        (await _sut.GetAsync(jobId)).Should().BeNull();
+        _store.Should().BeEmpty();
+    }
+}
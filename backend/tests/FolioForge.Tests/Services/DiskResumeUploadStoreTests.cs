@@ -0,0 +1,136 @@
+using FluentAssertions;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Application.Common.Jobs;
+using FolioForge.Infrastructure.Services;
+using Microsoft.Extensions.Logging;
+using Moq;
+
+namespace FolioForge.Tests.Services;
+
+public class DiskResumeUploadStoreTests : IDisposable
+{
+    private readonly Dictionary<string, ResumeUploadSession> _sessions = new();
+    private readonly string _folder = Path.Combine(Path.GetTempPath(), $"folioforge-uploads-{Guid.NewGuid()}");
+    private readonly DiskResumeUploadStore _sut;
+
+    public DiskResumeUploadStoreTests()
+    {
+        var cache = new Mock<ICacheService>();
+        cache.Setup(c => c.SetAsync(It.IsAny<string>(), It.IsAny<ResumeUploadSession>(), It.IsAny<TimeSpan?>(), It.IsAny<CancellationToken>()))
+            .Callback<string, ResumeUploadSession, TimeSpan?, CancellationToken>((key, value, _, _) => _sessions[key] = value)
+            .Returns(Task.CompletedTask);
+        cache.Setup(c => c.GetAsync<ResumeUploadSession>(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((string key, CancellationToken _) => _sessions.GetValueOrDefault(key));
+        cache.Setup(c => c.RemoveAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Callback<string, CancellationToken>((key, _) => _sessions.Remove(key))
+            .Returns(Task.CompletedTask);
+
+        _sut = new DiskResumeUploadStore(cache.Object, new Mock<ILogger<DiskResumeUploadStore>>().Object, _folder);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_folder)) Directory.Delete(_folder, recursive: true);
+    }
+
+    private static MemoryStream Bytes(string text) => new(System.Text.Encoding.ASCII.GetBytes(text));
+
+    [Fact]
+    public async Task Chunks_ShouldBeAssembledInOrder()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".txt", 10);
+
+        (await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"))).Should()
+            .Be(new ResumeChunkResult(ResumeChunkStatus.Accepted, 5));
+        (await _sut.AppendAsync(session.UploadId, 5, Bytes("world"))).Should()
+            .Be(new ResumeChunkResult(ResumeChunkStatus.Accepted, 10));
+
+        var path = await _sut.CompleteAsync(session.UploadId);
+
+        path.Should().NotBeNull();
+        (await File.ReadAllTextAsync(path!)).Should().Be("helloworld");
+        Path.GetFileName(path).Should().StartWith($"{session.PortfolioId}_").And.EndWith(".txt");
+        (await _sut.CompleteAsync(session.UploadId)).Should().BeNull("only one caller gets the file");
+    }
+
+    [Fact]
+    public async Task RecordJobAsync_ShouldKeepTheJobOnTheCompletedSession()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".txt", 5);
+        await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+        await _sut.CompleteAsync(session.UploadId);
+        var jobId = Guid.NewGuid();
+
+        await _sut.RecordJobAsync(session.UploadId, jobId);
+
+        (await _sut.GetAsync(session.UploadId))!.JobId.Should().Be(jobId);
+        (await _sut.CompleteAsync(session.UploadId)).Should().BeNull();
+        (await _sut.AppendAsync(session.UploadId, 5, Bytes("x"))).Status.Should().Be(ResumeChunkStatus.NotFound);
+    }
+
+    [Fact]
+    public async Task ReopenAsync_ShouldLetAnUnqueuedUploadBeCompletedAgain()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".txt", 5);
+        await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+        var path = await _sut.CompleteAsync(session.UploadId);
+
+        (await _sut.ReopenAsync(session.UploadId, path!)).Should().BeTrue();
+
+        File.Exists(path).Should().BeFalse();
+        var again = await _sut.CompleteAsync(session.UploadId);
+        (await File.ReadAllTextAsync(again!)).Should().Be("hello");
+    }
+
+    [Fact]
+    public async Task AppendAsync_ShouldRefuseAChunkThatDoesNotContinueTheUpload()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".txt", 10);
+        await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+
+        var result = await _sut.AppendAsync(session.UploadId, 3, Bytes("xxxxx"));
+
+        result.Should().Be(new ResumeChunkResult(ResumeChunkStatus.OffsetMismatch, 5));
+    }
+
+    [Fact]
+    public async Task AppendAsync_ShouldRefuseBytesPastTheDeclaredSize()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".txt", 4);
+
+        var result = await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+
+        result.Should().Be(new ResumeChunkResult(ResumeChunkStatus.TooLarge, 0));
+        (await _sut.GetAsync(session.UploadId))!.ReceivedBytes.Should().Be(0);
+    }
+
+    [Fact]
+    public async Task AppendAsync_ShouldReportUnknownUploads()
+    {
+        var result = await _sut.AppendAsync(Guid.NewGuid(), 0, Bytes("hello"));
+
+        result.Status.Should().Be(ResumeChunkStatus.NotFound);
+    }
+
+    [Fact]
+    public async Task CompleteAsync_ShouldWaitForEveryByte()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".pdf", 10);
+        await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+
+        (await _sut.CompleteAsync(session.UploadId)).Should().BeNull();
+        (await _sut.GetAsync(session.UploadId)).Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task DiscardAsync_ShouldDropTheSessionAndItsBytes()
+    {
+        var session = await _sut.StartAsync(Guid.NewGuid(), Guid.NewGuid(), ".pdf", 10);
+        await _sut.AppendAsync(session.UploadId, 0, Bytes("hello"));
+
+        await _sut.DiscardAsync(session.UploadId);
+
+        (await _sut.GetAsync(session.UploadId)).Should().BeNull();
+        Directory.EnumerateFiles(Path.Combine(_folder, "partial")).Should().BeEmpty();
+    }
+}
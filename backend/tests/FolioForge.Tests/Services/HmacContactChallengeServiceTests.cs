@@ -0,0 +1,138 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
+using FluentAssertions;
+using FolioForge.Application.Common.Interfaces;
+using FolioForge.Infrastructure.Services;
+using Microsoft.Extensions.Options;
+using Moq;
+
+namespace FolioForge.Tests.Services;
+
+public class HmacContactChallengeServiceTests
+{
+    private readonly ConcurrentDictionary<string, bool> _spent = new();
+    private readonly ManualTimeProvider _time = new(new DateTimeOffset(2026, 10, 19, 12, 0, 0, TimeSpan.Zero));
+    private readonly HmacContactChallengeService _sut;
+
+    public HmacContactChallengeServiceTests()
+    {
+        // Spent tokens are remembered in the cache; TryAdd is atomic like SET NX
+        var cache = new Mock<ICacheService>();
+        cache.Setup(c => c.SetIfAbsentAsync(It.IsAny<string>(), It.IsAny<bool>(), It.IsAny<TimeSpan>(), It.IsAny<CancellationToken>()))
+            .Returns((string key, bool _, TimeSpan _, CancellationToken _) => Task.FromResult(_spent.TryAdd(key, true)));
+
+        // Low difficulty keeps the brute-force solve below instant
+        var options = Options.Create(new ContactProtectionOptions
+        {
+            Secret = "test-secret-that-is-long-enough-for-hmac",
+            Difficulty = 4,
+            MinSubmitSeconds = 3,
+            ChallengeLifetimeMinutes = 60
+        });
+
+        _sut = new HmacContactChallengeService(cache.Object, options, _time);
+    }
+
+    private static string Solve(ContactChallenge challenge)
+    {
+        for (var i = 0; ; i++)
+        {
+            var hash = SHA256.HashData(Encoding.UTF8.GetBytes($"{challenge.Token}:{i}"));
+            // Difficulty 4: the first hex digit is zero
+            if (hash[0] >> 4 == 0) return i.ToString();
+        }
+    }
+
+    [Fact]
+    public async Task Verify_SolvedChallenge_ShouldBeValidOnce()
+    {
+        var challenge = _sut.Issue("olive");
+        var solution = Solve(challenge);
+        _time.Advance(TimeSpan.FromSeconds(30));
+
+        var first = await _sut.VerifyAsync("olive", challenge.Token, solution);
+        var second = await _sut.VerifyAsync("olive", challenge.Token, solution);
+
+        first.Should().Be(new ContactChallengeVerification(ContactChallengeStatus.Valid, SubmittedTooFast: false));
+        second.Status.Should().Be(ContactChallengeStatus.Reused);
+    }
+
+    [Fact]
+    public async Task Verify_SameSolutionSubmittedConcurrently_ShouldBeValidOnlyOnce()
+    {
+        var challenge = _sut.Issue("olive");
+        var solution = Solve(challenge);
+        _time.Advance(TimeSpan.FromSeconds(30));
+
+        var results = await Task.WhenAll(Enumerable.Range(0, 8)
+            .Select(_ => Task.Run(() => _sut.VerifyAsync("olive", challenge.Token, solution))));
+
+        results.Count(r => r.Status == ContactChallengeStatus.Valid).Should().Be(1);
+        results.Count(r => r.Status == ContactChallengeStatus.Reused).Should().Be(7);
+    }
+
+    [Fact]
+    public async Task Verify_RightAfterIssue_ShouldFlagSubmittedTooFast()
+    {
+        var challenge = _sut.Issue("olive");
+
+        var result = await _sut.VerifyAsync("olive", challenge.Token, Solve(challenge));
+
+        result.Status.Should().Be(ContactChallengeStatus.Valid);
+        result.SubmittedTooFast.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task Verify_ForAnotherPortfolio_ShouldBeInvalid()
+    {
+        var challenge = _sut.Issue("olive");
+
+        var result = await _sut.VerifyAsync("someone-else", challenge.Token, Solve(challenge));
+
+        result.Status.Should().Be(ContactChallengeStatus.Invalid);
+    }
+
+    [Fact]
+    public async Task Verify_WithLoweredDifficulty_ShouldBeInvalid()
+    {
+        var challenge = _sut.Issue("olive");
+        var tampered = "0" + challenge.Token[challenge.Token.IndexOf('.')..];
+
+        var result = await _sut.VerifyAsync("olive", tampered, "1");
+
+        result.Status.Should().Be(ContactChallengeStatus.Invalid);
+    }
+
+    [Fact]
+    public async Task Verify_WrongSolution_ShouldBeInvalid()
+    {
+        var challenge = _sut.Issue("olive");
+        var wrong = Enumerable.Range(0, 1000).Select(i => i.ToString())
+            .First(s => SHA256.HashData(Encoding.UTF8.GetBytes($"{challenge.Token}:{s}"))[0] >> 4 != 0);
+
+        var result = await _sut.VerifyAsync("olive", challenge.Token, wrong);
+
+        result.Status.Should().Be(ContactChallengeStatus.Invalid);
+    }
+
+    [Fact]
+    public async Task Verify_AfterLifetime_ShouldBeExpired()
+    {
+        var challenge = _sut.Issue("olive");
+        _time.Advance(TimeSpan.FromMinutes(61));
+
+        var result = await _sut.VerifyAsync("olive", challenge.Token, Solve(challenge));
+
+        result.Status.Should().Be(ContactChallengeStatus.Expired);
+    }
+
+    private sealed class ManualTimeProvider(DateTimeOffset now) : TimeProvider
+    {
+        private DateTimeOffset _now = now;
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan by) => _now += by;
+    }
+}
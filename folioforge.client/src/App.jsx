@@ -1,23 +1,32 @@
-import { BrowserRouter, Routes, Route, Navigate, useParams } from 'react-router-dom';
+import {
+    createBrowserRouter,
+    createRoutesFromElements,
+    RouterProvider,
+    Route,
+    Navigate,
+    Outlet,
+    useParams,
+} from 'react-router-dom';
 import { ErrorBoundary } from './components/ErrorBoundary';
-import { ThemeProvider } from './context/ThemeContext';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { LoginPage } from './pages/LoginPage';
 import { RegisterPage } from './pages/RegisterPage';
 import { DashboardPage } from './pages/DashboardPage';
+import { InboxPage } from './pages/InboxPage';
 import { PortfolioPage } from './pages/PortfolioPage';
 import { PortfolioEditorPage } from './pages/PortfolioEditorPage';
 import { PublicPortfolioPage } from './pages/PublicPortfolioPage';
 import { PricingPage } from './pages/PricingPage';
+import { ResumeImportReviewPage } from './pages/ResumeImportReviewPage';
 
 /**
  * App Component
  * 
  * Root component wrapping the application with:
- * - BrowserRouter for client-side routing
+ * - A data router (createBrowserRouter) for client-side routing,
+ *   so pages can block navigation with useBlocker
  * - Auth Provider for login state
- * - Theme Provider for dark/light mode
  * - Error Boundary for catching render errors
  */
 
@@ -42,44 +51,62 @@ const GuestRoute = ({ children }) => {
     return children;
 };
 
+/**
+ * AppShell: providers shared by every route, rendered inside the router
+ * so they (and the pages) can use router hooks.
+ */
+const AppShell = () => (
+    <AuthProvider>
+        <ErrorBoundary>
+            <Outlet />
+        </ErrorBoundary>
+    </AuthProvider>
+);
+
+const router = createBrowserRouter(
+    createRoutesFromElements(
+        <Route element={<AppShell />}>
+            {/* Public: auth pages */}
+            <Route path="/login" element={<GuestRoute><LoginPage /></GuestRoute>} />
+            <Route path="/register" element={<GuestRoute><RegisterPage /></GuestRoute>} />
+
+            {/* Public: pricing page */}
+            <Route path="/pricing" element={<PricingPage />} />
+
+            {/* Protected: dashboard */}
+            <Route path="/dashboard" element={
+                <ProtectedRoute><DashboardPage /></ProtectedRoute>
+            } />
+
+            {/* Protected: messages sent through portfolio contact forms */}
+            <Route path="/dashboard/inbox" element={
+                <ProtectedRoute><InboxPage /></ProtectedRoute>
+            } />
+
+            {/* Protected: portfolio customization editor */}
+            <Route path="/portfolio/:id/edit" element={
+                <ProtectedRoute><PortfolioEditorPage /></ProtectedRoute>
+            } />
+
+            {/* Protected: review an AI resume import before it's applied */}
+            <Route path="/portfolio/:id/review-import" element={
+                <ProtectedRoute><ResumeImportReviewPage /></ProtectedRoute>
+            } />
+
+            {/* Public: view a portfolio by slug (no auth required) */}
+            <Route path="/p/:slug" element={<PublicPortfolioPage />} />
+
+            {/* Protected: view a portfolio by id (owner) */}
+            <Route path="/portfolio/:id" element={<PortfolioPageWrapper />} />
+
+            {/* Default redirect */}
+            <Route path="*" element={<DefaultRedirect />} />
+        </Route>
+    )
+);
+
 function App() {
-    return (
-        <BrowserRouter>
-            <ThemeProvider>
-                <AuthProvider>
-                    <ErrorBoundary>
-                        <Routes>
-                            {/* Public: auth pages */}
-                            <Route path="/login" element={<GuestRoute><LoginPage /></GuestRoute>} />
-                            <Route path="/register" element={<GuestRoute><RegisterPage /></GuestRoute>} />
-
-                            {/* Public: pricing page */}
-                            <Route path="/pricing" element={<PricingPage />} />
-
-                            {/* Protected: dashboard */}
-                            <Route path="/dashboard" element={
-                                <ProtectedRoute><DashboardPage /></ProtectedRoute>
-                            } />
-
-                            {/* Protected: portfolio customization editor */}
-                            <Route path="/portfolio/:id/edit" element={
-                                <ProtectedRoute><PortfolioEditorPage /></ProtectedRoute>
-                            } />
-
-                            {/* Public: view a portfolio by slug (no auth required) */}
-                            <Route path="/p/:slug" element={<PublicPortfolioPage />} />
-
-                            {/* Protected: view a portfolio by id (owner) */}
-                            <Route path="/portfolio/:id" element={<PortfolioPageWrapper />} />
-
-                            {/* Default redirect */}
-                            <Route path="*" element={<DefaultRedirect />} />
-                        </Routes>
-                    </ErrorBoundary>
-                </AuthProvider>
-            </ThemeProvider>
-        </BrowserRouter>
-    );
+    return <RouterProvider router={router} />;
 }
 
 /**
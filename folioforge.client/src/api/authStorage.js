@@ -0,0 +1,98 @@
+/**
+ * Auth Storage
+ *
+ * The stored session — access token, refresh token and cached profile — in
+ * localStorage, shared by every tab of the app. Writes go through here so
+ * listeners hear about them: the API client reschedules its proactive
+ * refresh, and `AuthProvider` picks up a login, refresh or logout made by
+ * another tab (announced over a BroadcastChannel, or the `storage` event
+ * where that isn't available).
+ */
+
+const TOKEN_KEY         = 'ff_token';
+const REFRESH_TOKEN_KEY = 'ff_refresh_token';
+const USER_KEY          = 'ff_user';
+
+const CHANNEL_NAME = 'ff_auth';
+
+const listeners = new Set();
+
+const notify = (source) => {
+    const accessToken = localStorage.getItem(TOKEN_KEY);
+    listeners.forEach(listener => listener({ accessToken, source }));
+};
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+if (channel) {
+    channel.onmessage = () => notify('remote');
+} else if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+        // key is null when another tab cleared all of localStorage
+        if (e.key === TOKEN_KEY || e.key === null) notify('remote');
+    });
+}
+
+/** Tell this tab's listeners, then the other tabs, that the session changed */
+const announce = () => {
+    notify('local');
+    channel?.postMessage('changed');
+};
+
+/**
+ * When the JWT expires, in epoch ms, from its `exp` claim. Not verified —
+ * only used to decide when to refresh. Null when it can't be read.
+ */
+export const getTokenExpiry = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+        return typeof exp === 'number' ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+};
+
+export const AuthStorage = {
+    getAccessToken: () => localStorage.getItem(TOKEN_KEY),
+
+    getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+
+    /** Store a token pair from login, register or refresh */
+    setTokens: ({ accessToken, refreshToken }) => {
+        localStorage.setItem(TOKEN_KEY, accessToken);
+        localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+        announce();
+    },
+
+    getUser: () => {
+        try {
+            const raw = localStorage.getItem(USER_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /** Not announced: store the user before the tokens so other tabs find it */
+    setUser: (user) => localStorage.setItem(USER_KEY, JSON.stringify(user)),
+
+    /** Sign out of every tab */
+    clear: () => {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
+        localStorage.removeItem(USER_KEY);
+        announce();
+    },
+
+    /**
+     * Call `listener({ accessToken, source })` whenever the session changes,
+     * here (`source: 'local'`) or in another tab (`'remote'`). `accessToken`
+     * is null after a logout.
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
@@ -2,8 +2,16 @@ import axios from 'axios';
 import { config } from '../config/environment';
 import { 
     NetworkError, 
-    createErrorFromResponse 
+    RateLimitError,
+    UnauthorizedError,
+    ValidationError,
+    createErrorFromResponse,
+    parseRetryAfter,
+    readHeader,
 } from './errors';
+import { backoffDelay, wait } from './retry';
+import { AuthStorage, getTokenExpiry } from './authStorage';
+import { useRateLimitStore } from '../stores/useRateLimitStore';
 
 /**
  * Axios API Client
@@ -17,7 +25,10 @@ import {
  * - Configurable base URL via environment
  * - Typed error handling
  * - Request/response logging in development
- * - Automatic retry for network errors (future enhancement)
+ * - Automatic retry with backoff for retryable errors on reads (`config.api.retry`)
+ * - Identical GETs in flight at the same time share one request (`config.api.dedupeGets`)
+ * - One token refresh at a time, before the access token expires or on a 401
+ * - Rate-limit headers recorded for quota indicators (`useRateLimitStore`)
  */
 const apiClient = axios.create({
     baseURL: config.api.baseUrl,
@@ -27,15 +38,130 @@ const apiClient = axios.create({
     },
 });
 
+// ─── Retry policy ────────────────────────────────────────────────────────────
+//
+// Reads are retried when the error is `isRetryable` (network failures, 5xx,
+// 429s after their Retry-After). PUT and DELETE are idempotent on paper, but
+// here a replayed PUT trips the version check and a replayed DELETE answers
+// 404 — so, like POST, they only retry when the request sets `retry: true`.
+// `retry: false` opts a read out.
+
+const RETRYABLE_METHODS = ['get', 'head', 'options'];
+
+/** Delay before retrying `requestConfig`, or null when it shouldn't be retried */
+const retryDelay = (requestConfig, apiError, response) => {
+    const policy = config.api.retry;
+    const attempt = (requestConfig._retryAttempt ?? 0) + 1;
+    const method = requestConfig.method?.toLowerCase();
+
+    if (!(requestConfig.retry ?? RETRYABLE_METHODS.includes(method))) return null;
+    if (attempt > policy.retries) return null;
+
+    if (!apiError.isRetryable) return null;
+
+    const retryAfter = apiError instanceof RateLimitError
+        ? apiError.retryAfterMs
+        : response?.status === 503 ? parseRetryAfter(readHeader(response.headers, 'Retry-After')) : null;
+    // Waiting longer than that is the caller's call (RateLimitError.retryAt)
+    if (retryAfter !== null) return retryAfter <= policy.maxRetryAfterMs ? retryAfter : null;
+    return backoffDelay(attempt, policy);
+};
+
+const retryOrReject = async (requestConfig, apiError, response) => {
+    const delayMs = requestConfig ? retryDelay(requestConfig, apiError, response) : null;
+    if (delayMs === null) return Promise.reject(apiError);
+
+    requestConfig._retryAttempt = (requestConfig._retryAttempt ?? 0) + 1;
+    if (config.features.debugLogging) {
+        console.warn(`[API] Retry ${requestConfig._retryAttempt}/${config.api.retry.retries} in ${delayMs}ms: ${requestConfig.method?.toUpperCase()} ${requestConfig.url}`);
+    }
+    await wait(delayMs, requestConfig.signal); // rejects with AbortError if cancelled meanwhile
+    return apiClient(requestConfig);
+};
+
+// ─── Token refresh ───────────────────────────────────────────────────────────
+//
+// Refresh tokens rotate: each one works once. Every caller — the 401 handler
+// for any number of parallel requests, the proactive timer — therefore shares
+// a single refresh, and requests made meanwhile wait for it. Tabs share the
+// tokens too, so the exchange runs under a Web Lock where supported; a tab
+// that gets the lock after another tab refreshed just uses the new token.
+
+/** Refresh this long before the access token expires */
+const REFRESH_AHEAD_MS = 60 * 1000;
+const REFRESH_LOCK = 'ff_token_refresh';
+
+// Endpoints that issue or revoke tokens never wait for or trigger a refresh
+// (`/auth/me` does, so a reload with an expired token keeps the session)
+const TOKEN_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/revoke'];
+const isTokenEndpoint = (url) => TOKEN_ENDPOINTS.some(path => url?.endsWith(path));
+
+let refreshing = null;
+let refreshTimer = null;
+
+const exchangeTokens = async (staleToken) => {
+    const accessToken = AuthStorage.getAccessToken();
+    const refreshToken = AuthStorage.getRefreshToken();
+    if (!accessToken || !refreshToken) throw new UnauthorizedError();
+    if (accessToken !== staleToken) return accessToken; // another tab got there first
+
+    try {
+        const response = await apiClient.post('/auth/refresh', { accessToken, refreshToken });
+        AuthStorage.setTokens(response);
+        return response.accessToken;
+    } catch (err) {
+        // Rejected by the server: the session is over. A network failure isn't — try again later.
+        if (err instanceof UnauthorizedError || err instanceof ValidationError) {
+            AuthStorage.clear();
+        }
+        throw err;
+    }
+};
+
+/**
+ * Exchange the refresh token for a new token pair, or join the exchange
+ * already in flight. Logs out everywhere if the server rejects it.
+ * @returns {Promise<string>} The new access token
+ */
+export const refreshSession = () => {
+    if (!refreshing) {
+        const staleToken = AuthStorage.getAccessToken();
+        const run = () => exchangeTokens(staleToken);
+        refreshing = (globalThis.navigator?.locks ? navigator.locks.request(REFRESH_LOCK, run) : run())
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+};
+
+const scheduleRefresh = () => {
+    clearTimeout(refreshTimer);
+    const expiresAt = getTokenExpiry(AuthStorage.getAccessToken());
+    if (!expiresAt || !AuthStorage.getRefreshToken()) return;
+
+    refreshTimer = setTimeout(() => {
+        // Failures are left to the 401 handler on the next request
+        refreshSession().catch(() => {});
+    }, Math.max(0, expiresAt - REFRESH_AHEAD_MS - Date.now()));
+};
+
+// Every token change — ours, another tab's, a logout — moves the timer
+AuthStorage.subscribe(scheduleRefresh);
+scheduleRefresh();
+
 // Request interceptor - logging and auth token injection
 apiClient.interceptors.request.use(
-    (requestConfig) => {
+    async (requestConfig) => {
         if (config.features.debugLogging) {
             console.log(`[API] ${requestConfig.method?.toUpperCase()} ${requestConfig.url}`);
         }
 
+        // Don't send a token that's about to be replaced
+        if (refreshing && !isTokenEndpoint(requestConfig.url)) {
+            await refreshing.catch(() => {});
+        }
+
         // Auth: Inject JWT Bearer token if present
-        const token = localStorage.getItem('ff_token');
+        const token = AuthStorage.getAccessToken();
         if (token) {
             requestConfig.headers['Authorization'] = `Bearer ${token}`;
         }
@@ -48,61 +174,91 @@ apiClient.interceptors.request.use(
 // Response interceptor - error normalization
 apiClient.interceptors.response.use(
     (response) => {
+        useRateLimitStore.getState().record(response.headers);
         // Unwrap data for cleaner consumption
         return response.data;
     },
     async (error) => {
+        // Cancelled on purpose (AbortController) — not a failure to report or retry
+        if (axios.isCancel(error)) {
+            return Promise.reject(error);
+        }
+
         // Network errors (no response from server)
         if (!error.response) {
             if (config.features.debugLogging) {
                 console.error('[API] Network error:', error.message);
             }
-            return Promise.reject(new NetworkError(
-                error.code === 'ECONNABORTED' 
+            const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+            return retryOrReject(error.config, new NetworkError(
+                timedOut
                     ? 'Request timed out. Please try again.'
-                    : 'Unable to connect to the server. Please check if the backend is running.'
+                    : 'Unable to connect to the server. Please check if the backend is running.',
+                { timedOut },
             ));
         }
 
         // HTTP error responses
-        const { status, data } = error.response;
+        const { status, data, headers } = error.response;
+        useRateLimitStore.getState().record(headers);
         
         if (config.features.debugLogging) {
             console.error(`[API] Error ${status}:`, data);
         }
 
         // Auto-refresh on 401 (access token expired)
-        // Skip refresh attempts for auth endpoints to avoid infinite loops
+        // Skip refresh attempts for token endpoints to avoid infinite loops
         const originalRequest = error.config;
-        if (status === 401 && !originalRequest._retry && !originalRequest.url?.includes('/auth/')) {
+        if (status === 401 && !originalRequest._retry && !isTokenEndpoint(originalRequest.url)) {
             originalRequest._retry = true;
 
             try {
-                const refreshToken = localStorage.getItem('ff_refresh_token');
-                const accessToken = localStorage.getItem('ff_token');
-                if (refreshToken && accessToken) {
-                    const refreshResponse = await apiClient.post('/auth/refresh', {
-                        accessToken,
-                        refreshToken,
-                    });
-                    // Store new tokens
-                    localStorage.setItem('ff_token', refreshResponse.accessToken);
-                    localStorage.setItem('ff_refresh_token', refreshResponse.refreshToken);
-                    // Retry the original request with the new token
-                    originalRequest.headers['Authorization'] = `Bearer ${refreshResponse.accessToken}`;
-                    return apiClient(originalRequest);
+                // Sent with a token that has since been replaced? Just send it again.
+                const current = AuthStorage.getAccessToken();
+                const sentWith = originalRequest.headers?.['Authorization'];
+                if (!current || sentWith === `Bearer ${current}`) {
+                    await refreshSession();
                 }
+                // Retry the original request; the request interceptor adds the new token
+                return apiClient(originalRequest);
             } catch {
-                // Refresh failed — clear auth and force re-login
+                // Refresh failed — `refreshSession` has logged out if the server rejected it
             }
-
-            localStorage.removeItem('ff_token');
-            localStorage.removeItem('ff_refresh_token');
-            localStorage.removeItem('ff_user');
         }
 
-        return Promise.reject(createErrorFromResponse(status, data));
+        const apiError = createErrorFromResponse(status, data, headers);
+        if (apiError instanceof RateLimitError) {
+            useRateLimitStore.getState().throttle(apiError.retryAt);
+        }
+        return retryOrReject(originalRequest, apiError, error.response);
     }
 );
 
+// ─── GET deduplication ───────────────────────────────────────────────────────
+//
+// A GET for the same URL and params as one still in flight gets that request's
+// promise instead of a new request — e.g. `getById` from the dashboard and
+// from a polling loop. Both callers receive the same response object, so treat
+// it as read-only. Requests with other options (a `signal`, headers, …) are
+// never shared: one caller's abort or settings mustn't affect another.
+
+const inFlightGets = new Map();
+const sendGet = apiClient.get.bind(apiClient);
+
+apiClient.get = (url, requestConfig = {}) => {
+    const { params, ...rest } = requestConfig;
+    if (!config.api.dedupeGets || Object.keys(rest).length > 0) {
+        return sendGet(url, requestConfig);
+    }
+
+    // The token is part of the key so a GET after login never gets a response meant for the previous user
+    const key = JSON.stringify([url, params ?? null, AuthStorage.getAccessToken()]);
+    const pending = inFlightGets.get(key);
+    if (pending) return pending;
+
+    const request = sendGet(url, requestConfig).finally(() => inFlightGets.delete(key));
+    inFlightGets.set(key, request);
+    return request;
+};
+
 export default apiClient;
@@ -33,23 +33,27 @@ export class ApiError extends Error {
 
 /**
  * Network Error - connection failed, timeout, etc.
+ * `timedOut` means the request may still have reached the server.
  */
 export class NetworkError extends ApiError {
-    constructor(message = 'Unable to connect to the server. Please check your connection.') {
+    constructor(message = 'Unable to connect to the server. Please check your connection.', { timedOut = false } = {}) {
         super(message, null);
         this.name = 'NetworkError';
+        this.timedOut = timedOut;
         this.isRetryable = true;
     }
 }
 
 /**
- * Validation Error - 400 Bad Request with field-level errors
+ * Validation Error - 400 Bad Request with field-level errors.
+ * `code` is the server's error code when it sent one (such as 'CHALLENGE_FAILED').
  */
 export class ValidationError extends ApiError {
-    constructor(message, fieldErrors = {}) {
+    constructor(message, fieldErrors = {}, code = null) {
         super(message, 400);
         this.name = 'ValidationError';
         this.fieldErrors = fieldErrors;
+        this.code = code;
         this.isRetryable = false;
     }
 }
@@ -76,37 +80,125 @@ export class UnauthorizedError extends ApiError {
     }
 }
 
+/**
+ * Conflict Error - 409, e.g. a save based on a stale portfolio version.
+ * `code` is the server's error code (such as 'VERSION_CONFLICT').
+ */
+export class ConflictError extends ApiError {
+    constructor(message = 'This resource was changed by someone else', details = null) {
+        super(message, 409, details);
+        this.name = 'ConflictError';
+        this.code = details?.code ?? null;
+        this.isRetryable = false;
+    }
+}
+
+/**
+ * Rate Limit Error - 429 from the API's rate limiter.
+ * `retryAt` (epoch ms) is when a request will be accepted again — for countdowns.
+ * Retryable, but only after `retryAfterMs`; the API client waits that long for reads.
+ */
+export class RateLimitError extends ApiError {
+    constructor(message = 'Too many requests. Please wait a moment.', { retryAfterMs = null, limit = null, remaining = 0 } = {}) {
+        super(message, 429);
+        this.name = 'RateLimitError';
+        this.retryAfterMs = retryAfterMs;
+        this.retryAt = retryAfterMs !== null ? Date.now() + retryAfterMs : null;
+        this.limit = limit;
+        this.remaining = remaining;
+        this.isRetryable = true;
+    }
+}
+
+/**
+ * Plan Limit Error - 402, or 403 with a `PLAN_LIMIT_*` code: the owner's plan
+ * doesn't allow this (another portfolio, another AI parse this month).
+ * `limit` names the quota (e.g. 'portfolios', 'aiParses'), `max` is the plan's
+ * allowance, and `upgradePath` is where to go to raise it.
+ */
+export class PlanLimitError extends ApiError {
+    constructor(message = "You've reached your plan's limit", statusCode = 403, details = null) {
+        super(message, statusCode, details);
+        this.name = 'PlanLimitError';
+        this.code = details?.code ?? null;
+        this.limit = details?.limit ?? limitFromCode(this.code);
+        this.max = details?.max ?? null;
+        this.upgradePath = '/pricing';
+        this.isRetryable = false;
+    }
+}
+
 /**
  * Server Error - 500+
+ * `retryAfterMs` is set when a 503 says when to come back.
  */
 export class ServerError extends ApiError {
-    constructor(message = 'An unexpected server error occurred') {
-        super(message, 500);
+    constructor(message = 'An unexpected server error occurred', statusCode = 500, { retryAfterMs = null } = {}) {
+        super(message, statusCode);
         this.name = 'ServerError';
+        this.retryAfterMs = retryAfterMs;
         this.isRetryable = true;
     }
 }
 
+/** A rate or plan limit — errors that deserve a countdown or an upgrade prompt rather than a plain message */
+export const isLimitError = (error) => error instanceof RateLimitError || error instanceof PlanLimitError;
+
+/** 'PLAN_LIMIT_AI_PARSES' → 'aiParses' */
+const limitFromCode = (code) => code?.startsWith('PLAN_LIMIT_')
+    ? code.slice('PLAN_LIMIT_'.length).toLowerCase().replace(/_([a-z])/g, (_, c) => c.toUpperCase())
+    : null;
+
+/** Milliseconds the server asked us to wait (Retry-After: seconds or an HTTP date), or null */
+export const parseRetryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/** A response header from axios's or fetch's headers (or a plain object), or null */
+export const readHeader = (headers, name) =>
+    (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name.toLowerCase()]) ?? null;
+
 /**
  * Factory function to create appropriate error from HTTP response
+ * (`headers` for the rate limiter's Retry-After)
  */
-export const createErrorFromResponse = (status, data) => {
+export const createErrorFromResponse = (status, data, headers = null) => {
     const message = data?.error || data?.message || data?.title || 'An unexpected error occurred';
     
     switch (status) {
         case 400:
-            return new ValidationError(message, data?.errors);
+            return new ValidationError(message, data?.errors, data?.code ?? null);
         case 401:
             return new UnauthorizedError(message);
+        case 402:
+            return new PlanLimitError(message, 402, data);
+        case 403:
+            return data?.code?.startsWith('PLAN_LIMIT_')
+                ? new PlanLimitError(message, 403, data)
+                : new ApiError(message, 403, data);
         case 404:
             return new NotFoundError();
         case 409:
-            return new ApiError(message, 409, data);
+            return new ConflictError(message, data);
+        case 429:
+            // The limiter's own wording is for API clients; use the friendlier default
+            return new RateLimitError(undefined, {
+                // The throttling body repeats the header, for when CORS hides it
+                retryAfterMs: parseRetryAfter(readHeader(headers, 'Retry-After') ?? data?.retryAfterSeconds),
+                limit: data?.limit ?? null,
+            });
         case 500:
         case 502:
-        case 503:
         case 504:
-            return new ServerError(message);
+            return new ServerError(message, status);
+        case 503:
+            return new ServerError(message, status, {
+                retryAfterMs: parseRetryAfter(readHeader(headers, 'Retry-After')),
+            });
         default:
             return new ApiError(message, status, data);
     }
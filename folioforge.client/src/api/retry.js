@@ -0,0 +1,72 @@
+/**
+ * Retry with exponential backoff
+ *
+ * Retries a request while the error says it's worth it (`isRetryable` on the
+ * typed errors: network failures and 5xx). Delays double from `baseDelayMs`
+ * up to `maxDelayMs`, with "equal jitter" — a random wait between half and
+ * all of the step — so clients that failed together don't retry together.
+ * An error that says how long to wait (`retryAfterMs`, a 429) waits that long.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 15000;
+
+/** The error an aborted wait or request rejects with, like fetch's */
+export const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+export const isAbortError = (err) => err?.name === 'AbortError' || err?.name === 'CanceledError';
+
+/** Delay before retry number `attempt` (1-based) */
+export const backoffDelay = (attempt, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = {}) => {
+    const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(step / 2 + Math.random() * (step / 2));
+};
+
+const isRetryable = (err) => Boolean(err?.isRetryable);
+
+/** Wait `ms`, rejecting with an AbortError as soon as `signal` aborts */
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
+
+/**
+ * Call `request` until it succeeds, fails with a non-retryable error, or runs
+ * out of retries. Aborting `signal` stops at once, including during a wait.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} request - Gets the attempt number, from 1
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {AbortSignal} [options.signal]
+ * @param {(error: Error) => boolean} [options.shouldRetry] - Defaults to the error's `isRetryable`;
+ *        narrow it for requests that aren't safe to repeat
+ * @param {(info: { attempt: number, delayMs: number, error: Error }) => void} [options.onRetry]
+ *        Called before each wait; `attempt` is the one about to be made
+ * @returns {Promise<T>}
+ */
+export const withRetry = async (request, { retries = DEFAULT_RETRIES, signal, shouldRetry = isRetryable, onRetry, ...delays } = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        if (signal?.aborted) throw abortError();
+        try {
+            return await request(attempt);
+        } catch (err) {
+            if (signal?.aborted || isAbortError(err)) throw abortError();
+            if (!shouldRetry(err) || attempt > retries) throw err;
+
+            const delayMs = err.retryAfterMs ?? backoffDelay(attempt, delays);
+            onRetry?.({ attempt: attempt + 1, delayMs, error: err });
+            await wait(delayMs, signal);
+        }
+    }
+};
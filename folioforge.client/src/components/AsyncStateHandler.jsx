@@ -13,7 +13,9 @@
  * - Slightly more indirection than inline if/else
  * - Could use Suspense but it's still experimental for data fetching
  */
-import { NetworkError, NotFoundError, ServerError } from '../api/errors';
+import { Link } from 'react-router-dom';
+import { NetworkError, NotFoundError, PlanLimitError, RateLimitError, ServerError } from '../api/errors';
+import { useCountdown } from '../hooks/useCountdown';
 
 const LoadingSpinner = ({ message = 'Loading...' }) => (
     <div className="flex flex-col h-64 items-center justify-center">
@@ -28,8 +30,19 @@ const ErrorDisplay = ({ error, onRetry }) => {
     let message = 'An unexpected error occurred. Please try again.';
     let icon = '⚠️';
     let canRetry = true;
+    // Rate limits: retry only once the server will take it
+    const waitSeconds = useCountdown(error instanceof RateLimitError ? error.retryAt : null);
 
-    if (error instanceof NetworkError) {
+    if (error instanceof RateLimitError) {
+        title = 'Too Many Requests';
+        message = waitSeconds > 0 ? `${error.message} Try again in ${waitSeconds} s.` : error.message;
+        icon = '⏳';
+    } else if (error instanceof PlanLimitError) {
+        title = 'Plan Limit Reached';
+        message = error.message;
+        icon = '✨';
+        canRetry = false;
+    } else if (error instanceof NetworkError) {
         title = 'Connection Error';
         message = error.message;
         icon = '🔌';
@@ -56,11 +69,21 @@ const ErrorDisplay = ({ error, onRetry }) => {
             {canRetry && onRetry && (
                 <button
                     onClick={onRetry}
-                    className="px-6 py-2 bg-slate-900 text-white font-medium rounded-lg hover:bg-slate-800 transition"
+                    disabled={waitSeconds > 0}
+                    className="px-6 py-2 bg-slate-900 text-white font-medium rounded-lg hover:bg-slate-800 transition
+                               disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                     Try Again
                 </button>
             )}
+            {error instanceof PlanLimitError && (
+                <Link
+                    to={error.upgradePath}
+                    className="px-6 py-2 bg-slate-900 text-white font-medium rounded-lg hover:bg-slate-800 transition"
+                >
+                    Upgrade
+                </Link>
+            )}
         </div>
     );
 };
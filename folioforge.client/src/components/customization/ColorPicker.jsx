@@ -1,4 +1,14 @@
-import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { useState } from 'react';
+import { Check, Moon, Sun, Wand2, X } from 'lucide-react';
+import { useCustomizationStore, selectPaletteMode } from '../../stores/useCustomizationStore';
+import { paletteKey } from '../../config/themes';
+import {
+    parseHex,
+    scoreContrast,
+    nearestAccessibleColor,
+    WCAG_THRESHOLDS,
+    VISION_SIMULATIONS,
+} from '../../utils/color';
 
 const COLOR_FIELDS = [
     { key: 'primaryColor',    label: 'Primary',    desc: 'Buttons, links, accents' },
@@ -7,13 +17,196 @@ const COLOR_FIELDS = [
     { key: 'textColor',       label: 'Text',       desc: 'Body text color' },
 ];
 
+const WHITE = '#FFFFFF';
+
+const COLOR_MODE_OPTIONS = [
+    { id: 'auto',  label: 'Their choice (light/dark toggle)' },
+    { id: 'light', label: 'Always light' },
+    { id: 'dark',  label: 'Always dark' },
+];
+
+/**
+ * Colour pairs the portfolio actually renders. `fg`/`bg` are store keys or
+ * a literal colour; `fix` is the key the auto-fix adjusts.
+ */
+const CONTRAST_PAIRS = [
+    { id: 'body',      label: 'Body text',         fg: 'textColor',    bg: 'backgroundColor', fix: 'textColor' },
+    { id: 'accent',    label: 'Headings & links',  fg: 'primaryColor', bg: 'backgroundColor', fix: 'primaryColor' },
+    { id: 'primary',   label: 'Primary buttons',   fg: WHITE,          bg: 'primaryColor',    fix: 'primaryColor' },
+    { id: 'secondary', label: 'Secondary buttons', fg: WHITE,          bg: 'secondaryColor',  fix: 'secondaryColor' },
+];
+
+const { AA: MIN_RATIO } = WCAG_THRESHOLDS.normal;
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const colorOf = (colors, ref) => (ref.startsWith('#') ? ref : colors[ref]);
+
+/** The colour on the other side of a pair from the one being fixed */
+const backdropOf = (colors, pair) => colorOf(colors, pair.fg === pair.fix ? pair.bg : pair.fg);
+
+/**
+ * Nearest colour for `pair.fix` that passes AA. Prefers a colour that
+ * passes every pair the key appears in, so fixing primary text doesn't
+ * break white-on-primary buttons.
+ */
+const suggestFix = (colors, pair) => {
+    const current = colors[pair.fix];
+    const allBackdrops = CONTRAST_PAIRS
+        .filter(p => p.fix === pair.fix)
+        .map(p => backdropOf(colors, p));
+    return nearestAccessibleColor(current, allBackdrops, MIN_RATIO)
+        ?? nearestAccessibleColor(current, [backdropOf(colors, pair)], MIN_RATIO);
+};
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const PaletteTab = ({ mode, isActive, onSelect }) => (
+    <button
+        role="tab"
+        aria-selected={isActive}
+        onClick={onSelect}
+        className={`flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-md text-xs font-medium transition-colors ${
+            isActive ? 'bg-white/10 text-white' : 'text-slate-500 hover:text-slate-300'
+        }`}
+    >
+        {mode === 'dark' ? <Moon size={12} /> : <Sun size={12} />}
+        {mode === 'dark' ? 'Dark' : 'Light'}
+    </button>
+);
+
+/**
+ * Swatch plus hex field. Typing goes into a local draft and only reaches
+ * the store once it's a valid hex colour; leaving the field drops an
+ * invalid draft.
+ */
+const ColorField = ({ field, value, onChange }) => {
+    const [draft, setDraft] = useState(null);
+    const isInvalid = draft !== null && parseHex(draft) === null;
+    const errorId = `${field.key}-error`;
+
+    const handleText = (text) => {
+        const hex = parseHex(text);
+        if (hex) {
+            onChange(hex);
+            setDraft(null);
+        } else {
+            setDraft(text);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between">
+                <div>
+                    <label htmlFor={`${field.key}-hex`} className="text-sm font-medium text-white">{field.label}</label>
+                    <p className="text-xs text-slate-500">{field.desc}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <input
+                        type="color"
+                        value={parseHex(value) ?? '#000000'}
+                        onChange={e => onChange(e.target.value.toUpperCase())}
+                        aria-label={`${field.label} color`}
+                        className="w-8 h-8 rounded-lg border border-white/20 cursor-pointer bg-transparent"
+                    />
+                    <input
+                        id={`${field.key}-hex`}
+                        type="text"
+                        value={draft ?? value}
+                        onChange={e => handleText(e.target.value)}
+                        onBlur={() => setDraft(null)}
+                        spellCheck={false}
+                        aria-invalid={isInvalid}
+                        aria-describedby={isInvalid ? errorId : undefined}
+                        className={`w-20 text-xs px-2 py-1 rounded-md font-mono bg-white/5 border text-white outline-none ${
+                            isInvalid ? 'border-rose-500/60 focus:border-rose-500' : 'border-white/10 focus:border-blue-500'
+                        }`}
+                    />
+                </div>
+            </div>
+            {isInvalid && (
+                <p id={errorId} className="text-[11px] text-rose-400 mt-1 text-right">
+                    Use a hex color like #3B82F6
+                </p>
+            )}
+        </div>
+    );
+};
+
+const LevelBadge = ({ level, passes }) => (
+    <span
+        className={`inline-flex items-center gap-0.5 px-1.5 py-px rounded border text-[10px] font-semibold ${
+            passes
+                ? 'text-emerald-300 bg-emerald-500/10 border-emerald-500/30'
+                : 'text-slate-500 bg-white/5 border-white/10'
+        }`}
+        title={`WCAG ${level}: ${passes ? 'passes' : 'fails'}`}
+    >
+        {passes ? <Check size={9} /> : <X size={9} />}
+        {level}
+    </span>
+);
+
+const ContrastRow = ({ pair, colors, onFix }) => {
+    const foreground = colorOf(colors, pair.fg);
+    const background = colorOf(colors, pair.bg);
+    const score = scoreContrast(foreground, background);
+    const fix = score.AA ? null : suggestFix(colors, pair);
+
+    return (
+        <li className="flex items-center gap-2.5 py-2 border-t border-white/5 first:border-t-0">
+            <span
+                className="w-8 h-8 rounded-md border border-white/10 flex items-center justify-center text-sm font-bold flex-shrink-0"
+                style={{ color: foreground, backgroundColor: background }}
+                aria-hidden="true"
+            >
+                Aa
+            </span>
+            <div className="flex-1 min-w-0">
+                <p className="text-xs text-white truncate">{pair.label}</p>
+                <p className={`text-[11px] font-mono ${score.AA ? 'text-slate-500' : 'text-rose-400'}`}>
+                    {score.ratio.toFixed(2)}:1
+                </p>
+            </div>
+            <LevelBadge level="AA" passes={score.AA} />
+            <LevelBadge level="AAA" passes={score.AAA} />
+            {fix && (
+                <button
+                    onClick={() => onFix(pair.fix, fix)}
+                    title={`Change to ${fix}, the nearest color that passes AA`}
+                    className="flex items-center gap-1 px-1.5 py-1 rounded-md text-[11px] text-blue-300
+                               border border-blue-500/30 hover:bg-blue-500/10 transition-colors"
+                >
+                    <Wand2 size={11} />
+                    Fix
+                </button>
+            )}
+        </li>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
 /**
  * ColorPicker
- * 
- * Four color inputs with hex text fields and a live preview swatch.
+ *
+ * Four color inputs with validated hex text fields, WCAG 2.2 contrast
+ * scores for every pair the portfolio renders (with a one-click fix to the
+ * nearest passing color), a color-vision simulation for the live preview,
+ * and a preview swatch.
+ *
+ * Portfolios carry a light and a dark palette. The fields edit whichever
+ * one the preview shows; the owner decides whether visitors can switch
+ * between them or always see one.
  */
 export const ColorPicker = () => {
     const store = useCustomizationStore();
+    const mode = useCustomizationStore(selectPaletteMode);
+    // Keyed by the light-palette names, so pairs and fixes work for either palette
+    const colors = Object.fromEntries(COLOR_FIELDS.map(({ key }) => [key, store[paletteKey(key, mode)]]));
+    const canScore = COLOR_FIELDS.every(({ key }) => parseHex(colors[key]));
+    const setColor = (key, value) => store.setColor(paletteKey(key, mode), value);
 
     return (
         <div className="space-y-4">
@@ -21,56 +214,110 @@ export const ColorPicker = () => {
                 Color Scheme
             </h3>
 
-            {COLOR_FIELDS.map(({ key, label, desc }) => (
-                <div key={key} className="flex items-center justify-between">
-                    <div>
-                        <p className="text-sm font-medium text-white">{label}</p>
-                        <p className="text-xs text-slate-500">{desc}</p>
-                    </div>
-                    <div className="flex items-center gap-2">
-                        <input
-                            type="color"
-                            value={store[key]}
-                            onChange={e => store.setColor(key, e.target.value)}
-                            className="w-8 h-8 rounded-lg border border-white/20 cursor-pointer bg-transparent"
-                        />
-                        <input
-                            type="text"
-                            value={store[key]}
-                            onChange={e => store.setColor(key, e.target.value)}
-                            className="w-20 text-xs px-2 py-1 rounded-md font-mono
-                                       bg-white/5 border border-white/10 text-white
-                                       focus:border-blue-500 outline-none"
+            <div className="flex items-center justify-between gap-3">
+                <label htmlFor="color-mode" className="text-sm font-medium text-white">
+                    Visitors see
+                </label>
+                <select
+                    id="color-mode"
+                    value={store.colorMode}
+                    onChange={e => store.setColorMode(e.target.value)}
+                    className="flex-1 max-w-[11rem] text-xs px-2 py-1.5 rounded-md bg-white/5 border border-white/10
+                               text-white focus:border-blue-500 outline-none"
+                >
+                    {COLOR_MODE_OPTIONS.map(option => (
+                        <option key={option.id} value={option.id} className="bg-slate-900">
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {store.colorMode === 'auto' && (
+                <div className="flex gap-1 p-1 rounded-lg bg-white/5" role="tablist" aria-label="Palette to edit">
+                    {['light', 'dark'].map(m => (
+                        <PaletteTab
+                            key={m}
+                            mode={m}
+                            isActive={mode === m}
+                            onSelect={() => store.setPreviewColorMode(m)}
                         />
-                    </div>
+                    ))}
                 </div>
+            )}
+
+            {COLOR_FIELDS.map(field => (
+                <ColorField
+                    key={`${mode}-${field.key}`}
+                    field={field}
+                    value={colors[field.key]}
+                    onChange={value => setColor(field.key, value)}
+                />
             ))}
 
+            {/* Accessibility */}
+            <div className="pt-2 space-y-2">
+                <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Contrast
+                </h3>
+                {canScore ? (
+                    <ul className="rounded-xl border border-white/10 bg-white/[0.03] px-3 py-1">
+                        {CONTRAST_PAIRS.map(pair => (
+                            <ContrastRow key={pair.id} pair={pair} colors={colors} onFix={setColor} />
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-xs text-slate-500">Fix the invalid colors above to check contrast.</p>
+                )}
+                <p className="text-[11px] text-slate-600">
+                    AA needs {MIN_RATIO}:1 for body-size text, AAA {WCAG_THRESHOLDS.normal.AAA}:1.
+                </p>
+            </div>
+
+            <div className="flex items-center justify-between gap-3">
+                <label htmlFor="vision-simulation" className="text-sm font-medium text-white">
+                    Preview as
+                </label>
+                <select
+                    id="vision-simulation"
+                    value={store.visionSimulation}
+                    onChange={e => store.setVisionSimulation(e.target.value)}
+                    className="flex-1 max-w-[11rem] text-xs px-2 py-1.5 rounded-md bg-white/5 border border-white/10
+                               text-white focus:border-blue-500 outline-none"
+                >
+                    {VISION_SIMULATIONS.map(v => (
+                        <option key={v.id} value={v.id} className="bg-slate-900">
+                            {v.description ? `${v.label} — ${v.description}` : v.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
             {/* Live preview */}
             <div className="mt-4 rounded-xl overflow-hidden border border-white/10">
-                <div className="p-4" style={{ backgroundColor: store.backgroundColor }}>
+                <div className="p-4" style={{ backgroundColor: colors.backgroundColor }}>
                     <h4
                         className="text-lg font-bold"
-                        style={{ color: store.primaryColor, fontFamily: store.fontHeading }}
+                        style={{ color: colors.primaryColor, fontFamily: store.fontHeading }}
                     >
                         Preview Heading
                     </h4>
                     <p
                         className="text-sm mt-1"
-                        style={{ color: store.textColor, fontFamily: store.fontBody }}
+                        style={{ color: colors.textColor, fontFamily: store.fontBody }}
                     >
                         This is how body text looks with the selected colors.
                     </p>
                     <div className="flex gap-2 mt-3">
                         <button
                             className="px-3 py-1 rounded-md text-white text-xs"
-                            style={{ backgroundColor: store.primaryColor }}
+                            style={{ backgroundColor: colors.primaryColor }}
                         >
                             Primary
                         </button>
                         <button
                             className="px-3 py-1 rounded-md text-white text-xs"
-                            style={{ backgroundColor: store.secondaryColor }}
+                            style={{ backgroundColor: colors.secondaryColor }}
                         >
                             Secondary
                         </button>
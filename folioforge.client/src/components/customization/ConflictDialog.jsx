@@ -0,0 +1,238 @@
+import { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { ChevronDown, GitMerge } from 'lucide-react';
+import { diffCustomization } from '../../stores/customizationMerge';
+import { getSectionIcon } from '../../features/portfolio/sectionRegistry';
+
+const STATUS_LABELS = {
+    local: 'Changed by you',
+    remote: 'Changed elsewhere',
+    both: 'Changed in both places',
+    'added-local': 'Added by you',
+    'deleted-local': 'Deleted by you',
+    'added-remote': 'Added elsewhere',
+    'deleted-remote': 'Deleted elsewhere',
+};
+
+const STATUS_STYLES = {
+    both: 'text-amber-300 bg-amber-500/10 border-amber-500/30',
+    'deleted-remote': 'text-rose-300 bg-rose-500/10 border-rose-500/30',
+};
+
+const PREVIEW_LENGTH = 160;
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+/** Button labels for an item's choices — "mine/theirs" reads oddly when one side has no section */
+const choiceLabels = (item) => {
+    switch (item.status) {
+        case 'added-remote':   return { local: 'Leave out', remote: 'Keep' };
+        case 'deleted-remote': return { local: 'Keep mine', remote: 'Delete' };
+        case 'added-local':    return { local: 'Keep', remote: 'Discard' };
+        case 'deleted-local':  return { local: 'Delete', remote: 'Keep theirs' };
+        default:               return { local: 'Mine', remote: 'Theirs', merge: 'Merge' };
+    }
+};
+
+const formatContent = (json) => {
+    let text = json ?? '';
+    try {
+        text = JSON.stringify(JSON.parse(json));
+    } catch {
+        // not JSON — show as is
+    }
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+};
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const FieldValue = ({ field, value }) => {
+    if (value === undefined) return <span className="text-slate-600 italic">—</span>;
+    if (/color$/i.test(field.key)) {
+        return (
+            <span className="inline-flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded border border-white/20" style={{ backgroundColor: value }} />
+                <span className="font-mono">{value}</span>
+            </span>
+        );
+    }
+    if (field.key === 'isVisible') return value ? 'Shown' : 'Hidden';
+    if (field.key === 'sortOrder') return `#${value + 1}`;
+    if (field.key === 'content') return <span className="font-mono break-all">{formatContent(value)}</span>;
+    return String(value);
+};
+
+const FieldDiff = ({ field }) => (
+    <div className="grid grid-cols-[6rem_1fr_1fr] gap-2 py-1.5 text-[11px] border-t border-white/5 first:border-t-0">
+        <span className="text-slate-500">{field.label}</span>
+        <span className={field.changedLocally ? 'text-blue-300' : 'text-slate-400'}>
+            <FieldValue field={field} value={field.local} />
+        </span>
+        <span className={field.changedRemotely ? 'text-purple-300' : 'text-slate-400'}>
+            <FieldValue field={field} value={field.remote} />
+        </span>
+    </div>
+);
+
+const ConflictItem = ({ item, choice, onChoose }) => {
+    const [isOpen, setIsOpen] = useState(item.status === 'both');
+    const labels = choiceLabels(item);
+    const options = ['local', 'remote', ...(item.canMerge ? ['merge'] : [])];
+
+    return (
+        <li className="rounded-lg border border-white/10 bg-white/[0.03]">
+            <div className="flex items-center gap-2 p-3">
+                <button
+                    onClick={() => setIsOpen(open => !open)}
+                    disabled={item.fields.length === 0}
+                    aria-expanded={isOpen}
+                    aria-label={`Show changes to ${item.label}`}
+                    className="p-0.5 text-slate-500 hover:text-white disabled:opacity-20 transition-colors"
+                >
+                    <ChevronDown size={14} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+                </button>
+                <span aria-hidden="true">{item.kind === 'theme' ? '🎨' : getSectionIcon(item.label)}</span>
+                <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-white truncate">{item.label}</p>
+                    <span className={`inline-block mt-0.5 px-1.5 py-px rounded border text-[10px]
+                                      ${STATUS_STYLES[item.status] ?? 'text-slate-400 bg-white/5 border-white/10'}`}>
+                        {STATUS_LABELS[item.status]}
+                    </span>
+                </div>
+                <div className="flex rounded-md border border-white/10 overflow-hidden" role="radiogroup" aria-label={`Resolve ${item.label}`}>
+                    {options.map(option => (
+                        <button
+                            key={option}
+                            role="radio"
+                            aria-checked={choice === option}
+                            onClick={() => onChoose(option)}
+                            className={`px-2 py-1 text-[11px] transition-colors border-l border-white/10 first:border-l-0 ${
+                                choice === option
+                                    ? 'bg-blue-500/20 text-blue-200'
+                                    : 'text-slate-400 hover:bg-white/5'
+                            }`}
+                        >
+                            {labels[option]}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isOpen && item.fields.length > 0 && (
+                <div className="px-3 pb-3">
+                    <div className="grid grid-cols-[6rem_1fr_1fr] gap-2 pb-1 text-[10px] uppercase tracking-wider text-slate-600">
+                        <span />
+                        <span>Yours</span>
+                        <span>Theirs</span>
+                    </div>
+                    {item.fields.map(field => <FieldDiff key={field.key} field={field} />)}
+                </div>
+            )}
+        </li>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * ConflictDialog
+ *
+ * Shown when a save was rejected because the portfolio changed elsewhere
+ * (another tab, device, or an AI re-parse), or when a restored draft was
+ * made on an older version. Lists the theme and every section that differs,
+ * with a field-by-field "yours / theirs" diff, and lets the owner keep their
+ * change, take the remote one, or merge the two per item.
+ *
+ * @param {object} props.conflict - The store's `conflict`
+ * @param {(choices) => void} props.onResolve
+ */
+export const ConflictDialog = ({ conflict, onResolve }) => {
+    const items = useMemo(
+        () => diffCustomization(conflict.base, conflict.local, conflict.remote),
+        [conflict],
+    );
+    const [choices, setChoices] = useState(() =>
+        Object.fromEntries(items.map(item => [item.id, item.defaultChoice]))
+    );
+
+    const chooseAll = (side) => setChoices(Object.fromEntries(items.map(item => [item.id, side])));
+
+    return (
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4"
+        >
+            <motion.div
+                initial={{ scale: 0.95, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                exit={{ scale: 0.95, opacity: 0 }}
+                className="bg-slate-900 border border-white/10 rounded-2xl w-full max-w-2xl max-h-[85vh]
+                           flex flex-col shadow-2xl"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="conflict-dialog-title"
+            >
+                <div className="p-6 pb-4 border-b border-white/10">
+                    <h3 id="conflict-dialog-title" className="flex items-center gap-2 text-lg font-bold">
+                        <GitMerge size={18} className="text-amber-400" />
+                        {conflict.source === 'draft' ? 'Your draft is out of date' : 'This portfolio changed elsewhere'}
+                    </h3>
+                    <p className="text-sm text-slate-400 mt-1.5">
+                        {conflict.source === 'draft'
+                            ? 'The portfolio was saved after this draft was made. '
+                            : 'Someone saved this portfolio in another tab or device while you were editing. '}
+                        Choose what to keep for each part, then apply. Nothing is lost until you save.
+                    </p>
+                </div>
+
+                <div className="flex-1 overflow-y-auto p-6 py-4">
+                    {items.length === 0 ? (
+                        <p className="text-sm text-slate-400 text-center py-6">
+                            Both versions are the same — your changes can be saved as they are.
+                        </p>
+                    ) : (
+                        <>
+                            <div className="flex items-center justify-end gap-2 mb-3">
+                                <button
+                                    onClick={() => chooseAll('local')}
+                                    className="px-2.5 py-1 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                                >
+                                    Keep all mine
+                                </button>
+                                <button
+                                    onClick={() => chooseAll('remote')}
+                                    className="px-2.5 py-1 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                                >
+                                    Take all theirs
+                                </button>
+                            </div>
+                            <ul className="space-y-2">
+                                {items.map(item => (
+                                    <ConflictItem
+                                        key={item.id}
+                                        item={item}
+                                        choice={choices[item.id]}
+                                        onChoose={(choice) => setChoices(prev => ({ ...prev, [item.id]: choice }))}
+                                    />
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+
+                <div className="p-4 border-t border-white/10 flex justify-end">
+                    <button
+                        onClick={() => onResolve(choices)}
+                        className="px-4 py-2 text-sm font-semibold rounded-lg text-white
+                                   bg-gradient-to-r from-blue-500 to-purple-500
+                                   hover:from-blue-600 hover:to-purple-600 transition-all"
+                    >
+                        Apply and save
+                    </button>
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+};
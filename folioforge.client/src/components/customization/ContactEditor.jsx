@@ -0,0 +1,357 @@
+import { useState, useMemo, useCallback } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { SortableList, DragHandle } from '../ui/SortableList';
+import {
+    AVAILABILITY_STATUSES,
+    DEFAULT_AVAILABILITY,
+    MAX_ROLES,
+    browserTimeZone,
+    isValidTimeZone,
+    listTimeZones,
+} from '../../utils/availability';
+import { getLinkType, getLinkTypes, normalizeLink, parseContactLinks } from '../../utils/socialLinks';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+const parseContact = (content) => {
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+const inputClass = `w-full bg-white/5 border border-white/10 rounded-lg
+                    px-2.5 py-2 text-xs text-white placeholder:text-slate-600
+                    focus:outline-none focus:border-blue-500/60 transition-colors`;
+
+const labelClass = 'block text-xs font-medium text-slate-400 mb-1';
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const RolesInput = ({ roles, onChange }) => {
+    const [inputValue, setInputValue] = useState('');
+
+    const addRole = () => {
+        const trimmed = inputValue.trim();
+        if (!trimmed || roles.some(r => r.toLowerCase() === trimmed.toLowerCase())) return;
+        onChange([...roles, trimmed]);
+        setInputValue('');
+    };
+
+    return (
+        <div className="space-y-2">
+            {roles.length < MAX_ROLES && (
+                <div className="flex gap-2">
+                    <input
+                        id="availability-roles"
+                        type="text"
+                        value={inputValue}
+                        onChange={(e) => setInputValue(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                                e.preventDefault();
+                                addRole();
+                            }
+                        }}
+                        placeholder="e.g. Frontend Engineer"
+                        className={inputClass}
+                    />
+                    <button
+                        onClick={addRole}
+                        disabled={!inputValue.trim()}
+                        aria-label="Add role"
+                        className="px-2.5 rounded-lg bg-blue-500/20 border border-blue-500/30 text-blue-300
+                                   hover:bg-blue-500/30 disabled:opacity-40 transition-colors"
+                    >
+                        <Plus size={13} />
+                    </button>
+                </div>
+            )}
+            {roles.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                    {roles.map(role => (
+                        <span
+                            key={role}
+                            className="flex items-center gap-1 pl-2.5 pr-1 py-1 rounded-full
+                                       bg-white/10 text-xs text-slate-200"
+                        >
+                            {role}
+                            <button
+                                onClick={() => onChange(roles.filter(r => r !== role))}
+                                aria-label={`Remove ${role}`}
+                                className="p-0.5 text-slate-500 hover:text-rose-400 transition-colors"
+                            >
+                                <X size={11} />
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const LinkRow = ({ link, index, onUpdate, onRemove, handleProps }) => {
+    const [touched, setTouched] = useState(false);
+    const def = getLinkType(link.type);
+    const check = link.value?.trim() ? normalizeLink(link.type, link.value) : null;
+    const error = touched && check?.error;
+
+    // Tidy the value once the owner leaves the field: handle → URL, https, canonical host
+    const handleBlur = () => {
+        setTouched(true);
+        if (check?.value && check.value !== link.value) onUpdate(index, { ...link, value: check.value });
+    };
+
+    return (
+        <div className="border border-white/10 rounded-xl bg-white/[0.02] p-2.5 space-y-2">
+            <div className="flex items-center gap-2">
+                <DragHandle {...handleProps} label={`Reorder ${def?.label ?? 'link'}`} />
+                <select
+                    value={link.type}
+                    onChange={(e) => onUpdate(index, { ...link, type: e.target.value })}
+                    aria-label="Link type"
+                    className="bg-white/5 border border-white/10 rounded-lg px-2 py-2 text-xs text-white
+                               focus:outline-none focus:border-blue-500/60"
+                >
+                    {getLinkTypes().map(([type, { label }]) => (
+                        <option key={type} value={type} className="bg-slate-900">{label}</option>
+                    ))}
+                </select>
+                {link.type === 'custom' && (
+                    <input
+                        type="text"
+                        value={link.label || ''}
+                        onChange={(e) => onUpdate(index, { ...link, label: e.target.value })}
+                        placeholder="Label, e.g. Blog"
+                        maxLength={40}
+                        className={inputClass}
+                    />
+                )}
+                <button
+                    onClick={() => onRemove(index)}
+                    aria-label={`Remove ${def?.label ?? 'link'}`}
+                    className="ml-auto p-1 text-slate-600 hover:text-rose-400 transition-colors"
+                >
+                    <Trash2 size={13} />
+                </button>
+            </div>
+            <input
+                type={def?.kind === 'email' ? 'email' : def?.kind === 'phone' ? 'tel' : 'text'}
+                value={link.value || ''}
+                onChange={(e) => onUpdate(index, { ...link, value: e.target.value })}
+                onBlur={handleBlur}
+                placeholder={def?.placeholder}
+                aria-label={`${def?.label ?? 'Link'} address`}
+                aria-invalid={Boolean(error)}
+                className={`${inputClass} ${error ? 'border-rose-500/60' : ''}`}
+            />
+            {error && <p className="text-xs text-rose-400">{error}</p>}
+        </div>
+    );
+};
+
+const LinksFields = ({ links, onChange }) => {
+    const onUpdate = (index, updated) => {
+        const next = [...links];
+        next[index] = updated;
+        onChange(next);
+    };
+
+    return (
+        <div className="space-y-2">
+            <SortableList
+                items={links}
+                getId={(_, i) => `link-${i}`}
+                getLabel={(link) => getLinkType(link.type)?.label ?? 'Link'}
+                onReorder={(next) => onChange(next)}
+                renderItem={(link, i, { handleProps }) => (
+                    <LinkRow
+                        link={link}
+                        index={i}
+                        onUpdate={onUpdate}
+                        onRemove={(index) => onChange(links.filter((_, j) => j !== index))}
+                        handleProps={handleProps}
+                    />
+                )}
+            />
+            <select
+                value=""
+                onChange={(e) => e.target.value && onChange([...links, { type: e.target.value, value: '' }])}
+                aria-label="Add link"
+                className="w-full py-2.5 px-3 rounded-xl bg-transparent border border-dashed border-white/20
+                           text-xs text-slate-400 hover:border-blue-500/50 hover:text-blue-400
+                           focus:outline-none focus:border-blue-500/60 transition-colors cursor-pointer"
+            >
+                <option value="" className="bg-slate-900">+ Add link…</option>
+                {getLinkTypes().map(([type, { label }]) => (
+                    <option key={type} value={type} className="bg-slate-900">{label}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+const AvailabilityFields = ({ availability, onChange }) => {
+    const [zoneOptions] = useState(listTimeZones);
+
+    const roles = Array.isArray(availability.roles) ? availability.roles : [];
+    const status = availability.status in AVAILABILITY_STATUSES ? availability.status : DEFAULT_AVAILABILITY.status;
+    const zoneInvalid = Boolean(availability.timeZone) && !isValidTimeZone(availability.timeZone);
+
+    return (
+        <div className="space-y-3">
+            <label className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={availability.show !== false}
+                    onChange={(e) => onChange({ show: e.target.checked })}
+                    className="accent-blue-500"
+                />
+                Show availability card
+            </label>
+
+            {availability.show !== false && (
+                <>
+                    <div>
+                        <label htmlFor="availability-status" className={labelClass}>Status</label>
+                        <select
+                            id="availability-status"
+                            value={status}
+                            onChange={(e) => onChange({ status: e.target.value })}
+                            className={inputClass}
+                        >
+                            {Object.entries(AVAILABILITY_STATUSES).map(([value, { label }]) => (
+                                <option key={value} value={value} className="bg-slate-900">{label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label htmlFor="availability-message" className={labelClass}>Message</label>
+                        <textarea
+                            id="availability-message"
+                            value={availability.message || ''}
+                            onChange={(e) => onChange({ message: e.target.value })}
+                            placeholder={AVAILABILITY_STATUSES[status].defaultMessage}
+                            rows={3}
+                            className={`${inputClass} resize-y`}
+                        />
+                    </div>
+
+                    <div>
+                        <label htmlFor="availability-roles" className={labelClass}>
+                            Preferred roles <span className="text-slate-600">({roles.length}/{MAX_ROLES})</span>
+                        </label>
+                        <RolesInput roles={roles} onChange={(next) => onChange({ roles: next })} />
+                    </div>
+
+                    <div>
+                        <label htmlFor="availability-timezone" className={labelClass}>Time zone</label>
+                        <div className="flex gap-2">
+                            <input
+                                id="availability-timezone"
+                                type="text"
+                                list="availability-timezones"
+                                value={availability.timeZone || ''}
+                                onChange={(e) => onChange({ timeZone: e.target.value.trim() })}
+                                placeholder="e.g. Europe/Berlin"
+                                aria-invalid={zoneInvalid}
+                                className={`${inputClass} ${zoneInvalid ? 'border-rose-500/60' : ''}`}
+                            />
+                            <button
+                                onClick={() => onChange({ timeZone: browserTimeZone() })}
+                                className="px-2.5 rounded-lg text-xs whitespace-nowrap bg-white/5 border border-white/10
+                                           text-slate-300 hover:bg-white/10 transition-colors"
+                            >
+                                Use mine
+                            </button>
+                        </div>
+                        <datalist id="availability-timezones">
+                            {zoneOptions.map(zone => <option key={zone} value={zone} />)}
+                        </datalist>
+                        <p className={`text-xs mt-1 ${zoneInvalid ? 'text-rose-400' : 'text-slate-600'}`}>
+                            {zoneInvalid
+                                ? 'Unknown time zone — pick one from the list.'
+                                : 'Visitors see your local time. Leave empty to hide it.'}
+                        </p>
+                    </div>
+
+                    <div>
+                        <label htmlFor="availability-from" className={labelClass}>Available from</label>
+                        <div className="flex gap-2">
+                            <input
+                                id="availability-from"
+                                type="date"
+                                value={availability.availableFrom || ''}
+                                onChange={(e) => onChange({ availableFrom: e.target.value })}
+                                className={`${inputClass} [color-scheme:dark]`}
+                            />
+                            {availability.availableFrom && (
+                                <button
+                                    onClick={() => onChange({ availableFrom: '' })}
+                                    aria-label="Clear date"
+                                    className="p-1 text-slate-600 hover:text-rose-400 transition-colors"
+                                >
+                                    <X size={13} />
+                                </button>
+                            )}
+                        </div>
+                        <p className="text-xs text-slate-600 mt-1">Optional. Shown until the date has passed.</p>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * ContactEditor
+ *
+ * Edits the Contact section: its links — any type in the link registry
+ * (`utils/socialLinks`), in display order, checked and tidied as they're
+ * entered — and the availability card (`utils/availability`). Links saved in
+ * the old object shape are turned into a list on the first edit. Unknown
+ * fields are preserved.
+ */
+export const ContactEditor = ({ sectionId, content }) => {
+    const { updateSectionContent } = useCustomizationStore();
+
+    const contact = useMemo(() => parseContact(content), [content]);
+    // Raw values, so half-typed input (a link, a time zone) isn't thrown away;
+    // the section itself leaves out what doesn't validate
+    const links = useMemo(
+        () => (Array.isArray(contact.links) ? contact.links : parseContactLinks(contact)),
+        [contact],
+    );
+    const availability = useMemo(
+        () => ({ ...DEFAULT_AVAILABILITY, ...(contact.availability ?? {}) }),
+        [contact],
+    );
+
+    const commit = useCallback(
+        (patch) => updateSectionContent(sectionId, JSON.stringify({ ...contact, links, ...patch })),
+        [sectionId, contact, links, updateSectionContent],
+    );
+
+    return (
+        <div className="space-y-4">
+            <div className="space-y-2">
+                <p className="text-xs font-semibold text-slate-300">Links</p>
+                <LinksFields links={links} onChange={(next) => commit({ links: next })} />
+            </div>
+            <div className="space-y-2 pt-3 border-t border-white/10">
+                <p className="text-xs font-semibold text-slate-300">Availability</p>
+                <AvailabilityFields
+                    availability={availability}
+                    onChange={(patch) => commit({ availability: { ...availability, ...patch } })}
+                />
+            </div>
+        </div>
+    );
+};
@@ -7,6 +7,9 @@ import { AboutEditor } from './AboutEditor';
 import { TimelineEditor } from './TimelineEditor';
 import { ProjectsEditor } from './ProjectsEditor';
 import { EducationEditor } from './EducationEditor';
+import { MarkdownEditor } from './MarkdownEditor';
+import { HeroEditor } from './HeroEditor';
+import { ContactEditor } from './ContactEditor';
 
 // ─── section registry ────────────────────────────────────────────────────────
 
@@ -16,11 +19,14 @@ import { EducationEditor } from './EducationEditor';
  * ContentEditor logic.
  */
 const SECTION_EDITOR_MAP = {
+    hero:      { label: 'Hero',             icon: '🏠', Editor: HeroEditor,     hint: 'Name, headline, images and buttons.' },
     skills:    { label: 'Skills & Badges',  icon: '⚡', Editor: BadgeEditor,    hint: 'Add or remove skill badges.' },
     about:     { label: 'Bio / About',      icon: '👤', Editor: AboutEditor,    hint: 'Edit your bio text.'          },
     timeline:  { label: 'Work Experience',  icon: '💼', Editor: TimelineEditor, hint: 'Add, edit, or remove jobs.'   },
     projects:  { label: 'Projects',         icon: '🚀', Editor: ProjectsEditor, hint: 'Add, edit, or remove projects.' },
     education: { label: 'Education',        icon: '🎓', Editor: EducationEditor,hint: 'Add, edit, or remove degrees.' },
+    markdown:  { label: 'Markdown',         icon: '📝', Editor: MarkdownEditor, hint: 'Write rich text with Markdown.' },
+    contact:   { label: 'Contact',          icon: '✉️', Editor: ContactEditor,  hint: 'Links, availability and time zone.' },
 };
 
 // ─── single accordion item ───────────────────────────────────────────────────
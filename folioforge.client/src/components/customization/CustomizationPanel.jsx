@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { useCustomizationStore } from '../../stores/useCustomizationStore';
 import { ThemeSelector } from './ThemeSelector';
 import { ColorPicker } from './ColorPicker';
+import { PaletteGenerator } from './PaletteGenerator';
 import { FontSelector } from './FontSelector';
 import { LayoutSelector } from './LayoutSelector';
 import { SectionManager } from './SectionManager';
@@ -25,6 +26,7 @@ const TABS = [
  */
 export const CustomizationPanel = ({ portfolioId }) => {
     const [activeTab, setActiveTab] = useState('themes');
+    const [isConfirmingReset, setIsConfirmingReset] = useState(false);
     const { isDirty, isSaving, saveCustomization, resetToDefaults } = useCustomizationStore();
 
     const handleSave = async () => {
@@ -66,7 +68,12 @@ export const CustomizationPanel = ({ portfolioId }) => {
             {/* Content */}
             <div className="flex-1 overflow-y-auto p-4">
                 {activeTab === 'themes' && <ThemeSelector />}
-                {activeTab === 'colors' && <ColorPicker />}
+                {activeTab === 'colors' && (
+                    <div className="space-y-8">
+                        <PaletteGenerator />
+                        <ColorPicker />
+                    </div>
+                )}
                 {activeTab === 'fonts' && <FontSelector />}
                 {activeTab === 'layout' && <LayoutSelector />}
                 {activeTab === 'sections' && <SectionManager />}
@@ -88,15 +95,41 @@ export const CustomizationPanel = ({ portfolioId }) => {
                     <Save size={16} />
                     {isSaving ? 'Saving…' : isDirty ? 'Save Changes' : 'Saved'}
                 </button>
-                <button
-                    onClick={resetToDefaults}
-                    className="w-full flex items-center justify-center gap-2 px-4 py-2
-                               text-sm text-slate-400 border border-white/10 rounded-lg
-                               hover:bg-white/5 transition-colors"
-                >
-                    <RotateCcw size={14} />
-                    Reset to Defaults
-                </button>
+                {isConfirmingReset ? (
+                    <div className="rounded-lg border border-rose-500/30 bg-rose-500/10 p-3 space-y-2">
+                        <p className="text-xs text-rose-200">
+                            Reset theme, colors, fonts and layout, and show every section in its default style?
+                            You can undo this.
+                        </p>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => setIsConfirmingReset(false)}
+                                className="flex-1 px-3 py-1.5 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={() => {
+                                    resetToDefaults();
+                                    setIsConfirmingReset(false);
+                                }}
+                                className="flex-1 px-3 py-1.5 text-xs font-medium text-rose-200 border border-rose-500/40 bg-rose-500/20 rounded-md hover:bg-rose-500/30"
+                            >
+                                Reset
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <button
+                        onClick={() => setIsConfirmingReset(true)}
+                        className="w-full flex items-center justify-center gap-2 px-4 py-2
+                                   text-sm text-slate-400 border border-white/10 rounded-lg
+                                   hover:bg-white/5 transition-colors"
+                    >
+                        <RotateCcw size={14} />
+                        Reset to Defaults
+                    </button>
+                )}
             </div>
         </div>
     );
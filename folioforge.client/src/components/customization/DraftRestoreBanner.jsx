@@ -0,0 +1,54 @@
+import { AnimatePresence, motion } from 'framer-motion';
+import { ArchiveRestore } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+
+const formatSavedAt = (at) =>
+    new Date(at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * DraftRestoreBanner
+ *
+ * Shown above the preview when `loadCustomization` found unsaved changes
+ * from an earlier visit on this device. Restoring applies them as one
+ * undoable step; discarding deletes the draft.
+ */
+export const DraftRestoreBanner = () => {
+    const { pendingDraft, restoreDraft, discardDraft } = useCustomizationStore();
+
+    return (
+        <AnimatePresence initial={false}>
+            {pendingDraft && (
+                <motion.div
+                    initial={{ height: 0, opacity: 0 }}
+                    animate={{ height: 'auto', opacity: 1 }}
+                    exit={{ height: 0, opacity: 0 }}
+                    transition={{ duration: 0.2 }}
+                    className="overflow-hidden flex-shrink-0"
+                >
+                    <div
+                        className="flex items-center gap-3 px-4 py-2.5 border-b border-amber-500/20 bg-amber-500/10"
+                        role="alert"
+                    >
+                        <ArchiveRestore size={16} className="text-amber-400 flex-shrink-0" />
+                        <p className="flex-1 text-xs text-amber-100">
+                            You have unsaved changes from {formatSavedAt(pendingDraft.savedAt)} on this device.
+                        </p>
+                        <button
+                            onClick={discardDraft}
+                            className="px-2.5 py-1 rounded-md text-xs text-slate-300 border border-white/10 hover:bg-white/5"
+                        >
+                            Discard
+                        </button>
+                        <button
+                            onClick={restoreDraft}
+                            className="px-2.5 py-1 rounded-md text-xs font-medium text-amber-100
+                                       border border-amber-500/40 bg-amber-500/20 hover:bg-amber-500/30"
+                        >
+                            Restore
+                        </button>
+                    </div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
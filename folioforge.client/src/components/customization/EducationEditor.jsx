@@ -1,7 +1,8 @@
 import { useState, useMemo, useCallback } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
-import { Plus, Trash2, ChevronDown, GripVertical } from 'lucide-react';
+import { Plus, Trash2, ChevronDown } from 'lucide-react';
 import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { SortableList, DragHandle } from '../ui/SortableList';
 
 // ─── helpers ────────────────────────────────────────────────────────────────
 
@@ -25,10 +26,10 @@ const FIELDS = [
 
 // ─── sub-components ──────────────────────────────────────────────────────────
 
-const ItemEditor = ({ item, index, isExpanded, onToggle, onUpdate, onRemove }) => (
+const ItemEditor = ({ item, index, isExpanded, onToggle, onUpdate, onRemove, handleProps }) => (
     <div className="border border-white/10 rounded-xl overflow-hidden bg-white/[0.02]">
         <div className="flex items-center gap-2 px-3 py-2.5">
-            <GripVertical size={13} className="text-slate-600 flex-shrink-0" />
+            <DragHandle {...handleProps} label={`Reorder ${item.Degree || 'education entry'}`} />
 
             <button onClick={onToggle} className="flex-1 min-w-0 text-left">
                 <p className="text-xs font-semibold text-white truncate">
@@ -117,6 +118,14 @@ export const EducationEditor = ({ sectionId, content }) => {
         [items, commit],
     );
 
+    const onReorder = useCallback(
+        (nextItems, from, to) => {
+            commit(nextItems);
+            setExpandedIndex((prev) => (prev === from ? to : null));
+        },
+        [commit],
+    );
+
     const onAdd = useCallback(() => {
         const next = [...items, EMPTY_ITEM()];
         commit(next);
@@ -128,17 +137,23 @@ export const EducationEditor = ({ sectionId, content }) => {
 
     return (
         <div className="space-y-2">
-            {items.map((item, i) => (
-                <ItemEditor
-                    key={i}
-                    item={item}
-                    index={i}
-                    isExpanded={expandedIndex === i}
-                    onToggle={() => toggleExpand(i)}
-                    onUpdate={onUpdate}
-                    onRemove={onRemove}
-                />
-            ))}
+            <SortableList
+                items={items}
+                getId={(_, i) => `item-${i}`}
+                getLabel={(item, i) => item.Degree || `Untitled degree ${i + 1}`}
+                onReorder={onReorder}
+                renderItem={(item, i, { handleProps, isOverlay }) => (
+                    <ItemEditor
+                        item={item}
+                        index={i}
+                        isExpanded={!isOverlay && expandedIndex === i}
+                        onToggle={() => toggleExpand(i)}
+                        onUpdate={onUpdate}
+                        onRemove={onRemove}
+                        handleProps={handleProps}
+                    />
+                )}
+            />
 
             <button
                 onClick={onAdd}
@@ -0,0 +1,163 @@
+import { useMemo, useCallback } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+const parseHero = (content) => {
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+const MAX_CTAS = 3;
+
+const EMPTY_CTA = () => ({ label: '', href: '#contact', style: 'primary' });
+
+const FIELDS = [
+    { key: 'name',               label: 'Name',                    placeholder: 'e.g. Jane Doe'                          },
+    { key: 'headline',           label: 'Headline',                placeholder: 'e.g. Full-Stack Engineer'               },
+    { key: 'tagline',            label: 'Tagline',                 placeholder: 'One sentence about what you do', multiline: true },
+    { key: 'avatarUrl',          label: 'Avatar image URL',        placeholder: 'https://…/me.jpg'                       },
+    { key: 'backgroundImageUrl', label: 'Background image URL',    placeholder: 'https://…/cover.jpg (Fullscreen variant)' },
+];
+
+const inputClass = `w-full bg-white/5 border border-white/10 rounded-lg
+                    px-2.5 py-2 text-xs text-white placeholder:text-slate-600
+                    focus:outline-none focus:border-blue-500/60 transition-colors`;
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const CtaEditor = ({ cta, index, onUpdate, onRemove }) => (
+    <div className="border border-white/10 rounded-xl bg-white/[0.02] p-2.5 space-y-2">
+        <div className="flex items-center gap-2">
+            <input
+                type="text"
+                value={cta.label || ''}
+                onChange={(e) => onUpdate(index, { ...cta, label: e.target.value })}
+                placeholder="Button label"
+                className={inputClass}
+            />
+            <select
+                value={cta.style || 'primary'}
+                onChange={(e) => onUpdate(index, { ...cta, style: e.target.value })}
+                aria-label="Button style"
+                className="bg-white/5 border border-white/10 rounded-lg px-2 py-2 text-xs text-white
+                           focus:outline-none focus:border-blue-500/60"
+            >
+                <option value="primary">Primary</option>
+                <option value="secondary">Secondary</option>
+            </select>
+            <button onClick={() => onRemove(index)} aria-label="Remove button" className="p-1 text-slate-600 hover:text-rose-400 transition-colors">
+                <Trash2 size={13} />
+            </button>
+        </div>
+        <input
+            type="text"
+            value={cta.href || ''}
+            onChange={(e) => onUpdate(index, { ...cta, href: e.target.value })}
+            placeholder="#contact, /resume.pdf, https://… or mailto:…"
+            className={inputClass}
+        />
+    </div>
+);
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * HeroEditor
+ *
+ * Edits the Hero section's own content.
+ * Content shape: `{ name, headline, tagline, avatarUrl, backgroundImageUrl,
+ * ctas: [{ label, href, style }] }`. Unknown fields are preserved.
+ */
+export const HeroEditor = ({ sectionId, content }) => {
+    const { updateSectionContent } = useCustomizationStore();
+
+    const hero = useMemo(() => parseHero(content), [content]);
+    const ctas = useMemo(() => (Array.isArray(hero.ctas) ? hero.ctas : []), [hero]);
+
+    const commit = useCallback(
+        (patch) =>
+            updateSectionContent(sectionId, JSON.stringify({ ...hero, ...patch })),
+        [sectionId, hero, updateSectionContent],
+    );
+
+    const onUpdateCta = useCallback(
+        (index, updated) => {
+            const next = [...ctas];
+            next[index] = updated;
+            commit({ ctas: next });
+        },
+        [ctas, commit],
+    );
+
+    const onRemoveCta = useCallback(
+        (index) => commit({ ctas: ctas.filter((_, i) => i !== index) }),
+        [ctas, commit],
+    );
+
+    const onAddCta = useCallback(
+        () => commit({ ctas: [...ctas, EMPTY_CTA()] }),
+        [ctas, commit],
+    );
+
+    return (
+        <div className="space-y-3">
+            {FIELDS.map(({ key, label, placeholder, multiline }) => (
+                <div key={key}>
+                    <label className="block text-xs font-medium text-slate-400 mb-1">{label}</label>
+                    {multiline ? (
+                        <textarea
+                            value={hero[key] || ''}
+                            onChange={(e) => commit({ [key]: e.target.value })}
+                            placeholder={placeholder}
+                            rows={2}
+                            className={`${inputClass} resize-y`}
+                        />
+                    ) : (
+                        <input
+                            type="text"
+                            value={hero[key] || ''}
+                            onChange={(e) => commit({ [key]: e.target.value })}
+                            placeholder={placeholder}
+                            className={inputClass}
+                        />
+                    )}
+                </div>
+            ))}
+
+            <div className="space-y-2">
+                <p className="text-xs font-medium text-slate-400">Call-to-action buttons</p>
+                {ctas.map((cta, i) => (
+                    <CtaEditor
+                        key={i}
+                        cta={cta}
+                        index={i}
+                        onUpdate={onUpdateCta}
+                        onRemove={onRemoveCta}
+                    />
+                ))}
+                {ctas.length === 0 && (
+                    <p className="text-xs text-slate-600">
+                        No buttons — a default “Let’s Connect” button is shown.
+                    </p>
+                )}
+                {ctas.length < MAX_CTAS && (
+                    <button
+                        onClick={onAddCta}
+                        className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl
+                                   border border-dashed border-white/20 text-xs text-slate-400
+                                   hover:border-blue-500/50 hover:text-blue-400 transition-colors"
+                    >
+                        <Plus size={13} />
+                        Add Button
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import { Undo2, Redo2, History } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MOD = isMac ? '⌘' : 'Ctrl+';
+
+const formatTime = (at) =>
+    new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const HistoryRow = ({ label, at, isCurrent, isUndone, onClick }) => (
+    <button
+        onClick={onClick}
+        disabled={isCurrent}
+        className={`w-full flex items-center gap-2 px-3 py-2 text-left text-xs transition-colors
+                    ${isCurrent
+                        ? 'bg-blue-500/15 text-blue-300 cursor-default'
+                        : isUndone
+                            ? 'text-slate-600 hover:bg-white/5 hover:text-slate-400'
+                            : 'text-slate-300 hover:bg-white/5'}`}
+    >
+        <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${isCurrent ? 'bg-blue-400' : 'bg-white/15'}`} />
+        <span className={`flex-1 truncate ${isUndone ? 'line-through decoration-slate-700' : ''}`}>{label}</span>
+        {at && <span className="text-[10px] text-slate-600 tabular-nums">{formatTime(at)}</span>}
+    </button>
+);
+
+/**
+ * HistoryPanel
+ *
+ * Every named step, oldest first. Applied steps are clickable to jump back;
+ * undone steps are dimmed and clickable to jump forward again.
+ */
+const HistoryPanel = ({ past, future, onUndo, onRedo }) => {
+    // Undone steps, in the order they were originally made
+    const upcoming = [...future].reverse();
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -4 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -4 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 top-full mt-2 w-72 max-h-96 overflow-y-auto z-50
+                       bg-slate-900 border border-white/10 rounded-xl shadow-2xl shadow-black/50 py-1"
+            role="dialog"
+            aria-label="Edit history"
+        >
+            <p className="px-3 pt-2 pb-1 text-[10px] font-semibold text-slate-500 uppercase tracking-wider">
+                History
+            </p>
+            <HistoryRow
+                label="Opened portfolio"
+                isCurrent={past.length === 0}
+                onClick={() => onUndo(past.length)}
+            />
+            {past.map((entry, i) => (
+                <HistoryRow
+                    key={`past-${i}`}
+                    label={entry.label}
+                    at={entry.at}
+                    isCurrent={i === past.length - 1}
+                    onClick={() => onUndo(past.length - 1 - i)}
+                />
+            ))}
+            {upcoming.map((entry, i) => (
+                <HistoryRow
+                    key={`future-${i}`}
+                    label={entry.label}
+                    at={entry.at}
+                    isUndone
+                    onClick={() => onRedo(i + 1)}
+                />
+            ))}
+        </motion.div>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * HistoryControls
+ *
+ * Undo / redo toolbar buttons plus a dropdown history panel for the
+ * customization store. Keyboard shortcuts live in `useUndoRedoShortcuts`.
+ */
+export const HistoryControls = () => {
+    const { past, future, undo, redo } = useCustomizationStore();
+    const [isOpen, setIsOpen] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const onKeyDown = (e) => e.key === 'Escape' && setIsOpen(false);
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [isOpen]);
+
+    const buttonClass = `p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-white/10
+                         disabled:opacity-30 disabled:hover:bg-transparent disabled:cursor-not-allowed
+                         transition-colors`;
+
+    return (
+        <div className="relative flex items-center gap-0.5">
+            <button
+                onClick={() => undo()}
+                disabled={past.length === 0}
+                className={buttonClass}
+                aria-label="Undo"
+                title={past.length ? `Undo ${past[past.length - 1].label} (${MOD}Z)` : `Undo (${MOD}Z)`}
+            >
+                <Undo2 size={15} />
+            </button>
+            <button
+                onClick={() => redo()}
+                disabled={future.length === 0}
+                className={buttonClass}
+                aria-label="Redo"
+                title={future.length ? `Redo ${future[future.length - 1].label} (${MOD}Shift+Z)` : `Redo (${MOD}Shift+Z)`}
+            >
+                <Redo2 size={15} />
+            </button>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                disabled={past.length === 0 && future.length === 0}
+                className={`${buttonClass} ${isOpen ? 'bg-white/10 text-white' : ''}`}
+                aria-label="Show edit history"
+                aria-expanded={isOpen}
+                title="History"
+            >
+                <History size={15} />
+            </button>
+
+            {/* Click-away layer */}
+            {isOpen && <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />}
+
+            <AnimatePresence>
+                {isOpen && (
+                    <HistoryPanel
+                        past={past}
+                        future={future}
+                        onUndo={(steps) => steps > 0 && undo(steps)}
+                        onRedo={(steps) => redo(steps)}
+                    />
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
@@ -7,6 +7,11 @@ const LAYOUTS = [
         name: 'Single Column',
         description: 'Content flows in one column, great for storytelling',
     },
+    {
+        id: 'two-column',
+        name: 'Two Column',
+        description: 'Main content beside a narrower side column; stacks on mobile',
+    },
     {
         id: 'sidebar',
         name: 'Sidebar',
@@ -51,6 +56,19 @@ export const LayoutSelector = () => {
                                         <div className="h-2 bg-slate-600 rounded" />
                                     </div>
                                 )}
+                                {l.id === 'two-column' && (
+                                    <div className="flex gap-1 p-1.5 h-full">
+                                        <div className="flex-[2] flex flex-col gap-1">
+                                            <div className="h-2 bg-blue-400 rounded" />
+                                            <div className="h-2 bg-slate-600 rounded" />
+                                            <div className="h-2 bg-slate-600 rounded" />
+                                        </div>
+                                        <div className="flex-1 flex flex-col gap-1">
+                                            <div className="h-3 bg-slate-500 rounded" />
+                                            <div className="h-2 bg-slate-600 rounded" />
+                                        </div>
+                                    </div>
+                                )}
                                 {l.id === 'sidebar' && (
                                     <div className="flex h-full">
                                         <div className="w-4 bg-blue-400" />
@@ -69,6 +87,11 @@ export const LayoutSelector = () => {
                                     {isActive && <Check size={16} className="text-blue-400" />}
                                 </div>
                                 <p className="text-xs text-slate-500 mt-0.5">{l.description}</p>
+                                {isActive && l.id === 'two-column' && (
+                                    <p className="text-xs text-blue-300/80 mt-1.5">
+                                        Choose which sections sit in the side column from the Sections tab.
+                                    </p>
+                                )}
                             </div>
                         </button>
                     );
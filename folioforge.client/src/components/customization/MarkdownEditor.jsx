@@ -0,0 +1,291 @@
+import { useState, useMemo, useCallback, useRef } from 'react';
+import {
+    Check, RefreshCw, Bold, Italic, Heading2, Link2, List, ListOrdered,
+    Code, SquareCode, Table, Quote, Maximize2, Minimize2,
+} from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { MarkdownContent } from '../ui/MarkdownContent';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+const parseMarkdown = (content) => {
+    try {
+        const parsed = JSON.parse(content);
+        return typeof parsed === 'string' ? { content: parsed } : (parsed ?? {});
+    } catch {
+        return {};
+    }
+};
+
+const TABLE_SNIPPET = '| Column | Column |\n| ------ | ------ |\n| Cell   | Cell   |';
+
+/**
+ * Toolbar actions. `wrap` surrounds the selection, `prefix` is applied to
+ * the start of every selected line, `block` replaces the selection.
+ */
+const TOOLBAR = [
+    { id: 'bold',    label: 'Bold',          Icon: Bold,        wrap: ['**', '**'], placeholder: 'bold text' },
+    { id: 'italic',  label: 'Italic',        Icon: Italic,      wrap: ['_', '_'],   placeholder: 'italic text' },
+    { id: 'heading', label: 'Heading',       Icon: Heading2,    prefix: '## ' },
+    { id: 'link',    label: 'Link',          Icon: Link2,       wrap: ['[', '](https://)'], placeholder: 'link text' },
+    { id: 'ul',      label: 'Bulleted list', Icon: List,        prefix: '- ' },
+    { id: 'ol',      label: 'Numbered list', Icon: ListOrdered, prefix: '1. ' },
+    { id: 'quote',   label: 'Quote',         Icon: Quote,       prefix: '> ' },
+    { id: 'code',    label: 'Inline code',   Icon: Code,        wrap: ['`', '`'],   placeholder: 'code' },
+    { id: 'block',   label: 'Code block',    Icon: SquareCode,  wrap: ['```\n', '\n```'], placeholder: 'code' },
+    { id: 'table',   label: 'Table',         Icon: Table,       block: TABLE_SNIPPET },
+];
+
+/**
+ * Apply a toolbar action to `text` for the selection [start, end).
+ * Returns the new text and the selection to restore.
+ */
+const applyAction = (action, text, start, end) => {
+    const selected = text.slice(start, end);
+
+    if (action.wrap) {
+        const [before, after] = action.wrap;
+        const inner = selected || action.placeholder || '';
+        const next = text.slice(0, start) + before + inner + after + text.slice(end);
+        return { text: next, start: start + before.length, end: start + before.length + inner.length };
+    }
+
+    if (action.prefix) {
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const block = text.slice(lineStart, end);
+        const prefixed = block
+            .split('\n')
+            .map((line, i) => (action.id === 'ol' ? `${i + 1}. ` : action.prefix) + line)
+            .join('\n');
+        const next = text.slice(0, lineStart) + prefixed + text.slice(end);
+        return { text: next, start: lineStart, end: lineStart + prefixed.length };
+    }
+
+    const padding = start > 0 && text[start - 1] !== '\n' ? '\n\n' : '';
+    const insert = padding + action.block + '\n';
+    const next = text.slice(0, start) + insert + text.slice(end);
+    return { text: next, start: start + insert.length, end: start + insert.length };
+};
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const Toolbar = ({ onAction, isExpanded, onToggleExpand }) => (
+    <div className="flex items-center gap-0.5 flex-wrap px-1.5 py-1 border-b border-white/10 bg-white/[0.03]">
+        {TOOLBAR.map((action) => {
+            const { id, label, Icon } = action;
+            return (
+                <button
+                    key={id}
+                    type="button"
+                    onClick={() => onAction(action)}
+                    aria-label={label}
+                    title={label}
+                    className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/10 transition-colors"
+                >
+                    <Icon size={13} />
+                </button>
+            );
+        })}
+        <button
+            type="button"
+            onClick={onToggleExpand}
+            aria-label={isExpanded ? 'Close split view' : 'Open split view'}
+            title={isExpanded ? 'Close split view' : 'Split view'}
+            className="ml-auto p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/10 transition-colors"
+        >
+            {isExpanded ? <Minimize2 size={13} /> : <Maximize2 size={13} />}
+        </button>
+    </div>
+);
+
+/** Preview pane that borrows the portfolio's theme variables from the store */
+const ThemedPreview = ({ source }) => {
+    const { primaryColor, backgroundColor, textColor, fontHeading, fontBody } =
+        useCustomizationStore();
+
+    return (
+        <div
+            className="h-full overflow-auto p-4 text-sm"
+            style={{
+                backgroundColor,
+                color: textColor,
+                fontFamily: `"${fontBody}", ui-sans-serif, system-ui, sans-serif`,
+                '--color-primary': primaryColor,
+                '--color-text': textColor,
+                '--color-bg': backgroundColor,
+                '--font-heading-family': `"${fontHeading}"`,
+            }}
+        >
+            {source.trim() ? (
+                <MarkdownContent source={source} />
+            ) : (
+                <p className="opacity-40 italic">Nothing to preview yet.</p>
+            )}
+        </div>
+    );
+};
+
+// ─── component ───────────────────────────────────────────────────────────────
+
+/**
+ * MarkdownEditor
+ *
+ * Markdown source editor with a formatting toolbar and a themed live preview.
+ * Content shape: `{ title?: string, content: string, ...otherFields }`.
+ *
+ * Inline it shows source and preview stacked; the split-view button opens a
+ * full-screen side-by-side editor. Like AboutEditor, edits are local until
+ * "Apply Changes" writes them into the store.
+ */
+export const MarkdownEditor = ({ sectionId, content }) => {
+    const { updateSectionContent } = useCustomizationStore();
+    const textareaRef = useRef(null);
+
+    const parsed = useMemo(() => parseMarkdown(content), [content]);
+    const [title, setTitle] = useState(parsed.title ?? '');
+    const [text, setText] = useState(parsed.content ?? '');
+    const [isExpanded, setIsExpanded] = useState(false);
+    const [applied, setApplied] = useState(false);
+
+    const isDirty = text !== (parsed.content ?? '') || title !== (parsed.title ?? '');
+
+    const handleAction = useCallback((action) => {
+        const el = textareaRef.current;
+        const start = el?.selectionStart ?? text.length;
+        const end = el?.selectionEnd ?? text.length;
+        const result = applyAction(action, text, start, end);
+        setText(result.text);
+
+        // Restore focus and selection after React commits the new value
+        requestAnimationFrame(() => {
+            if (!textareaRef.current) return;
+            textareaRef.current.focus();
+            textareaRef.current.setSelectionRange(result.start, result.end);
+        });
+    }, [text]);
+
+    const handleApply = useCallback(() => {
+        updateSectionContent(sectionId, JSON.stringify({ ...parsed, title, content: text }));
+        setApplied(true);
+        setTimeout(() => setApplied(false), 1800);
+    }, [sectionId, parsed, title, text, updateSectionContent]);
+
+    const handleReset = useCallback(() => {
+        setTitle(parsed.title ?? '');
+        setText(parsed.content ?? '');
+        setApplied(false);
+    }, [parsed]);
+
+    const actions = (
+        <div className="flex items-center gap-2">
+            {isDirty && (
+                <button
+                    onClick={handleReset}
+                    aria-label="Discard changes"
+                    className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs
+                               text-slate-400 hover:text-white border border-white/10
+                               hover:bg-white/5 transition-colors"
+                >
+                    <RefreshCw size={11} />
+                    Reset
+                </button>
+            )}
+
+            <button
+                onClick={handleApply}
+                disabled={!isDirty && !applied}
+                className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium
+                           border transition-all
+                           ${applied
+                            ? 'bg-emerald-500/20 border-emerald-500/30 text-emerald-400'
+                            : isDirty
+                                ? 'bg-blue-500/20 border-blue-500/30 text-blue-400 hover:bg-blue-500/30'
+                                : 'opacity-40 cursor-not-allowed bg-white/5 border-white/10 text-slate-400'
+                           }`}
+            >
+                {applied ? <Check size={12} /> : null}
+                {applied ? 'Applied!' : 'Apply Changes'}
+            </button>
+        </div>
+    );
+
+    const source = (
+        <textarea
+            ref={textareaRef}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            spellCheck
+            placeholder={'## A heading\n\nWrite **Markdown** here — lists, tables, `code` and [links](https://) are supported.'}
+            className={`w-full bg-transparent px-3 py-2.5 text-xs font-mono text-white
+                        placeholder:text-slate-600 focus:outline-none leading-relaxed
+                        ${isExpanded ? 'h-full resize-none' : 'min-h-[9rem] resize-y'}`}
+        />
+    );
+
+    return (
+        <div className="space-y-3">
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                placeholder="Section title (optional)"
+                className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2
+                           text-sm text-white placeholder:text-slate-500
+                           focus:outline-none focus:border-blue-500/60 transition-colors"
+            />
+
+            {isExpanded ? (
+                <div className="fixed inset-0 z-50 bg-slate-950/95 backdrop-blur p-6 flex flex-col">
+                    <div className="flex items-center justify-between mb-3">
+                        <p className="text-sm font-semibold text-white">
+                            {title || 'Markdown section'}
+                        </p>
+                        {actions}
+                    </div>
+                    <div className="flex-1 grid grid-cols-2 gap-4 min-h-0">
+                        <div className="flex flex-col border border-white/10 rounded-xl overflow-hidden bg-slate-900">
+                            <Toolbar
+                                onAction={handleAction}
+                                isExpanded
+                                onToggleExpand={() => setIsExpanded(false)}
+                            />
+                            <div className="flex-1 min-h-0">{source}</div>
+                        </div>
+                        <div className="border border-white/10 rounded-xl overflow-hidden">
+                            <ThemedPreview source={text} />
+                        </div>
+                    </div>
+                </div>
+            ) : (
+                <>
+                    <div className="border border-white/10 rounded-lg overflow-hidden bg-white/5
+                                    focus-within:border-blue-500/60 transition-colors">
+                        <Toolbar
+                            onAction={handleAction}
+                            isExpanded={false}
+                            onToggleExpand={() => setIsExpanded(true)}
+                        />
+                        {source}
+                    </div>
+                    <div className="h-40 border border-white/10 rounded-lg overflow-hidden">
+                        <ThemedPreview source={text} />
+                    </div>
+                </>
+            )}
+
+            <div className="flex items-center justify-between">
+                <span className="text-xs text-slate-600">
+                    {text.length} character{text.length !== 1 ? 's' : ''}
+                </span>
+
+                {actions}
+            </div>
+
+            {isDirty && !applied && (
+                <p className="text-xs text-amber-500/70">
+                    Unsaved — click Apply then Save to persist.
+                </p>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,236 @@
+import { useMemo, useRef, useState } from 'react';
+import { Check, ImagePlus, Loader2, Lock, RefreshCw, Unlock } from 'lucide-react';
+import { useCustomizationStore, selectPaletteMode } from '../../stores/useCustomizationStore';
+import { paletteKey } from '../../config/themes';
+import { parseHex } from '../../utils/color';
+import { generatePalettes, extractImageColors, samePalette, PALETTE_SCHEMES, PALETTE_MODES } from '../../utils/palette';
+
+const SLOTS = [
+    { key: 'primary',    storeKey: 'primaryColor',    label: 'Primary' },
+    { key: 'secondary',  storeKey: 'secondaryColor',  label: 'Secondary' },
+    { key: 'background', storeKey: 'backgroundColor', label: 'Background' },
+    { key: 'text',       storeKey: 'textColor',       label: 'Text' },
+];
+
+/** Largest image we'll decode for sampling */
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const PaletteCard = ({ palette, isActive, onApply }) => {
+    const { primary, secondary, background, text } = palette.colors;
+    return (
+        <button
+            onClick={onApply}
+            aria-pressed={isActive}
+            title={`${palette.label} · ${palette.mode}`}
+            className={`relative rounded-lg overflow-hidden border-2 transition-all text-left ${
+                isActive ? 'border-blue-500 ring-2 ring-blue-500/30' : 'border-white/10 hover:border-white/30'
+            }`}
+        >
+            <div className="px-2.5 py-2" style={{ backgroundColor: background }}>
+                <p className="text-xs font-bold" style={{ color: primary }}>Aa</p>
+                <p className="text-[10px] leading-tight" style={{ color: text }}>Body text</p>
+            </div>
+            <div className="flex h-2">
+                <span className="flex-1" style={{ backgroundColor: primary }} />
+                <span className="flex-1" style={{ backgroundColor: secondary }} />
+            </div>
+            {isActive && (
+                <span className="absolute top-1 right-1 bg-blue-500 rounded-full p-0.5">
+                    <Check size={9} className="text-white" />
+                </span>
+            )}
+        </button>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * PaletteGenerator
+ *
+ * Builds whole palettes from one seed color — picked directly or sampled
+ * from an uploaded logo or photo — in complementary, analogous, triadic
+ * and monochrome schemes, each with a light and a dark companion.
+ * Clicking a palette applies its colors to the portfolio's palette of the
+ * same mode (one undo step). Locked colors are kept in every palette of
+ * each mode; Regenerate reshuffles the rest.
+ */
+export const PaletteGenerator = () => {
+    const store = useCustomizationStore();
+    const mode = useCustomizationStore(selectPaletteMode);
+    const [seed, setSeed] = useState(() => parseHex(store.primaryColor) ?? '#3B82F6');
+    const [variant, setVariant] = useState(0);
+    const [lockedKeys, setLockedKeys] = useState([]);
+    const [imageColors, setImageColors] = useState([]);
+    const [isSampling, setIsSampling] = useState(false);
+    const [imageError, setImageError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const currentByMode = Object.fromEntries(PALETTE_MODES.map(m => [
+        m,
+        Object.fromEntries(SLOTS.map(({ key, storeKey }) => [key, store[paletteKey(storeKey, m)]])),
+    ]));
+    const current = currentByMode[mode];
+
+    // Locks hold the colors as they are now in the editor, per palette
+    const locked = Object.fromEntries(PALETTE_MODES.map(m => [
+        m,
+        Object.fromEntries(lockedKeys
+            .filter(key => parseHex(currentByMode[m][key]))
+            .map(key => [key, parseHex(currentByMode[m][key])])),
+    ]));
+    const lockSignature = JSON.stringify(locked);
+
+    const palettes = useMemo(
+        () => generatePalettes(seed, { locked: JSON.parse(lockSignature), variant }),
+        [seed, variant, lockSignature],
+    );
+
+    const toggleLock = (key) =>
+        setLockedKeys(keys => keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]);
+
+    const handleImage = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            setImageError('Choose an image file (PNG, JPG, SVG, WebP…).');
+            return;
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            setImageError('That image is larger than 10 MB.');
+            return;
+        }
+
+        setIsSampling(true);
+        setImageError(null);
+        try {
+            const colors = await extractImageColors(file);
+            setImageColors(colors);
+            if (colors.length > 0) setSeed(colors[0]);
+            else setImageError('No solid colors found in that image.');
+        } catch {
+            setImageError("Couldn't read that image.");
+        } finally {
+            setIsSampling(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Palette Generator
+                </h3>
+                <button
+                    onClick={() => setVariant(v => v + 1)}
+                    className="flex items-center gap-1 text-xs text-slate-400 hover:text-white transition-colors"
+                >
+                    <RefreshCw size={12} />
+                    Regenerate
+                </button>
+            </div>
+
+            {/* Seed */}
+            <div className="flex items-center gap-2">
+                <input
+                    type="color"
+                    value={seed}
+                    onChange={e => setSeed(e.target.value.toUpperCase())}
+                    aria-label="Seed color"
+                    className="w-8 h-8 rounded-lg border border-white/20 cursor-pointer bg-transparent"
+                />
+                <span className="text-xs font-mono text-slate-300">{seed}</span>
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={isSampling}
+                    className="ml-auto flex items-center gap-1.5 px-2.5 py-1.5 rounded-md text-xs text-slate-300
+                               border border-white/10 hover:bg-white/5 disabled:opacity-50 transition-colors"
+                >
+                    {isSampling ? <Loader2 size={12} className="animate-spin" /> : <ImagePlus size={12} />}
+                    From image
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/*"
+                    onChange={handleImage}
+                    className="hidden"
+                />
+            </div>
+
+            {imageError && <p className="text-xs text-rose-400" role="alert">{imageError}</p>}
+
+            {imageColors.length > 0 && (
+                <div className="flex items-center gap-1.5" role="group" aria-label="Colors from your image">
+                    {imageColors.map(color => (
+                        <button
+                            key={color}
+                            onClick={() => setSeed(color)}
+                            aria-label={`Use ${color} as seed`}
+                            title={color}
+                            className={`w-6 h-6 rounded-full border-2 transition-transform hover:scale-110 ${
+                                color === seed ? 'border-white' : 'border-white/20'
+                            }`}
+                            style={{ backgroundColor: color }}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {/* Locks */}
+            <div className="grid grid-cols-4 gap-1.5">
+                {SLOTS.map(({ key, label }) => {
+                    const isLocked = lockedKeys.includes(key);
+                    return (
+                        <button
+                            key={key}
+                            onClick={() => toggleLock(key)}
+                            aria-pressed={isLocked}
+                            title={isLocked ? `Unlock ${label.toLowerCase()}` : `Keep the current ${label.toLowerCase()} color`}
+                            className={`flex flex-col items-center gap-1 py-1.5 rounded-md border text-[10px] transition-colors ${
+                                isLocked
+                                    ? 'border-blue-500/50 bg-blue-500/10 text-blue-200'
+                                    : 'border-white/10 text-slate-500 hover:text-slate-300'
+                            }`}
+                        >
+                            <span
+                                className="w-4 h-4 rounded-full border border-white/20"
+                                style={{ backgroundColor: current[key] }}
+                            />
+                            <span className="flex items-center gap-0.5">
+                                {isLocked ? <Lock size={9} /> : <Unlock size={9} />}
+                                {label}
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            {/* Palettes */}
+            <div className="space-y-2">
+                {PALETTE_SCHEMES.map(scheme => (
+                    <div key={scheme.id}>
+                        <p className="text-[11px] text-slate-500 mb-1">{scheme.label}</p>
+                        <div className="grid grid-cols-2 gap-2">
+                            {palettes.filter(p => p.scheme === scheme.id).map(palette => (
+                                <PaletteCard
+                                    key={palette.id}
+                                    palette={palette}
+                                    isActive={samePalette(palette.colors, currentByMode[palette.mode])}
+                                    onApply={() => store.applyPalette(
+                                        palette.colors,
+                                        `Apply ${palette.label.toLowerCase()} ${palette.mode} palette`,
+                                        palette.mode,
+                                    )}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,69 @@
+import { Check, CloudOff, GitMerge, Loader2 } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+
+const formatTime = (at) =>
+    new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * SaveStatus
+ *
+ * Toolbar indicator for autosave: saving, saved (with time), pending
+ * edits, a version conflict waiting to be resolved, or a failed save
+ * with a Retry button. Announced politely to screen readers as it changes.
+ *
+ * @param {() => void} props.onRetry - Save again after a failure
+ */
+export const SaveStatus = ({ onRetry }) => {
+    const { saveStatus, saveError, isDirty, lastSavedAt } = useCustomizationStore();
+
+    let content;
+    if (saveStatus === 'saving') {
+        content = (
+            <span className="flex items-center gap-1.5 text-slate-400">
+                <Loader2 size={13} className="animate-spin" />
+                Saving…
+            </span>
+        );
+    } else if (saveStatus === 'conflict') {
+        content = (
+            <span className="flex items-center gap-1.5 text-amber-400">
+                <GitMerge size={13} />
+                Changed elsewhere — resolve to save
+            </span>
+        );
+    } else if (saveStatus === 'error') {
+        content = (
+            <span className="flex items-center gap-1.5 text-rose-400" title={saveError ?? undefined}>
+                <CloudOff size={13} />
+                Save failed
+                <button
+                    onClick={onRetry}
+                    className="ml-1 px-1.5 py-0.5 rounded border border-rose-500/30 text-rose-300
+                               hover:bg-rose-500/10 transition-colors"
+                >
+                    Retry
+                </button>
+            </span>
+        );
+    } else if (isDirty) {
+        content = (
+            <span className="flex items-center gap-1.5 text-amber-400/90">
+                <span className="w-1.5 h-1.5 rounded-full bg-amber-400" aria-hidden="true" />
+                Unsaved changes
+            </span>
+        );
+    } else {
+        content = (
+            <span className="flex items-center gap-1.5 text-slate-500">
+                <Check size={13} className="text-emerald-400" />
+                {lastSavedAt ? `Saved at ${formatTime(lastSavedAt)}` : 'All changes saved'}
+            </span>
+        );
+    }
+
+    return (
+        <div className="text-xs" role="status" aria-live="polite">
+            {content}
+        </div>
+    );
+};
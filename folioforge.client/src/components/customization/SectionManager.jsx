@@ -1,21 +1,102 @@
 import { useState } from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
 import { useCustomizationStore } from '../../stores/useCustomizationStore';
-import { SECTION_VARIANTS } from '../../config/themes';
 import {
-    GripVertical, Eye, EyeOff,
+    getSectionIcon,
+    getSectionTemplates,
+    getSectionVariants,
+    useSectionRegistry,
+} from '../../features/portfolio/sectionRegistry';
+import { SortableList, DragHandle } from '../ui/SortableList';
+import {
+    Eye, EyeOff,
     ChevronDown, ChevronUp,
+    Copy, Trash2, Plus, X, PanelRight,
 } from 'lucide-react';
 
+/**
+ * AddSectionGallery
+ *
+ * Every section type that can be added by hand, with its display variants.
+ * Picking a variant adds a blank section of that type at the end.
+ */
+const AddSectionGallery = ({ onAdd, onClose }) => {
+    const templates = getSectionTemplates();
+
+    return (
+        <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.2 }}
+            className="overflow-hidden"
+        >
+            <div className="border border-white/10 rounded-lg bg-white/[0.03] p-3 space-y-2">
+                <div className="flex items-center justify-between">
+                    <p className="text-xs font-medium text-slate-400">Add a section</p>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close section gallery"
+                        className="p-1 rounded text-slate-500 hover:text-white transition-colors"
+                    >
+                        <X size={13} />
+                    </button>
+                </div>
+
+                {templates.map(template => {
+                    const variants = template.variants.length > 0
+                        ? template.variants
+                        : [{ id: 'default', name: 'Default' }];
+
+                    return (
+                        <div key={template.key} className="rounded-lg border border-white/10 p-2.5">
+                            <div className="flex items-center gap-2">
+                                <span className="text-base" aria-hidden="true">{template.icon}</span>
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-white">{template.sectionType}</p>
+                                    {template.description && (
+                                        <p className="text-xs text-slate-500 truncate">{template.description}</p>
+                                    )}
+                                </div>
+                            </div>
+                            <div className="flex flex-wrap gap-1.5 mt-2">
+                                {variants.map(variant => (
+                                    <button
+                                        key={variant.id}
+                                        onClick={() => onAdd(template, variant.id)}
+                                        title={variant.description}
+                                        className="px-2 py-1 rounded-md border border-white/10 text-xs text-slate-300
+                                                   hover:border-blue-500 hover:bg-blue-500/10 hover:text-blue-300 transition-all"
+                                    >
+                                        {variant.name}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </motion.div>
+    );
+};
+
 /**
  * SectionManager
  * 
- * Reorder, show/hide, and choose display variants for each portfolio section.
- * Sections come from the actual portfolio data (populated by AI resume parsing).
+ * Add, duplicate, delete, reorder (drag-and-drop or chevrons), show/hide,
+ * and choose display variants for each portfolio section. Sections come from AI resume parsing or are
+ * added by hand from the gallery. With the two-column layout, each section can also be moved between
+ * the main and side column.
  */
 export const SectionManager = () => {
-    const { sections, toggleSection, reorderSections, setSectionVariant } =
-        useCustomizationStore();
+    const {
+        sections, toggleSection, reorderSections, setSectionVariant, setSectionColumn,
+        addSection, duplicateSection, deleteSection, layout,
+    } = useCustomizationStore();
     const [expandedId, setExpandedId] = useState(null);
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+    const [isGalleryOpen, setIsGalleryOpen] = useState(false);
+    useSectionRegistry();
 
     const sorted = [...sections].sort((a, b) => a.sortOrder - b.sortOrder);
 
@@ -27,12 +108,52 @@ export const SectionManager = () => {
         reorderSections(arr);
     };
 
+    const handleAdd = (template, variant) => {
+        const id = addSection({
+            sectionType: template.sectionType,
+            variant,
+            content: template.content,
+        });
+        setIsGalleryOpen(false);
+        setExpandedId(id);
+    };
+
+    const handleDelete = (sectionId) => {
+        deleteSection(sectionId);
+        setConfirmDeleteId(null);
+        if (expandedId === sectionId) setExpandedId(null);
+    };
+
+    const addSectionControls = (
+        <>
+            <AnimatePresence initial={false}>
+                {isGalleryOpen && (
+                    <AddSectionGallery onAdd={handleAdd} onClose={() => setIsGalleryOpen(false)} />
+                )}
+            </AnimatePresence>
+            {!isGalleryOpen && (
+                <button
+                    onClick={() => setIsGalleryOpen(true)}
+                    className="w-full flex items-center justify-center gap-2 py-2.5 rounded-lg
+                               border border-dashed border-white/20 text-xs text-slate-400
+                               hover:border-blue-500/50 hover:text-blue-400 transition-colors"
+                >
+                    <Plus size={13} />
+                    Add section
+                </button>
+            )}
+        </>
+    );
+
     if (sorted.length === 0) {
         return (
-            <div className="text-center py-8">
-                <p className="text-slate-500 text-sm">
-                    No sections yet. Upload a resume to generate portfolio sections.
-                </p>
+            <div className="space-y-3">
+                <div className="text-center py-6">
+                    <p className="text-slate-500 text-sm">
+                        No sections yet. Upload a resume to generate them, or add one by hand.
+                    </p>
+                </div>
+                {addSectionControls}
             </div>
         );
     }
@@ -43,17 +164,21 @@ export const SectionManager = () => {
                 Sections
             </h3>
             <p className="text-xs text-slate-500">
-                Toggle visibility, reorder, and choose display styles.
+                Add, toggle visibility, reorder, and choose display styles.
             </p>
 
-            <div className="space-y-2">
-                {sorted.map((section, index) => {
-                    const variants = SECTION_VARIANTS[section.sectionType] || [];
-                    const isExpanded = expandedId === section.id;
+            <SortableList
+                items={sorted}
+                getId={(section) => section.id}
+                getLabel={(section) => `${section.sectionType} section`}
+                onReorder={(next) => reorderSections(next)}
+                renderItem={(section, index, { handleProps, isOverlay }) => {
+                    const variants = getSectionVariants(section.sectionType);
+                    const isExpanded = !isOverlay && expandedId === section.id;
+                    const isSide = section.column === 'side';
 
                     return (
                         <div
-                            key={section.id}
                             className={`border rounded-lg transition-all ${
                                 section.isVisible
                                     ? 'border-white/10 bg-white/5'
@@ -62,9 +187,9 @@ export const SectionManager = () => {
                         >
                             {/* Section header row */}
                             <div className="flex items-center gap-2 p-3">
-                                <GripVertical size={14} className="text-slate-600 flex-shrink-0" />
+                                <DragHandle {...handleProps} size={14} label={`Reorder ${section.sectionType} section`} />
 
-                                {/* Reorder buttons */}
+                                {/* Reorder buttons (one step at a time) */}
                                 <div className="flex flex-col">
                                     <button
                                         onClick={() => move(index, 'up')}
@@ -85,13 +210,50 @@ export const SectionManager = () => {
                                 {/* Title & type */}
                                 <div className="flex-1 min-w-0">
                                     <p className="text-sm font-medium text-white truncate">
+                                        <span className="mr-1.5" aria-hidden="true">
+                                            {getSectionIcon(section.sectionType)}
+                                        </span>
                                         {section.sectionType}
                                     </p>
                                     <p className="text-xs text-slate-500">
                                         Variant: {section.variant}
+                                        {layout === 'two-column' && <span className="ml-1.5">· {isSide ? 'Side' : 'Main'} column</span>}
+                                        {section.isNew && <span className="ml-1.5 text-amber-500/80">· unsaved</span>}
                                     </p>
                                 </div>
 
+                                {/* Column (two-column layout only) */}
+                                {layout === 'two-column' && (
+                                    <button
+                                        onClick={() => setSectionColumn(section.id, isSide ? 'main' : 'side')}
+                                        className={`p-1.5 rounded hover:bg-white/10 transition-colors ${
+                                            isSide ? 'text-blue-400' : 'text-slate-500 hover:text-white'
+                                        }`}
+                                        title={isSide ? 'Move to main column' : 'Move to side column'}
+                                        aria-pressed={isSide}
+                                    >
+                                        <PanelRight size={13} />
+                                    </button>
+                                )}
+
+                                {/* Duplicate */}
+                                <button
+                                    onClick={() => duplicateSection(section.id)}
+                                    className="p-1.5 rounded hover:bg-white/10 transition-colors text-slate-500 hover:text-white"
+                                    title="Duplicate section"
+                                >
+                                    <Copy size={13} />
+                                </button>
+
+                                {/* Delete (asks for confirmation) */}
+                                <button
+                                    onClick={() => setConfirmDeleteId(section.id)}
+                                    className="p-1.5 rounded hover:bg-white/10 transition-colors text-slate-500 hover:text-rose-400"
+                                    title="Delete section"
+                                >
+                                    <Trash2 size={13} />
+                                </button>
+
                                 {/* Visibility toggle */}
                                 <button
                                     onClick={() => toggleSection(section.id)}
@@ -119,6 +281,27 @@ export const SectionManager = () => {
                                 )}
                             </div>
 
+                            {/* Delete confirmation */}
+                            {!isOverlay && confirmDeleteId === section.id && (
+                                <div className="flex items-center gap-2 px-3 pb-3">
+                                    <p className="flex-1 text-xs text-rose-300">
+                                        Delete this {section.sectionType} section?
+                                    </p>
+                                    <button
+                                        onClick={() => setConfirmDeleteId(null)}
+                                        className="px-2 py-1 rounded-md text-xs text-slate-400 border border-white/10 hover:bg-white/5"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(section.id)}
+                                        className="px-2 py-1 rounded-md text-xs text-rose-300 border border-rose-500/30 bg-rose-500/10 hover:bg-rose-500/20"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            )}
+
                             {/* Variant selector (expanded) */}
                             {isExpanded && variants.length > 0 && (
                                 <div className="px-3 pb-3 border-t border-white/5 mt-1 pt-2">
@@ -143,8 +326,10 @@ export const SectionManager = () => {
                             )}
                         </div>
                     );
-                })}
-            </div>
+                }}
+            />
+
+            {addSectionControls}
         </div>
     );
 };
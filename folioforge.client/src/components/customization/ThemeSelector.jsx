@@ -1,56 +1,296 @@
+import { useRef, useState } from 'react';
 import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { useAuth } from '../../context/AuthContext';
 import { THEME_PRESETS } from '../../config/themes';
-import { Check } from 'lucide-react';
+import { ThemePresetService } from '../../services/themePresetService';
+import { ValidationError } from '../../api/errors';
+import { Check, Download, Plus, Trash2, Upload } from 'lucide-react';
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const slugify = (name) =>
+    name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+
+const downloadFile = (filename, text) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const ThemeCard = ({ theme, isActive, onApply, children }) => (
+    <div className="relative group">
+        <button
+            onClick={onApply}
+            className={`w-full h-full relative rounded-xl p-3 border-2 transition-all text-left ${
+                isActive
+                    ? 'border-blue-500 ring-2 ring-blue-500/30 bg-blue-500/10'
+                    : 'border-white/10 hover:border-white/20 bg-white/5'
+            }`}
+        >
+            {isActive && (
+                <div className="absolute top-2 right-2 bg-blue-500 rounded-full p-0.5">
+                    <Check size={10} className="text-white" />
+                </div>
+            )}
+
+            {/* Color swatches */}
+            <div className="flex gap-1 mb-2">
+                {Object.values(theme.colors).map((color, i) => (
+                    <div
+                        key={i}
+                        className="w-4 h-4 rounded-full border border-white/20"
+                        style={{ backgroundColor: color }}
+                    />
+                ))}
+            </div>
+
+            <p className="text-sm font-medium text-white truncate">{theme.name}</p>
+            <p className="text-xs text-slate-500 mt-0.5 truncate">
+                {theme.description || `${theme.fonts.heading} / ${theme.fonts.body}`}
+            </p>
+        </button>
+
+        {/* Card actions sit outside the button so they stay separate controls */}
+        {children && (
+            <div className="absolute bottom-2 right-2 flex gap-0.5 opacity-0 group-hover:opacity-100
+                            group-focus-within:opacity-100 transition-opacity">
+                {children}
+            </div>
+        )}
+    </div>
+);
+
+const CardAction = ({ label, onClick, className = '', children }) => (
+    <button
+        onClick={onClick}
+        aria-label={label}
+        title={label}
+        className={`p-1 rounded-md bg-slate-900/80 text-slate-400 hover:text-white ${className}`}
+    >
+        {children}
+    </button>
+);
+
+const SavePresetForm = ({ onSave, onCancel }) => {
+    const [name, setName] = useState('');
+
+    return (
+        <form
+            onSubmit={(e) => {
+                e.preventDefault();
+                onSave(name);
+            }}
+            className="rounded-lg border border-white/10 bg-white/[0.03] p-3 space-y-2"
+        >
+            <label className="block text-xs font-medium text-slate-400" htmlFor="preset-name">
+                Save current colors, fonts and layout as
+            </label>
+            <input
+                id="preset-name"
+                autoFocus
+                value={name}
+                maxLength={50}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="My theme"
+                className="w-full px-3 py-1.5 rounded-md bg-white/5 border border-white/10 text-sm text-white
+                           placeholder-slate-600 focus:border-blue-500 outline-none"
+            />
+            <div className="flex gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="flex-1 px-3 py-1.5 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={!name.trim()}
+                    className="flex-1 px-3 py-1.5 text-xs font-medium text-blue-200 border border-blue-500/40
+                               bg-blue-500/20 rounded-md hover:bg-blue-500/30 disabled:opacity-40"
+                >
+                    Save preset
+                </button>
+            </div>
+        </form>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
 
 /**
  * ThemeSelector
- * 
+ *
  * Grid of theme preset cards. Clicking one applies the full theme
  * (colors, fonts, layout) instantly for live preview.
+ * "My themes" holds the user's own presets: save the current look as a
+ * preset, export one as a JSON file to share, or import a file.
  */
 export const ThemeSelector = () => {
-    const { themeName, applyTheme } = useCustomizationStore();
+    const {
+        themeName, applyTheme,
+        primaryColor, secondaryColor, backgroundColor, textColor,
+        darkPrimaryColor, darkSecondaryColor, darkBackgroundColor, darkTextColor,
+        fontHeading, fontBody, layout,
+    } = useCustomizationStore();
+    const { user } = useAuth();
+    const userId = user?.userId;
+
+    const [customPresets, setCustomPresets] = useState(() => ThemePresetService.list(userId));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const showError = (err) => setError({
+        message: err.message,
+        details: Object.values(err.fieldErrors ?? {}),
+    });
+
+    const addPreset = (theme) => {
+        const preset = ThemePresetService.save(userId, theme);
+        setCustomPresets(ThemePresetService.list(userId));
+        applyTheme(preset);
+        setError(null);
+    };
+
+    const handleSave = (name) => {
+        try {
+            addPreset({
+                name,
+                colors: { primary: primaryColor, secondary: secondaryColor, background: backgroundColor, text: textColor },
+                darkColors: {
+                    primary: darkPrimaryColor,
+                    secondary: darkSecondaryColor,
+                    background: darkBackgroundColor,
+                    text: darkTextColor,
+                },
+                fonts: { heading: fontHeading, body: fontBody },
+                layout,
+            });
+            setIsSaving(false);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            addPreset(ThemePresetService.parseImportFile(await file.text()));
+        } catch (err) {
+            showError(err instanceof ValidationError ? err : new Error('Could not read this file.'));
+        }
+    };
+
+    const handleDelete = (presetId) => {
+        ThemePresetService.remove(userId, presetId);
+        setCustomPresets(ThemePresetService.list(userId));
+    };
 
     return (
-        <div className="space-y-3">
-            <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">
-                Choose a Theme
-            </h3>
-            <div className="grid grid-cols-2 gap-3">
-                {THEME_PRESETS.map(theme => {
-                    const isActive = themeName === theme.id;
-                    return (
-                        <button
+        <div className="space-y-5">
+            <div className="space-y-3">
+                <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                    Choose a Theme
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                    {THEME_PRESETS.map(theme => (
+                        <ThemeCard
                             key={theme.id}
-                            onClick={() => applyTheme(theme.id)}
-                            className={`relative rounded-xl p-3 border-2 transition-all text-left ${
-                                isActive
-                                    ? 'border-blue-500 ring-2 ring-blue-500/30 bg-blue-500/10'
-                                    : 'border-white/10 hover:border-white/20 bg-white/5'
-                            }`}
-                        >
-                            {isActive && (
-                                <div className="absolute top-2 right-2 bg-blue-500 rounded-full p-0.5">
-                                    <Check size={10} className="text-white" />
-                                </div>
-                            )}
-
-                            {/* Color swatches */}
-                            <div className="flex gap-1 mb-2">
-                                {Object.values(theme.colors).map((color, i) => (
-                                    <div
-                                        key={i}
-                                        className="w-4 h-4 rounded-full border border-white/20"
-                                        style={{ backgroundColor: color }}
-                                    />
-                                ))}
-                            </div>
-
-                            <p className="text-sm font-medium text-white">{theme.name}</p>
-                            <p className="text-xs text-slate-500 mt-0.5">{theme.description}</p>
-                        </button>
-                    );
-                })}
+                            theme={theme}
+                            isActive={themeName === theme.id}
+                            onApply={() => applyTheme(theme.id)}
+                        />
+                    ))}
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                    <h3 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">
+                        My Themes
+                    </h3>
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="flex items-center gap-1 text-xs text-slate-400 hover:text-white transition-colors"
+                    >
+                        <Upload size={12} />
+                        Import
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={handleImport}
+                        className="hidden"
+                    />
+                </div>
+
+                {customPresets.length > 0 ? (
+                    <div className="grid grid-cols-2 gap-3">
+                        {customPresets.map(preset => (
+                            <ThemeCard
+                                key={preset.id}
+                                theme={preset}
+                                isActive={themeName === preset.id}
+                                onApply={() => applyTheme(preset)}
+                            >
+                                <CardAction
+                                    label={`Export ${preset.name}`}
+                                    onClick={() => downloadFile(
+                                        `${slugify(preset.name)}.folioforge-theme.json`,
+                                        ThemePresetService.toExportFile(preset),
+                                    )}
+                                >
+                                    <Download size={12} />
+                                </CardAction>
+                                <CardAction
+                                    label={`Delete ${preset.name}`}
+                                    onClick={() => handleDelete(preset.id)}
+                                    className="hover:text-rose-400"
+                                >
+                                    <Trash2 size={12} />
+                                </CardAction>
+                            </ThemeCard>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-xs text-slate-500">
+                        Tune colors and fonts, then save them here to reuse on your other portfolios.
+                    </p>
+                )}
+
+                {error && (
+                    <div className="rounded-lg border border-rose-500/30 bg-rose-500/10 p-3 text-xs text-rose-200" role="alert">
+                        <p>{error.message}</p>
+                        {error.details.length > 0 && (
+                            <ul className="list-disc pl-4 mt-1 space-y-0.5 text-rose-300/80">
+                                {error.details.map(detail => <li key={detail}>{detail}</li>)}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {isSaving ? (
+                    <SavePresetForm onSave={handleSave} onCancel={() => setIsSaving(false)} />
+                ) : (
+                    <button
+                        onClick={() => setIsSaving(true)}
+                        className="w-full flex items-center justify-center gap-2 py-2.5 rounded-lg
+                                   border border-dashed border-white/20 text-xs text-slate-400
+                                   hover:border-blue-500/50 hover:text-blue-400 transition-colors"
+                    >
+                        <Plus size={13} />
+                        Save current as preset
+                    </button>
+                )}
             </div>
         </div>
     );
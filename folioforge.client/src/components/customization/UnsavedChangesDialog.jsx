@@ -0,0 +1,76 @@
+import { useEffect } from 'react';
+import { motion } from 'framer-motion';
+
+/**
+ * UnsavedChangesDialog
+ *
+ * Confirmation shown while the editor blocks navigation with unsaved
+ * changes. The local draft is kept either way, so leaving without saving
+ * can still be recovered on the next visit.
+ *
+ * @param {boolean} props.isSaving
+ * @param {() => void} props.onStay
+ * @param {() => void} props.onLeave - Leave without saving
+ * @param {() => void} props.onSaveAndLeave
+ */
+export const UnsavedChangesDialog = ({ isSaving, onStay, onLeave, onSaveAndLeave }) => {
+    useEffect(() => {
+        const onKeyDown = (e) => e.key === 'Escape' && onStay();
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onStay]);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm"
+            onClick={onStay}
+        >
+            <motion.div
+                initial={{ scale: 0.95, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                exit={{ scale: 0.95, opacity: 0 }}
+                onClick={(e) => e.stopPropagation()}
+                className="bg-slate-900 border border-white/10 rounded-2xl p-6 w-full max-w-sm shadow-2xl"
+                role="alertdialog"
+                aria-modal="true"
+                aria-labelledby="unsaved-changes-title"
+            >
+                <h3 id="unsaved-changes-title" className="text-lg font-bold">Unsaved changes</h3>
+                <p className="text-sm text-slate-400 mt-2">
+                    Your latest changes haven't been saved yet. A draft stays on this device
+                    if you leave without saving.
+                </p>
+                <div className="flex flex-col gap-2 mt-6">
+                    <button
+                        onClick={onSaveAndLeave}
+                        disabled={isSaving}
+                        className="w-full px-4 py-2.5 text-sm font-semibold rounded-lg text-white
+                                   bg-gradient-to-r from-blue-500 to-purple-500
+                                   hover:from-blue-600 hover:to-purple-600
+                                   disabled:opacity-40 disabled:cursor-not-allowed transition-all"
+                    >
+                        {isSaving ? 'Saving…' : 'Save and leave'}
+                    </button>
+                    <button
+                        onClick={onLeave}
+                        className="w-full px-4 py-2 text-sm text-rose-300 rounded-lg
+                                   border border-rose-500/30 hover:bg-rose-500/10 transition-colors"
+                    >
+                        Leave without saving
+                    </button>
+                    <button
+                        onClick={onStay}
+                        autoFocus
+                        className="w-full px-4 py-2 text-sm text-slate-300 rounded-lg
+                                   border border-white/10 hover:bg-white/5 transition-colors"
+                    >
+                        Stay on this page
+                    </button>
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+};
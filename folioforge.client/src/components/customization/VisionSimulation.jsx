@@ -0,0 +1,54 @@
+import { Eye, X } from 'lucide-react';
+import { useCustomizationStore } from '../../stores/useCustomizationStore';
+import { VISION_SIMULATIONS, toFeColorMatrix } from '../../utils/color';
+
+const filterId = (id) => `ff-vision-${id}`;
+
+/**
+ * VisionSimulation
+ *
+ * Wraps the live preview and, when a simulation is picked in the Colors
+ * tab, filters it through an SVG colour matrix so the owner sees the
+ * portfolio as someone with that colour-vision deficiency would. A chip
+ * over the preview says which simulation is on and turns it off.
+ */
+export const VisionSimulation = ({ children }) => {
+    const { visionSimulation, setVisionSimulation } = useCustomizationStore();
+    const active = VISION_SIMULATIONS.find(v => v.id === visionSimulation && v.matrix);
+
+    return (
+        <div className="relative flex-1 flex flex-col min-h-0">
+            <svg className="absolute w-0 h-0" aria-hidden="true" focusable="false">
+                <defs>
+                    {VISION_SIMULATIONS.filter(v => v.matrix).map(v => (
+                        <filter key={v.id} id={filterId(v.id)}>
+                            <feColorMatrix type="matrix" values={toFeColorMatrix(v.matrix)} />
+                        </filter>
+                    ))}
+                </defs>
+            </svg>
+
+            <div
+                className="flex-1 flex flex-col min-h-0"
+                style={active ? { filter: `url(#${filterId(active.id)})` } : undefined}
+            >
+                {children}
+            </div>
+
+            {active && (
+                <div className="absolute top-3 right-5 z-10 flex items-center gap-1.5 pl-2.5 pr-1 py-1 rounded-full
+                                bg-slate-900/90 border border-white/10 text-xs text-slate-200 shadow-lg">
+                    <Eye size={12} className="text-blue-400" />
+                    Simulating {active.label.toLowerCase()}
+                    <button
+                        onClick={() => setVisionSimulation('none')}
+                        aria-label="Stop simulating"
+                        className="p-0.5 rounded-full text-slate-400 hover:text-white hover:bg-white/10"
+                    >
+                        <X size={12} />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
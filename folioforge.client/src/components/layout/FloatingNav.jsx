@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ThemeToggle } from '../ui/ThemeToggle';
+import { useTheme } from '../../context/ThemeContext';
 
 const DEFAULT_NAV_ITEMS = [
     { id: 'hero', label: 'Home', icon: '🏠' },
@@ -16,6 +17,7 @@ export const FloatingNav = ({ items }) => {
     const [isScrolled, setIsScrolled] = useState(false);
     const [isVisible, setIsVisible] = useState(true);
     const [lastScrollY, setLastScrollY] = useState(0);
+    const { canToggle } = useTheme();
 
     useEffect(() => {
         const handleScroll = () => {
@@ -104,13 +106,15 @@ export const FloatingNav = ({ items }) => {
                             </li>
                         ))}
                         
-                        {/* Divider */}
-                        <li className="w-px h-6 bg-slate-200 dark:bg-slate-700 mx-2" />
-                        
-                        {/* Theme toggle */}
-                        <li>
-                            <ThemeToggle />
-                        </li>
+                        {/* Theme toggle – only when the owner lets visitors pick */}
+                        {canToggle && (
+                            <>
+                                <li className="w-px h-6 bg-slate-200 dark:bg-slate-700 mx-2" />
+                                <li>
+                                    <ThemeToggle />
+                                </li>
+                            </>
+                        )}
                     </ul>
                 </motion.nav>
             )}
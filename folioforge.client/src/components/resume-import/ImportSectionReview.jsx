@@ -0,0 +1,287 @@
+import { useState } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { getSectionIcon } from '../../features/portfolio/sectionRegistry';
+import { canMergeSection, describeItem, itemTitle, ITEM_FIELD_LABELS } from '../../utils/resumeImport';
+
+const MODE_LABELS = { keep: 'Keep mine', replace: 'Use AI', merge: 'Merge' };
+
+/** Row choices, in display order, by row status */
+const ROW_CHOICES = {
+    matched:  [['mine', 'Mine'], ['merge', 'Fill blanks'], ['ai', 'AI']],
+    new:      [['add', 'Add'], ['skip', 'Skip']],
+    existing: [['keep', 'Keep'], ['remove', 'Remove']],
+    field:    [['mine', 'Mine'], ['ai', 'AI']],
+};
+
+const ROW_BADGES = {
+    matched:  { label: 'In both',       className: 'text-amber-300 bg-amber-500/10 border-amber-500/30' },
+    new:      { label: 'New from AI',   className: 'text-emerald-300 bg-emerald-500/10 border-emerald-500/30' },
+    existing: { label: 'Only yours',    className: 'text-slate-400 bg-white/5 border-white/10' },
+    same:     { label: 'Same',          className: 'text-slate-500 bg-white/5 border-white/10' },
+};
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+/** One-line summary of what the AI proposes for a section */
+const summarize = (section) => {
+    if (section.isEmpty) return 'The AI found nothing for this section.';
+    if (section.isIdentical) return 'Nothing new — matches what you have.';
+    if (!section.current) return "You don't have this section yet.";
+    if (!canMergeSection(section)) return 'The AI wrote a different version.';
+
+    const count = (status) => section.rows.filter(r => r.status === status).length;
+    const parts = [
+        count('new') && `${count('new')} new`,
+        count('matched') && `${count('matched')} to compare`,
+        count('field') && `${count('field')} different`,
+    ].filter(Boolean);
+    return parts.join(', ') || 'Nothing new — matches what you have.';
+};
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const Segmented = ({ label, options, value, onChange, size = 'sm' }) => (
+    <div className="flex rounded-md border border-white/10 overflow-hidden flex-shrink-0" role="radiogroup" aria-label={label}>
+        {options.map(([option, text]) => (
+            <button
+                key={option}
+                role="radio"
+                aria-checked={value === option}
+                onClick={() => onChange(option)}
+                className={`${size === 'sm' ? 'px-2.5 py-1 text-xs' : 'px-2 py-0.5 text-[11px]'}
+                            transition-colors border-l border-white/10 first:border-l-0 ${
+                    value === option
+                        ? 'bg-blue-500/20 text-blue-200'
+                        : 'text-slate-400 hover:bg-white/5'
+                }`}
+            >
+                {text}
+            </button>
+        ))}
+    </div>
+);
+
+const Empty = () => <span className="text-slate-600 italic">—</span>;
+
+const ItemDetails = ({ item }) => {
+    if (!item) return <Empty />;
+    const fields = describeItem(item);
+    if (fields.length === 0) return <Empty />;
+    return (
+        <dl className="space-y-1">
+            {fields.map(({ key, label, value }) => (
+                <div key={key}>
+                    <dt className="text-[10px] uppercase tracking-wider text-slate-600">{label}</dt>
+                    <dd className="text-xs text-slate-300 whitespace-pre-line break-words">{value}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+};
+
+const SideBySide = ({ mine, ai }) => (
+    <div className="grid grid-cols-2 gap-3">
+        <div className="min-w-0 rounded-lg bg-white/[0.02] border border-white/5 p-2.5">{mine}</div>
+        <div className="min-w-0 rounded-lg bg-purple-500/[0.04] border border-purple-500/10 p-2.5">{ai}</div>
+    </div>
+);
+
+const ColumnHeadings = () => (
+    <div className="grid grid-cols-2 gap-3 text-[10px] uppercase tracking-wider text-slate-500">
+        <span>Yours now</span>
+        <span>From your resume</span>
+    </div>
+);
+
+const RowHeader = ({ title, row, choice, onChoose, readOnly }) => {
+    const badge = ROW_BADGES[row.status];
+    // "Fill blanks" needs something from the AI for a field I left empty
+    const choices = ROW_CHOICES[row.status]?.filter(([option]) => option !== 'merge' || row.canFill);
+    return (
+        <div className="flex items-center gap-2 mb-2">
+            <p className="flex-1 min-w-0 text-sm font-medium text-white truncate">{title}</p>
+            {badge && (
+                <span className={`px-1.5 py-px rounded border text-[10px] ${badge.className}`}>{badge.label}</span>
+            )}
+            {choices && !readOnly && (
+                <Segmented label={`Choose for ${title}`} options={choices} value={choice} onChange={onChoose} size="xs" />
+            )}
+        </div>
+    );
+};
+
+const ItemRows = ({ section, choices, onChoose, readOnly }) => (
+    <ul className="space-y-3">
+        {section.rows.map(row => (
+            <li key={row.id} className={row.status === 'same' ? 'opacity-60' : undefined}>
+                <RowHeader
+                    title={itemTitle(section, row.mine ?? row.ai)}
+                    row={row}
+                    choice={choices[row.id]}
+                    onChoose={(choice) => onChoose(row.id, choice)}
+                    readOnly={readOnly}
+                />
+                <SideBySide mine={<ItemDetails item={row.mine} />} ai={<ItemDetails item={row.ai} />} />
+            </li>
+        ))}
+    </ul>
+);
+
+const TagRows = ({ section, choices, onChoose, readOnly }) => (
+    <SideBySide
+        mine={
+            <div className="flex flex-wrap gap-1.5">
+                {section.rows.filter(r => r.mine !== null).map(row => {
+                    const removed = !readOnly && row.status === 'existing' && choices[row.id] === 'remove';
+                    return (
+                        <button
+                            key={row.id}
+                            disabled={readOnly || row.status === 'same'}
+                            onClick={() => onChoose(row.id, removed ? 'keep' : 'remove')}
+                            aria-pressed={!removed}
+                            title={row.status === 'same' ? 'Also on your resume' : removed ? 'Click to keep' : 'Click to remove'}
+                            className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                                removed
+                                    ? 'border-white/10 text-slate-600 line-through'
+                                    : 'border-white/15 bg-white/5 text-slate-200'
+                            }`}
+                        >
+                            {row.mine}
+                        </button>
+                    );
+                })}
+            </div>
+        }
+        ai={
+            <div className="flex flex-wrap gap-1.5">
+                {section.rows.filter(r => r.status === 'new').map(row => {
+                    const added = !readOnly && choices[row.id] === 'add';
+                    return (
+                        <button
+                            key={row.id}
+                            disabled={readOnly}
+                            onClick={() => onChoose(row.id, added ? 'skip' : 'add')}
+                            aria-pressed={added}
+                            title={added ? 'Click to skip' : 'Click to add'}
+                            className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                                added
+                                    ? 'border-emerald-500/40 bg-emerald-500/15 text-emerald-200'
+                                    : 'border-white/10 text-slate-500'
+                            }`}
+                        >
+                            {added ? '+ ' : ''}{row.ai}
+                        </button>
+                    );
+                })}
+                {section.rows.every(r => r.status !== 'new') && <Empty />}
+            </div>
+        }
+    />
+);
+
+const FieldRows = ({ section, choices, onChoose, readOnly }) => (
+    <ul className="space-y-2">
+        {section.rows.map(row => (
+            <li key={row.id} className={row.status === 'same' ? 'opacity-60' : undefined}>
+                <RowHeader
+                    title={ITEM_FIELD_LABELS[row.name] ?? row.name}
+                    row={row}
+                    choice={choices[row.id]}
+                    onChoose={(choice) => onChoose(row.id, choice)}
+                    readOnly={readOnly}
+                />
+                <SideBySide
+                    mine={row.mine ? <span className="text-xs text-slate-300 break-all">{row.mine}</span> : <Empty />}
+                    ai={<span className="text-xs text-slate-300 break-all">{row.ai}</span>}
+                />
+            </li>
+        ))}
+    </ul>
+);
+
+/** Text sections, and types the review doesn't know how to split */
+const WholeSection = ({ section }) => {
+    const text = (content) => (section.kind === 'text' ? content?.[section.field] : JSON.stringify(content));
+    return (
+        <SideBySide
+            mine={section.current
+                ? <p className="text-xs text-slate-300 whitespace-pre-line break-words">{text(section.mine) || <Empty />}</p>
+                : <Empty />}
+            ai={<p className="text-xs text-slate-300 whitespace-pre-line break-words">{text(section.ai) || <Empty />}</p>}
+        />
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * ImportSectionReview
+ *
+ * One section of a resume import, the owner's current content next to what
+ * the AI extracted. The header picks keep / use AI / merge for the whole
+ * section; in merge mode every item, skill or link gets its own choice.
+ * Sections with nothing new start collapsed.
+ *
+ * @param {object} props.section - An entry from `buildImportReview`
+ * @param {{ mode: string, rows: object }} props.decision
+ * @param {(decision) => void} props.onChange
+ */
+export const ImportSectionReview = ({ section, decision, onChange }) => {
+    const nothingToDo = section.isEmpty || section.isIdentical;
+    const [isOpen, setIsOpen] = useState(!nothingToDo);
+
+    const modes = section.current
+        ? ['keep', 'replace', ...(canMergeSection(section) ? ['merge'] : [])]
+        : ['keep', 'replace'];
+    const modeLabels = section.current ? MODE_LABELS : { keep: 'Leave out', replace: 'Add section' };
+
+    const chooseRow = (rowId, choice) =>
+        onChange({ ...decision, rows: { ...decision.rows, [rowId]: choice } });
+
+    const Rows = { items: ItemRows, tags: TagRows, fields: FieldRows }[section.kind];
+
+    return (
+        <li className="rounded-xl border border-white/10 bg-white/[0.03]">
+            <div className="flex items-center gap-3 p-4">
+                <button
+                    onClick={() => setIsOpen(open => !open)}
+                    aria-expanded={isOpen}
+                    aria-label={`Show ${section.label}`}
+                    className="p-0.5 text-slate-500 hover:text-white transition-colors"
+                >
+                    <ChevronDown size={16} className={`transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+                </button>
+                <span aria-hidden="true">{getSectionIcon(section.sectionType)}</span>
+                <div className="flex-1 min-w-0">
+                    <p className="text-sm font-semibold text-white">{section.label}</p>
+                    <p className="text-xs text-slate-500 truncate">{summarize(section)}</p>
+                </div>
+                {!nothingToDo && (
+                    <Segmented
+                        label={`What to do with ${section.label}`}
+                        options={modes.map(mode => [mode, modeLabels[mode]])}
+                        value={decision.mode}
+                        onChange={(mode) => onChange({ ...decision, mode })}
+                    />
+                )}
+            </div>
+
+            {isOpen && !section.isEmpty && (
+                <div className="px-4 pb-4 space-y-3">
+                    <ColumnHeadings />
+                    {Rows ? (
+                        <Rows
+                            section={section}
+                            choices={decision.rows}
+                            onChoose={chooseRow}
+                            // Per-row choices only count when merging
+                            readOnly={decision.mode !== 'merge'}
+                        />
+                    ) : (
+                        <WholeSection section={section} />
+                    )}
+                </div>
+            )}
+        </li>
+    );
+};
@@ -0,0 +1,68 @@
+import { Clock, Sparkles } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { PlanLimitError, RateLimitError } from '../../api/errors';
+import { useCountdown } from '../../hooks/useCountdown';
+
+// ─── sub-components ───────────────────────────────────────────────────────────
+
+const RateLimitNotice = ({ error, onRetry }) => {
+    const seconds = useCountdown(error.retryAt);
+
+    return (
+        <div role="alert" className="flex items-center gap-2 p-3 rounded-lg border border-amber-500/30 bg-amber-500/10 text-sm text-amber-200">
+            <Clock size={16} className="flex-shrink-0" />
+            <span className="flex-1" aria-live="polite">
+                {error.message}
+                {seconds > 0 && <> Try again in {seconds} s.</>}
+            </span>
+            {onRetry && (
+                <button
+                    onClick={onRetry}
+                    disabled={seconds > 0}
+                    className="text-xs underline flex-shrink-0 disabled:opacity-50 disabled:no-underline"
+                >
+                    Try again
+                </button>
+            )}
+        </div>
+    );
+};
+
+const PlanLimitNotice = ({ error }) => {
+    const navigate = useNavigate();
+
+    return (
+        <div role="alert" className="flex items-center gap-3 p-3 rounded-lg border border-purple-500/30 bg-purple-500/10 text-sm text-purple-200">
+            <Sparkles size={16} className="flex-shrink-0" />
+            <span className="flex-1">{error.message}</span>
+            <button
+                onClick={() => navigate(error.upgradePath)}
+                className="px-3 py-1.5 rounded-lg text-xs font-semibold flex-shrink-0
+                           bg-gradient-to-r from-blue-500 to-purple-500
+                           hover:from-blue-600 hover:to-purple-600 transition-all text-white"
+            >
+                Upgrade
+            </button>
+        </div>
+    );
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * LimitNotice
+ *
+ * Inline notice for a request the API refused because of a limit: a
+ * `RateLimitError` counts down to when it may be retried (the retry button
+ * waits for it), a `PlanLimitError` offers the upgrade. Renders nothing for
+ * other errors (see `isLimitError`), so callers can fall back to their usual message.
+ *
+ * @param {Object} props
+ * @param {Error|null} props.error
+ * @param {() => void} [props.onRetry] - Rate limits only
+ */
+export const LimitNotice = ({ error, onRetry }) => {
+    if (error instanceof RateLimitError) return <RateLimitNotice error={error} onRetry={onRetry} />;
+    if (error instanceof PlanLimitError) return <PlanLimitNotice error={error} />;
+    return null;
+};
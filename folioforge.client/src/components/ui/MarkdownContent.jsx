@@ -0,0 +1,121 @@
+import { useMemo } from 'react';
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+/**
+ * Markdown → sanitized HTML.
+ *
+ * Pattern: parse with `marked` (GitHub-flavoured: tables, fenced code,
+ * autolinks), then run the output through DOMPurify so user-authored raw
+ * HTML can never inject scripts, event handlers or `javascript:` URLs.
+ */
+// Our own instances: these options and the hook below must not change how
+// the rest of the app parses or sanitizes
+const marked = new Marked({ gfm: true, breaks: true });
+const purify = DOMPurify(window);
+
+// External links open in a new tab without leaking `window.opener`
+purify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && /^https?:/i.test(node.getAttribute('href') || '')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+const renderMarkdown = (source) =>
+    purify.sanitize(marked.parse(source || ''), {
+        USE_PROFILES: { html: true },
+        FORBID_TAGS: ['style', 'form', 'input', 'button', 'iframe'],
+        ADD_ATTR: ['target'],
+    });
+
+/** Typography for rendered markdown, driven by the portfolio theme variables */
+const MARKDOWN_CSS = `
+    .markdown-body {
+        color: var(--color-text, inherit);
+        line-height: 1.75;
+        overflow-wrap: anywhere;
+    }
+    .markdown-body > * + * { margin-top: 1em; }
+    .markdown-body h1, .markdown-body h2, .markdown-body h3,
+    .markdown-body h4, .markdown-body h5, .markdown-body h6 {
+        font-family: var(--font-heading-family, inherit), ui-sans-serif, system-ui, sans-serif;
+        color: var(--color-primary, inherit);
+        font-weight: 700;
+        line-height: 1.25;
+        margin-top: 1.5em;
+    }
+    .markdown-body h1 { font-size: 2em; }
+    .markdown-body h2 { font-size: 1.5em; }
+    .markdown-body h3 { font-size: 1.25em; }
+    .markdown-body a {
+        color: var(--color-primary, #3B82F6);
+        text-decoration: underline;
+        text-underline-offset: 3px;
+    }
+    .markdown-body ul { list-style: disc; padding-left: 1.5em; }
+    .markdown-body ol { list-style: decimal; padding-left: 1.5em; }
+    .markdown-body li + li { margin-top: 0.25em; }
+    .markdown-body blockquote {
+        border-left: 4px solid var(--color-primary, currentColor);
+        padding-left: 1em;
+        opacity: 0.8;
+        font-style: italic;
+    }
+    .markdown-body code {
+        font-family: "Fira Code", ui-monospace, monospace;
+        font-size: 0.875em;
+        padding: 0.15em 0.4em;
+        border-radius: 0.375rem;
+        background: color-mix(in srgb, var(--color-text, currentColor) 10%, transparent);
+    }
+    .markdown-body pre {
+        padding: 1em;
+        border-radius: 0.75rem;
+        overflow-x: auto;
+        background: color-mix(in srgb, var(--color-text, currentColor) 8%, transparent);
+        border: 1px solid color-mix(in srgb, var(--color-text, currentColor) 12%, transparent);
+    }
+    .markdown-body pre code { padding: 0; background: none; }
+    .markdown-body table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.925em;
+    }
+    .markdown-body th, .markdown-body td {
+        padding: 0.5em 0.75em;
+        border: 1px solid color-mix(in srgb, var(--color-text, currentColor) 15%, transparent);
+        text-align: left;
+    }
+    .markdown-body th {
+        background: color-mix(in srgb, var(--color-primary, currentColor) 12%, transparent);
+        font-weight: 600;
+    }
+    .markdown-body hr {
+        border: 0;
+        border-top: 1px solid color-mix(in srgb, var(--color-text, currentColor) 15%, transparent);
+    }
+    .markdown-body img { max-width: 100%; border-radius: 0.75rem; }
+`;
+
+/**
+ * MarkdownContent
+ *
+ * Renders a markdown string as sanitized, theme-aware HTML.
+ * Used by the Markdown section and by the editor's live preview.
+ */
+export const MarkdownContent = ({ source, className = '' }) => {
+    const html = useMemo(() => renderMarkdown(source), [source]);
+
+    return (
+        <>
+            <style>{MARKDOWN_CSS}</style>
+            <div
+                className={`markdown-body ${className}`}
+                dangerouslySetInnerHTML={{ __html: html }}
+            />
+        </>
+    );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,49 @@
+import { Gauge } from 'lucide-react';
+import { useRateLimitStore } from '../../stores/useRateLimitStore';
+import { useCountdown } from '../../hooks/useCountdown';
+
+/** Show the indicator once this share of the bucket or less is left */
+const LOW_QUOTA_RATIO = 0.25;
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * RateLimitIndicator
+ *
+ * Header pill for the API's rate-limit quota (`useRateLimitStore`). Hidden
+ * while plenty of requests are left; shows what's left once the quota runs
+ * low, and a countdown after the API has started refusing requests.
+ */
+export const RateLimitIndicator = () => {
+    const limit = useRateLimitStore(s => s.limit);
+    const remaining = useRateLimitStore(s => s.remaining);
+    const throttledUntil = useRateLimitStore(s => s.throttledUntil);
+    const seconds = useCountdown(throttledUntil);
+
+    if (seconds > 0) {
+        return (
+            <span
+                role="status"
+                className="flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium
+                           bg-red-500/20 text-red-300 border border-red-500/30"
+            >
+                <Gauge size={12} />
+                Slow down — {seconds} s
+            </span>
+        );
+    }
+
+    if (!limit || remaining === null || remaining > limit * LOW_QUOTA_RATIO) return null;
+
+    return (
+        <span
+            role="status"
+            title="Requests left before the API asks you to wait"
+            className="flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs font-medium
+                       bg-amber-500/20 text-amber-300 border border-amber-500/30"
+        >
+            <Gauge size={12} />
+            {remaining}/{limit} requests left
+        </span>
+    );
+};
@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from 'react';
+import { AlertCircle, FileText, Loader2, Upload } from 'lucide-react';
+import {
+    formatBytes,
+    prepareResumeFile,
+    RESUME_ACCEPT,
+    RESUME_FORMAT_LABELS,
+    RESUME_MAX_BYTES,
+    RESUME_MAX_PAGES,
+} from '../../utils/resumeFile';
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const checkResume = (file) =>
+    prepareResumeFile(file).catch(() => ({ ok: false, error: "This file couldn't be read." }));
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const Preview = ({ source, result }) => (
+    <div className="flex gap-4 items-start">
+        {result.thumbnail ? (
+            <img
+                src={result.thumbnail}
+                alt="First page of the resume"
+                className="w-24 rounded-md border border-white/10 bg-white flex-shrink-0"
+            />
+        ) : (
+            <div className="w-24 h-32 rounded-md border border-white/10 bg-white/5 flex items-center justify-center flex-shrink-0">
+                <FileText size={28} className="text-slate-500" />
+            </div>
+        )}
+        <div className="min-w-0 flex-1">
+            <p className="text-sm font-medium text-white truncate">{source.name}</p>
+            <p className="text-xs text-slate-500 mb-2">
+                {RESUME_FORMAT_LABELS[result.format]} · {formatBytes(source.size)}
+                {result.pages && ` · ${result.pages} page${result.pages === 1 ? '' : 's'}`}
+            </p>
+            {result.preview && (
+                <pre className="max-h-28 overflow-hidden text-[11px] leading-snug text-slate-400 whitespace-pre-wrap font-sans">
+                    {result.preview}
+                </pre>
+            )}
+            {result.format !== 'pdf' && (
+                <p className="text-[11px] text-slate-500 mt-2">Uploaded as plain text.</p>
+            )}
+        </div>
+    </div>
+);
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * ResumeDropzone
+ *
+ * Drop target and file picker for a resume. Every file is checked in the
+ * browser before anything is sent (see `prepareResumeFile`): wrong type, too
+ * big, too many pages, password-protected or scanned PDFs are refused with
+ * the reason. A file that passes shows its first page (or opening text) and
+ * is only uploaded when the owner confirms.
+ *
+ * @param {Object} props
+ * @param {File} [props.initialFile] - Checked straight away, e.g. when dropped on a card
+ * @param {(file: File) => void} props.onUpload - Gets the normalized file (PDF or `.txt`)
+ * @param {() => void} [props.onCancel]
+ * @param {string} [props.cancelLabel]
+ * @param {boolean} [props.isUploading]
+ * @param {React.ReactNode} [props.children] - Shown above the buttons, e.g. upload progress
+ */
+export const ResumeDropzone = ({ initialFile, onUpload, onCancel, cancelLabel = 'Cancel', isUploading = false, children }) => {
+    // { status: 'idle'|'checking'|'ready'|'invalid', source?: File, result? }
+    const [check, setCheck] = useState(
+        initialFile ? { status: 'checking', source: initialFile } : { status: 'idle' }
+    );
+    const [dragOver, setDragOver] = useState(false);
+    const inputRef = useRef(null);
+    // Only the newest pick may set the result
+    const latestRef = useRef(initialFile ?? null);
+
+    const runCheck = (file) => {
+        latestRef.current = file;
+        checkResume(file).then(result => {
+            if (latestRef.current !== file) return;
+            setCheck({ status: result.ok ? 'ready' : 'invalid', source: file, result });
+        });
+    };
+
+    const pick = (file) => {
+        if (!file || isUploading) return;
+        setCheck({ status: 'checking', source: file });
+        runCheck(file);
+    };
+
+    useEffect(() => {
+        if (!initialFile) return;
+        latestRef.current = initialFile;
+        checkResume(initialFile).then(result => {
+            if (latestRef.current !== initialFile) return;
+            setCheck({ status: result.ok ? 'ready' : 'invalid', source: initialFile, result });
+        });
+    }, [initialFile]);
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragOver(false);
+        pick(e.dataTransfer.files?.[0]);
+    };
+
+    const isChecking = check.status === 'checking';
+
+    return (
+        <div className="space-y-4">
+            <div
+                role="button"
+                tabIndex={0}
+                aria-label="Choose a resume file"
+                onClick={() => !isUploading && inputRef.current?.click()}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        if (!isUploading) inputRef.current?.click();
+                    }
+                }}
+                onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+                onDragLeave={() => setDragOver(false)}
+                onDrop={handleDrop}
+                className={`rounded-xl border-2 border-dashed p-5 transition-colors cursor-pointer
+                            ${dragOver
+                                ? 'border-blue-400 bg-blue-500/10'
+                                : check.status === 'invalid'
+                                    ? 'border-red-500/40 bg-red-500/5'
+                                    : 'border-white/15 hover:border-white/30 bg-white/[0.02]'}`}
+            >
+                {check.status === 'ready' ? (
+                    <Preview source={check.source} result={check.result} />
+                ) : (
+                    <div className="text-center py-4">
+                        {isChecking ? (
+                            <Loader2 size={28} className="mx-auto mb-2 text-blue-300 animate-spin" />
+                        ) : (
+                            <Upload size={28} className="mx-auto mb-2 text-slate-500" />
+                        )}
+                        <p className="text-sm text-slate-300">
+                            {isChecking
+                                ? `Checking ${check.source.name}…`
+                                : <>Drop your resume here or <span className="text-blue-300 underline">browse</span></>}
+                        </p>
+                        <p className="text-xs text-slate-500 mt-1">
+                            PDF, Word (.docx), Markdown, text or a LinkedIn data export (.zip)
+                            · up to {formatBytes(RESUME_MAX_BYTES)}, {RESUME_MAX_PAGES} pages
+                        </p>
+                    </div>
+                )}
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept={RESUME_ACCEPT}
+                    className="hidden"
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => {
+                        pick(e.target.files?.[0]);
+                        e.target.value = ''; // picking the same file again re-checks it
+                    }}
+                />
+            </div>
+
+            {check.status === 'invalid' && (
+                <p role="alert" className="flex items-start gap-2 text-sm text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+                    <span>
+                        <span className="font-medium">{check.source.name}:</span> {check.result.error}
+                    </span>
+                </p>
+            )}
+
+            {children}
+
+            <div className="flex gap-3">
+                {onCancel && (
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="flex-1 px-4 py-2.5 rounded-lg text-sm
+                                   bg-white/10 hover:bg-white/20
+                                   border border-white/10 transition-colors"
+                    >
+                        {cancelLabel}
+                    </button>
+                )}
+                <button
+                    type="button"
+                    disabled={check.status !== 'ready' || isUploading}
+                    onClick={() => onUpload(check.result.upload)}
+                    className="flex-1 px-4 py-2.5 rounded-lg text-sm font-semibold
+                               bg-gradient-to-r from-blue-500 to-purple-500
+                               hover:from-blue-600 hover:to-purple-600
+                               disabled:opacity-50 disabled:cursor-not-allowed
+                               transition-all"
+                >
+                    {isUploading ? 'Uploading…' : 'Upload resume'}
+                </button>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,131 @@
+import { motion } from 'framer-motion';
+import { Check, Loader2, X } from 'lucide-react';
+import { RESUME_JOB_STAGES } from '../../hooks/useResumeJob';
+
+// ─── sub-components ──────────────────────────────────────────────────────────
+
+const StageIcon = ({ state }) => {
+    if (state === 'complete') {
+        return (
+            <span className="w-5 h-5 rounded-full bg-emerald-500/20 text-emerald-300 flex items-center justify-center">
+                <Check size={12} />
+            </span>
+        );
+    }
+    if (state === 'active') {
+        return (
+            <span className="w-5 h-5 rounded-full bg-blue-500/20 text-blue-300 flex items-center justify-center">
+                <Loader2 size={12} className="animate-spin" />
+            </span>
+        );
+    }
+    if (state === 'failed') {
+        return (
+            <span className="w-5 h-5 rounded-full bg-red-500/20 text-red-300 flex items-center justify-center">
+                <X size={12} />
+            </span>
+        );
+    }
+    return <span className="w-5 h-5 rounded-full border border-white/15" />;
+};
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * ResumeJobProgress
+ *
+ * Staged progress for a resume upload (from `useResumeJob`): each stage
+ * shows as done, in progress, failed or still to come. A failure names
+ * the stage it happened in and the reason; finished jobs can be dismissed.
+ * A finished parse hasn't changed the portfolio yet — `onReview` opens
+ * the side-by-side review where it's applied.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Portfolio being updated
+ * @param {ReturnType<import('../../hooks/useResumeJob').useResumeJob>} props.job
+ * @param {() => void} [props.onReview]
+ * @param {() => void} [props.onDismiss]
+ */
+export const ResumeJobProgress = ({ title, job, onReview, onDismiss }) => {
+    const { stage, reachedStage, error, isDone, isFailed, isFinished } = job;
+    const activeIndex = isDone
+        ? RESUME_JOB_STAGES.length
+        : RESUME_JOB_STAGES.findIndex(s => s.id === (isFailed ? reachedStage : stage));
+
+    const stateOf = (index) => {
+        if (index < activeIndex) return 'complete';
+        if (index > activeIndex) return 'pending';
+        return isFailed ? 'failed' : 'active';
+    };
+
+    const tone = isDone
+        ? 'bg-emerald-500/10 border-emerald-500/30'
+        : isFailed
+        ? 'bg-red-500/10 border-red-500/30'
+        : 'bg-blue-500/10 border-blue-500/30';
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className={`mb-6 p-4 rounded-xl border ${tone}`}
+            role="status"
+            aria-live="polite"
+        >
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <p className="text-sm font-semibold text-white">
+                        {isDone
+                            ? '✅ Your resume is ready to review'
+                            : isFailed
+                            ? "Your resume couldn't be processed"
+                            : 'Processing your resume…'}
+                    </p>
+                    {title && <p className="text-xs text-slate-400 mt-0.5">{title}</p>}
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0">
+                    {isDone && onReview && (
+                        <button
+                            onClick={onReview}
+                            className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-emerald-500/20 text-emerald-200 hover:bg-emerald-500/30 transition-colors"
+                        >
+                            Review changes
+                        </button>
+                    )}
+                    {isFinished && onDismiss && (
+                        <button onClick={onDismiss} className="text-xs text-slate-300 underline">
+                            Dismiss
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <ol className="mt-4 grid grid-cols-2 sm:grid-cols-5 gap-3">
+                {RESUME_JOB_STAGES.map((s, index) => {
+                    const state = stateOf(index);
+                    return (
+                        <li
+                            key={s.id}
+                            className="flex items-center gap-2 text-xs"
+                            aria-current={state === 'active' ? 'step' : undefined}
+                        >
+                            <StageIcon state={state} />
+                            <span className={
+                                state === 'pending' ? 'text-slate-500'
+                                    : state === 'failed' ? 'text-red-300'
+                                    : 'text-slate-200'
+                            }>
+                                {s.label}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {isFailed && error && (
+                <p className="mt-3 text-sm text-red-300" role="alert">{error}</p>
+            )}
+        </motion.div>
+    );
+};
@@ -0,0 +1,188 @@
+import { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Check, Contact, Copy, Download, Share2, X } from 'lucide-react';
+import { qrPng, qrSvg } from '../../utils/qrCode';
+import { buildVCard, portfolioCard, vcardFileName } from '../../utils/vcard';
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const publicUrl = (slug) => `${window.location.origin}/p/${slug}`;
+
+const actionClass = `flex items-center justify-center gap-1.5 px-3 py-2 rounded-lg text-sm
+                     bg-white/10 hover:bg-white/20 border border-white/10 transition-colors
+                     disabled:opacity-50 disabled:cursor-wait`;
+
+// ─── public component ────────────────────────────────────────────────────────
+
+/**
+ * ShareSheet
+ *
+ * Everything needed to hand a portfolio to someone in person or online:
+ * a QR code of its public address in the theme colour (SVG or PNG), a
+ * vCard built from its About and Contact sections, a copyable link and,
+ * where the browser has one, the system share sheet. All generated here
+ * in the browser. Render inside `AnimatePresence`.
+ *
+ * @param {Object} props.portfolio - `title`, `slug`, `sections`, `isPublished`
+ * @param {string} [props.color] - Theme primary colour for the QR code
+ * @param {() => void} props.onClose
+ */
+export const ShareSheet = ({ portfolio, color, onClose }) => {
+    const [copied, setCopied] = useState(false);
+    const [savingPng, setSavingPng] = useState(false);
+    const [error, setError] = useState(null);
+
+    const url = publicUrl(portfolio.slug);
+    const fileBase = portfolio.slug || 'portfolio';
+    const svg = useMemo(() => qrSvg(url, { color }), [url, color]);
+    const canShare = typeof navigator.share === 'function';
+
+    useEffect(() => {
+        const onKeyDown = (e) => e.key === 'Escape' && onClose();
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
+
+    useEffect(() => {
+        if (!copied) return undefined;
+        const id = setTimeout(() => setCopied(false), 2000);
+        return () => clearTimeout(id);
+    }, [copied]);
+
+    const handleCopy = async () => {
+        setError(null);
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+        } catch {
+            setError('Couldn\'t copy — select the link and copy it instead.');
+        }
+    };
+
+    const handleShare = async () => {
+        setError(null);
+        try {
+            await navigator.share({ title: portfolio.title, url });
+        } catch (err) {
+            // Closing the system sheet rejects with AbortError; that's not a failure
+            if (err?.name !== 'AbortError') setError('Sharing isn\'t available right now.');
+        }
+    };
+
+    const handlePng = async () => {
+        setError(null);
+        setSavingPng(true);
+        try {
+            downloadBlob(`${fileBase}-qr.png`, await qrPng(url, { color }));
+        } catch {
+            setError('Couldn\'t create the PNG. Try the SVG instead.');
+        } finally {
+            setSavingPng(false);
+        }
+    };
+
+    const handleVCard = () => {
+        const card = portfolioCard(portfolio, url);
+        downloadBlob(vcardFileName(card.name), new Blob([buildVCard(card)], { type: 'text/vcard' }));
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm p-4"
+            onClick={onClose}
+        >
+            <motion.div
+                initial={{ scale: 0.95, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                exit={{ scale: 0.95, opacity: 0 }}
+                onClick={(e) => e.stopPropagation()}
+                className="bg-slate-900 border border-white/10 rounded-2xl p-6 w-full max-w-sm shadow-2xl text-white"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="share-sheet-title"
+            >
+                <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                        <h3 id="share-sheet-title" className="text-lg font-bold">Share portfolio</h3>
+                        <p className="text-sm text-slate-400 truncate">{portfolio.title}</p>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        aria-label="Close"
+                        className="p-1 text-slate-500 hover:text-white transition-colors"
+                    >
+                        <X size={18} />
+                    </button>
+                </div>
+
+                {portfolio.isPublished === false && (
+                    <p className="mt-4 text-xs text-amber-300 bg-amber-500/10 border border-amber-500/20 rounded-lg px-3 py-2">
+                        This portfolio isn't published, so the link shows "not found" until it is.
+                    </p>
+                )}
+
+                <img
+                    src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+                    alt={`QR code for ${url}`}
+                    className="mt-5 mx-auto w-56 h-56 rounded-xl"
+                />
+
+                <div className="grid grid-cols-2 gap-2 mt-5">
+                    <button
+                        onClick={() => downloadBlob(`${fileBase}-qr.svg`, new Blob([svg], { type: 'image/svg+xml' }))}
+                        className={actionClass}
+                    >
+                        <Download size={14} /> SVG
+                    </button>
+                    <button onClick={handlePng} disabled={savingPng} className={actionClass}>
+                        <Download size={14} /> {savingPng ? 'Drawing…' : 'PNG'}
+                    </button>
+                    <button onClick={handleVCard} className={`${actionClass} col-span-2`}>
+                        <Contact size={14} /> Save contact card (.vcf)
+                    </button>
+                </div>
+
+                <div className="flex gap-2 mt-5">
+                    <input
+                        type="text"
+                        readOnly
+                        value={url}
+                        onFocus={(e) => e.target.select()}
+                        aria-label="Portfolio link"
+                        className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg px-3 py-2
+                                   text-sm text-slate-300 font-mono focus:outline-none focus:border-blue-500/60"
+                    />
+                    <button onClick={handleCopy} className={actionClass}>
+                        {copied ? <Check size={14} className="text-emerald-400" /> : <Copy size={14} />}
+                        {copied ? 'Copied' : 'Copy'}
+                    </button>
+                </div>
+
+                {canShare && (
+                    <button
+                        onClick={handleShare}
+                        className="w-full mt-3 flex items-center justify-center gap-2 px-4 py-2.5 text-sm font-semibold
+                                   rounded-lg text-white bg-gradient-to-r from-blue-500 to-purple-500
+                                   hover:from-blue-600 hover:to-purple-600 transition-all"
+                    >
+                        <Share2 size={14} /> Share…
+                    </button>
+                )}
+
+                {error && <p role="alert" className="mt-3 text-xs text-rose-400">{error}</p>}
+            </motion.div>
+        </motion.div>
+    );
+};
@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import {
+    DndContext,
+    DragOverlay,
+    KeyboardSensor,
+    PointerSensor,
+    TouchSensor,
+    closestCenter,
+    useSensor,
+    useSensors,
+} from '@dnd-kit/core';
+import {
+    SortableContext,
+    arrayMove,
+    sortableKeyboardCoordinates,
+    useSortable,
+} from '@dnd-kit/sortable';
+import { GripVertical } from 'lucide-react';
+
+/**
+ * Keep every row in place while dragging — the drop indicator shows where
+ * the item will land and the DragOverlay follows the pointer.
+ */
+const staticStrategy = () => null;
+
+const DropIndicator = ({ position }) => (
+    <div
+        aria-hidden="true"
+        className={`absolute left-1 right-1 h-0.5 rounded-full bg-blue-500 shadow-[0_0_6px_rgba(59,130,246,0.8)]
+                    pointer-events-none z-10 ${position === 'before' ? '-top-[5px]' : '-bottom-[5px]'}`}
+    />
+);
+
+const SortableRow = ({ id, indicator, children }) => {
+    const {
+        attributes, listeners, setNodeRef, setActivatorNodeRef, isDragging,
+    } = useSortable({ id });
+
+    const handleProps = { ref: setActivatorNodeRef, ...attributes, ...listeners };
+
+    return (
+        <div ref={setNodeRef} className={`relative ${isDragging ? 'opacity-40' : ''}`}>
+            {indicator && <DropIndicator position={indicator} />}
+            {children({ handleProps, isDragging })}
+        </div>
+    );
+};
+
+/**
+ * DragHandle
+ *
+ * The grip button rows expose to start a drag. Spread the `handleProps`
+ * that SortableList passes to `renderItem` onto it.
+ */
+export const DragHandle = ({ label = 'Drag to reorder', size = 13, className = '', ...handleProps }) => (
+    <button
+        type="button"
+        aria-label={label}
+        title={label}
+        {...handleProps}
+        className={`p-0.5 rounded text-slate-600 hover:text-slate-300 cursor-grab active:cursor-grabbing
+                    touch-none focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500/60
+                    flex-shrink-0 ${className}`}
+    >
+        <GripVertical size={size} />
+    </button>
+);
+
+/**
+ * SortableList
+ *
+ * Vertical drag-and-drop list with pointer, touch and keyboard support
+ * (focus a handle, Space to pick up, arrows to move, Space to drop, Esc to
+ * cancel). Shows a drop indicator and auto-scrolls the nearest scroll
+ * container while dragging.
+ *
+ * @param {Array} props.items
+ * @param {(item, index) => string|number} props.getId - Stable id per row (not 0)
+ * @param {(nextItems, fromIndex, toIndex) => void} props.onReorder
+ * @param {(item, index, { handleProps, isDragging, isOverlay }) => ReactNode} props.renderItem
+ * @param {(item, index) => string} [props.getLabel] - Spoken name for screen-reader announcements
+ */
+export const SortableList = ({
+    items,
+    getId,
+    onReorder,
+    renderItem,
+    getLabel = (item, index) => `Item ${index + 1}`,
+    className = 'space-y-2',
+}) => {
+    const [activeId, setActiveId] = useState(null);
+    const [overId, setOverId] = useState(null);
+
+    const sensors = useSensors(
+        useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
+        useSensor(TouchSensor, { activationConstraint: { delay: 180, tolerance: 6 } }),
+        useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates }),
+    );
+
+    const ids = items.map((item, i) => getId(item, i));
+    const indexOf = (id) => ids.indexOf(id);
+    const activeIndex = activeId == null ? -1 : indexOf(activeId);
+    const overIndex = overId == null ? -1 : indexOf(overId);
+
+    const describe = (id) => {
+        const index = indexOf(id);
+        return index === -1 ? 'item' : getLabel(items[index], index);
+    };
+
+    const announcements = {
+        onDragStart: ({ active }) =>
+            `Picked up ${describe(active.id)}. Position ${indexOf(active.id) + 1} of ${items.length}.`,
+        onDragOver: ({ active, over }) =>
+            over ? `${describe(active.id)} moved to position ${indexOf(over.id) + 1} of ${items.length}.` : undefined,
+        onDragEnd: ({ active, over }) =>
+            over ? `${describe(active.id)} dropped at position ${indexOf(over.id) + 1} of ${items.length}.` : undefined,
+        onDragCancel: ({ active }) => `Reordering cancelled. ${describe(active.id)} returned to its position.`,
+    };
+
+    const reset = () => {
+        setActiveId(null);
+        setOverId(null);
+    };
+
+    const handleDragEnd = ({ active, over }) => {
+        reset();
+        if (!over || active.id === over.id) return;
+
+        const from = indexOf(active.id);
+        const to = indexOf(over.id);
+        if (from === -1 || to === -1) return;
+        onReorder(arrayMove(items, from, to), from, to);
+    };
+
+    const indicatorFor = (index) => {
+        if (activeIndex === -1 || overIndex === -1 || index !== overIndex || index === activeIndex) {
+            return null;
+        }
+        return activeIndex < overIndex ? 'after' : 'before';
+    };
+
+    return (
+        <DndContext
+            sensors={sensors}
+            collisionDetection={closestCenter}
+            autoScroll={{ threshold: { x: 0, y: 0.15 } }}
+            accessibility={{
+                announcements,
+                screenReaderInstructions: {
+                    draggable: 'To reorder, press Space or Enter to pick up. Use the arrow keys to move, Space or Enter to drop, or Escape to cancel.',
+                },
+            }}
+            onDragStart={({ active }) => setActiveId(active.id)}
+            onDragOver={({ over }) => setOverId(over?.id ?? null)}
+            onDragEnd={handleDragEnd}
+            onDragCancel={reset}
+        >
+            <SortableContext items={ids} strategy={staticStrategy}>
+                <div className={className}>
+                    {items.map((item, i) => (
+                        <SortableRow key={ids[i]} id={ids[i]} indicator={indicatorFor(i)}>
+                            {({ handleProps, isDragging }) =>
+                                renderItem(item, i, { handleProps, isDragging, isOverlay: false })}
+                        </SortableRow>
+                    ))}
+                </div>
+            </SortableContext>
+
+            {/* Portalled so transformed ancestors (animated panels) can't offset it */}
+            {createPortal(
+                <DragOverlay dropAnimation={null}>
+                    {activeIndex !== -1 && (
+                        <div className="shadow-2xl shadow-black/40 rounded-xl cursor-grabbing">
+                            {renderItem(items[activeIndex], activeIndex, {
+                                handleProps: {},
+                                isDragging: true,
+                                isOverlay: true,
+                            })}
+                        </div>
+                    )}
+                </DragOverlay>,
+                document.body,
+            )}
+        </DndContext>
+    );
+};
@@ -1,8 +1,16 @@
 import { motion } from 'framer-motion';
 import { useTheme } from '../../context/ThemeContext';
 
+/**
+ * ThemeToggle
+ *
+ * Switches the portfolio between its light and dark palette. Hidden when
+ * the owner has locked the portfolio to one mode.
+ */
 export const ThemeToggle = () => {
-    const { isDark, toggle } = useTheme();
+    const { isDark, toggle, canToggle } = useTheme();
+
+    if (!canToggle) return null;
 
     return (
         <motion.button
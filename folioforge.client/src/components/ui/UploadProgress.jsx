@@ -0,0 +1,82 @@
+import { AlertCircle, RotateCw } from 'lucide-react';
+import { formatBytes } from '../../utils/resumeFile';
+import { isLimitError } from '../../api/errors';
+import { LimitNotice } from './LimitNotice';
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * UploadProgress
+ *
+ * Progress of a resume upload (from `useResumeUpload`): bytes sent, percent,
+ * and a notice while a failed request waits to be retried. A failed upload
+ * shows the reason with a retry button — "Resume" when the server kept what
+ * was already sent. Rate and plan limits get a `LimitNotice` instead.
+ *
+ * @param {Object} props
+ * @param {ReturnType<import('../../hooks/useResumeUpload').useResumeUpload>} props.upload
+ * @param {() => void} [props.onRetry]
+ */
+export const UploadProgress = ({ upload, onRetry }) => {
+    const { status, loaded, total, percent, retry, error, cause, canResume } = upload;
+
+    if (status === 'failed' && isLimitError(cause)) {
+        return <LimitNotice error={cause} onRetry={onRetry} />;
+    }
+
+    if (status === 'failed') {
+        return (
+            <div role="alert" className="flex items-start gap-2 p-3 rounded-lg border border-red-500/30 bg-red-500/10 text-sm text-red-300">
+                <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+                <span className="flex-1">
+                    {error}
+                    {canResume && loaded > 0 && (
+                        <span className="block text-xs text-red-300/70 mt-0.5">
+                            {formatBytes(loaded)} of {formatBytes(total)} already sent.
+                        </span>
+                    )}
+                </span>
+                {onRetry && (
+                    <button onClick={onRetry} className="flex items-center gap-1 text-xs underline flex-shrink-0">
+                        <RotateCw size={12} />
+                        {canResume ? 'Resume' : 'Retry'}
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    if (status === 'cancelled') {
+        return <p className="text-sm text-slate-400">Upload cancelled.</p>;
+    }
+
+    if (status !== 'uploading' && status !== 'retrying') return null;
+
+    return (
+        <div>
+            <div
+                role="progressbar"
+                aria-label="Upload progress"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                className="h-2 rounded-full bg-white/10 overflow-hidden"
+            >
+                <div
+                    className={`h-full rounded-full transition-[width] duration-200 ${
+                        status === 'retrying' ? 'bg-amber-400' : 'bg-gradient-to-r from-blue-500 to-purple-500'
+                    }`}
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+            <div className="flex justify-between mt-1.5 text-xs text-slate-400" aria-live="polite">
+                <span>
+                    {status === 'retrying'
+                        ? `Connection problem — retrying in ${Math.ceil(retry.delayMs / 1000)} s (attempt ${retry.attempt})`
+                        : `${formatBytes(loaded)} of ${formatBytes(total)}`}
+                </span>
+                <span>{percent}%</span>
+            </div>
+        </div>
+    );
+};
@@ -37,6 +37,16 @@ export const config = Object.freeze({
     api: {
         baseUrl: getEnvVar('VITE_API_BASE_URL', 'https://localhost:7245/api'),
         timeout: parseNumber(getEnvVar('VITE_API_TIMEOUT'), 15000),
+        // Retries for failed reads — see the retry policy in api/client.js
+        retry: {
+            retries: parseNumber(getEnvVar('VITE_API_RETRIES'), 2),
+            baseDelayMs: parseNumber(getEnvVar('VITE_API_RETRY_BASE_DELAY_MS'), 500),
+            maxDelayMs: 8000,
+            // A longer Retry-After fails straight away instead of leaving the UI waiting
+            maxRetryAfterMs: 30000,
+        },
+        // Share one request between identical GETs in flight at the same time
+        dedupeGets: parseBoolean(getEnvVar('VITE_API_DEDUPE_GETS'), true),
     },
 
     // Feature Flags
@@ -53,9 +53,23 @@ export const THEME_PRESETS = [
   },
 ];
 
+/** Theme values the API accepts — mirrors UpdateCustomizationRequest on the backend */
+export const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+export const THEME_LAYOUTS = ['single-column', 'two-column', 'sidebar'];
+export const THEME_NAME_MAX_LENGTH = 50;
+export const FONT_NAME_MAX_LENGTH = 50;
+
+/** 'auto' lets visitors switch between the light and dark palette; the others lock the page */
+export const COLOR_MODES = ['auto', 'light', 'dark'];
+
+/** Store key of a colour in the light or dark palette, e.g. primaryColor → darkPrimaryColor */
+export const paletteKey = (key, mode) =>
+    mode === 'dark' ? `dark${key[0].toUpperCase()}${key.slice(1)}` : key;
+
 export const SECTION_VARIANTS = {
   Hero: [
-    { id: 'default',    name: 'Centered',   description: 'Name and title centered' },
+    { id: 'default',    name: 'Centered',   description: 'Name and title centered over particles' },
+    { id: 'minimal',    name: 'Minimal',    description: 'Clean typography, no animation' },
     { id: 'split',      name: 'Split',      description: 'Text left, photo right' },
     { id: 'fullscreen', name: 'Fullscreen', description: 'Full viewport hero image' },
   ],
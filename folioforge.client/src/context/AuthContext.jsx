@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { AuthService } from '../services/authService';
+import { UnauthorizedError } from '../api/errors';
 
 /**
  * AuthContext
@@ -7,6 +8,7 @@ import { AuthService } from '../services/authService';
  * Provides authentication state and actions to the entire app.
  * - Persists JWT + user info in localStorage
  * - Restores session on page reload
+ * - Follows logins, token refreshes and logouts from other tabs
  * - Exposes login, register, logout functions
  */
 const AuthContext = createContext(undefined);
@@ -17,8 +19,9 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true); // initial bootstrap
 
     /**
-     * Bootstrap: if we have a stored token, validate it by calling /me.
-     * If invalid (401), clear auth state.
+     * Bootstrap: if we have a stored token, validate it by calling /me
+     * (refreshing it first if it has expired). If rejected (401), clear auth
+     * state; if the server can't be reached, carry on with the stored user.
      */
     useEffect(() => {
         const bootstrap = async () => {
@@ -31,13 +34,17 @@ export const AuthProvider = ({ children }) => {
             try {
                 const profile = await AuthService.me();
                 setUser(profile);
-                setToken(storedToken);
+                setToken(AuthService.getToken()); // may have been refreshed meanwhile
                 AuthService.setStoredUser(profile);
-            } catch {
-                // Token expired or invalid — clear everything
-                AuthService.clearAuth();
-                setUser(null);
-                setToken(null);
+            } catch (err) {
+                if (err instanceof UnauthorizedError) {
+                    // Token and refresh token invalid — clear everything
+                    AuthService.clearAuth();
+                    setUser(null);
+                    setToken(null);
+                } else {
+                    setUser(AuthService.getStoredUser());
+                }
             } finally {
                 setLoading(false);
             }
@@ -46,15 +53,20 @@ export const AuthProvider = ({ children }) => {
         bootstrap();
     }, []);
 
+    /**
+     * Follow the stored session: a token refresh, a login or logout in another
+     * tab, or the API client logging out after a rejected refresh.
+     */
+    useEffect(() => AuthService.subscribe(({ accessToken }) => {
+        setToken(accessToken);
+        setUser(accessToken ? AuthService.getStoredUser() : null);
+    }), []);
+
     /**
      * Persist auth response (from login, register, or refresh).
      * Backend now returns accessToken + refreshToken instead of token.
      */
     const persistAuth = useCallback((authResponse) => {
-        AuthService.setToken(authResponse.accessToken);
-        AuthService.setRefreshToken(authResponse.refreshToken);
-        setToken(authResponse.accessToken);
-
         const userInfo = {
             userId: authResponse.userId,
             email: authResponse.email,
@@ -62,7 +74,10 @@ export const AuthProvider = ({ children }) => {
             planSlug: authResponse.planSlug ?? 'free',
             planName: authResponse.planName ?? 'Free',
         };
+        // User first: storing the tokens tells other tabs, which read it
         AuthService.setStoredUser(userInfo);
+        AuthService.setTokens(authResponse);
+        setToken(authResponse.accessToken);
         setUser(userInfo);
     }, []);
 
@@ -89,7 +104,7 @@ export const AuthProvider = ({ children }) => {
      */
     const logout = useCallback(async () => {
         await AuthService.revoke();
-        AuthService.clearAuth();
+        AuthService.clearAuth(); // logs out other tabs too
         setUser(null);
         setToken(null);
     }, []);
@@ -1,30 +1,46 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState } from 'react';
 
 const ThemeContext = createContext(undefined);
 
-export const ThemeProvider = ({ children }) => {
-    const [isDark, setIsDark] = useState(() => {
-        // Check localStorage first, then system preference
-        const saved = localStorage.getItem('theme');
-        if (saved) return saved === 'dark';
-        return window.matchMedia('(prefers-color-scheme: dark)').matches;
-    });
-
-    useEffect(() => {
-        const root = document.documentElement;
-        if (isDark) {
-            root.classList.add('dark');
-            localStorage.setItem('theme', 'dark');
-        } else {
-            root.classList.remove('dark');
-            localStorage.setItem('theme', 'light');
-        }
-    }, [isDark]);
-
-    const toggle = () => setIsDark(!isDark);
+/** Visitor's light/dark choice, shared by every portfolio that lets them switch */
+const STORAGE_KEY = 'theme';
+
+const readPreference = () => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved === 'dark' || saved === 'light') return saved;
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
+
+/**
+ * ThemeProvider
+ *
+ * Light/dark mode for one rendered portfolio. The portfolio's `colorMode`
+ * decides who picks: 'auto' follows the visitor's saved choice (or their
+ * system preference), 'light' and 'dark' lock the page. `forcedMode`
+ * overrides both — the editor uses it to preview either palette.
+ *
+ * Nothing is set on `<html>`: the renderer puts the `dark` class on its
+ * own root, so `dark:` styles follow the portfolio and not the app.
+ *
+ * @param {'auto'|'light'|'dark'} [props.colorMode]
+ * @param {'light'|'dark'} [props.forcedMode]
+ */
+export const ThemeProvider = ({ colorMode = 'auto', forcedMode, children }) => {
+    const [preferred, setPreferred] = useState(readPreference);
+
+    const isLocked = colorMode === 'light' || colorMode === 'dark';
+    const mode = forcedMode ?? (isLocked ? colorMode : preferred);
+    const canToggle = !forcedMode && !isLocked;
+
+    const toggle = () => {
+        if (!canToggle) return;
+        const next = mode === 'dark' ? 'light' : 'dark';
+        localStorage.setItem(STORAGE_KEY, next);
+        setPreferred(next);
+    };
 
     return (
-        <ThemeContext.Provider value={{ isDark, toggle }}>
+        <ThemeContext.Provider value={{ mode, isDark: mode === 'dark', canToggle, toggle }}>
             {children}
         </ThemeContext.Provider>
     );
@@ -1,59 +1,71 @@
-import { useState, useMemo } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
 import { ScrollReveal } from '../../components/animations/ScrollReveal';
+import { LimitNotice } from '../../components/ui/LimitNotice';
+import { NotFoundError, RateLimitError, ValidationError } from '../../api/errors';
+import {
+    CHALLENGE_FAILED,
+    CONTACT_LIMITS,
+    ContactService,
+    contactFieldErrors,
+    validateContactMessage,
+} from '../../services/contactService';
+import { solveChallenge } from '../../utils/proofOfWork';
+import {
+    AVAILABILITY_STATUSES,
+    describeLocalTime,
+    parseAvailability,
+    upcomingStartDate,
+} from '../../utils/availability';
+import { resolveContactLinks } from '../../utils/socialLinks';
 
-/* ── Icon components ── */
-const GitHubIcon = () => (
-    <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-        <path fillRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" clipRule="evenodd" />
-    </svg>
-);
-const LinkedInIcon = () => (
-    <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-        <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
-    </svg>
-);
-const TwitterIcon = () => (
-    <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-        <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/>
-    </svg>
-);
-const EmailIcon = () => (
-    <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-    </svg>
-);
-const PortfolioIcon = () => (
-    <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9" />
-    </svg>
-);
+/** `website` is the honeypot: hidden from people, so only bots fill it in */
+const EMPTY_FORM = { name: '', email: '', subject: '', message: '', website: '' };
+
+const INPUT_CLASS = `w-full px-4 py-3 rounded-xl
+                     bg-slate-50 dark:bg-slate-900/50
+                     border text-slate-900 dark:text-white
+                     placeholder-slate-400
+                     focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                     transition-all`;
 
-/** Build social links array from parsed content or use defaults */
-const buildSocialLinks = (content) => {
-    let links = {};
-    try {
-        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
-        links = parsed?.links || parsed || {};
-    } catch { /* use defaults */ }
-
-    const result = [];
-    const github = links.github || links.Github || '';
-    const linkedin = links.linkedin || links.Linkedin || '';
-    const twitter = links.twitter || links.Twitter || '';
-    const email = links.email || links.Email || '';
-    const portfolio = links.portfolio || links.Portfolio || '';
-
-    if (github) result.push({ name: 'GitHub', icon: <GitHubIcon />, url: github, color: 'hover:bg-slate-800 hover:text-white' });
-    if (linkedin) result.push({ name: 'LinkedIn', icon: <LinkedInIcon />, url: linkedin, color: 'hover:bg-blue-600 hover:text-white' });
-    if (twitter) result.push({ name: 'Twitter', icon: <TwitterIcon />, url: twitter, color: 'hover:bg-slate-900 dark:hover:bg-white dark:hover:text-slate-900 hover:text-white' });
-    if (email) result.push({ name: 'Email', icon: <EmailIcon />, url: email.startsWith('mailto:') ? email : `mailto:${email}`, color: 'hover:bg-red-500 hover:text-white' });
-    if (portfolio) result.push({ name: 'Portfolio', icon: <PortfolioIcon />, url: portfolio, color: 'hover:bg-indigo-600 hover:text-white' });
-
-    return result;
+/** Message for a send that failed without field errors */
+const describeSendError = (err) => {
+    if (err instanceof NotFoundError) return 'This portfolio isn\'t accepting messages right now.';
+    return err?.message || 'Your message couldn\'t be sent. Please try again.';
 };
 
 /* ── Reusable sub-components ── */
+const HoneypotField = ({ value, onChange }) => (
+    <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+        <label htmlFor="contact-website">Website</label>
+        <input
+            id="contact-website"
+            name="website"
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            value={value}
+            onChange={onChange}
+        />
+    </div>
+);
+
+const ContactField = ({ label, name, error, optional, children }) => (
+    <div>
+        <label htmlFor={`contact-${name}`} className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+            {label}
+            {optional && <span className="ml-1 font-normal text-slate-400">(optional)</span>}
+        </label>
+        {children}
+        {error && (
+            <p id={`contact-${name}-error`} className="mt-1.5 text-sm text-red-500">
+                {error}
+            </p>
+        )}
+    </div>
+);
+
 const ContactLinksCard = ({ centered, socialLinks }) => (
     <div className={`bg-white dark:bg-slate-800/50 rounded-3xl p-8
                    border border-slate-100 dark:border-slate-700/50
@@ -69,10 +81,10 @@ const ContactLinksCard = ({ centered, socialLinks }) => (
             <div className={`grid grid-cols-2 gap-4 ${centered ? 'max-w-md mx-auto' : ''}`}>
                 {socialLinks.map((link, idx) => (
                     <motion.a
-                        key={link.name}
-                        href={link.url}
-                        target={link.url.startsWith('mailto:') ? undefined : '_blank'}
-                        rel={link.url.startsWith('mailto:') ? undefined : 'noopener noreferrer'}
+                        key={`${link.type}-${idx}`}
+                        href={link.href}
+                        target={link.external ? '_blank' : undefined}
+                        rel={link.external ? 'noopener noreferrer' : undefined}
                         initial={{ opacity: 0, y: 20 }}
                         whileInView={{ opacity: 1, y: 0 }}
                         transition={{ delay: idx * 0.1 }}
@@ -83,61 +95,201 @@ const ContactLinksCard = ({ centered, socialLinks }) => (
                                   text-slate-600 dark:text-slate-400
                                   transition-all duration-300 ${link.color}`}
                     >
-                        {link.icon}
-                        <span className="font-medium">{link.name}</span>
+                        <link.icon className="w-6 h-6 flex-shrink-0" />
+                        <span className="font-medium truncate">{link.label}</span>
                     </motion.a>
                 ))}
             </div>
         ) : (
             <p className="text-slate-400 text-sm">
-                No links found. Upload a resume with your social links to populate this section.
+                No links yet. Add them in the editor's Content tab, or upload a resume with your social links.
             </p>
         )}
     </div>
 );
 
-const AvailabilityBadge = () => (
-    <motion.div
-        initial={{ opacity: 0, y: 20 }}
-        whileInView={{ opacity: 1, y: 0 }}
-        className="bg-gradient-to-br from-emerald-500 to-teal-600 
-                 rounded-3xl p-8 text-white"
-    >
-        <div className="flex items-center gap-3 mb-4">
-            <span className="relative flex h-3 w-3">
-                <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-white opacity-75"></span>
-                <span className="relative inline-flex rounded-full h-3 w-3 bg-white"></span>
-            </span>
-            <span className="font-semibold">Currently Available</span>
-        </div>
-        <p className="text-emerald-100">
-            I'm open to new opportunities and exciting projects. 
-            Let's create something amazing together!
+/** Card colours per availability status */
+const STATUS_STYLES = {
+    open: { card: 'from-emerald-500 to-teal-600', muted: 'text-emerald-100', pulse: true },
+    freelance: { card: 'from-blue-500 to-indigo-600', muted: 'text-blue-100', pulse: true },
+    'not-looking': { card: 'from-slate-600 to-slate-700', muted: 'text-slate-200', pulse: false },
+};
+
+/** The owner's current time, ticking every 30 s */
+const LocalTime = ({ timeZone }) => {
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 30_000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const { time, zone, difference } = describeLocalTime(timeZone, now);
+    return (
+        <p className="text-sm opacity-90">
+            🕒 It's <time dateTime={now.toISOString()} className="font-semibold">{time}</time> for me ({zone})
+            {difference && <> · {difference}</>}
         </p>
-    </motion.div>
-);
+    );
+};
+
+const AvailabilityCard = ({ availability }) => {
+    const { status, message, roles, timeZone, availableFrom } = availability;
+    const styles = STATUS_STYLES[status];
+    const startDate = upcomingStartDate(availableFrom);
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            whileInView={{ opacity: 1, y: 0 }}
+            className={`bg-gradient-to-br ${styles.card} rounded-3xl p-8 text-white space-y-4`}
+        >
+            <div className="flex items-center gap-3">
+                <span className="relative flex h-3 w-3">
+                    {styles.pulse && (
+                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-white opacity-75"></span>
+                    )}
+                    <span className="relative inline-flex rounded-full h-3 w-3 bg-white"></span>
+                </span>
+                <span className="font-semibold">{AVAILABILITY_STATUSES[status].label}</span>
+            </div>
+            <p className={styles.muted}>
+                {message.trim() || AVAILABILITY_STATUSES[status].defaultMessage}
+            </p>
+            {startDate && (
+                <p className="text-sm font-medium">📅 Available from {startDate}</p>
+            )}
+            {roles.length > 0 && (
+                <ul className="flex flex-wrap gap-2" aria-label="Preferred roles">
+                    {roles.map(role => (
+                        <li key={role} className="px-3 py-1 rounded-full bg-white/20 text-sm">
+                            {role}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {timeZone && <LocalTime timeZone={timeZone} />}
+        </motion.div>
+    );
+};
 
-export const ContactSection = ({ content, variant = 'default' }) => {
-    const [formData, setFormData] = useState({ name: '', email: '', message: '' });
+/**
+ * ContactSection
+ *
+ * Social links, an availability card (status, preferred roles, start date
+ * and the owner's local time; see utils/availability) and, in the default
+ * variant, a contact form that delivers to
+ * the owner's inbox. Only the published page can send (`canSend`); in the
+ * owner's view and the editor preview the form is shown but disabled.
+ *
+ * Spam protection: the form fetches a proof-of-work challenge the first time
+ * it's focused and solves it while the visitor types, and carries a hidden
+ * honeypot field. The API scores the rest and files spam away quietly.
+ *
+ * @param {Object} props
+ * @param {string|Object} [props.content]
+ * @param {'default'|'links'} [props.variant]
+ * @param {string} [props.slug] - Published slug the form posts to
+ * @param {boolean} [props.canSend]
+ */
+export const ContactSection = ({ content, variant = 'default', slug, canSend = false }) => {
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [sendError, setSendError] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [submitted, setSubmitted] = useState(false);
 
-    const socialLinks = useMemo(() => buildSocialLinks(content), [content]);
+    /** Pending `{ token, solution }` for the next send */
+    const proofRef = useRef(null);
+    const abortRef = useRef(null);
+
+    const socialLinks = useMemo(() => resolveContactLinks(content), [content]);
+    const availability = useMemo(() => parseAvailability(content), [content]);
+    const sendable = canSend && Boolean(slug);
+
+    // Stop solving when the section goes away
+    useEffect(() => () => {
+        abortRef.current?.abort();
+        abortRef.current = null;
+        proofRef.current = null;
+    }, []);
+
+    const prepareProof = useCallback(() => {
+        if (!proofRef.current) {
+            abortRef.current ??= new AbortController();
+            const { signal } = abortRef.current;
+            const pending = ContactService.getChallenge(slug).then(async (challenge) => ({
+                token: challenge.token,
+                solution: await solveChallenge(challenge, { signal }),
+            }));
+            // A failed fetch shouldn't stick: the next attempt starts over
+            pending.catch(() => {
+                if (proofRef.current === pending) proofRef.current = null;
+            });
+            proofRef.current = pending;
+        }
+        return proofRef.current;
+    }, [slug]);
+
+    const handleFocus = () => {
+        if (sendable) prepareProof();
+    };
+
+    /** Send with a fresh proof; a challenge the API rejected (e.g. expired) is replaced once */
+    const deliver = async (retried = false) => {
+        const proof = await prepareProof();
+        // Each challenge is good for one message
+        proofRef.current = null;
+        try {
+            await ContactService.send(slug, formData, proof);
+        } catch (err) {
+            if (!retried && err instanceof ValidationError && err.code === CHALLENGE_FAILED) return deliver(true);
+            throw err;
+        }
+    };
+
+    const send = async () => {
+        const errors = validateContactMessage(formData);
+        setFieldErrors(errors);
+        setSendError(null);
+        if (Object.keys(errors).length > 0 || !sendable) return;
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
         setIsSubmitting(true);
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        setIsSubmitting(false);
-        setSubmitted(true);
-        setFormData({ name: '', email: '', message: '' });
+        try {
+            await deliver();
+            setSubmitted(true);
+            setFormData(EMPTY_FORM);
+        } catch (err) {
+            const serverFieldErrors = contactFieldErrors(err);
+            if (Object.keys(serverFieldErrors).length > 0) setFieldErrors(serverFieldErrors);
+            else setSendError(err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        send();
     };
 
     const handleChange = (e) => {
-        setFormData(prev => ({ ...prev, [e.target.name]: e.target.value }));
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        // Clear a field's error once it's edited
+        if (fieldErrors[name]) setFieldErrors(prev => ({ ...prev, [name]: undefined }));
     };
 
+    const fieldProps = (name) => ({
+        id: `contact-${name}`,
+        name,
+        value: formData[name],
+        onChange: handleChange,
+        'aria-invalid': Boolean(fieldErrors[name]),
+        'aria-describedby': fieldErrors[name] ? `contact-${name}-error` : undefined,
+        className: `${INPUT_CLASS} ${fieldErrors[name] ? 'border-red-400' : 'border-slate-200 dark:border-slate-700'}`,
+    });
+
     return (
         <section
             id="contact"
@@ -205,73 +357,64 @@ export const ContactSection = ({ content, variant = 'default' }) => {
                                         </button>
                                     </motion.div>
                                 ) : (
-                                    <form onSubmit={handleSubmit} className="space-y-6">
-                                        <div>
-                                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                                                Your Name
-                                            </label>
+                                    <form onSubmit={handleSubmit} onFocus={handleFocus} noValidate className="relative space-y-6">
+
+                                        <ContactField label="Your Name" name="name" error={fieldErrors.name}>
                                             <input
                                                 type="text"
-                                                name="name"
-                                                value={formData.name}
-                                                onChange={handleChange}
-                                                required
-                                                className="w-full px-4 py-3 rounded-xl
-                                                         bg-slate-50 dark:bg-slate-900/50
-                                                         border border-slate-200 dark:border-slate-700
-                                                         text-slate-900 dark:text-white
-                                                         placeholder-slate-400
-                                                         focus:ring-2 focus:ring-blue-500 focus:border-transparent
-                                                         transition-all"
+                                                autoComplete="name"
+                                                maxLength={CONTACT_LIMITS.name}
                                                 placeholder="John Doe"
+                                                {...fieldProps('name')}
                                             />
-                                        </div>
+                                        </ContactField>
 
-                                        <div>
-                                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                                                Email Address
-                                            </label>
+                                        <ContactField label="Email Address" name="email" error={fieldErrors.email}>
                                             <input
                                                 type="email"
-                                                name="email"
-                                                value={formData.email}
-                                                onChange={handleChange}
-                                                required
-                                                className="w-full px-4 py-3 rounded-xl
-                                                         bg-slate-50 dark:bg-slate-900/50
-                                                         border border-slate-200 dark:border-slate-700
-                                                         text-slate-900 dark:text-white
-                                                         placeholder-slate-400
-                                                         focus:ring-2 focus:ring-blue-500 focus:border-transparent
-                                                         transition-all"
+                                                autoComplete="email"
+                                                maxLength={CONTACT_LIMITS.email}
                                                 placeholder="john@example.com"
+                                                {...fieldProps('email')}
                                             />
-                                        </div>
+                                        </ContactField>
 
-                                        <div>
-                                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
-                                                Message
-                                            </label>
+                                        <ContactField label="Subject" name="subject" optional error={fieldErrors.subject}>
+                                            <input
+                                                type="text"
+                                                maxLength={CONTACT_LIMITS.subject}
+                                                placeholder="Freelance project"
+                                                {...fieldProps('subject')}
+                                            />
+                                        </ContactField>
+
+                                        <ContactField label="Message" name="message" error={fieldErrors.message}>
                                             <textarea
-                                                name="message"
-                                                value={formData.message}
-                                                onChange={handleChange}
-                                                required
                                                 rows={5}
-                                                className="w-full px-4 py-3 rounded-xl resize-none
-                                                         bg-slate-50 dark:bg-slate-900/50
-                                                         border border-slate-200 dark:border-slate-700
-                                                         text-slate-900 dark:text-white
-                                                         placeholder-slate-400
-                                                         focus:ring-2 focus:ring-blue-500 focus:border-transparent
-                                                         transition-all"
+                                                maxLength={CONTACT_LIMITS.message}
                                                 placeholder="Tell me about your project..."
+                                                {...fieldProps('message')}
+                                                className={`${fieldProps('message').className} resize-none`}
                                             />
-                                        </div>
+                                        </ContactField>
+
+                                        {sendError && (sendError instanceof RateLimitError ? (
+                                            <LimitNotice error={sendError} onRetry={send} />
+                                        ) : (
+                                            <p role="alert" className="text-sm text-red-500">
+                                                {describeSendError(sendError)}
+                                            </p>
+                                        ))}
+
+                                        {!sendable && (
+                                            <p className="text-sm text-slate-500 dark:text-slate-400">
+                                                Preview only: visitors to the published page can send you messages here.
+                                            </p>
+                                        )}
 
                                         <motion.button
                                             type="submit"
-                                            disabled={isSubmitting}
+                                            disabled={isSubmitting || !sendable}
                                             whileHover={{ scale: 1.02 }}
                                             whileTap={{ scale: 0.98 }}
                                             className="w-full py-4 rounded-xl font-semibold
@@ -298,6 +441,8 @@ export const ContactSection = ({ content, variant = 'default' }) => {
                                                 </span>
                                             )}
                                         </motion.button>
+
+                                        <HoneypotField value={formData.website} onChange={handleChange} />
                                     </form>
                                 )}
                             </motion.div>
@@ -307,7 +452,7 @@ export const ContactSection = ({ content, variant = 'default' }) => {
                         <ScrollReveal direction="right">
                             <div className="space-y-8">
                                 <ContactLinksCard socialLinks={socialLinks} />
-                                <AvailabilityBadge />
+                                {availability.show && <AvailabilityCard availability={availability} />}
                             </div>
                         </ScrollReveal>
                     </div>
@@ -319,9 +464,11 @@ export const ContactSection = ({ content, variant = 'default' }) => {
                         <ScrollReveal>
                             <ContactLinksCard centered socialLinks={socialLinks} />
                         </ScrollReveal>
-                        <ScrollReveal delay={0.15}>
-                            <AvailabilityBadge />
-                        </ScrollReveal>
+                        {availability.show && (
+                            <ScrollReveal delay={0.15}>
+                                <AvailabilityCard availability={availability} />
+                            </ScrollReveal>
+                        )}
                     </div>
                 )}
             </div>
@@ -0,0 +1,52 @@
+import { motion } from 'framer-motion';
+
+/** Only allow navigable, script-free link targets from user content */
+const SAFE_HREF = /^(https?:\/\/|mailto:|tel:|#|\/)/i;
+
+/**
+ * HeroCtaButton
+ *
+ * Call-to-action link used by every Hero variant (and ParticleHero when the
+ * hero content supplies its own buttons). In-page anchors (`#contact`)
+ * scroll smoothly; everything else behaves like a normal link.
+ *
+ * @param {{ label: string, href: string, style?: 'primary'|'secondary' }} props.cta
+ * @param {boolean} [props.onImage] - Use light-on-dark styling for image backgrounds
+ */
+export const HeroCtaButton = ({ cta, onImage = false }) => {
+    const href = SAFE_HREF.test(cta?.href || '') ? cta.href : '#contact';
+    const isPrimary = (cta?.style || 'primary') === 'primary';
+    const isExternal = /^https?:\/\//i.test(href);
+
+    const handleClick = (e) => {
+        if (!href.startsWith('#')) return;
+        e.preventDefault();
+        document.getElementById(href.slice(1))?.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    return (
+        <motion.a
+            href={href}
+            onClick={handleClick}
+            target={isExternal ? '_blank' : undefined}
+            rel={isExternal ? 'noopener noreferrer' : undefined}
+            whileHover={{ scale: 1.03, y: -3 }}
+            whileTap={{ scale: 0.97 }}
+            className={`inline-flex items-center gap-2 px-7 py-3.5 rounded-2xl font-semibold
+                        transition-shadow duration-300 ${isPrimary ? 'text-white shadow-lg' : ''}`}
+            style={isPrimary
+                ? {
+                    backgroundColor: 'var(--color-primary)',
+                    boxShadow: '0 12px 30px -10px color-mix(in srgb, var(--color-primary) 60%, transparent)',
+                }
+                : {
+                    color: onImage ? '#FFFFFF' : 'var(--color-text)',
+                    border: `1.5px solid ${onImage
+                        ? 'rgba(255,255,255,0.6)'
+                        : 'color-mix(in srgb, var(--color-text) 25%, transparent)'}`,
+                }}
+        >
+            {cta?.label || 'Learn more'}
+        </motion.a>
+    );
+};
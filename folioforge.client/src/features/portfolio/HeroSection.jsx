@@ -0,0 +1,242 @@
+import { motion } from 'framer-motion';
+import { ParticleHero } from './ParticleHero';
+import { HeroCtaButton } from './HeroCtaButton';
+
+const DEFAULT_CTAS = [{ label: "Let's Connect", href: '#contact', style: 'primary' }];
+
+/**
+ * Parse hero content.
+ * Expects: { name, headline, tagline, avatarUrl, backgroundImageUrl,
+ *            ctas: [{ label, href, style: 'primary'|'secondary' }] }
+ */
+const parseHero = (content) => {
+    let parsed = {};
+    try {
+        parsed = (typeof content === 'string' ? JSON.parse(content) : content) || {};
+    } catch { /* use defaults */ }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) parsed = {};
+
+    const ctas = Array.isArray(parsed.ctas) ? parsed.ctas.filter(c => c?.label) : [];
+    return {
+        name: parsed.name || parsed.Name || '',
+        headline: parsed.headline || parsed.Headline || '',
+        tagline: parsed.tagline || parsed.Tagline || '',
+        avatarUrl: parsed.avatarUrl || '',
+        backgroundImageUrl: parsed.backgroundImageUrl || '',
+        ctas: ctas.length > 0 ? ctas : DEFAULT_CTAS,
+    };
+};
+
+const fadeUp = (delay = 0) => ({
+    initial: { opacity: 0, y: 24 },
+    animate: { opacity: 1, y: 0 },
+    transition: { duration: 0.6, delay, ease: [0.25, 0.46, 0.45, 0.94] },
+});
+
+/** Round avatar, falling back to the name's initials */
+const Avatar = ({ url, name, className = '' }) => {
+    const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0]).join('').toUpperCase();
+    return url ? (
+        <img
+            src={url}
+            alt={name}
+            className={`object-cover rounded-full ${className}`}
+        />
+    ) : (
+        <div
+            className={`flex items-center justify-center rounded-full text-white font-bold ${className}`}
+            style={{ backgroundImage: 'linear-gradient(135deg, var(--color-primary), var(--color-secondary))' }}
+        >
+            {initials || '👋'}
+        </div>
+    );
+};
+
+const CtaRow = ({ ctas, onImage, className = '' }) => (
+    <div className={`flex flex-wrap gap-4 ${className}`}>
+        {ctas.map((cta, i) => <HeroCtaButton key={i} cta={cta} onImage={onImage} />)}
+    </div>
+);
+
+// ─── variants ────────────────────────────────────────────────────────────────
+
+/** Minimal: typography only — no particles, orbs or parallax */
+const MinimalHero = ({ hero }) => (
+    <header className="min-h-[70vh] flex items-center px-6 md:px-12 lg:px-24 py-24">
+        <div className="max-w-4xl">
+            {hero.avatarUrl && (
+                <motion.div {...fadeUp(0)}>
+                    <Avatar url={hero.avatarUrl} name={hero.name} className="w-16 h-16 mb-8" />
+                </motion.div>
+            )}
+            <motion.h1
+                {...fadeUp(0.05)}
+                className="section-heading text-5xl md:text-7xl font-black tracking-tight leading-[1.05]"
+                style={{ color: 'var(--color-text)' }}
+            >
+                {hero.name}
+            </motion.h1>
+            {hero.headline && (
+                <motion.p
+                    {...fadeUp(0.15)}
+                    className="mt-5 text-xl md:text-2xl font-semibold"
+                    style={{ color: 'var(--color-primary)' }}
+                >
+                    {hero.headline}
+                </motion.p>
+            )}
+            {hero.tagline && (
+                <motion.p
+                    {...fadeUp(0.25)}
+                    className="mt-5 text-base md:text-lg leading-relaxed max-w-2xl"
+                    style={{ color: 'color-mix(in srgb, var(--color-text) 70%, transparent)' }}
+                >
+                    {hero.tagline}
+                </motion.p>
+            )}
+            <motion.div {...fadeUp(0.35)}>
+                <CtaRow ctas={hero.ctas} className="mt-10" />
+            </motion.div>
+        </div>
+    </header>
+);
+
+/** Split: text on the left, large avatar on the right */
+const SplitHero = ({ hero }) => (
+    <header
+        className="min-h-[85vh] flex items-center px-6 md:px-12 lg:px-24 py-24"
+        style={{
+            backgroundImage: 'linear-gradient(120deg, var(--color-bg) 55%, color-mix(in srgb, var(--color-bg) 85%, var(--color-primary) 15%))',
+        }}
+    >
+        <div className="w-full max-w-6xl mx-auto grid md:grid-cols-2 gap-12 items-center">
+            <div>
+                {hero.headline && (
+                    <motion.span
+                        {...fadeUp(0)}
+                        className="section-badge inline-block px-4 py-1.5 rounded-full text-sm font-semibold mb-6"
+                    >
+                        {hero.headline}
+                    </motion.span>
+                )}
+                <motion.h1
+                    {...fadeUp(0.1)}
+                    className="section-heading text-5xl md:text-6xl font-black tracking-tight leading-tight"
+                >
+                    {hero.name}
+                </motion.h1>
+                {hero.tagline && (
+                    <motion.p
+                        {...fadeUp(0.2)}
+                        className="mt-6 text-lg leading-relaxed"
+                        style={{ color: 'color-mix(in srgb, var(--color-text) 70%, transparent)' }}
+                    >
+                        {hero.tagline}
+                    </motion.p>
+                )}
+                <motion.div {...fadeUp(0.3)}>
+                    <CtaRow ctas={hero.ctas} className="mt-10" />
+                </motion.div>
+            </div>
+            <motion.div
+                initial={{ opacity: 0, scale: 0.9 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ duration: 0.7, delay: 0.2 }}
+                className="flex justify-center md:justify-end"
+            >
+                <div
+                    className="p-2 rounded-full"
+                    style={{ backgroundImage: 'linear-gradient(135deg, var(--color-primary), var(--color-secondary))' }}
+                >
+                    <Avatar
+                        url={hero.avatarUrl}
+                        name={hero.name}
+                        className="w-56 h-56 md:w-72 md:h-72 text-6xl"
+                    />
+                </div>
+            </motion.div>
+        </div>
+    </header>
+);
+
+/** Fullscreen: background image across the whole viewport with an overlay */
+const FullscreenHero = ({ hero }) => (
+    <header
+        className="relative min-h-screen flex items-end px-6 md:px-12 lg:px-24 pb-24 pt-40 overflow-hidden"
+        style={{
+            backgroundImage: hero.backgroundImageUrl
+                ? `url("${encodeURI(hero.backgroundImageUrl)}")`
+                : 'linear-gradient(135deg, var(--color-primary), var(--color-secondary))',
+            backgroundSize: 'cover',
+            backgroundPosition: 'center',
+        }}
+    >
+        {/* Legibility overlay */}
+        <div
+            className="absolute inset-0"
+            style={{ background: 'linear-gradient(to top, rgba(0,0,0,0.75), rgba(0,0,0,0.2) 60%, rgba(0,0,0,0.1))' }}
+        />
+        <div className="relative max-w-4xl text-white">
+            {hero.avatarUrl && (
+                <motion.div {...fadeUp(0)}>
+                    <Avatar url={hero.avatarUrl} name={hero.name} className="w-20 h-20 mb-6 border-2 border-white/70" />
+                </motion.div>
+            )}
+            <motion.h1
+                {...fadeUp(0.1)}
+                className="text-5xl md:text-7xl lg:text-8xl font-black tracking-tight leading-none"
+                style={{ fontFamily: 'var(--font-heading-family), ui-sans-serif, system-ui, sans-serif' }}
+            >
+                {hero.name}
+            </motion.h1>
+            {hero.headline && (
+                <motion.p {...fadeUp(0.2)} className="mt-5 text-xl md:text-2xl font-medium text-white/90">
+                    {hero.headline}
+                </motion.p>
+            )}
+            {hero.tagline && (
+                <motion.p {...fadeUp(0.3)} className="mt-4 text-base md:text-lg text-white/75 max-w-2xl leading-relaxed">
+                    {hero.tagline}
+                </motion.p>
+            )}
+            <motion.div {...fadeUp(0.4)}>
+                <CtaRow ctas={hero.ctas} onImage className="mt-10" />
+            </motion.div>
+        </div>
+    </header>
+);
+
+/**
+ * HeroSection
+ *
+ * Renders a Hero section from its own content schema.
+ * Variants:
+ * - default:    centered name/headline over the animated particle backdrop
+ * - minimal:    clean typography, no animated background
+ * - split:      text left, photo right
+ * - fullscreen: full-viewport background image
+ *
+ * @param {string} [props.fallbackName] - Used when the content has no name (portfolio title)
+ */
+export const HeroSection = ({ content, variant = 'default', fallbackName = '' }) => {
+    const parsed = parseHero(content);
+    const hero = { ...parsed, name: parsed.name || fallbackName || 'Portfolio' };
+
+    switch (variant) {
+        case 'minimal':
+            return <MinimalHero hero={hero} />;
+        case 'split':
+            return <SplitHero hero={hero} />;
+        case 'fullscreen':
+            return <FullscreenHero hero={hero} />;
+        default:
+            return (
+                <ParticleHero
+                    title={hero.name}
+                    headline={hero.headline || undefined}
+                    bio={hero.tagline}
+                    ctas={hero.ctas}
+                />
+            );
+    }
+};
@@ -0,0 +1,68 @@
+import { ScrollReveal } from '../../components/animations/ScrollReveal';
+import { MarkdownContent } from '../../components/ui/MarkdownContent';
+
+/** Imported or hand-edited JSON may hold anything; only strings are used */
+const text = (value) => (typeof value === 'string' ? value : '');
+
+/**
+ * Parse markdown section content.
+ * Expects: { title?: string, content: string }, a JSON string, or raw markdown.
+ */
+const parseMarkdown = (content) => {
+    if (!content) return { title: '', body: '' };
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        if (typeof parsed === 'string') return { title: '', body: parsed };
+        return {
+            title: text(parsed?.title) || text(parsed?.Title),
+            body: text(parsed?.content) || text(parsed?.markdown) || text(parsed?.text),
+        };
+    } catch {
+        return { title: '', body: typeof content === 'string' ? content : '' };
+    }
+};
+
+/**
+ * MarkdownSection
+ *
+ * Free-form rich text written in Markdown.
+ * Variants:
+ * - default: prose directly on the page background
+ * - card:    prose inside a tinted, bordered card
+ */
+export const MarkdownSection = ({ content, variant = 'default' }) => {
+    const { title, body } = parseMarkdown(content);
+
+    if (!body.trim() && !title) return null;
+
+    return (
+        <section className="py-20 relative">
+            <div className="relative max-w-3xl mx-auto px-6">
+                {title && (
+                    <ScrollReveal>
+                        <h2 className="section-heading text-3xl md:text-4xl font-bold mb-8 text-center">
+                            {title}
+                        </h2>
+                    </ScrollReveal>
+                )}
+
+                <ScrollReveal delay={0.1}>
+                    {variant === 'card' ? (
+                        <div
+                            className="rounded-3xl p-8 md:p-10 shadow-xl"
+                            style={{
+                                backgroundColor: 'color-mix(in srgb, var(--color-bg) 92%, var(--color-primary) 8%)',
+                                border: '1px solid color-mix(in srgb, var(--color-text) 10%, transparent)',
+                                boxShadow: '0 20px 40px -20px color-mix(in srgb, var(--color-primary) 30%, transparent)',
+                            }}
+                        >
+                            <MarkdownContent source={body} />
+                        </div>
+                    ) : (
+                        <MarkdownContent source={body} className="text-base md:text-lg" />
+                    )}
+                </ScrollReveal>
+            </div>
+        </section>
+    );
+};
@@ -3,8 +3,26 @@ import Particles from '@tsparticles/react';
 import { loadSlim } from '@tsparticles/slim';
 import { motion } from 'framer-motion';
 import { useTheme } from '../../context/ThemeContext';
+import { HeroCtaButton } from './HeroCtaButton';
 
-export const ParticleHero = ({ title, bio, onContactClick, onDownloadClick }) => {
+/**
+ * ParticleHero
+ *
+ * Full-screen hero with a tsParticles backdrop and mouse-following orbs.
+ * Rendered for the About section when no Hero section exists, and as the
+ * Hero section's "Centered" variant.
+ *
+ * `headline` and `ctas` are optional; without them the hero keeps its
+ * original role line and Connect / Download buttons.
+ */
+export const ParticleHero = ({
+    title,
+    bio,
+    headline = 'Software Development Engineer',
+    ctas,
+    onContactClick,
+    onDownloadClick,
+}) => {
     const { isDark } = useTheme();
     const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
 
@@ -220,7 +238,7 @@ export const ParticleHero = ({ title, bio, onContactClick, onDownloadClick }) =>
                     <p className="text-lg md:text-xl font-mono font-medium tracking-wide
                                text-slate-500 dark:text-slate-400">
                         <span style={{ color: 'var(--color-primary)' }}>{'<'}</span>
-                        <span className="text-slate-700 dark:text-slate-300">Software Development Engineer</span>
+                        <span className="text-slate-700 dark:text-slate-300">{headline}</span>
                         <span style={{ color: 'var(--color-primary)' }}>{' />'}</span>
                     </p>
                     <motion.div
@@ -247,47 +265,53 @@ export const ParticleHero = ({ title, bio, onContactClick, onDownloadClick }) =>
                     variants={itemVariants}
                     className="mt-12 flex flex-wrap justify-center gap-5"
                 >
-                    <motion.button
-                        onClick={onContactClick}
-                        className="group relative px-8 py-4 rounded-2xl font-semibold text-white
-                                 overflow-hidden transition-all duration-300"
-                        whileHover={{ scale: 1.03, y: -3 }}
-                        whileTap={{ scale: 0.97 }}
-                    >
-                        {/* Animated gradient background */}
-                        <div className="absolute inset-0 bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600
-                                       bg-[length:200%_100%] animate-[shimmer_3s_linear_infinite]" />
-                        {/* Glow effect */}
-                        <div className="absolute inset-0 rounded-2xl opacity-0 group-hover:opacity-100 transition-opacity duration-500
-                                       shadow-[0_0_40px_rgba(99,102,241,0.5)]" />
-                        <span className="relative flex items-center gap-2">
-                            Let's Connect
-                            <svg className="w-5 h-5 group-hover:translate-x-1.5 transition-transform duration-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
-                            </svg>
-                        </span>
-                    </motion.button>
+                    {ctas?.length > 0 ? (
+                        ctas.map((cta, i) => <HeroCtaButton key={i} cta={cta} />)
+                    ) : (
+                        <>
+                            <motion.button
+                                onClick={onContactClick}
+                                className="group relative px-8 py-4 rounded-2xl font-semibold text-white
+                                         overflow-hidden transition-all duration-300"
+                                whileHover={{ scale: 1.03, y: -3 }}
+                                whileTap={{ scale: 0.97 }}
+                            >
+                                {/* Animated gradient background */}
+                                <div className="absolute inset-0 bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600
+                                               bg-[length:200%_100%] animate-[shimmer_3s_linear_infinite]" />
+                                {/* Glow effect */}
+                                <div className="absolute inset-0 rounded-2xl opacity-0 group-hover:opacity-100 transition-opacity duration-500
+                                               shadow-[0_0_40px_rgba(99,102,241,0.5)]" />
+                                <span className="relative flex items-center gap-2">
+                                    Let's Connect
+                                    <svg className="w-5 h-5 group-hover:translate-x-1.5 transition-transform duration-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
+                                    </svg>
+                                </span>
+                            </motion.button>
 
-                    <motion.button
-                        onClick={onDownloadClick}
-                        className="group relative px-8 py-4 rounded-2xl font-semibold
-                                 bg-white/80 dark:bg-white/[0.07] backdrop-blur-md
-                                 border border-slate-200/80 dark:border-white/[0.12]
-                                 text-slate-700 dark:text-white
-                                 hover:bg-white/90 dark:hover:bg-white/[0.12]
-                                 hover:border-blue-300 dark:hover:border-indigo-500/40
-                                 shadow-lg shadow-slate-200/30 dark:shadow-black/20
-                                 transition-all duration-300"
-                        whileHover={{ scale: 1.03, y: -3 }}
-                        whileTap={{ scale: 0.97 }}
-                    >
-                        <span className="flex items-center gap-2">
-                            <svg className="w-5 h-5 group-hover:translate-y-0.5 transition-transform duration-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-                            </svg>
-                            Download CV
-                        </span>
-                    </motion.button>
+                            <motion.button
+                                onClick={onDownloadClick}
+                                className="group relative px-8 py-4 rounded-2xl font-semibold
+                                         bg-white/80 dark:bg-white/[0.07] backdrop-blur-md
+                                         border border-slate-200/80 dark:border-white/[0.12]
+                                         text-slate-700 dark:text-white
+                                         hover:bg-white/90 dark:hover:bg-white/[0.12]
+                                         hover:border-blue-300 dark:hover:border-indigo-500/40
+                                         shadow-lg shadow-slate-200/30 dark:shadow-black/20
+                                         transition-all duration-300"
+                                whileHover={{ scale: 1.03, y: -3 }}
+                                whileTap={{ scale: 0.97 }}
+                            >
+                                <span className="flex items-center gap-2">
+                                    <svg className="w-5 h-5 group-hover:translate-y-0.5 transition-transform duration-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                                    </svg>
+                                    Download CV
+                                </span>
+                            </motion.button>
+                        </>
+                    )}
                 </motion.div>
             </motion.div>
 
@@ -0,0 +1,443 @@
+import { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Share2 } from 'lucide-react';
+import { FloatingNav } from '../../components/layout/FloatingNav';
+import { ShareSheet } from '../../components/ui/ShareSheet';
+import { ThemeProvider, useTheme } from '../../context/ThemeContext';
+import { deriveDarkPalette } from '../../utils/palette';
+import { ContactSection } from './ContactSection';
+import {
+    getSectionDefinition,
+    getSectionIcon,
+    useSectionRegistry,
+} from './sectionRegistry';
+
+/** Theme fallbacks — mirror the backend's default ThemeConfig */
+const DEFAULT_THEME = {
+    primaryColor: '#3B82F6',
+    secondaryColor: '#10B981',
+    backgroundColor: '#FFFFFF',
+    textColor: '#1F2937',
+    colorMode: 'auto',
+    fontHeading: 'Inter',
+    fontBody: 'Inter',
+    layout: 'single-column',
+};
+
+/** Themed utility classes that override Tailwind defaults inside `.portfolio-root` */
+const PORTFOLIO_ROOT_CSS = `
+    .portfolio-root {
+        font-family: var(--font-body-family), ui-sans-serif, system-ui, sans-serif;
+    }
+    .portfolio-root .section-heading {
+        font-family: var(--font-heading-family), ui-sans-serif, system-ui, sans-serif;
+        color: var(--color-primary) !important;
+    }
+    .portfolio-root .section-badge {
+        background: color-mix(in srgb, var(--color-primary) 15%, transparent) !important;
+        color: var(--color-primary) !important;
+    }
+    .portfolio-root .section-subtitle {
+        color: color-mix(in srgb, var(--color-text) 60%, transparent) !important;
+    }
+    .portfolio-root .accent-text {
+        color: var(--color-primary) !important;
+    }
+    .portfolio-root .accent-bg {
+        background-color: var(--color-primary) !important;
+    }
+`;
+
+/**
+ * Resolve a stable DOM anchor for every section.
+ * The first section of a type keeps the bare type (`#projects`) so existing
+ * links keep working; later ones get a numeric suffix (`#projects-2`).
+ */
+const buildAnchors = (sections) => {
+    const seen = {};
+    const anchors = {};
+    sections.forEach((s) => {
+        const type = s.sectionType?.toLowerCase() || 'section';
+        seen[type] = (seen[type] || 0) + 1;
+        anchors[s.id] = seen[type] === 1 ? type : `${type}-${seen[type]}`;
+    });
+    return anchors;
+};
+
+/**
+ * The palette for the current mode. Themes saved before dark palettes
+ * existed have no dark colours, so theirs is derived from the light one.
+ */
+const resolveColors = (theme, isDark) => {
+    if (!isDark) {
+        const { primaryColor, secondaryColor, backgroundColor, textColor } = theme;
+        return { primaryColor, secondaryColor, backgroundColor, textColor };
+    }
+    const derived = deriveDarkPalette({ primary: theme.primaryColor, secondary: theme.secondaryColor });
+    return {
+        primaryColor: theme.darkPrimaryColor || derived.primary,
+        secondaryColor: theme.darkSecondaryColor || derived.secondary,
+        backgroundColor: theme.darkBackgroundColor || derived.background,
+        textColor: theme.darkTextColor || derived.text,
+    };
+};
+
+/**
+ * PortfolioRenderer
+ *
+ * Single rendering path for a portfolio, shared by the owner view,
+ * the public page and the editor's live preview. Each portfolio gets its
+ * own light/dark mode, governed by its theme's `colorMode`.
+ *
+ * @param {Object} props
+ * @param {Object} props.portfolio - Portfolio data (`title`, `sections`, `showWatermark`, …)
+ * @param {Object} [props.theme] - Theme overrides; defaults to `portfolio.theme`
+ * @param {'owner'|'public'|'preview'} [props.mode] - Where the portfolio is shown
+ * @param {'light'|'dark'} [props.colorScheme] - Force one palette (the editor preview)
+ */
+export const PortfolioRenderer = ({ portfolio, theme, mode = 'owner', colorScheme }) => {
+    const resolved = { ...DEFAULT_THEME, ...(theme ?? portfolio?.theme ?? {}) };
+    return (
+        <ThemeProvider colorMode={resolved.colorMode} forcedMode={colorScheme}>
+            <PortfolioBody portfolio={portfolio} theme={resolved} mode={mode} />
+        </ThemeProvider>
+    );
+};
+
+const PortfolioBody = ({ portfolio, theme, mode }) => {
+    // Re-render when third-party section types are (un)registered
+    useSectionRegistry();
+    const { isDark } = useTheme();
+    const [isSharing, setIsSharing] = useState(false);
+
+    const isPreview = mode === 'preview';
+    const { fontHeading, fontBody, layout } = theme;
+    const { primaryColor, secondaryColor, backgroundColor, textColor } = resolveColors(theme, isDark);
+
+    // ── Resolve ordered, visible sections ──────────────────────
+    const bodySections = useMemo(() =>
+        (portfolio?.sections || [])
+            .filter(s => s.isVisible !== false)
+            .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0)),
+        [portfolio?.sections]
+    );
+
+    const anchors = useMemo(() => buildAnchors(bodySections), [bodySections]);
+
+    // Two-column: sections assigned to the side column render beside the rest.
+    // Without any side sections the page falls back to a single column.
+    const sideSections = layout === 'two-column'
+        ? bodySections.filter(s => s.column === 'side')
+        : [];
+    const isTwoColumn = sideSections.length > 0;
+    const mainSections = isTwoColumn
+        ? bodySections.filter(s => s.column !== 'side')
+        : bodySections;
+
+    const hasContactSection = bodySections.some(
+        s => s.sectionType?.toLowerCase() === 'contact'
+    );
+
+    // Build dynamic nav items from visible sections for FloatingNav
+    const navItems = useMemo(() => {
+        const items = bodySections.map(s => {
+            const label = getSectionDefinition(s.sectionType)?.label;
+            return {
+                id: anchors[s.id],
+                label: (typeof label === 'function' ? label(s, portfolio) : label) || s.sectionType,
+                icon: getSectionIcon(s.sectionType),
+            };
+        });
+        if (!items.some(i => i.id === 'contact')) {
+            items.push({ id: 'contact', label: 'Contact', icon: getSectionIcon('contact') });
+        }
+        return items;
+    }, [bodySections, anchors, portfolio]);
+
+    // ── Render a single section through the registry ───────────
+    const renderSection = (section) => {
+        const definition = getSectionDefinition(section.sectionType);
+        const anchor = anchors[section.id];
+
+        if (!definition) {
+            // Unknown types are only surfaced to the owner, never to visitors
+            if (mode === 'public') return null;
+            return (
+                <SectionPreviewFallback
+                    key={section.id}
+                    anchor={anchor}
+                    section={section}
+                    colors={{ primaryColor, secondaryColor, textColor }}
+                    fonts={{ fontHeading, fontBody }}
+                />
+            );
+        }
+
+        const Component = definition.getComponent?.(section, portfolio) ?? definition.component;
+        const { getProps } = definition;
+        return (
+            <div key={section.id} id={anchor}>
+                <Component {...getProps(section, portfolio, mode)} />
+            </div>
+        );
+    };
+
+    // ── Layout class for the body sections wrapper ─────────────
+    // Two columns from `lg` up, stacked (main, then side) below; the editor
+    // preview always shows the desktop arrangement, as it does for the sidebar
+    let layoutClass = 'flex flex-col';
+    if (layout === 'sidebar') {
+        layoutClass = 'flex';
+    } else if (isTwoColumn) {
+        layoutClass = isPreview
+            ? 'grid grid-cols-[minmax(0,2fr)_minmax(0,1fr)]'
+            : 'grid grid-cols-1 lg:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]';
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className={`portfolio-root transition-colors duration-300 ${isDark ? 'dark' : ''} ${
+                isPreview ? 'flex-1 overflow-auto' : 'min-h-screen'
+            }`}
+            style={{
+                backgroundColor,
+                color: textColor,
+                '--color-primary': primaryColor,
+                '--color-secondary': secondaryColor,
+                '--color-bg': backgroundColor,
+                '--color-text': textColor,
+                '--font-heading': fontHeading,
+                '--font-body': fontBody,
+                '--font-heading-family': `"${fontHeading}"`,
+                '--font-body-family': `"${fontBody}"`,
+            }}
+        >
+            <style>{PORTFOLIO_ROOT_CSS}</style>
+
+            {/* Floating Navigation – not shown inside the editor preview */}
+            {!isPreview && <FloatingNav items={navItems} />}
+
+            {/* Body sections – rendered in sortOrder, respecting chosen layout */}
+            <div className={`${layoutClass} ${isPreview ? 'min-h-full' : ''}`}>
+                {/* Sidebar layout: persistent side-nav */}
+                {layout === 'sidebar' && (
+                    <aside
+                        className={`${isPreview ? 'flex' : 'hidden md:flex'} w-56 min-h-full flex-col flex-shrink-0 sticky top-0 self-start p-6`}
+                        style={{ backgroundColor: primaryColor, height: '100vh' }}
+                    >
+                        <h3
+                            className="text-lg font-bold text-white truncate"
+                            style={{ fontFamily: fontHeading }}
+                        >
+                            {portfolio?.title || 'Portfolio'}
+                        </h3>
+                        <nav className="mt-8 space-y-3 flex-1">
+                            {bodySections.map(s => (
+                                <a
+                                    key={s.id}
+                                    href={`#${anchors[s.id]}`}
+                                    className="flex items-center gap-2 text-sm text-white/70 hover:text-white transition-colors"
+                                >
+                                    <span>{getSectionIcon(s.sectionType)}</span>
+                                    {s.sectionType}
+                                </a>
+                            ))}
+                        </nav>
+                    </aside>
+                )}
+
+                {/* Main content area */}
+                <main className="flex-1 min-w-0">
+                    {bodySections.length === 0 && isPreview ? (
+                        <div className="flex items-center justify-center h-64 text-center p-12">
+                            <div>
+                                <p className="text-4xl mb-4">📄</p>
+                                <p className="text-lg font-medium" style={{ color: textColor }}>
+                                    No sections to show
+                                </p>
+                                <p className="text-sm mt-2" style={{ color: textColor, opacity: 0.5 }}>
+                                    Upload a resume to populate your portfolio, then customize it here.
+                                </p>
+                            </div>
+                        </div>
+                    ) : (
+                        <>
+                            {mainSections.map(renderSection)}
+                            {!hasContactSection && (
+                                <div id="contact">
+                                    <ContactSection variant="default" slug={portfolio?.slug} canSend={mode === 'public'} />
+                                </div>
+                            )}
+                        </>
+                    )}
+                </main>
+
+                {/* Two-column layout: side column */}
+                {isTwoColumn && (
+                    <aside
+                        className="min-w-0"
+                        style={{ backgroundColor: 'color-mix(in srgb, var(--color-text) 3%, transparent)' }}
+                    >
+                        {sideSections.map(renderSection)}
+                    </aside>
+                )}
+            </div>
+
+            {/* Share – QR code, vCard and link for the published address */}
+            {!isPreview && portfolio?.slug && (
+                <>
+                    <motion.button
+                        onClick={() => setIsSharing(true)}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        className="fixed bottom-6 right-6 z-40 flex items-center gap-2 px-4 py-3 rounded-full
+                                   text-sm font-semibold text-white shadow-xl"
+                        style={{ backgroundColor: primaryColor }}
+                    >
+                        <Share2 size={16} />
+                        Share
+                    </motion.button>
+                    <AnimatePresence>
+                        {isSharing && (
+                            <ShareSheet
+                                portfolio={portfolio}
+                                color={theme.primaryColor}
+                                onClose={() => setIsSharing(false)}
+                            />
+                        )}
+                    </AnimatePresence>
+                </>
+            )}
+
+            {!isPreview && (
+                <PortfolioFooter
+                    title={portfolio?.title}
+                    primaryColor={primaryColor}
+                    secondaryColor={secondaryColor}
+                    showWatermark={mode === 'public' && portfolio?.showWatermark !== false}
+                />
+            )}
+        </motion.div>
+    );
+};
+
+/**
+ * PortfolioFooter
+ *
+ * Title + copyright. Public pages additionally carry the FolioForge
+ * watermark unless the owner's plan hides it.
+ */
+const PortfolioFooter = ({ title, primaryColor, secondaryColor, showWatermark }) => (
+    <footer className="relative py-12 text-center bg-slate-900 dark:bg-black text-white">
+        <div className="max-w-5xl mx-auto px-6">
+            <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                whileInView={{ opacity: 1, y: 0 }}
+                className="mb-6"
+            >
+                <h3
+                    className="text-2xl font-bold bg-clip-text text-transparent bg-gradient-to-r"
+                    style={{
+                        fontFamily: `var(--font-heading), ui-sans-serif, system-ui, sans-serif`,
+                        backgroundImage: `linear-gradient(to right, ${primaryColor}, ${secondaryColor})`,
+                    }}
+                >
+                    {title}
+                </h3>
+            </motion.div>
+            <p className="text-slate-400 text-sm">
+                &copy; {new Date().getFullYear()} All rights reserved.
+            </p>
+            {showWatermark ? (
+                <a
+                    href="https://folioforge.ai"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1.5 mt-4 px-3 py-1.5 rounded-full bg-white/5 border border-white/10 text-slate-400 hover:text-white hover:border-white/20 transition-all text-xs"
+                >
+                    <span>⚡</span>
+                    <span>Built with <strong className="text-white">FolioForge</strong></span>
+                </a>
+            ) : (
+                <p className="text-slate-500 text-xs mt-2">
+                    Crafted with ❤️ using FolioForge AI
+                </p>
+            )}
+        </div>
+    </footer>
+);
+
+/**
+ * SectionPreviewFallback
+ *
+ * Placeholder card for section types with no registered renderer.
+ * Shown to the owner (page + preview) so the section isn't silently lost.
+ */
+const SectionPreviewFallback = ({ anchor, section, colors, fonts }) => {
+    let contentSummary = '';
+    try {
+        const parsed = JSON.parse(section.content);
+        if (typeof parsed === 'string') {
+            contentSummary = parsed;
+        } else if (parsed.content) {
+            contentSummary = parsed.content;
+        } else if (Array.isArray(parsed)) {
+            contentSummary = `${parsed.length} items`;
+        } else {
+            contentSummary = Object.keys(parsed).join(', ');
+        }
+    } catch {
+        contentSummary = section.content?.substring(0, 100) || '';
+    }
+
+    return (
+        <motion.section
+            id={anchor}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="py-12 px-8 border-b"
+            style={{ borderColor: `${colors.textColor}15` }}
+        >
+            <div className="max-w-3xl mx-auto">
+                <div className="flex items-center gap-3 mb-4">
+                    <h2
+                        className="text-2xl font-bold"
+                        style={{ color: colors.primaryColor, fontFamily: fonts.fontHeading }}
+                    >
+                        {section.sectionType}
+                    </h2>
+                    <span
+                        className="text-xs px-2 py-0.5 rounded-full"
+                        style={{
+                            backgroundColor: `${colors.secondaryColor}20`,
+                            color: colors.secondaryColor,
+                        }}
+                    >
+                        {section.variant}
+                    </span>
+                </div>
+                {contentSummary && (
+                    <p
+                        className="text-sm leading-relaxed"
+                        style={{ color: colors.textColor, opacity: 0.7, fontFamily: fonts.fontBody }}
+                    >
+                        {contentSummary.length > 200
+                            ? contentSummary.substring(0, 200) + '…'
+                            : contentSummary}
+                    </p>
+                )}
+                <div
+                    className="mt-4 h-24 rounded-lg border-2 border-dashed flex items-center justify-center text-sm"
+                    style={{
+                        borderColor: `${colors.textColor}20`,
+                        color: `${colors.textColor}40`,
+                    }}
+                >
+                    No renderer is registered for this section type — visitors won't see it
+                </div>
+            </div>
+        </motion.section>
+    );
+};
@@ -0,0 +1,248 @@
+import { useSyncExternalStore } from 'react';
+import { ParticleHero } from './ParticleHero';
+import { HeroSection } from './HeroSection';
+import { AboutSection } from './AboutSection';
+import { AnimatedSkillsSection } from './AnimatedSkillsSection';
+import { AnimatedTimelineSection } from './AnimatedTimelineSection';
+import { AnimatedProjectsSection } from './AnimatedProjectsSection';
+import { AnimatedEducationSection } from './AnimatedEducationSection';
+import { ContactSection } from './ContactSection';
+import { MarkdownSection } from './MarkdownSection';
+import { SECTION_VARIANTS } from '../../config/themes';
+
+/**
+ * Section Renderer Registry
+ *
+ * Pattern: Registry keyed by lower-cased `sectionType`.
+ * Every portfolio view (owner page, public page, editor preview) resolves
+ * sections through this module, so a type or variant registered here
+ * renders identically everywhere.
+ *
+ * A definition looks like:
+ * {
+ *   component:    ReactComponent,            // required
+ *   icon:         '🧩',                       // nav / sidebar icon
+ *   label:        'Gallery',                  // nav label (defaults to sectionType);
+ *                                             // may be (section, portfolio) => string
+ *   variants:     [{ id, name, description }], // shown in SectionManager
+ *   getProps:     (section, portfolio, mode) => ({}) // maps a section to component props;
+ *                                             // mode is 'owner' | 'public' | 'preview'
+ *   getComponent: (section, portfolio) => C   // optional per-section override
+ *   title:        'Gallery',                  // sectionType used when added by hand
+ *   description:  'Image grid',               // shown in the "Add section" gallery
+ *   defaultContent: { items: [] },            // blank content for a new section;
+ *                                             // omit to keep the type out of the gallery
+ * }
+ *
+ * Third-party types can be added at runtime with `registerSectionType`;
+ * mounted renderers re-render through `useSectionRegistry`.
+ */
+
+const FALLBACK_ICON = '📄';
+
+const registry = new Map();
+const listeners = new Set();
+let version = 0;
+
+const normalizeType = (type) => (type || '').toString().toLowerCase();
+
+const notify = () => {
+    version += 1;
+    listeners.forEach((listener) => listener());
+};
+
+/** Default prop mapping used by every content-driven section component. */
+const defaultGetProps = (section) => ({
+    content: section.content,
+    variant: section.variant,
+});
+
+/**
+ * Parse bio text from about-section content.
+ * Accepts a raw string, a JSON string, or an already-parsed object.
+ */
+export const parseBio = (content) => {
+    if (!content) return '';
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        if (typeof parsed === 'string') return parsed;
+        return parsed?.content || parsed?.bio || parsed?.summary || parsed?.text || '';
+    } catch {
+        return typeof content === 'string' ? content : '';
+    }
+};
+
+/** True when the portfolio has a visible, dedicated Hero section. */
+export const hasVisibleHero = (portfolio) =>
+    (portfolio?.sections || []).some(
+        s => s.sectionType?.toLowerCase() === 'hero' && s.isVisible !== false
+    );
+
+/**
+ * Register (or replace) the renderer for a section type.
+ * Returns an unregister function for convenience.
+ */
+export const registerSectionType = (type, definition) => {
+    const key = normalizeType(type);
+    if (!key) throw new Error('Section type is required');
+    if (!definition?.component) {
+        throw new Error(`Section type "${key}" must provide a component`);
+    }
+
+    registry.set(key, {
+        icon: FALLBACK_ICON,
+        label: null,
+        variants: null,
+        getProps: defaultGetProps,
+        title: key.charAt(0).toUpperCase() + key.slice(1),
+        description: '',
+        defaultContent: null,
+        ...definition,
+    });
+    notify();
+
+    return () => unregisterSectionType(key);
+};
+
+/** Remove a section type from the registry. */
+export const unregisterSectionType = (type) => {
+    if (registry.delete(normalizeType(type))) notify();
+};
+
+/** Look up the definition for a section type (case-insensitive). */
+export const getSectionDefinition = (type) => registry.get(normalizeType(type)) ?? null;
+
+/** All registered section type keys, in registration order. */
+export const getRegisteredSectionTypes = () => [...registry.keys()];
+
+/** Icon for a section type, used by navigation and sidebars. */
+export const getSectionIcon = (type) =>
+    getSectionDefinition(type)?.icon ?? FALLBACK_ICON;
+
+/**
+ * Display variants for a section type.
+ * Registered definitions win; otherwise fall back to `SECTION_VARIANTS`,
+ * which is keyed by the capitalised type name.
+ */
+export const getSectionVariants = (type) => {
+    const definition = getSectionDefinition(type);
+    if (definition?.variants) return definition.variants;
+
+    const key = normalizeType(type);
+    const match = Object.keys(SECTION_VARIANTS).find((k) => k.toLowerCase() === key);
+    return match ? SECTION_VARIANTS[match] : [];
+};
+
+/**
+ * Section types the owner can add by hand, in registration order.
+ * Each entry carries the `sectionType` to create and its blank content
+ * as a JSON string, ready for `useCustomizationStore.addSection`.
+ */
+export const getSectionTemplates = () =>
+    [...registry.entries()]
+        .filter(([, definition]) => definition.defaultContent != null)
+        .map(([key, definition]) => ({
+            key,
+            sectionType: definition.title,
+            icon: definition.icon,
+            description: definition.description,
+            variants: getSectionVariants(key),
+            content: JSON.stringify(definition.defaultContent),
+        }));
+
+/**
+ * Subscribe to registry changes. Intended for `useSyncExternalStore`.
+ */
+export const subscribeToSectionRegistry = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/** Monotonic counter that changes whenever the registry does. */
+export const getSectionRegistryVersion = () => version;
+
+/**
+ * Hook that re-renders the caller whenever a section type is
+ * registered or removed. Returns the current registry version.
+ */
+export const useSectionRegistry = () =>
+    useSyncExternalStore(subscribeToSectionRegistry, getSectionRegistryVersion);
+
+// ─── built-in section types ──────────────────────────────────────────────────
+
+registerSectionType('hero', {
+    component: HeroSection,
+    icon: '🏠',
+    label: 'Home',
+    description: 'Name, headline and call-to-action buttons',
+    defaultContent: { name: '', headline: '', tagline: '', ctas: [] },
+    getProps: (section, portfolio) => ({
+        content: section.content,
+        variant: section.variant,
+        fallbackName: portfolio?.title,
+    }),
+});
+
+// About doubles as the page hero until the owner adds a real Hero section;
+// after that it renders as a regular bio section.
+registerSectionType('about', {
+    component: AboutSection,
+    icon: '👤',
+    description: 'A short bio',
+    defaultContent: { content: '' },
+    label: (section, portfolio) => (hasVisibleHero(portfolio) ? 'About' : 'Home'),
+    getComponent: (section, portfolio) =>
+        (hasVisibleHero(portfolio) ? AboutSection : ParticleHero),
+    getProps: (section, portfolio) => (hasVisibleHero(portfolio)
+        ? { content: section.content, variant: section.variant }
+        : {
+            title: portfolio?.title || 'Portfolio',
+            bio: parseBio(section.content),
+            onContactClick: () =>
+                document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' }),
+            onDownloadClick: () => {},
+        }),
+});
+registerSectionType('skills', {
+    component: AnimatedSkillsSection,
+    icon: '⚡',
+    description: 'Skill badges',
+    defaultContent: { items: [] },
+});
+registerSectionType('timeline', {
+    component: AnimatedTimelineSection,
+    icon: '💼',
+    description: 'Work experience',
+    defaultContent: { items: [] },
+});
+registerSectionType('projects', {
+    component: AnimatedProjectsSection,
+    icon: '🚀',
+    description: 'Project cards with tech stack',
+    defaultContent: { items: [] },
+});
+registerSectionType('contact', {
+    component: ContactSection,
+    icon: '✉️',
+    description: 'Contact details and social links',
+    defaultContent: { links: {} },
+    // Only the published page delivers messages; elsewhere the form is a preview
+    getProps: (section, portfolio, mode) => ({
+        content: section.content,
+        variant: section.variant,
+        slug: portfolio?.slug,
+        canSend: mode === 'public',
+    }),
+});
+registerSectionType('education', {
+    component: AnimatedEducationSection,
+    icon: '🎓',
+    description: 'Degrees and certifications',
+    defaultContent: { items: [] },
+});
+registerSectionType('markdown', {
+    component: MarkdownSection,
+    icon: '📝',
+    description: 'Free-form rich text',
+    defaultContent: { title: '', content: '' },
+});
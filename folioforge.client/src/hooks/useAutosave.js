@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+import { useCustomizationStore, didEdit } from '../stores/useCustomizationStore';
+
+/** Quiet period after the last edit before changes are sent to the server */
+export const AUTOSAVE_DELAY_MS = 2000;
+
+/**
+ * useAutosave Hook
+ *
+ * Saves the customization store through `saveCustomization` once edits
+ * have been quiet for `delay` ms. Edits made while a save is in flight
+ * queue another save; a failed save waits for the next edit (or a manual
+ * retry) instead of retrying in a loop, and nothing is saved while a
+ * version conflict is waiting to be resolved. Progress is reported through
+ * the store's `saveStatus`.
+ *
+ * @param {string} portfolioId
+ * @param {{ enabled?: boolean, delay?: number }} [options]
+ */
+export const useAutosave = (portfolioId, { enabled = true, delay = AUTOSAVE_DELAY_MS } = {}) => {
+    useEffect(() => {
+        if (!enabled || !portfolioId) return;
+
+        let timer = null;
+
+        const run = async () => {
+            const { isDirty, isSaving, conflict, saveCustomization } = useCustomizationStore.getState();
+            // A pending conflict must be resolved first; saving again would only hit it again
+            if (!isDirty || conflict) return;
+            if (isSaving) {
+                timer = setTimeout(run, delay);
+                return;
+            }
+            try {
+                await saveCustomization(portfolioId);
+            } catch {
+                // surfaced through saveStatus
+            }
+        };
+
+        const unsubscribe = useCustomizationStore.subscribe((state, prev) => {
+            if (!state.isDirty || !didEdit(state, prev)) return;
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+        });
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [portfolioId, enabled, delay]);
+};
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * useCountdown Hook
+ *
+ * Whole seconds left until `until` (epoch ms), ticking once a second and
+ * stopping at 0. Returns 0 when `until` is null or already past.
+ *
+ * @param {number|null} until
+ * @returns {number}
+ */
+export const useCountdown = (until) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!until) return;
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= until) clearInterval(timer);
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [until]);
+
+    return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+};
@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react';
+import { PortfolioService } from '../services/portfolioService';
+import { NotFoundError } from '../api/errors';
+
+/** Stages a resume goes through, in order — mirrors the API's ResumeJobStage */
+export const RESUME_JOB_STAGES = [
+    { id: 'uploaded',            label: 'Uploaded' },
+    { id: 'extracting_text',     label: 'Extracting text' },
+    { id: 'ai_parsing',          label: 'AI parsing' },
+    { id: 'generating_sections', label: 'Generating sections' },
+    { id: 'done',                label: 'Done' },
+];
+
+const POLL_INTERVAL_MS = 2000;
+
+/** Give up waiting (the job may still finish) after this long */
+const MAX_WAIT_MS = 10 * 60 * 1000;
+
+const TIMEOUT_REASON =
+    'This is taking longer than usual. Your portfolio will update when processing finishes — check back in a few minutes.';
+const LOST_REASON =
+    'We lost track of this upload. Refresh to see whether your portfolio was updated, or upload the resume again.';
+
+const sleep = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+const isFinal = (stage) => stage === 'done' || stage === 'failed';
+
+/**
+ * useResumeJob Hook
+ *
+ * Follows a resume upload through its processing stages. Listens to the
+ * job's server-sent events and falls back to polling when the stream
+ * can't be opened or closes before the job finishes (proxies, old
+ * browsers, the server's stream time limit). `reachedStage` is the last
+ * stage before done/failed, for showing where a failure happened.
+ *
+ * @param {string|null} portfolioId
+ * @param {string|null} jobId - From `PortfolioService.uploadResume`; null when idle
+ * @returns {{
+ *   stage: string|null, reachedStage: string|null, error: string|null,
+ *   isFinished: boolean, isDone: boolean, isFailed: boolean,
+ *   transport: 'sse'|'polling'|null,
+ * }}
+ */
+export const useResumeJob = (portfolioId, jobId) => {
+    // Keyed by job, so a new upload never shows the previous one's state
+    const [state, setState] = useState({ jobId: null, job: null, reached: null, error: null, transport: null });
+
+    useEffect(() => {
+        if (!portfolioId || !jobId) return;
+
+        const controller = new AbortController();
+        const { signal } = controller;
+        const startedAt = Date.now();
+        let finished = false;
+
+        const update = (patch) => {
+            if (signal.aborted) return;
+            setState(prev => ({
+                ...(prev.jobId === jobId ? prev : { job: null, reached: null, error: null }),
+                jobId,
+                ...patch,
+            }));
+        };
+        const receive = (job) => {
+            finished = isFinal(job.stage);
+            // Remember the last working stage, so a failure can say where it happened
+            update(finished ? { job } : { job, reached: job.stage });
+        };
+        const giveUp = (error) => {
+            finished = true;
+            update({ error });
+        };
+
+        const poll = async () => {
+            update({ transport: 'polling' });
+            while (!signal.aborted && !finished) {
+                if (Date.now() - startedAt > MAX_WAIT_MS) {
+                    giveUp(TIMEOUT_REASON);
+                    return;
+                }
+                try {
+                    receive(await PortfolioService.getResumeJob(portfolioId, jobId));
+                } catch (err) {
+                    if (err instanceof NotFoundError) {
+                        giveUp(LOST_REASON);
+                        return;
+                    }
+                    // Anything else is likely transient — try again next tick
+                }
+                if (!finished) await sleep(POLL_INTERVAL_MS, signal);
+            }
+        };
+
+        const follow = async () => {
+            try {
+                update({ transport: 'sse' });
+                await PortfolioService.streamResumeJob(portfolioId, jobId, { signal, onStatus: receive });
+            } catch (err) {
+                if (signal.aborted) return;
+                if (err instanceof NotFoundError) {
+                    giveUp(LOST_REASON);
+                    return;
+                }
+            }
+            if (!signal.aborted && !finished) await poll();
+        };
+
+        follow();
+        return () => controller.abort();
+    }, [portfolioId, jobId]);
+
+    const current = state.jobId === jobId && jobId
+        ? state
+        : { job: null, reached: null, error: null, transport: null };
+    const stage = jobId ? current.job?.stage ?? 'uploaded' : null;
+    const isDone = stage === 'done';
+    const isFailed = stage === 'failed' || Boolean(current.error);
+
+    return {
+        stage,
+        reachedStage: jobId ? current.reached ?? 'uploaded' : null,
+        error: current.job?.error ?? current.error,
+        isFinished: isDone || isFailed,
+        isDone,
+        isFailed,
+        transport: current.transport,
+    };
+};
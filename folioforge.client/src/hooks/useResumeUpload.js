@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { uploadResumeFile } from '../services/resumeUploader';
+import { isAbortError } from '../api/retry';
+
+const IDLE = { status: 'idle', portfolioId: null, loaded: 0, total: 0, retry: null, error: null, cause: null, canResume: false };
+
+/**
+ * useResumeUpload Hook
+ *
+ * State and controls for one resume upload at a time (see `uploadResumeFile`).
+ * `status` is idle → uploading (→ retrying → uploading …) → done, or failed /
+ * cancelled. While retrying, `retry` holds `{ attempt, delayMs }` for the
+ * upcoming attempt. A failure leaves its message in `error` and the error
+ * itself in `cause` (for rate/plan limits). After a failed chunked upload, `resume()` carries on from
+ * what the server already has (`canResume`); otherwise it starts again.
+ *
+ * @returns {{
+ *   status: 'idle'|'uploading'|'retrying'|'done'|'failed'|'cancelled',
+ *   portfolioId: string|null, loaded: number, total: number, percent: number,
+ *   retry: { attempt: number, delayMs: number }|null, error: string|null, cause: Error|null,
+ *   canResume: boolean,
+ *   isActive: boolean,
+ *   start: (portfolioId: string, file: File) => Promise<{ jobId: string }|null>,
+ *   resume: () => Promise<{ jobId: string }|null>,
+ *   cancel: () => void,
+ *   reset: () => void,
+ * }}
+ */
+export const useResumeUpload = () => {
+    const [state, setState] = useState(IDLE);
+    const controllerRef = useRef(null);
+    // What `resume` needs: { portfolioId, file, uploadId }
+    const lastRef = useRef(null);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const run = useCallback(async () => {
+        const last = lastRef.current;
+        if (!last) return null;
+
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        const update = (patch) => {
+            if (controllerRef.current === controller) setState(prev => ({ ...prev, ...patch }));
+        };
+
+        setState({ ...IDLE, status: 'uploading', portfolioId: last.portfolioId, total: last.file.size });
+        try {
+            const result = await uploadResumeFile(last.portfolioId, last.file, {
+                uploadId: last.uploadId,
+                signal: controller.signal,
+                onSession: (uploadId) => { last.uploadId = uploadId; },
+                onProgress: ({ loaded, total }) => update({ status: 'uploading', loaded, total, retry: null }),
+                onRetry: ({ attempt, delayMs }) => update({ status: 'retrying', retry: { attempt, delayMs } }),
+            });
+            lastRef.current = null;
+            update({ status: 'done', loaded: last.file.size, retry: null });
+            return result;
+        } catch (err) {
+            if (isAbortError(err)) {
+                lastRef.current = null;
+                update({ status: 'cancelled', retry: null });
+            } else {
+                update({
+                    status: 'failed',
+                    retry: null,
+                    error: err.message || 'Upload failed',
+                    cause: err,
+                    canResume: Boolean(last.uploadId),
+                });
+            }
+            return null;
+        } finally {
+            if (controllerRef.current === controller) controllerRef.current = null;
+        }
+    }, []);
+
+    const start = useCallback((portfolioId, file) => {
+        lastRef.current = { portfolioId, file, uploadId: null };
+        return run();
+    }, [run]);
+
+    const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+    const reset = useCallback(() => {
+        controllerRef.current?.abort();
+        controllerRef.current = null; // the aborted run must not report "cancelled" over the reset
+        lastRef.current = null;
+        setState(IDLE);
+    }, []);
+
+    const percent = state.total > 0 ? Math.round((state.loaded / state.total) * 100) : 0;
+
+    return {
+        ...state,
+        percent,
+        isActive: state.status === 'uploading' || state.status === 'retrying',
+        start,
+        resume: run,
+        cancel,
+        reset,
+    };
+};
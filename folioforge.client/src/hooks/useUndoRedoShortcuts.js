@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+import { useCustomizationStore } from '../stores/useCustomizationStore';
+
+const NON_TEXT_INPUTS = new Set(['button', 'checkbox', 'color', 'file', 'radio', 'range', 'reset', 'submit']);
+
+/** Text fields keep the browser's own undo for what is being typed */
+const isTextField = (el) => {
+    if (!el) return false;
+    if (el.isContentEditable) return true;
+    if (el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !NON_TEXT_INPUTS.has(el.type);
+};
+
+/**
+ * useUndoRedoShortcuts Hook
+ *
+ * Binds Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z (or Ctrl+Y) to redo
+ * for the customization store while the calling page is mounted.
+ *
+ * @param {boolean} [enabled=true]
+ */
+export const useUndoRedoShortcuts = (enabled = true) => {
+    const undo = useCustomizationStore(state => state.undo);
+    const redo = useCustomizationStore(state => state.redo);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const key = e.key.toLowerCase();
+            const isUndo = key === 'z' && !e.shiftKey;
+            const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+            if (!isUndo && !isRedo) return;
+            if (isTextField(e.target)) return;
+
+            e.preventDefault();
+            if (isUndo) undo();
+            else redo();
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [enabled, undo, redo]);
+};
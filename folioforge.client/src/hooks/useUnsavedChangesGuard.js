@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import { useBlocker } from 'react-router-dom';
+
+/**
+ * useUnsavedChangesGuard Hook
+ *
+ * While `when` is true, warns before the tab is closed or reloaded
+ * (the browser's own prompt) and blocks in-app navigation to another page.
+ * Render a confirmation for the returned blocker while
+ * `blocker.state === 'blocked'` and call `blocker.proceed()` or
+ * `blocker.reset()`.
+ *
+ * @param {boolean} when
+ * @param {{ onBeforeUnload?: () => void }} [options] - Runs first on tab close, e.g. to flush a draft
+ * @returns {import('react-router-dom').Blocker}
+ */
+export const useUnsavedChangesGuard = (when, { onBeforeUnload } = {}) => {
+    useEffect(() => {
+        if (!when) return;
+
+        const handler = (e) => {
+            onBeforeUnload?.();
+            e.preventDefault();
+            // Older browsers only show the prompt when returnValue is set
+            e.returnValue = '';
+        };
+
+        window.addEventListener('beforeunload', handler);
+        return () => window.removeEventListener('beforeunload', handler);
+    }, [when, onBeforeUnload]);
+
+    // Query-string or hash changes on the same page don't lose anything
+    return useBlocker(({ currentLocation, nextLocation }) =>
+        when && currentLocation.pathname !== nextLocation.pathname
+    );
+};
@@ -1,8 +1,18 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { PortfolioService } from '../services/portfolioService';
+import { ContactService } from '../services/contactService';
+import { useResumeJob, RESUME_JOB_STAGES } from '../hooks/useResumeJob';
+import { ResumeJobProgress } from '../components/ui/ResumeJobProgress';
+import { ResumeDropzone } from '../components/ui/ResumeDropzone';
+import { UploadProgress } from '../components/ui/UploadProgress';
+import { useResumeUpload } from '../hooks/useResumeUpload';
+import { LimitNotice } from '../components/ui/LimitNotice';
+import { RateLimitIndicator } from '../components/ui/RateLimitIndicator';
+import { ShareSheet } from '../components/ui/ShareSheet';
+import { isLimitError } from '../api/errors';
 
 /**
  * DashboardPage
@@ -10,8 +20,15 @@ import { PortfolioService } from '../services/portfolioService';
  * Protected landing page after login.
  * - Lists the user's portfolios
  * - Create a new portfolio (title + slug)
- * - Upload a resume PDF to an existing portfolio
+ * - Upload a resume (PDF, Word, Markdown/text or LinkedIn export) to an existing
+ *   portfolio after checking it in a dropzone — with progress, cancel and
+ *   automatic retry — and follow its processing stages
+ * - Open the review of a finished AI import before it changes any section
  * - Navigate to view a portfolio
+ * - Rate and plan limits show a countdown or an upgrade prompt, and a header
+ *   pill warns when the API rate-limit quota runs low
+ * - Unread contact messages per portfolio, linking to the inbox
+ * - Share a portfolio: QR code, vCard, copy link
  */
 export const DashboardPage = () => {
     const { user, logout } = useAuth();
@@ -20,25 +37,32 @@ export const DashboardPage = () => {
     // ── Portfolio list state ─────────────────────────────
     const [portfolios, setPortfolios] = useState([]);
     const [listLoading, setListLoading] = useState(true);
-    const [listError, setListError] = useState(null);
+    const [listError, setListError] = useState(null); // the error, for limit notices
+    const [unreadCounts, setUnreadCounts] = useState({}); // { [portfolioId]: count }
+    const totalUnread = Object.values(unreadCounts).reduce((sum, n) => sum + n, 0);
 
     // ── Create form state ────────────────────────────────
     const [showCreate, setShowCreate] = useState(false);
     const [createForm, setCreateForm] = useState({ title: '', slug: '' });
     const [creating, setCreating] = useState(false);
-    const [createError, setCreateError] = useState(null);
+    const [createError, setCreateError] = useState(null); // the error, for limit notices
 
     // ── Upload state ─────────────────────────────────────
-    const [uploadingId, setUploadingId] = useState(null);
-    const [uploadStatus, setUploadStatus] = useState(null); // { type: 'success'|'error', message }
+    const [uploadTarget, setUploadTarget] = useState(null); // { portfolio, file? } while the dropzone is open
+    const upload = useResumeUpload();
+    const uploadingId = upload.isActive ? upload.portfolioId : null;
+    const [uploadStatus, setUploadStatus] = useState(null); // { type: 'error', message } for failed deletes
 
     // ── Delete state ─────────────────────────────────────
     const [deletingId, setDeletingId] = useState(null);
 
-    // ── AI processing poll state ──────────────────────────
-    const [processingId, setProcessingId] = useState(null);
-    const pollingRef = useRef(null);
+    // ── Share sheet ──────────────────────────────────────
+    const [sharing, setSharing] = useState(null); // the portfolio being shared
 
+    // ── AI processing job ────────────────────────────────
+    const [resumeJob, setResumeJob] = useState(null); // { portfolioId, jobId }
+    const job = useResumeJob(resumeJob?.portfolioId, resumeJob?.jobId);
+    const processingId = resumeJob && !job.isFinished ? resumeJob.portfolioId : null;
 
     // ── Fetch user's portfolios ──────────────────────────
     const fetchPortfolios = useCallback(async () => {
@@ -49,66 +73,28 @@ export const DashboardPage = () => {
             // Backend returns PagedResult { items, page, totalCount, ... }
             setPortfolios(result.items ?? result);
         } catch (err) {
-            setListError(err.message || 'Failed to load portfolios');
+            setListError(err);
         } finally {
             setListLoading(false);
         }
     }, []);
 
-    const startPolling = useCallback((portfolioId, initialSectionCount) => {
-        if(pollingRef.current) clearInterval(pollingRef.current);
-
-        setProcessingId(portfolioId);
-        setUploadStatus({
-            type: 'processing', 
-            message: 'Processing your resume may take some time...',
-        });
-
-        let attempts = 0;
-        const MAX_ATTEMPTS = 20;
-
-        pollingRef.current = setInterval(async () => {
-            attempts++;
-
-            if(attempts > MAX_ATTEMPTS){
-                clearInterval(pollingRef.current);
-                setProcessingId(null);
-                setUploadStatus({
-                    type: 'error',
-                    message: 'Processing is taking longer than expected. Please refresh later.',
-                });
-                return;
-            }
-
-            try {
-                const portfolio = await PortfolioService.getById(portfolioId);
-                if((portfolio.sections?.length ?? 0) > initialSectionCount){
-                    clearInterval(pollingRef.current);
-                    setProcessingId(null);
-                    await fetchPortfolios();
-                    setUploadStatus({
-                        type: 'success',
-                        message: '✅ Portfolio updated successfully from your resume!',
-                    });
-                }
-            }
-            catch{
-
-            }
-        }, 3000);
-
-    }, [fetchPortfolios]);
-
     useEffect(() => {
         fetchPortfolios();
     }, [fetchPortfolios]);
 
+    // Badges only — a failure just leaves them off
     useEffect(() => {
-        return () => {
-            if(pollingRef.current) clearInterval(pollingRef.current);
-        }
+        ContactService.unreadCounts()
+            .then(counts => setUnreadCounts(counts ?? {}))
+            .catch(() => {});
     }, []);
 
+    // The import is staged — refresh so the card offers the review
+    useEffect(() => {
+        if (job.isDone) fetchPortfolios();
+    }, [job.isDone, fetchPortfolios]);
+
     // ── Handlers ─────────────────────────────────────────
     const handleLogout = () => {
         logout();
@@ -128,31 +114,39 @@ export const DashboardPage = () => {
             setShowCreate(false);
             await fetchPortfolios(); // refresh list
         } catch (err) {
-            setCreateError(err.message || 'Failed to create portfolio');
+            setCreateError(err);
         } finally {
             setCreating(false);
         }
     };
 
-const handleUpload = async (portfolioId, file) => {
-    setUploadingId(portfolioId);
-    setUploadStatus(null);
-
-    const currentPortfolio = portfolios.find(p => p.id === portfolioId);
-    const initialSectionCount = currentPortfolio?.sections?.length ?? 0;
-
-    try {
-        await PortfolioService.uploadResume(portfolioId, file);
-        startPolling(portfolioId, initialSectionCount);
-    } catch (err) {
-        setUploadStatus({
-            type: 'error',
-            message: err.message || 'Upload failed',
-        });
-    } finally {
-        setUploadingId(null);
-    }
-};
+    const openUpload = (portfolio, file) => {
+        upload.reset();
+        setUploadTarget({ portfolio, file });
+    };
+
+    const closeUpload = () => {
+        upload.reset();
+        setUploadTarget(null);
+    };
+
+    // Failures, retries and cancelling show in the upload dialog (`upload`)
+    const handleUpload = async (portfolioId, file) => {
+        const result = await upload.start(portfolioId, file);
+        if (result) {
+            setResumeJob({ portfolioId, jobId: result.jobId });
+            setUploadTarget(null);
+        }
+    };
+
+    const handleResumeUpload = async () => {
+        const { portfolioId } = upload;
+        const result = await upload.resume();
+        if (result) {
+            setResumeJob({ portfolioId, jobId: result.jobId });
+            setUploadTarget(null);
+        }
+    };
 
     const handleDelete = async (portfolioId) => {
         if (!window.confirm('Are you sure you want to delete this portfolio? This cannot be undone.')) return;
@@ -185,6 +179,20 @@ const handleUpload = async (portfolioId, file) => {
                         FolioForge
                     </h1>
                     <div className="flex items-center gap-4">
+                        <RateLimitIndicator />
+                        <button
+                            onClick={() => navigate('/dashboard/inbox')}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium
+                                       bg-white/10 hover:bg-white/20 border border-white/10
+                                       transition-colors"
+                        >
+                            ✉️ Inbox
+                            {totalUnread > 0 && (
+                                <span className="px-1.5 rounded-full bg-blue-500 text-xs font-semibold">
+                                    {totalUnread}
+                                </span>
+                            )}
+                        </button>
                         <span className="text-sm text-slate-400">
                             {user?.email}
                         </span>
@@ -268,6 +276,19 @@ const handleUpload = async (portfolioId, file) => {
                         </motion.div>
                     )}
 
+                    {/* Resume processing progress */}
+                    <AnimatePresence>
+                        {resumeJob && (
+                            <ResumeJobProgress
+                                key={resumeJob.jobId}
+                                title={portfolios.find(p => p.id === resumeJob.portfolioId)?.title}
+                                job={job}
+                                onReview={() => navigate(`/portfolio/${resumeJob.portfolioId}/review-import`)}
+                                onDismiss={() => setResumeJob(null)}
+                            />
+                        )}
+                    </AnimatePresence>
+
                     {/* Upload Status Banner */}
                     <AnimatePresence>
                         {uploadStatus && (
@@ -275,34 +296,53 @@ const handleUpload = async (portfolioId, file) => {
                                 initial={{ opacity: 0, y: -10 }}
                                 animate={{ opacity: 1, y: 0 }}
                                 exit={{ opacity: 0, y: -10 }}
-                                className={`mb-6 p-4 rounded-xl border flex items-center justify-between ${
-                                    uploadStatus.type === 'success'
-                                        ? 'bg-emerald-500/10 border-emerald-500/30 text-emerald-300'
-                                        : uploadStatus.type === 'processing'
-                                        ? 'bg-blue-500/10 border-blue-500/30 text-blue-300'
-                                        : 'bg-red-500/10 border-red-500/30 text-red-300'
-                                }`}
+                                className="mb-6 p-4 rounded-xl border flex items-center justify-between
+                                           bg-red-500/10 border-red-500/30 text-red-300"
                             >
                                 <span className="flex items-center gap-2">
-                                    {uploadStatus.type === 'processing' && (
-                                        <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-                                        </svg>
-                                    )}
                                     {uploadStatus.message}
                                 </span>
-                                {uploadStatus.type !== 'processing' && (
-                                    <button
-                                        onClick={() => {
-                                            setUploadStatus(null);
-                                            if (uploadStatus.type === 'success') fetchPortfolios();
-                                        }}
-                                        className="text-xs underline ml-4"
+                                <button
+                                    onClick={() => setUploadStatus(null)}
+                                    className="text-xs underline ml-4"
+                                >
+                                    Dismiss
+                                </button>
+                            </motion.div>
+                        )}
+                    </AnimatePresence>
+
+                    {/* Resume Upload Modal */}
+                    <AnimatePresence>
+                        {uploadTarget && (
+                            <motion.div
+                                initial={{ opacity: 0 }}
+                                animate={{ opacity: 1 }}
+                                exit={{ opacity: 0 }}
+                                className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm"
+                                onClick={() => !upload.isActive && closeUpload()}
+                            >
+                                <motion.div
+                                    initial={{ scale: 0.9, opacity: 0 }}
+                                    animate={{ scale: 1, opacity: 1 }}
+                                    exit={{ scale: 0.9, opacity: 0 }}
+                                    onClick={(e) => e.stopPropagation()}
+                                    className="bg-slate-900 border border-white/10 rounded-2xl p-8 w-full max-w-lg shadow-2xl"
+                                >
+                                    <h3 className="text-xl font-bold mb-1">Upload Resume</h3>
+                                    <p className="text-sm text-slate-500 mb-6 truncate">
+                                        For {uploadTarget.portfolio.title} — you&apos;ll review the changes before they&apos;re applied
+                                    </p>
+                                    <ResumeDropzone
+                                        initialFile={uploadTarget.file}
+                                        isUploading={upload.isActive}
+                                        onUpload={(file) => handleUpload(uploadTarget.portfolio.id, file)}
+                                        onCancel={upload.isActive ? upload.cancel : closeUpload}
+                                        cancelLabel={upload.isActive ? 'Cancel upload' : 'Cancel'}
                                     >
-                                        {uploadStatus.type === 'success' ? 'Refresh & Dismiss' : 'Dismiss'}
-                                    </button>
-                                )}
+                                        <UploadProgress upload={upload} onRetry={handleResumeUpload} />
+                                    </ResumeDropzone>
+                                </motion.div>
                             </motion.div>
                         )}
                     </AnimatePresence>
@@ -372,8 +412,12 @@ const handleUpload = async (portfolioId, file) => {
                                                 Letters, numbers, and dashes only
                                             </p>
                                         </div>
-                                        {createError && (
-                                            <p className="text-sm text-red-400">{createError}</p>
+                                        {isLimitError(createError) ? (
+                                            <LimitNotice error={createError} />
+                                        ) : createError && (
+                                            <p className="text-sm text-red-400">
+                                                {createError.message || 'Failed to create portfolio'}
+                                            </p>
                                         )}
                                         <div className="flex gap-3 pt-2">
                                             <button
@@ -406,6 +450,17 @@ const handleUpload = async (portfolioId, file) => {
                         )}
                     </AnimatePresence>
 
+                    {/* Share Sheet */}
+                    <AnimatePresence>
+                        {sharing && (
+                            <ShareSheet
+                                portfolio={sharing}
+                                color={sharing.theme?.primaryColor}
+                                onClose={() => setSharing(null)}
+                            />
+                        )}
+                    </AnimatePresence>
+
                     {/* Portfolio List */}
                     <div>
                         {listLoading ? (
@@ -418,9 +473,13 @@ const handleUpload = async (portfolioId, file) => {
                                     Loading portfolios…
                                 </div>
                             </div>
+                        ) : isLimitError(listError) ? (
+                            <div className="max-w-md mx-auto py-20">
+                                <LimitNotice error={listError} onRetry={fetchPortfolios} />
+                            </div>
                         ) : listError ? (
                             <div className="text-center py-20">
-                                <p className="text-red-400 mb-4">{listError}</p>
+                                <p className="text-red-400 mb-4">{listError.message || 'Failed to load portfolios'}</p>
                                 <button
                                     onClick={fetchPortfolios}
                                     className="px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20
@@ -440,9 +499,15 @@ const handleUpload = async (portfolioId, file) => {
                                         index={i}
                                         onView={() => navigate(`/portfolio/${p.id}`)}
                                         onCustomize={() => navigate(`/portfolio/${p.id}/edit`)}
-                                        onUpload={handleUpload}
+                                        onShare={() => setSharing(p)}
+                                        onReviewImport={() => navigate(`/portfolio/${p.id}/review-import`)}
+                                        unreadCount={unreadCounts[p.id] ?? 0}
+                                        onOpenInbox={() => navigate(`/dashboard/inbox?portfolio=${p.id}`)}
+                                        onUpload={(file) => openUpload(p, file)}
                                         isUploading={uploadingId === p.id}
+                                        uploadPercent={upload.percent}
                                         isProcessing={processingId === p.id}
+                                        processingLabel={RESUME_JOB_STAGES.find(st => st.id === job.stage)?.label}
                                         onDelete={handleDelete}
                                         isDeleting={deletingId === p.id}
                                     />
@@ -481,23 +546,17 @@ const EmptyState = ({ onCreateClick }) => (
     </motion.div>
 );
 
-const PortfolioCard = ({ portfolio, index, onView, onCustomize, onUpload, isUploading, isProcessing, onDelete, isDeleting }) => {
+const PortfolioCard = ({ portfolio, index, onView, onCustomize, onShare, onReviewImport, unreadCount, onOpenInbox, onUpload, isUploading, uploadPercent, isProcessing, processingLabel, onDelete, isDeleting }) => {
     const [dragOver, setDragOver] = useState(false);
     const sectionCount = portfolio.sections?.length || 0;
     const hasContent = sectionCount > 1; // more than the default Markdown section
 
-    const handleFileSelect = (e) => {
-        const file = e.target.files?.[0];
-        if (file) onUpload(portfolio.id, file);
-    };
-
+    // Any file opens the upload dialog, which checks it before uploading
     const handleDrop = (e) => {
         e.preventDefault();
         setDragOver(false);
         const file = e.dataTransfer.files?.[0];
-        if (file && file.type === 'application/pdf') {
-            onUpload(portfolio.id, file);
-        }
+        if (file) onUpload(file);
     };
 
     return (
@@ -528,9 +587,25 @@ const PortfolioCard = ({ portfolio, index, onView, onCustomize, onUpload, isUplo
                             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
                             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
                         </svg>
-                        AI processing…
+                        {processingLabel ? `${processingLabel}…` : 'AI processing…'}
                     </span>
                 )}
+                {portfolio.hasPendingImport && !isProcessing && (
+                    <button
+                        onClick={onReviewImport}
+                        className="px-2 py-0.5 rounded-full bg-purple-500/20 text-purple-200 hover:bg-purple-500/30 transition-colors"
+                    >
+                        ✨ Import ready — review
+                    </button>
+                )}
+                {unreadCount > 0 && (
+                    <button
+                        onClick={onOpenInbox}
+                        className="px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-200 hover:bg-blue-500/30 transition-colors"
+                    >
+                        ✉️ {unreadCount} new {unreadCount === 1 ? 'message' : 'messages'}
+                    </button>
+                )}
                 <span className={`px-2 py-0.5 rounded-full ${
                     hasContent
                         ? 'bg-emerald-500/20 text-emerald-300'
@@ -560,6 +635,17 @@ const PortfolioCard = ({ portfolio, index, onView, onCustomize, onUpload, isUplo
                 >
                     🎨 Customize
                 </button>
+                <button
+                    onClick={onShare}
+                    aria-label={`Share ${portfolio.title}`}
+                    title="Share: QR code, vCard, link"
+                    className="px-3 py-2 rounded-lg text-sm font-medium
+                               bg-white/10 hover:bg-white/20
+                               border border-white/10
+                               transition-colors flex items-center justify-center gap-1.5"
+                >
+                    🔗
+                </button>
                 <button
                     onClick={() => onDelete(portfolio.id)}
                     disabled={isDeleting}
@@ -576,10 +662,12 @@ const PortfolioCard = ({ portfolio, index, onView, onCustomize, onUpload, isUplo
                         </svg>
                     ) : '🗑️'}
                 </button>
-                <label
+                <button
+                    onClick={() => onUpload()}
+                    disabled={isUploading}
                     className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium
                                border border-white/10 transition-colors
-                               flex items-center justify-center gap-1.5 cursor-pointer
+                               flex items-center justify-center gap-1.5
                                ${isUploading
                                    ? 'bg-blue-500/20 text-blue-300 cursor-wait'
                                    : 'bg-white/10 hover:bg-white/20'}`}
@@ -590,25 +678,18 @@ const PortfolioCard = ({ portfolio, index, onView, onCustomize, onUpload, isUplo
                                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
                                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
                             </svg>
-                            Uploading…
+                            {uploadPercent}%
                         </>
                     ) : (
                         <>📤 Upload</>
                     )}
-                    <input
-                        type="file"
-                        accept=".pdf"
-                        className="hidden"
-                        disabled={isUploading}
-                        onChange={handleFileSelect}
-                    />
-                </label>
+                </button>
             </div>
 
             {/* Drop hint */}
             {dragOver && (
                 <p className="text-xs text-blue-400 text-center mt-3 animate-pulse">
-                    Drop PDF here to upload
+                    Drop your resume here to upload
                 </p>
             )}
         </motion.div>
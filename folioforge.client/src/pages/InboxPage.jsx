@@ -0,0 +1,361 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Archive, ArchiveRestore, ArrowLeft, Inbox, Mail, MailOpen, Reply, ShieldAlert, ShieldCheck, Star } from 'lucide-react';
+import { ContactService, CONTACT_FOLDERS } from '../services/contactService';
+import { PortfolioService } from '../services/portfolioService';
+import { LimitNotice } from '../components/ui/LimitNotice';
+import { isLimitError } from '../api/errors';
+
+const PAGE_SIZE = 20;
+
+const FOLDER_LABELS = { inbox: 'Inbox', starred: 'Starred', archived: 'Archived', spam: 'Spam' };
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** Whether a message still belongs in the folder after its flags changed */
+const belongsIn = (message, folder) => {
+    if (folder === 'spam') return message.isSpam;
+    if (message.isSpam) return false;
+    if (folder === 'archived') return message.isArchived;
+    if (folder === 'starred') return message.isStarred && !message.isArchived;
+    return !message.isArchived;
+};
+
+const replyHref = (message) => {
+    const subject = `Re: ${message.subject || `your message about ${message.portfolioTitle}`}`;
+    const quoted = message.message.split('\n').map(line => `> ${line}`).join('\n');
+    return `mailto:${encodeURIComponent(message.senderEmail)}`
+        + `?subject=${encodeURIComponent(subject)}`
+        + `&body=${encodeURIComponent(`\n\n${message.senderName} wrote:\n${quoted}`)}`;
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+});
+
+// ─── sub-components ───────────────────────────────────────────────────────────
+
+const MessageRow = ({ message, selected, onSelect }) => (
+    <button
+        onClick={onSelect}
+        className={`w-full text-left px-4 py-3 border-b border-white/5 transition-colors
+                    ${selected ? 'bg-white/10' : 'hover:bg-white/5'}`}
+    >
+        <div className="flex items-center gap-2">
+            {!message.isRead && <span className="w-2 h-2 rounded-full bg-blue-400 flex-shrink-0" aria-label="Unread" />}
+            <span className={`truncate flex-1 ${message.isRead ? 'text-slate-300' : 'font-semibold text-white'}`}>
+                {message.senderName}
+            </span>
+            {message.isStarred && <Star size={12} className="text-amber-300 fill-amber-300 flex-shrink-0" />}
+            <span className="text-xs text-slate-500 flex-shrink-0">
+                {new Date(message.createdAt).toLocaleDateString()}
+            </span>
+        </div>
+        <p className="text-sm text-slate-400 truncate mt-0.5">
+            {message.subject || message.message}
+        </p>
+        <p className="text-xs text-slate-600 truncate mt-0.5">{message.portfolioTitle}</p>
+    </button>
+);
+
+const ActionButton = ({ onClick, disabled, icon: Icon, children, active }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm border transition-colors
+                    disabled:opacity-50 disabled:cursor-not-allowed
+                    ${active
+                        ? 'bg-amber-500/20 border-amber-500/30 text-amber-200'
+                        : 'bg-white/5 border-white/10 hover:bg-white/10'}`}
+    >
+        <Icon size={14} />
+        {children}
+    </button>
+);
+
+const MessageDetail = ({ message, busy, onUpdate }) => (
+    <motion.article
+        key={message.id}
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        className="p-6"
+    >
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+            <div className="min-w-0">
+                <h2 className="text-xl font-bold break-words">{message.subject || '(no subject)'}</h2>
+                <p className="text-sm text-slate-400 mt-1">
+                    <span className="text-slate-200">{message.senderName}</span>
+                    {' '}&lt;{message.senderEmail}&gt;
+                </p>
+                <p className="text-xs text-slate-500 mt-1">
+                    {formatDate(message.createdAt)} · via {message.portfolioTitle}
+                </p>
+            </div>
+            <div className="flex flex-wrap gap-2">
+                <a
+                    href={replyHref(message)}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold
+                               bg-gradient-to-r from-blue-500 to-purple-500
+                               hover:from-blue-600 hover:to-purple-600 transition-all"
+                >
+                    <Reply size={14} /> Reply
+                </a>
+                <ActionButton
+                    icon={Star}
+                    active={message.isStarred}
+                    disabled={busy}
+                    onClick={() => onUpdate({ isStarred: !message.isStarred })}
+                >
+                    {message.isStarred ? 'Starred' : 'Star'}
+                </ActionButton>
+                <ActionButton
+                    icon={message.isArchived ? ArchiveRestore : Archive}
+                    disabled={busy}
+                    onClick={() => onUpdate({ isArchived: !message.isArchived })}
+                >
+                    {message.isArchived ? 'Move to inbox' : 'Archive'}
+                </ActionButton>
+                <ActionButton
+                    icon={message.isRead ? Mail : MailOpen}
+                    disabled={busy}
+                    onClick={() => onUpdate({ isRead: !message.isRead })}
+                >
+                    {message.isRead ? 'Mark unread' : 'Mark read'}
+                </ActionButton>
+                <ActionButton
+                    icon={message.isSpam ? ShieldCheck : ShieldAlert}
+                    disabled={busy}
+                    onClick={() => onUpdate({ isSpam: !message.isSpam })}
+                >
+                    {message.isSpam ? 'Not spam' : 'Spam'}
+                </ActionButton>
+            </div>
+        </div>
+        {message.isSpam && (
+            <p className="mb-4 text-sm text-amber-300/80">
+                In Spam — be careful with links in this message.
+            </p>
+        )}
+        <p className="whitespace-pre-wrap break-words leading-relaxed text-slate-200">
+            {message.message}
+        </p>
+    </motion.article>
+);
+
+// ─── public component ─────────────────────────────────────────────────────────
+
+/**
+ * InboxPage
+ *
+ * The owner's contact messages from every published portfolio, or one
+ * (`?portfolio=<id>`), in Inbox / Starred / Archived / Spam folders (`?folder=`).
+ * Opening a message marks it read; it can be starred, archived or answered
+ * by email (a `mailto:` link quoting the message).
+ */
+export const InboxPage = () => {
+    const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const folder = CONTACT_FOLDERS.includes(searchParams.get('folder')) ? searchParams.get('folder') : 'inbox';
+    const portfolioId = searchParams.get('portfolio') || '';
+
+    const [portfolios, setPortfolios] = useState([]);
+    const [messages, setMessages] = useState([]);
+    const [totalCount, setTotalCount] = useState(0);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+    const [actionError, setActionError] = useState(null);
+
+    const selected = messages.find(m => m.id === selectedId) ?? null;
+
+    // ── Fetch a page (page 1 replaces the list, later pages append) ──
+    const fetchMessages = useCallback(async (pageToLoad = 1) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await ContactService.list({ folder, portfolioId, page: pageToLoad, pageSize: PAGE_SIZE });
+            setMessages(prev => (pageToLoad === 1 ? result.items : [...prev, ...result.items]));
+            setTotalCount(result.totalCount);
+            setPage(pageToLoad);
+        } catch (err) {
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    }, [folder, portfolioId]);
+
+    useEffect(() => {
+        fetchMessages(1);
+    }, [fetchMessages]);
+
+    // For the portfolio filter
+    useEffect(() => {
+        PortfolioService.listMine()
+            .then(result => setPortfolios(result.items ?? result))
+            .catch(() => {});
+    }, []);
+
+    const setFilter = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) next.set(key, value);
+            else next.delete(key);
+        });
+        setSelectedId(null);
+        setSearchParams(next);
+    };
+
+    const updateMessage = async (message, changes) => {
+        setBusyId(message.id);
+        setActionError(null);
+        try {
+            const updated = await ContactService.update(message.id, changes);
+            if (belongsIn(updated, folder)) {
+                setMessages(prev => prev.map(m => (m.id === updated.id ? updated : m)));
+            } else {
+                setMessages(prev => prev.filter(m => m.id !== updated.id));
+                setTotalCount(n => n - 1);
+                setSelectedId(null);
+            }
+        } catch (err) {
+            setActionError(err);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const openMessage = (message) => {
+        setSelectedId(message.id);
+        if (!message.isRead) updateMessage(message, { isRead: true });
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white">
+            {/* Header */}
+            <header className="border-b border-white/10 bg-white/5 backdrop-blur-lg sticky top-0 z-50">
+                <div className="max-w-6xl mx-auto px-6 py-4 flex items-center gap-4">
+                    <button
+                        onClick={() => navigate('/dashboard')}
+                        className="p-1.5 rounded-lg hover:bg-white/10 transition-colors"
+                        aria-label="Back to dashboard"
+                    >
+                        <ArrowLeft size={18} />
+                    </button>
+                    <h1 className="text-xl font-bold flex items-center gap-2">
+                        <Inbox size={20} className="text-blue-400" /> Messages
+                    </h1>
+                </div>
+            </header>
+
+            <main className="max-w-6xl mx-auto px-6 py-8">
+                {/* Folders + portfolio filter */}
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                    <div className="flex gap-1 p-1 rounded-lg bg-white/5 border border-white/10">
+                        {CONTACT_FOLDERS.map(f => (
+                            <button
+                                key={f}
+                                onClick={() => setFilter({ folder: f === 'inbox' ? null : f })}
+                                className={`px-4 py-1.5 rounded-md text-sm font-medium transition-colors
+                                            ${folder === f ? 'bg-white/15 text-white' : 'text-slate-400 hover:text-white'}`}
+                            >
+                                {FOLDER_LABELS[f]}
+                            </button>
+                        ))}
+                    </div>
+                    <select
+                        value={portfolioId}
+                        onChange={(e) => setFilter({ portfolio: e.target.value })}
+                        aria-label="Portfolio"
+                        className="px-3 py-2 rounded-lg bg-white/5 border border-white/10 text-sm outline-none focus:border-blue-500"
+                    >
+                        <option value="" className="bg-slate-900">All portfolios</option>
+                        {portfolios.map(p => (
+                            <option key={p.id} value={p.id} className="bg-slate-900">{p.title}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {actionError && (
+                    <div className="mb-4">
+                        {isLimitError(actionError) ? (
+                            <LimitNotice error={actionError} />
+                        ) : (
+                            <p role="alert" className="text-sm text-red-400">
+                                {actionError.message || 'The message couldn\'t be updated.'}
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {error && messages.length === 0 ? (
+                    isLimitError(error) ? (
+                        <div className="max-w-md mx-auto py-20">
+                            <LimitNotice error={error} onRetry={() => fetchMessages(1)} />
+                        </div>
+                    ) : (
+                        <div className="text-center py-20">
+                            <p className="text-red-400 mb-4">{error.message || 'Failed to load messages'}</p>
+                            <button
+                                onClick={() => fetchMessages(1)}
+                                className="px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm transition-colors"
+                            >
+                                Retry
+                            </button>
+                        </div>
+                    )
+                ) : !loading && messages.length === 0 ? (
+                    <div className="text-center py-20 text-slate-400">
+                        <div className="text-6xl mb-4">📭</div>
+                        <p>
+                            {folder === 'inbox'
+                                ? 'No messages yet. They arrive here when visitors use the contact form on your published portfolios.'
+                                : `Nothing in ${FOLDER_LABELS[folder]}.`}
+                        </p>
+                    </div>
+                ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-[320px_1fr] rounded-2xl border border-white/10 bg-white/5 overflow-hidden min-h-[28rem]">
+                        <div className="border-b md:border-b-0 md:border-r border-white/10">
+                            {messages.map(m => (
+                                <MessageRow
+                                    key={m.id}
+                                    message={m}
+                                    selected={m.id === selectedId}
+                                    onSelect={() => openMessage(m)}
+                                />
+                            ))}
+                            {loading && (
+                                <p className="px-4 py-3 text-sm text-slate-500 animate-pulse">Loading messages…</p>
+                            )}
+                            {!loading && messages.length < totalCount && (
+                                <button
+                                    onClick={() => fetchMessages(page + 1)}
+                                    className="w-full px-4 py-3 text-sm text-blue-300 hover:bg-white/5 transition-colors"
+                                >
+                                    Load more
+                                </button>
+                            )}
+                            {error && messages.length > 0 && (
+                                <p className="px-4 py-3 text-sm text-red-400">{error.message || 'Failed to load more messages'}</p>
+                            )}
+                        </div>
+                        <div>
+                            {selected ? (
+                                <MessageDetail
+                                    message={selected}
+                                    busy={busyId === selected.id}
+                                    onUpdate={(changes) => updateMessage(selected, changes)}
+                                />
+                            ) : (
+                                <p className="p-6 text-sm text-slate-500">Select a message to read it.</p>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+};
@@ -1,65 +1,73 @@
 import { useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { motion } from 'framer-motion';
-import { useCustomizationStore } from '../stores/useCustomizationStore';
+import { useCustomizationStore, selectPaletteMode } from '../stores/useCustomizationStore';
 import { CustomizationPanel } from '../components/customization/CustomizationPanel';
-import { ArrowLeft } from 'lucide-react';
-import { AnimatedSkillsSection } from '../features/portfolio/AnimatedSkillsSection';
-import { AnimatedTimelineSection } from '../features/portfolio/AnimatedTimelineSection';
-import { AnimatedProjectsSection } from '../features/portfolio/AnimatedProjectsSection';
-import { ContactSection } from '../features/portfolio/ContactSection';
-import { AnimatedEducationSection } from '../features/portfolio/AnimatedEducationSection';
-import { ParticleHero } from '../features/portfolio/ParticleHero';
-
-/** Parse bio text from about section content JSON */
-const parseBio = (content) => {
-    try {
-        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
-        if (typeof parsed === 'string') return parsed;
-        return parsed?.content || parsed?.bio || parsed?.summary || '';
-    } catch { return typeof content === 'string' ? content : ''; }
-};
-
-/** Map section types to the real rendered components */
-const SECTION_RENDERERS = {
-    about:    (section, portfolio) => (
-        <ParticleHero
-            key={section.id}
-            title={portfolio?.title || 'Portfolio'}
-            bio={parseBio(section.content)}
-            onContactClick={() => document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' })}
-            onDownloadClick={() => {}}
-        />
-    ),
-    skills:   (section) => <AnimatedSkillsSection key={section.id} content={section.content} variant={section.variant} />,
-    timeline: (section) => <AnimatedTimelineSection key={section.id} content={section.content} variant={section.variant} />,
-    projects: (section) => <AnimatedProjectsSection key={section.id} content={section.content} variant={section.variant} />,
-    contact:  (section) => <ContactSection key={section.id} content={section.content} variant={section.variant} />,
-    education: (section) => <AnimatedEducationSection key={section.id} content={section.content} variant={section.variant} />,
-};
-
-const SECTION_ICONS = {
-    skills: '⚡', timeline: '💼', projects: '🚀', contact: '✉️',
-    education: '🎓', about: '👤', hero: '🏠', markdown: '📝',
-};
+import { HistoryControls } from '../components/customization/HistoryControls';
+import { SaveStatus } from '../components/customization/SaveStatus';
+import { DraftRestoreBanner } from '../components/customization/DraftRestoreBanner';
+import { UnsavedChangesDialog } from '../components/customization/UnsavedChangesDialog';
+import { ConflictDialog } from '../components/customization/ConflictDialog';
+import { VisionSimulation } from '../components/customization/VisionSimulation';
+import { useUndoRedoShortcuts } from '../hooks/useUndoRedoShortcuts';
+import { useAutosave } from '../hooks/useAutosave';
+import { useUnsavedChangesGuard } from '../hooks/useUnsavedChangesGuard';
+import { AnimatePresence } from 'framer-motion';
+import { ArrowLeft, Moon, Sun } from 'lucide-react';
+import { PortfolioRenderer } from '../features/portfolio/PortfolioRenderer';
 
 /**
  * PortfolioEditorPage
  * 
  * Split screen: left panel for customization controls, right side for live preview.
  * Loads the portfolio data and populates the customization store.
+ * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z undo and redo customization changes.
+ * Changes autosave after a short pause and are mirrored to a local draft,
+ * offered for restore on the next visit; leaving with unsaved changes asks first.
+ * A save rejected because the portfolio changed elsewhere opens the merge dialog.
+ * The toolbar switches the preview between the light and dark palette.
  */
 export const PortfolioEditorPage = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const { isLoading, loadCustomization, portfolio, sections,
             primaryColor, secondaryColor, backgroundColor, textColor,
-            fontHeading, fontBody, layout } = useCustomizationStore();
+            darkPrimaryColor, darkSecondaryColor, darkBackgroundColor, darkTextColor,
+            colorMode, setPreviewColorMode,
+            fontHeading, fontBody, layout,
+            isDirty, isSaving, saveCustomization, saveDraft,
+            conflict, resolveConflict } = useCustomizationStore();
 
     useEffect(() => {
         if (id) loadCustomization(id);
     }, [id, loadCustomization]);
 
+    const previewScheme = useCustomizationStore(selectPaletteMode);
+
+    useUndoRedoShortcuts(!isLoading);
+    useAutosave(id, { enabled: !isLoading });
+    const blocker = useUnsavedChangesGuard(isDirty || isSaving, { onBeforeUnload: saveDraft });
+
+    const handleRetry = () => {
+        saveCustomization(id).catch(() => {
+            // error shown by SaveStatus
+        });
+    };
+
+    const handleResolve = (choices) => {
+        resolveConflict(choices);
+        handleRetry();
+    };
+
+    const handleSaveAndLeave = async () => {
+        try {
+            await saveCustomization(id);
+            blocker.proceed?.();
+        } catch {
+            // Stay put; SaveStatus shows the failure
+            blocker.reset?.();
+        }
+    };
+
     if (isLoading) {
         return (
             <div className="h-screen flex items-center justify-center bg-slate-950">
@@ -76,18 +84,6 @@ export const PortfolioEditorPage = () => {
         );
     }
 
-    const visibleSections = sections
-        .filter(s => s.isVisible)
-        .sort((a, b) => a.sortOrder - b.sortOrder);
-
-    // All sections flow in sortOrder (about renders as hero, hero type is hidden)
-    const bodySections = visibleSections.filter(
-        s => s.sectionType?.toLowerCase() !== 'hero'
-    );
-
-    const layoutClass =
-        layout === 'sidebar' ? 'flex' : 'flex flex-col';
-
     return (
         <div className="h-screen flex bg-slate-950 text-white">
             {/* Left: Customization Panel */}
@@ -106,7 +102,23 @@ export const PortfolioEditorPage = () => {
                         Back to Dashboard
                     </button>
                     <div className="flex items-center gap-3">
+                        <SaveStatus onRetry={handleRetry} />
+                        <span className="w-px h-5 bg-white/10" aria-hidden="true" />
+                        <HistoryControls />
+                        <span className="w-px h-5 bg-white/10" aria-hidden="true" />
                         <span className="text-xs text-slate-500">Live Preview</span>
+                        <button
+                            onClick={() => setPreviewColorMode(previewScheme === 'dark' ? 'light' : 'dark')}
+                            disabled={colorMode !== 'auto'}
+                            aria-label={previewScheme === 'dark' ? 'Preview light palette' : 'Preview dark palette'}
+                            title={colorMode !== 'auto'
+                                ? `This portfolio is locked to ${colorMode} mode`
+                                : `Preview ${previewScheme === 'dark' ? 'light' : 'dark'} palette`}
+                            className="p-1.5 rounded-md text-slate-400 hover:text-white hover:bg-white/10
+                                       disabled:opacity-40 disabled:hover:bg-transparent transition-colors"
+                        >
+                            {previewScheme === 'dark' ? <Moon size={14} /> : <Sun size={14} />}
+                        </button>
                         <button
                             onClick={() => navigate(`/portfolio/${id}`)}
                             className="px-3 py-1 text-xs font-medium rounded-md
@@ -118,197 +130,40 @@ export const PortfolioEditorPage = () => {
                     </div>
                 </div>
 
-                {/* Preview area */}
-                <div
-                    className="flex-1 overflow-auto portfolio-root"
-                    style={{
-                        backgroundColor,
-                        color: textColor,
-                        '--color-primary': primaryColor,
-                        '--color-secondary': secondaryColor,
-                        '--color-bg': backgroundColor,
-                        '--color-text': textColor,
-                        '--font-heading': fontHeading,
-                        '--font-body': fontBody,
-                        '--font-heading-family': `"${fontHeading}"`,
-                        '--font-body-family': `"${fontBody}"`,
-                    }}
-                >
-                    {/* Font styles applied via CSS custom properties */}
-                    <style>{`
-                        .portfolio-root {
-                            font-family: var(--font-body-family), ui-sans-serif, system-ui, sans-serif;
-                        }
-                        
-                        .portfolio-root .section-heading {
-                            font-family: var(--font-heading-family), ui-sans-serif, system-ui, sans-serif;
-                            color: var(--color-primary) !important;
-                        }
-                        
-                        .portfolio-root .section-badge {
-                            background: color-mix(in srgb, var(--color-primary) 15%, transparent) !important;
-                            color: var(--color-primary) !important;
-                        }
-                        
-                        .portfolio-root .section-subtitle {
-                            color: color-mix(in srgb, var(--color-text) 60%, transparent) !important;
-                        }
-                        
-                        .portfolio-root .accent-text {
-                            color: var(--color-primary) !important;
-                        }
-                        
-                        .portfolio-root .accent-bg {
-                            background-color: var(--color-primary) !important;
-                        }
-                    `}</style>
-                    {/* Body sections in chosen layout */}
-                    <motion.div
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        className={`min-h-full ${layoutClass}`}
-                    >
-                        {/* Sidebar layout nav */}
-                        {layout === 'sidebar' && (
-                            <aside
-                                className="w-56 min-h-full p-6 flex-shrink-0 sticky top-0 self-start"
-                                style={{ backgroundColor: primaryColor, height: '100vh' }}
-                            >
-                                <h3
-                                    className="text-lg font-bold text-white"
-                                    style={{ fontFamily: fontHeading }}
-                                >
-                                    {portfolio?.title || 'Portfolio'}
-                                </h3>
-                                <nav className="mt-6 space-y-2">
-                                    {bodySections.map(s => {
-                                        const type = s.sectionType?.toLowerCase();
-                                        return (
-                                            <a
-                                                key={s.id}
-                                                href={`#section-${s.id}`}
-                                                className="flex items-center gap-2 text-sm text-white/70 hover:text-white transition-colors"
-                                            >
-                                                <span>{SECTION_ICONS[type] || '📄'}</span>
-                                                {s.sectionType}
-                                            </a>
-                                        );
-                                    })}
-                                </nav>
-                            </aside>
-                        )}
+                <DraftRestoreBanner />
 
-                        <main className="flex-1 min-w-0">
-                            {bodySections.length === 0 ? (
-                                <div className="flex items-center justify-center h-64 text-center p-12">
-                                    <div>
-                                        <p className="text-4xl mb-4">📄</p>
-                                        <p className="text-lg font-medium" style={{ color: textColor }}>
-                                            No sections to show
-                                        </p>
-                                        <p className="text-sm mt-2" style={{ color: textColor, opacity: 0.5 }}>
-                                            Upload a resume to populate your portfolio, then customize it here.
-                                        </p>
-                                    </div>
-                                </div>
-                            ) : (
-                                bodySections.map(section => {
-                                    const type = section.sectionType?.toLowerCase();
-                                    const renderer = SECTION_RENDERERS[type];
-                                    if (renderer) {
-                                        return (
-                                            <div key={section.id} id={`section-${section.id}`}>
-                                                {renderer(section, portfolio)}
-                                            </div>
-                                        );
-                                    }
-                                    return (
-                                        <SectionPreviewFallback
-                                            key={section.id}
-                                            section={section}
-                                            colors={{ primaryColor, secondaryColor, textColor }}
-                                            fonts={{ fontHeading, fontBody }}
-                                        />
-                                    );
-                                })
-                            )}
-                        </main>
-                    </motion.div>
-                </div>
+                {/* Preview area */}
+                <VisionSimulation>
+                    <PortfolioRenderer
+                        mode="preview"
+                        colorScheme={previewScheme}
+                        portfolio={{ ...portfolio, sections }}
+                        theme={{
+                            primaryColor, secondaryColor, backgroundColor, textColor,
+                            darkPrimaryColor, darkSecondaryColor, darkBackgroundColor, darkTextColor,
+                            colorMode, fontHeading, fontBody, layout,
+                        }}
+                    />
+                </VisionSimulation>
             </div>
-        </div>
-    );
-};
 
-/**
- * SectionPreviewFallback
- * 
- * Renders a preview card for section types that don't have
- * a dedicated component (e.g. Education, Markdown).
- */
-const SectionPreviewFallback = ({ section, colors, fonts }) => {
-    let contentSummary = '';
-    try {
-        const parsed = JSON.parse(section.content);
-        if (typeof parsed === 'string') {
-            contentSummary = parsed;
-        } else if (parsed.content) {
-            contentSummary = parsed.content;
-        } else if (Array.isArray(parsed)) {
-            contentSummary = `${parsed.length} items`;
-        } else {
-            contentSummary = Object.keys(parsed).join(', ');
-        }
-    } catch {
-        contentSummary = section.content?.substring(0, 100) || '';
-    }
+            <AnimatePresence>
+                {conflict && <ConflictDialog conflict={conflict} onResolve={handleResolve} />}
+            </AnimatePresence>
 
-    return (
-        <motion.section
-            id={`section-${section.id}`}
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            className="py-12 px-8 border-b"
-            style={{ borderColor: `${colors.textColor}15` }}
-        >
-            <div className="max-w-3xl mx-auto">
-                <div className="flex items-center gap-3 mb-4">
-                    <h2
-                        className="text-2xl font-bold"
-                        style={{ color: colors.primaryColor, fontFamily: fonts.fontHeading }}
-                    >
-                        {section.sectionType}
-                    </h2>
-                    <span
-                        className="text-xs px-2 py-0.5 rounded-full"
-                        style={{
-                            backgroundColor: `${colors.secondaryColor}20`,
-                            color: colors.secondaryColor,
+            <AnimatePresence>
+                {blocker.state === 'blocked' && !conflict && (
+                    <UnsavedChangesDialog
+                        isSaving={isSaving}
+                        onStay={() => blocker.reset()}
+                        onLeave={() => {
+                            saveDraft();
+                            blocker.proceed();
                         }}
-                    >
-                        {section.variant}
-                    </span>
-                </div>
-                {contentSummary && (
-                    <p
-                        className="text-sm leading-relaxed"
-                        style={{ color: colors.textColor, opacity: 0.7, fontFamily: fonts.fontBody }}
-                    >
-                        {contentSummary.length > 200
-                            ? contentSummary.substring(0, 200) + '…'
-                            : contentSummary}
-                    </p>
+                        onSaveAndLeave={handleSaveAndLeave}
+                    />
                 )}
-                <div
-                    className="mt-4 h-24 rounded-lg border-2 border-dashed flex items-center justify-center text-sm"
-                    style={{
-                        borderColor: `${colors.textColor}20`,
-                        color: `${colors.textColor}40`,
-                    }}
-                >
-                    Full section renders on the portfolio view page
-                </div>
-            </div>
-        </motion.section>
+            </AnimatePresence>
+        </div>
     );
-};
\ No newline at end of file
+};
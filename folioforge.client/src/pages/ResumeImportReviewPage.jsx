@@ -0,0 +1,236 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, GitMerge } from 'lucide-react';
+import { PortfolioService } from '../services/portfolioService';
+import { ConflictError, NotFoundError } from '../api/errors';
+import { ImportSectionReview } from '../components/resume-import/ImportSectionReview';
+import { buildImportReview, defaultImportDecisions, resolveImport } from '../utils/resumeImport';
+
+/**
+ * ResumeImportReviewPage
+ *
+ * Review screen for an AI resume parse. The parse is staged on the portfolio,
+ * not applied: this page shows each section side by side with what the owner
+ * has now and lets them keep theirs, take the AI's, or merge item by item.
+ * Only "Apply" writes anything. If the portfolio was edited while the review
+ * was open, applying is refused and the page offers to reload the comparison.
+ */
+export const ResumeImportReviewPage = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+
+    // { status: 'loading'|'ready'|'missing'|'error', portfolio, review, error }
+    const [load, setLoad] = useState({ status: 'loading' });
+    const [decisions, setDecisions] = useState({});
+    const [applying, setApplying] = useState(false);
+    const [applyError, setApplyError] = useState(null); // { message, isConflict }
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([PortfolioService.getById(id), PortfolioService.getResumeImport(id)])
+            .then(([portfolio, proposal]) => {
+                if (cancelled) return;
+                const review = buildImportReview(portfolio.sections ?? [], proposal.sections ?? []);
+                setLoad({ status: 'ready', portfolio, review, createdAt: proposal.createdAt });
+                setDecisions(defaultImportDecisions(review));
+                setApplyError(null);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setLoad(err instanceof NotFoundError
+                    ? { status: 'missing' }
+                    : { status: 'error', error: err.message || 'Could not load the import.' });
+            });
+        return () => { cancelled = true; };
+    }, [id, reloadKey]);
+
+    const reload = () => {
+        setLoad({ status: 'loading' });
+        setReloadKey(key => key + 1);
+    };
+
+    const changes = useMemo(
+        () => (load.status === 'ready' ? resolveImport(load.review, decisions) : []),
+        [load, decisions],
+    );
+
+    const setAll = (mode) => {
+        if (load.status !== 'ready') return;
+        const next = defaultImportDecisions(load.review);
+        for (const section of load.review) {
+            if (section.isEmpty || section.isIdentical) continue; // nothing to take
+            next[section.id] = { ...next[section.id], mode };
+        }
+        setDecisions(next);
+    };
+
+    const handleApply = async () => {
+        setApplying(true);
+        setApplyError(null);
+        try {
+            await PortfolioService.applyResumeImport(id, { version: load.portfolio.version, sections: changes });
+            navigate(`/portfolio/${id}/edit`);
+        } catch (err) {
+            setApplyError(err instanceof ConflictError
+                ? {
+                    isConflict: true,
+                    message: 'This portfolio was edited while you were reviewing. Reload to compare against the latest version — your choices will start over.',
+                }
+                : { message: err.message || 'Could not apply the import.' });
+            setApplying(false);
+        }
+    };
+
+    const handleDiscard = async () => {
+        if (!window.confirm('Discard this import? Your portfolio stays as it is.')) return;
+        try {
+            await PortfolioService.discardResumeImport(id);
+            navigate('/dashboard');
+        } catch (err) {
+            setApplyError({ message: err.message || 'Could not discard the import.' });
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white">
+            <header className="border-b border-white/10 bg-white/5 backdrop-blur-lg sticky top-0 z-50">
+                <div className="max-w-5xl mx-auto px-6 py-4 flex items-center gap-4">
+                    <button
+                        onClick={() => navigate('/dashboard')}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-white/10 transition-colors"
+                        aria-label="Back to dashboard"
+                    >
+                        <ArrowLeft size={18} />
+                    </button>
+                    <div className="flex-1 min-w-0">
+                        <h1 className="flex items-center gap-2 text-lg font-bold">
+                            <GitMerge size={18} className="text-purple-400" />
+                            Review resume import
+                        </h1>
+                        {load.status === 'ready' && (
+                            <p className="text-xs text-slate-500 truncate">
+                                {load.portfolio.title}
+                                {load.createdAt && ` · parsed ${new Date(load.createdAt).toLocaleString()}`}
+                            </p>
+                        )}
+                    </div>
+                    {load.status === 'ready' && (
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={handleDiscard}
+                                disabled={applying}
+                                className="px-3 py-1.5 rounded-lg text-sm text-slate-300 border border-white/10
+                                           hover:bg-white/10 disabled:opacity-50 transition-colors"
+                            >
+                                Discard
+                            </button>
+                            <button
+                                onClick={handleApply}
+                                disabled={applying || applyError?.isConflict}
+                                className="px-4 py-1.5 rounded-lg text-sm font-semibold
+                                           bg-gradient-to-r from-blue-500 to-purple-500
+                                           hover:from-blue-600 hover:to-purple-600
+                                           disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+                            >
+                                {applying
+                                    ? 'Applying…'
+                                    : changes.length === 0
+                                        ? 'Apply (no changes)'
+                                        : `Apply ${changes.length} section${changes.length === 1 ? '' : 's'}`}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </header>
+
+            <main className="max-w-5xl mx-auto px-6 py-8">
+                {load.status === 'loading' && (
+                    <p className="text-center text-slate-400 py-20">Loading the import…</p>
+                )}
+
+                {load.status === 'missing' && (
+                    <div className="text-center py-20">
+                        <p className="text-lg font-semibold mb-2">Nothing to review</p>
+                        <p className="text-slate-400 mb-6">
+                            This import was already applied or discarded, or the portfolio doesn&apos;t exist.
+                        </p>
+                        <button
+                            onClick={() => navigate('/dashboard')}
+                            className="px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+                        >
+                            Back to dashboard
+                        </button>
+                    </div>
+                )}
+
+                {load.status === 'error' && (
+                    <div className="text-center py-20">
+                        <p className="text-red-300 mb-4">{load.error}</p>
+                        <button
+                            onClick={reload}
+                            className="px-4 py-2 rounded-lg text-sm bg-white/10 hover:bg-white/20 border border-white/10"
+                        >
+                            Try again
+                        </button>
+                    </div>
+                )}
+
+                {load.status === 'ready' && (
+                    <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+                        <p className="text-sm text-slate-400 mb-4">
+                            Nothing has changed yet. Your edits win by default: new items are added,
+                            empty fields are filled in, and everything you&apos;ve written is kept.
+                        </p>
+
+                        {applyError && (
+                            <div
+                                role="alert"
+                                className="mb-4 p-3 rounded-lg border border-red-500/30 bg-red-500/10 text-sm text-red-300
+                                           flex items-center justify-between gap-4"
+                            >
+                                <span>{applyError.message}</span>
+                                {applyError.isConflict && (
+                                    <button onClick={reload} className="underline flex-shrink-0">Reload</button>
+                                )}
+                            </div>
+                        )}
+
+                        <div className="flex items-center justify-end gap-2 mb-3">
+                            <button
+                                onClick={() => setAll('keep')}
+                                className="px-2.5 py-1 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                            >
+                                Keep all mine
+                            </button>
+                            <button
+                                onClick={() => setAll('replace')}
+                                className="px-2.5 py-1 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                            >
+                                Use all from AI
+                            </button>
+                            <button
+                                onClick={() => setDecisions(defaultImportDecisions(load.review))}
+                                className="px-2.5 py-1 text-xs text-slate-300 border border-white/10 rounded-md hover:bg-white/5"
+                            >
+                                Reset
+                            </button>
+                        </div>
+
+                        <ul className="space-y-3">
+                            {load.review.map(section => (
+                                <ImportSectionReview
+                                    key={section.id}
+                                    section={section}
+                                    decision={decisions[section.id]}
+                                    onChange={(decision) => setDecisions(prev => ({ ...prev, [section.id]: decision }))}
+                                />
+                            ))}
+                        </ul>
+                    </motion.div>
+                )}
+            </main>
+        </div>
+    );
+};
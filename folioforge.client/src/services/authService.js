@@ -1,54 +1,43 @@
-import apiClient from '../api/client';
+import apiClient, { refreshSession } from '../api/client';
+import { AuthStorage } from '../api/authStorage';
 
 /**
  * Auth Service
  * 
  * Handles authentication API calls: register, login, refresh, profile fetch.
- * JWT token management (storage, retrieval, removal) lives here
- * so that the rest of the app never touches localStorage directly.
+ * Token and profile storage is `AuthStorage` (shared with the API client);
+ * the methods below front it so the rest of the app never touches
+ * localStorage directly.
  * 
  * Token strategy:
- * - accessToken:  short-lived JWT (15 min), stored in memory + localStorage
- * - refreshToken: long-lived opaque string (7 days), stored in localStorage
+ * - accessToken:  short-lived JWT (15 min), stored in localStorage, refreshed
+ *                 by the API client shortly before it expires
+ * - refreshToken: long-lived opaque string (7 days), stored in localStorage,
+ *                 rotated on every refresh
  */
 
-const TOKEN_KEY         = 'ff_token';
-const REFRESH_TOKEN_KEY = 'ff_refresh_token';
-const USER_KEY          = 'ff_user';
-
 export const AuthService = {
     // ── Token management ─────────────────────────────────
 
-    getToken: () => localStorage.getItem(TOKEN_KEY),
-
-    setToken: (token) => localStorage.setItem(TOKEN_KEY, token),
-
-    removeToken: () => localStorage.removeItem(TOKEN_KEY),
-
-    getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+    getToken: AuthStorage.getAccessToken,
 
-    setRefreshToken: (token) => localStorage.setItem(REFRESH_TOKEN_KEY, token),
+    getRefreshToken: AuthStorage.getRefreshToken,
 
-    removeRefreshToken: () => localStorage.removeItem(REFRESH_TOKEN_KEY),
+    /** Store `{ accessToken, refreshToken }` and tell other tabs */
+    setTokens: AuthStorage.setTokens,
 
-    getStoredUser: () => {
-        try {
-            const raw = localStorage.getItem(USER_KEY);
-            return raw ? JSON.parse(raw) : null;
-        } catch {
-            return null;
-        }
-    },
+    getStoredUser: AuthStorage.getUser,
 
-    setStoredUser: (user) => localStorage.setItem(USER_KEY, JSON.stringify(user)),
+    setStoredUser: AuthStorage.setUser,
 
-    removeStoredUser: () => localStorage.removeItem(USER_KEY),
+    /** Clear tokens and profile, here and in other tabs */
+    clearAuth: AuthStorage.clear,
 
-    clearAuth: () => {
-        localStorage.removeItem(TOKEN_KEY);
-        localStorage.removeItem(REFRESH_TOKEN_KEY);
-        localStorage.removeItem(USER_KEY);
-    },
+    /**
+     * Listen for session changes from this tab or others.
+     * @see AuthStorage.subscribe
+     */
+    subscribe: AuthStorage.subscribe,
 
     // ── API calls ────────────────────────────────────────
 
@@ -69,16 +58,10 @@ export const AuthService = {
     },
 
     /**
-     * Refresh an expired access token using the stored refresh token.
-     * Returns { accessToken, refreshToken, ... } on success.
+     * Refresh the access token now, sharing a refresh already in flight.
+     * Resolves with the new access token.
      */
-    refresh: async () => {
-        const accessToken = AuthService.getToken();
-        const refreshToken = AuthService.getRefreshToken();
-        if (!accessToken || !refreshToken) throw new Error('No tokens to refresh');
-
-        return await apiClient.post('/auth/refresh', { accessToken, refreshToken });
-    },
+    refresh: () => refreshSession(),
 
     /**
      * Revoke the current refresh token (server-side logout).
@@ -0,0 +1,133 @@
+import apiClient from '../api/client';
+import { ValidationError } from '../api/errors';
+
+/**
+ * Contact API service.
+ * Visitors send messages through a published portfolio's contact form;
+ * the owner reads them in the dashboard inbox. Sending needs a solved
+ * challenge (see utils/proofOfWork); messages the API takes for spam are
+ * accepted like any other but land in the owner's Spam folder.
+ */
+
+/** Field limits, mirroring the API's ContactMessage */
+export const CONTACT_LIMITS = {
+    name: 100,
+    email: 256,
+    subject: 150,
+    messageMin: 10,
+    message: 5000,
+};
+
+/** Inbox folders the API knows */
+export const CONTACT_FOLDERS = ['inbox', 'starred', 'archived', 'spam'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check a contact form before sending it.
+ * @param {{ name: string, email: string, subject?: string, message: string }} data
+ * @returns {Record<string, string>} Message per invalid field; empty when valid
+ */
+export const validateContactMessage = ({ name = '', email = '', subject = '', message = '' }) => {
+    const errors = {};
+
+    if (!name.trim()) errors.name = 'Please enter your name.';
+    else if (name.trim().length > CONTACT_LIMITS.name) errors.name = `Keep your name under ${CONTACT_LIMITS.name} characters.`;
+
+    if (!email.trim()) errors.email = 'Please enter your email address.';
+    else if (!EMAIL_PATTERN.test(email.trim())) errors.email = 'That email address doesn\'t look right.';
+    else if (email.trim().length > CONTACT_LIMITS.email) errors.email = 'That email address is too long.';
+
+    if (subject.trim().length > CONTACT_LIMITS.subject) errors.subject = `Keep the subject under ${CONTACT_LIMITS.subject} characters.`;
+
+    const length = message.trim().length;
+    if (length < CONTACT_LIMITS.messageMin) errors.message = `Write at least ${CONTACT_LIMITS.messageMin} characters.`;
+    else if (length > CONTACT_LIMITS.message) errors.message = `Keep the message under ${CONTACT_LIMITS.message} characters.`;
+
+    return errors;
+};
+
+/**
+ * Per-field messages from a 400 the API sent back, keyed like the form
+ * (`Email` and `$.email` both become `email`). Empty for other errors.
+ * @param {Error} err
+ * @returns {Record<string, string>}
+ */
+export const contactFieldErrors = (err) => {
+    if (!(err instanceof ValidationError) || !err.fieldErrors) return {};
+    return Object.fromEntries(
+        Object.entries(err.fieldErrors).map(([key, messages]) => {
+            const field = key.replace(/^\$\./, '');
+            return [
+                field.charAt(0).toLowerCase() + field.slice(1),
+                Array.isArray(messages) ? messages[0] : String(messages),
+            ];
+        }),
+    );
+};
+
+/** `code` of the 400 the API sends when the challenge didn't verify */
+export const CHALLENGE_FAILED = 'CHALLENGE_FAILED';
+
+export const ContactService = {
+    /**
+     * A proof-of-work challenge for a portfolio's contact form.
+     * GET /api/p/:slug/contact/challenge
+     * @returns {Promise<{ token: string, difficulty: number, expiresAt: string }>}
+     */
+    getChallenge: async (slug) => {
+        if (!slug) throw new Error('Portfolio slug is required');
+        return await apiClient.get(`/p/${slug}/contact/challenge`);
+    },
+
+    /**
+     * Send a message to the owner of a published portfolio.
+     * POST /api/p/:slug/contact
+     * @param {{ name: string, email: string, subject?: string, message: string, website?: string }} data
+     *   `website` is the form's hidden honeypot field
+     * @param {{ token: string, solution: string }} proof - A solved challenge
+     * @returns {Promise<{ id: string }>}
+     */
+    send: async (slug, { name, email, subject, message, website }, proof) => {
+        if (!slug) throw new Error('Portfolio slug is required');
+        return await apiClient.post(`/p/${slug}/contact`, {
+            name: name.trim(),
+            email: email.trim(),
+            subject: subject?.trim() || null,
+            message: message.trim(),
+            website: website || null,
+            challengeToken: proof?.token,
+            challengeSolution: proof?.solution,
+        });
+    },
+
+    /**
+     * A page of the signed-in user's messages, newest first.
+     * GET /api/messages?folder=&portfolioId=&page=&pageSize=
+     * @returns {Promise<{ items: object[], page: number, pageSize: number, totalCount: number }>}
+     */
+    list: async ({ folder = 'inbox', portfolioId, page = 1, pageSize = 20 } = {}) => {
+        return await apiClient.get('/messages', {
+            params: { folder, portfolioId: portfolioId || undefined, page, pageSize },
+        });
+    },
+
+    /**
+     * Unread messages per portfolio, e.g. `{ [portfolioId]: 3 }`.
+     * GET /api/messages/unread-counts
+     */
+    unreadCounts: async () => {
+        return await apiClient.get('/messages/unread-counts');
+    },
+
+    /**
+     * Change a message's inbox flags; omitted flags stay as they are.
+     * PATCH /api/messages/:id
+     * @param {{ isRead?: boolean, isStarred?: boolean, isArchived?: boolean, isSpam?: boolean }} changes
+     * @returns {Promise<object>} The updated message
+     */
+    update: async (messageId, changes) => {
+        if (!messageId) throw new Error('Message ID is required');
+        return await apiClient.patch(`/messages/${messageId}`, changes);
+    },
+};
@@ -15,11 +15,35 @@ export const CustomizationService = {
     },
 
     /**
-     * Save the full customization (theme + section order/visibility/variant).
+     * Save the full customization (theme + section order/visibility/variant/column).
+     * Include the `version` from `get` to have a stale save rejected with a ConflictError.
      * PUT /api/portfolios/:id/customization
+     * @returns {Promise<{ version: number }>}
      */
     save: async (portfolioId, customization) => {
         if (!portfolioId) throw new Error('Portfolio ID is required');
         return await apiClient.put(`/portfolios/${portfolioId}/customization`, customization);
     },
+
+    /**
+     * Create a section added by hand (blank or duplicated). `version` is the
+     * portfolio version the editor is based on; a stale one is a ConflictError.
+     * POST /api/portfolios/:id/sections
+     * @returns {Promise<{ section: { id, sectionType, sortOrder, isVisible, variant, content }, version: number }>}
+     */
+    createSection: async (portfolioId, section, version) => {
+        if (!portfolioId) throw new Error('Portfolio ID is required');
+        return await apiClient.post(`/portfolios/${portfolioId}/sections`, { ...section, version });
+    },
+
+    /**
+     * Delete a single section; `version` as for `createSection`.
+     * DELETE /api/portfolios/:id/sections/:sectionId?version=
+     * @returns {Promise<{ version: number }>}
+     */
+    deleteSection: async (portfolioId, sectionId, version) => {
+        if (!portfolioId) throw new Error('Portfolio ID is required');
+        if (!sectionId) throw new Error('Section ID is required');
+        return await apiClient.delete(`/portfolios/${portfolioId}/sections/${sectionId}`, { params: { version } });
+    },
 };
@@ -0,0 +1,67 @@
+/**
+ * Draft Storage
+ *
+ * Local, per-portfolio snapshots of unsaved editor changes, so work
+ * survives a closed tab, a crash or a failed save. Stored in localStorage
+ * under `ff_draft:<portfolioId>`; one draft per portfolio, newest wins.
+ *
+ * Storage failures (private mode, quota) are swallowed — a missing draft
+ * only means there is nothing to offer for restore.
+ */
+
+const KEY_PREFIX = 'ff_draft:';
+
+/** Bump when the snapshot shape changes; older drafts are ignored */
+const DRAFT_VERSION = 1;
+
+const keyFor = (portfolioId) => `${KEY_PREFIX}${portfolioId}`;
+
+export const DraftStorage = {
+    /**
+     * The stored draft for a portfolio, or null. `baseVersion` and `baseline`
+     * are the server version and state the draft's edits were made on top of.
+     * @returns {{ savedAt: number, snapshot: object, baseVersion: number|null, baseline: object|null } | null}
+     */
+    get: (portfolioId) => {
+        if (!portfolioId) return null;
+        try {
+            const raw = localStorage.getItem(keyFor(portfolioId));
+            if (!raw) return null;
+            const draft = JSON.parse(raw);
+            if (draft?.version !== DRAFT_VERSION || !draft.snapshot) return null;
+            return {
+                savedAt: draft.savedAt,
+                snapshot: draft.snapshot,
+                baseVersion: draft.baseVersion ?? null,
+                baseline: draft.baseline ?? null,
+            };
+        } catch {
+            return null;
+        }
+    },
+
+    /** Store `snapshot` as the portfolio's draft, replacing any older one. */
+    save: (portfolioId, snapshot, { baseVersion = null, baseline = null } = {}) => {
+        if (!portfolioId) return;
+        try {
+            localStorage.setItem(keyFor(portfolioId), JSON.stringify({
+                version: DRAFT_VERSION,
+                savedAt: Date.now(),
+                snapshot,
+                baseVersion,
+                baseline,
+            }));
+        } catch {
+            // Quota exceeded or storage disabled
+        }
+    },
+
+    clear: (portfolioId) => {
+        if (!portfolioId) return;
+        try {
+            localStorage.removeItem(keyFor(portfolioId));
+        } catch {
+            // Storage disabled
+        }
+    },
+};
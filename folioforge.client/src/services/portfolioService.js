@@ -1,4 +1,5 @@
 import apiClient from "../api/client";
+import { streamEvents } from "../api/eventStream";
 
 export const PortfolioService = {
     /**
@@ -46,11 +47,13 @@ export const PortfolioService = {
     },
 
     /**
-     * Upload a resume PDF for AI processing.
+     * Upload a resume for AI processing in one request — a PDF, or plain text
+     * from `prepareResumeFile` (Word, Markdown and LinkedIn exports are converted first).
+     * Use `uploadResumeFile` (services/resumeUploader.js) for progress, retry and chunking.
      * POST /api/portfolios/:id/upload-resume  (multipart/form-data)
-     * Returns 202 { message, portfolioId }
+     * Returns 202 { message, portfolioId, jobId } — follow `jobId` with useResumeJob
      */
-    uploadResume: async (portfolioId, file) => {
+    uploadResume: async (portfolioId, file, { onUploadProgress, signal } = {}) => {
         const formData = new FormData();
         formData.append('file', file);
 
@@ -60,10 +63,113 @@ export const PortfolioService = {
             {
                 headers: { 'Content-Type': 'multipart/form-data' },
                 timeout: 60000,
+                onUploadProgress,
+                signal,
             }
         );
     },
 
+    /**
+     * Start a chunked, resumable resume upload.
+     * POST /api/portfolios/:id/resume-uploads  { fileName, size }
+     * Returns { uploadId, size, receivedBytes, chunkSize }
+     */
+    startResumeUpload: async (portfolioId, { fileName, size }) => {
+        return await apiClient.post(`/portfolios/${portfolioId}/resume-uploads`, { fileName, size });
+    },
+
+    /**
+     * How much of a chunked upload the server has — where to resume from.
+     * GET /api/portfolios/:id/resume-uploads/:uploadId
+     * Returns { uploadId, size, receivedBytes, chunkSize } — NotFoundError once expired or completed
+     */
+    getResumeUpload: async (portfolioId, uploadId) => {
+        return await apiClient.get(`/portfolios/${portfolioId}/resume-uploads/${uploadId}`);
+    },
+
+    /**
+     * Send the chunk that starts at byte `offset`.
+     * PATCH /api/portfolios/:id/resume-uploads/:uploadId  (Upload-Offset header, raw bytes)
+     * Returns { receivedBytes } — ConflictError with `details.receivedBytes` when
+     * `offset` isn't where the server is
+     */
+    uploadResumeChunk: async (portfolioId, uploadId, offset, chunk, { onUploadProgress, signal } = {}) => {
+        return await apiClient.patch(`/portfolios/${portfolioId}/resume-uploads/${uploadId}`, chunk, {
+            headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+            timeout: 30000,
+            onUploadProgress,
+            signal,
+        });
+    },
+
+    /**
+     * Finish a chunked upload and queue it for processing.
+     * POST /api/portfolios/:id/resume-uploads/:uploadId/complete
+     * Returns 202 { message, portfolioId, jobId }
+     */
+    completeResumeUpload: async (portfolioId, uploadId) => {
+        return await apiClient.post(`/portfolios/${portfolioId}/resume-uploads/${uploadId}/complete`);
+    },
+
+    /**
+     * Cancel a chunked upload; the server drops what it received.
+     * DELETE /api/portfolios/:id/resume-uploads/:uploadId
+     */
+    cancelResumeUpload: async (portfolioId, uploadId) => {
+        return await apiClient.delete(`/portfolios/${portfolioId}/resume-uploads/${uploadId}`);
+    },
+
+    /**
+     * Current stage of a resume upload.
+     * GET /api/portfolios/:id/resume-jobs/:jobId
+     * Returns { jobId, stage, error, isFinished, updatedAt, … }
+     */
+    getResumeJob: async (portfolioId, jobId) => {
+        return await apiClient.get(`/portfolios/${portfolioId}/resume-jobs/${jobId}`);
+    },
+
+    /**
+     * Follow a resume upload over server-sent events. Calls `onStatus` with
+     * the job on connect and on every stage change; resolves when the
+     * server closes the stream (job finished, or its time limit).
+     * GET /api/portfolios/:id/resume-jobs/:jobId/events
+     */
+    streamResumeJob: async (portfolioId, jobId, { onStatus, signal } = {}) => {
+        return await streamEvents(`/portfolios/${portfolioId}/resume-jobs/${jobId}/events`, {
+            signal,
+            onEvent: ({ event, data }) => {
+                if (event === 'status') onStatus?.(data);
+            },
+        });
+    },
+
+    /**
+     * The AI's parse of the last uploaded resume, waiting for review.
+     * GET /api/portfolios/:id/resume-import
+     * Returns { createdAt, sections: [{ sectionType, content }] } — 404 when nothing is pending
+     */
+    getResumeImport: async (portfolioId) => {
+        return await apiClient.get(`/portfolios/${portfolioId}/resume-import`);
+    },
+
+    /**
+     * Apply the reviewed import. Each section overwrites `sectionId`, or is
+     * added when it has none; sections not listed are untouched.
+     * POST /api/portfolios/:id/resume-import/apply  { version, sections: [{ sectionId?, sectionType, content }] }
+     * Returns { version } — ConflictError when the portfolio changed since `version`
+     */
+    applyResumeImport: async (portfolioId, { version, sections }) => {
+        return await apiClient.post(`/portfolios/${portfolioId}/resume-import/apply`, { version, sections });
+    },
+
+    /**
+     * Throw the pending import away without changing any section.
+     * DELETE /api/portfolios/:id/resume-import
+     */
+    discardResumeImport: async (portfolioId) => {
+        return await apiClient.delete(`/portfolios/${portfolioId}/resume-import`);
+    },
+
     /**
      * Publish a portfolio (make it publicly viewable).
      * POST /api/portfolios/:id/publish
@@ -0,0 +1,117 @@
+import { PortfolioService } from './portfolioService';
+import { ConflictError, NetworkError, NotFoundError, RateLimitError, ServerError } from '../api/errors';
+import { abortError, isAbortError, withRetry } from '../api/retry';
+
+/**
+ * Resume upload with progress, cancellation and retry.
+ *
+ * Small files go up in one request. Larger ones are sent in chunks through
+ * an upload session, so a dropped connection only costs the chunk in flight:
+ * each chunk is retried with backoff, and a failed upload can be resumed
+ * later from whatever the server already has (pass its `uploadId` back in).
+ * Completing a session is safe to repeat: the server answers a second
+ * complete with the job the first one started.
+ *
+ * The single-request upload is not safe to repeat — each one that arrives
+ * starts a parse — so it is only retried when it can't have been handled.
+ */
+
+/** Files above this go up in chunks */
+export const CHUNKED_UPLOAD_THRESHOLD = 2 * 1024 * 1024;
+
+/** Times in a row the server may say a chunk is out of place before giving up */
+const MAX_OFFSET_RESYNCS = 3;
+
+/**
+ * The server can't have acted on the request: the connection failed before
+ * any response (a timeout may have got through), or it was turned away with
+ * a time to come back.
+ */
+const neverHandled = (err) =>
+    (err instanceof NetworkError && !err.timedOut)
+    || (err instanceof RateLimitError && err.retryAfterMs !== null)
+    || (err instanceof ServerError && err.statusCode === 503 && err.retryAfterMs !== null);
+
+/**
+ * @param {string} portfolioId
+ * @param {File} file - Already checked by `prepareResumeFile`
+ * @param {object} [options]
+ * @param {(progress: { loaded: number, total: number }) => void} [options.onProgress]
+ * @param {(info: { attempt: number, delayMs: number, error: Error }) => void} [options.onRetry]
+ * @param {(uploadId: string) => void} [options.onSession] - A chunked session was opened; keep the id to resume
+ * @param {string} [options.uploadId] - Resume this session instead of starting over
+ * @param {AbortSignal} [options.signal] - Cancels; a chunked session is discarded on the server
+ * @returns {Promise<{ jobId: string }>}
+ * @throws {DOMException} AbortError when cancelled
+ */
+export const uploadResumeFile = async (portfolioId, file, { onProgress, onRetry, onSession, uploadId, signal } = {}) => {
+    const total = file.size;
+    const report = (loaded) => onProgress?.({ loaded: Math.min(loaded, total), total });
+    const retrying = { signal, onRetry };
+
+    if (total <= CHUNKED_UPLOAD_THRESHOLD && !uploadId) {
+        report(0);
+        return await withRetry(
+            () => PortfolioService.uploadResume(portfolioId, file, {
+                signal,
+                // `loaded` counts the multipart envelope too, hence the clamp in `report`
+                onUploadProgress: (e) => report(e.loaded),
+            }),
+            { ...retrying, shouldRetry: neverHandled },
+        );
+    }
+
+    let session = null;
+    if (uploadId) {
+        // A GET — the API client already retries it
+        session = await PortfolioService.getResumeUpload(portfolioId, uploadId)
+            .catch(err => {
+                // Expired or already finished: start again
+                if (err instanceof NotFoundError) return null;
+                throw err;
+            });
+    }
+    if (!session) {
+        session = await withRetry(
+            () => PortfolioService.startResumeUpload(portfolioId, { fileName: file.name, size: total }),
+            retrying,
+        );
+        onSession?.(session.uploadId);
+    }
+
+    try {
+        let offset = session.receivedBytes;
+        let resyncs = 0;
+        report(offset);
+
+        while (offset < total) {
+            const start = offset;
+            const chunk = file.slice(start, Math.min(start + session.chunkSize, total));
+            try {
+                const { receivedBytes } = await withRetry(
+                    () => PortfolioService.uploadResumeChunk(portfolioId, session.uploadId, start, chunk, {
+                        signal,
+                        onUploadProgress: (e) => report(start + e.loaded),
+                    }),
+                    retrying,
+                );
+                offset = receivedBytes;
+                resyncs = 0;
+            } catch (err) {
+                // A retried chunk may have landed the first time; carry on from where the server is
+                const serverOffset = err instanceof ConflictError ? err.details?.receivedBytes : undefined;
+                if (typeof serverOffset !== 'number' || ++resyncs > MAX_OFFSET_RESYNCS) throw err;
+                offset = serverOffset;
+            }
+            report(offset);
+        }
+
+        return await withRetry(() => PortfolioService.completeResumeUpload(portfolioId, session.uploadId), retrying);
+    } catch (err) {
+        if (signal?.aborted || isAbortError(err)) {
+            PortfolioService.cancelResumeUpload(portfolioId, session.uploadId).catch(() => {});
+            throw abortError();
+        }
+        throw err;
+    }
+};
@@ -0,0 +1,168 @@
+import { ValidationError } from '../api/errors';
+import {
+    HEX_COLOR_PATTERN,
+    THEME_LAYOUTS,
+    THEME_NAME_MAX_LENGTH,
+    FONT_NAME_MAX_LENGTH,
+} from '../config/themes';
+
+/**
+ * Theme Preset Service
+ *
+ * The user's own theme presets ("My themes"), kept per user in localStorage
+ * under `ff_themes:<userId>` so they can be applied to any of their
+ * portfolios on this device. Presets share the shape of `THEME_PRESETS`
+ * plus `isCustom: true`; their `id` (`custom-…`) is what gets saved as the
+ * portfolio's `themeName`.
+ *
+ * Presets travel between devices and people as versioned JSON files
+ * (`toExportFile` / `parseImportFile`). Imports are checked against the
+ * same rules the API enforces on a customization save.
+ */
+
+const KEY_PREFIX = 'ff_themes:';
+
+export const THEME_FILE_FORMAT = 'folioforge-theme';
+export const THEME_FILE_VERSION = 1;
+
+/** Most presets kept per user; the oldest are dropped beyond this */
+const MAX_PRESETS = 50;
+
+const COLOR_KEYS = ['primary', 'secondary', 'background', 'text'];
+const FONT_KEYS = ['heading', 'body'];
+
+const keyFor = (userId) => `${KEY_PREFIX}${userId ?? 'anonymous'}`;
+
+const createPresetId = () => `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const read = (userId) => {
+    try {
+        const presets = JSON.parse(localStorage.getItem(keyFor(userId)) ?? '[]');
+        return Array.isArray(presets) ? presets : [];
+    } catch {
+        return [];
+    }
+};
+
+const write = (userId, presets) => {
+    try {
+        localStorage.setItem(keyFor(userId), JSON.stringify(presets.slice(-MAX_PRESETS)));
+    } catch {
+        throw new Error('Could not save the theme on this device. Storage may be full or disabled.');
+    }
+};
+
+/**
+ * Check a theme's name, colours, fonts and layout.
+ * @returns {Record<string, string>} Field path → message; empty when valid
+ */
+const validateTheme = (theme) => {
+    const errors = {};
+    if (!theme || typeof theme !== 'object') return { theme: 'Missing theme data.' };
+
+    const name = typeof theme.name === 'string' ? theme.name.trim() : '';
+    if (!name) errors.name = 'Name is required.';
+    else if (name.length > THEME_NAME_MAX_LENGTH) errors.name = `Name must be at most ${THEME_NAME_MAX_LENGTH} characters.`;
+
+    for (const key of COLOR_KEYS) {
+        const value = theme.colors?.[key];
+        if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+            errors[`colors.${key}`] = `Must be a valid hex color, e.g. '#3B82F6' (got ${JSON.stringify(value ?? null)}).`;
+        }
+    }
+
+    // Optional: presets from before dark palettes only have `colors`
+    if (theme.darkColors !== undefined) {
+        for (const key of COLOR_KEYS) {
+            const value = theme.darkColors?.[key];
+            if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+                errors[`darkColors.${key}`] = `Must be a valid hex color, e.g. '#60A5FA' (got ${JSON.stringify(value ?? null)}).`;
+            }
+        }
+    }
+
+    for (const key of FONT_KEYS) {
+        const value = theme.fonts?.[key];
+        if (typeof value !== 'string' || !value.trim() || value.length > FONT_NAME_MAX_LENGTH) {
+            errors[`fonts.${key}`] = `Must be a font name of 1–${FONT_NAME_MAX_LENGTH} characters.`;
+        }
+    }
+
+    if (!THEME_LAYOUTS.includes(theme.layout)) {
+        errors.layout = `Layout must be ${THEME_LAYOUTS.map(l => `'${l}'`).join(', ')}.`;
+    }
+
+    return errors;
+};
+
+/** Only the fields a preset is made of — drops anything else a file carries */
+const pickTheme = (theme) => ({
+    name: theme.name.trim(),
+    description: typeof theme.description === 'string' ? theme.description.trim().slice(0, 120) : '',
+    colors: Object.fromEntries(COLOR_KEYS.map(key => [key, theme.colors[key].toUpperCase()])),
+    ...(theme.darkColors && {
+        darkColors: Object.fromEntries(COLOR_KEYS.map(key => [key, theme.darkColors[key].toUpperCase()])),
+    }),
+    fonts: Object.fromEntries(FONT_KEYS.map(key => [key, theme.fonts[key].trim()])),
+    layout: theme.layout,
+});
+
+export const ThemePresetService = {
+    /** The user's presets, oldest first. */
+    list: (userId) => read(userId),
+
+    /**
+     * Save a new preset from theme values ({ name, description?, colors, darkColors?, fonts, layout }).
+     * @returns {object} The stored preset
+     * @throws {ValidationError} With `fieldErrors` when a value would be rejected by the API
+     */
+    save: (userId, theme) => {
+        const errors = validateTheme(theme);
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError('This theme has invalid values.', errors);
+        }
+        const preset = { id: createPresetId(), ...pickTheme(theme), isCustom: true, createdAt: Date.now() };
+        write(userId, [...read(userId), preset]);
+        return preset;
+    },
+
+    remove: (userId, presetId) => {
+        write(userId, read(userId).filter(p => p.id !== presetId));
+    },
+
+    /** Versioned JSON file contents for sharing a preset. */
+    toExportFile: (preset) => JSON.stringify({
+        format: THEME_FILE_FORMAT,
+        version: THEME_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        theme: pickTheme(preset),
+    }, null, 2),
+
+    /**
+     * Parse and validate an exported theme file.
+     * @returns {object} Theme values ready for `save`
+     * @throws {ValidationError} When the file isn't a supported theme or has invalid values
+     */
+    parseImportFile: (text) => {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch {
+            throw new ValidationError('This file is not valid JSON.');
+        }
+        if (file?.format !== THEME_FILE_FORMAT) {
+            throw new ValidationError('This is not a FolioForge theme file.');
+        }
+        if (!Number.isInteger(file.version) || file.version > THEME_FILE_VERSION) {
+            throw new ValidationError(
+                `Theme file version ${file.version} is not supported. Update FolioForge and try again.`
+            );
+        }
+
+        const errors = validateTheme(file.theme);
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError('The theme in this file has invalid values.', errors);
+        }
+        return pickTheme(file.theme);
+    },
+};
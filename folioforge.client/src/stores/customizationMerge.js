@@ -0,0 +1,239 @@
+/**
+ * Three-way diff and merge for customization snapshots.
+ *
+ * Used when a save is rejected because the portfolio changed elsewhere:
+ * `base` is what this editor last loaded or saved, `local` is the editor's
+ * state, `remote` is the portfolio as it is on the server now. Snapshots
+ * hold the theme fields plus `sections` ({ id, sectionType, sortOrder,
+ * isVisible, variant, column, content, isNew? }).
+ *
+ * The diff is split into items — the theme as a whole and each section by
+ * id — and each item is resolved with a choice: 'local' (keep mine),
+ * 'remote' (take theirs) or 'merge' (field by field; whichever side changed
+ * a field wins, and mine wins where both changed the same field).
+ */
+
+export const THEME_KEYS = [
+    'themeName', 'primaryColor', 'secondaryColor', 'backgroundColor', 'textColor',
+    'darkPrimaryColor', 'darkSecondaryColor', 'darkBackgroundColor', 'darkTextColor', 'colorMode',
+    'fontHeading', 'fontBody', 'layout',
+];
+
+const SECTION_KEYS = ['sortOrder', 'isVisible', 'variant', 'column', 'content'];
+
+export const FIELD_LABELS = {
+    themeName: 'Theme',
+    primaryColor: 'Primary color',
+    secondaryColor: 'Secondary color',
+    backgroundColor: 'Background color',
+    textColor: 'Text color',
+    darkPrimaryColor: 'Dark primary color',
+    darkSecondaryColor: 'Dark secondary color',
+    darkBackgroundColor: 'Dark background color',
+    darkTextColor: 'Dark text color',
+    colorMode: 'Light/dark',
+    fontHeading: 'Heading font',
+    fontBody: 'Body font',
+    layout: 'Layout',
+    sortOrder: 'Position',
+    isVisible: 'Visible',
+    variant: 'Style',
+    column: 'Column',
+    content: 'Content',
+};
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const parseObject = (json) => {
+    try {
+        const value = JSON.parse(json);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+};
+
+/** Take whichever side moved away from `base`; mine when both did */
+const mergeValue = (base, local, remote) => (same(local, base) ? remote : local);
+
+/** Section content merged by top-level JSON key, falling back to the whole string */
+const mergeContent = (base, local, remote) => {
+    const [b, l, r] = [parseObject(base), parseObject(local), parseObject(remote)];
+    if (!b || !l || !r) return mergeValue(base, local, remote);
+
+    const merged = {};
+    for (const key of new Set([...Object.keys(l), ...Object.keys(r)])) {
+        const value = mergeValue(b[key], l[key], r[key]);
+        if (value !== undefined) merged[key] = value;
+    }
+    return JSON.stringify(merged);
+};
+
+const changedFields = (keys, base, local, remote) =>
+    keys
+        .filter(key => !same(local[key], remote[key]))
+        .map(key => ({
+            key,
+            label: FIELD_LABELS[key] ?? key,
+            base: base?.[key],
+            local: local[key],
+            remote: remote[key],
+            changedLocally: !base || !same(local[key], base[key]),
+            changedRemotely: !base || !same(remote[key], base[key]),
+        }));
+
+const statusOf = (fields) => {
+    const local = fields.some(f => f.changedLocally);
+    const remote = fields.some(f => f.changedRemotely);
+    if (local && remote) return 'both';
+    return remote ? 'remote' : 'local';
+};
+
+const byId = (sections) => new Map(sections.map(s => [s.id, s]));
+
+// ─── diff ────────────────────────────────────────────────────────────────────
+
+/**
+ * Everything that differs between `local` and `remote`, as resolvable items.
+ *
+ * Item `status`:
+ * - 'local' / 'remote' / 'both' — which side changed it since `base`
+ * - 'added-remote' / 'deleted-remote' — only exists on one side because of the other editor
+ * - 'added-local' / 'deleted-local' — only exists on one side because of this editor
+ *
+ * @returns {Array<{ id, kind: 'theme'|'section', label, status, fields, defaultChoice, canMerge }>}
+ */
+export const diffCustomization = (base, local, remote) => {
+    const items = [];
+
+    const themeFields = changedFields(THEME_KEYS, base, local, remote);
+    if (themeFields.length > 0) {
+        const status = statusOf(themeFields);
+        items.push({
+            id: 'theme',
+            kind: 'theme',
+            label: 'Theme, colors, fonts & layout',
+            status,
+            fields: themeFields,
+            defaultChoice: status === 'both' ? 'merge' : status,
+            canMerge: status === 'both',
+        });
+    }
+
+    const baseSections = byId(base.sections);
+    const localSections = byId(local.sections);
+    const remoteSections = byId(remote.sections);
+    const ids = new Set([...localSections.keys(), ...remoteSections.keys()]);
+
+    for (const id of ids) {
+        const mine = localSections.get(id);
+        const theirs = remoteSections.get(id);
+        // Sections this editor created during the failed save are on the server but not in base
+        const before = baseSections.get(id) ?? (mine && theirs ? theirs : undefined);
+        const label = (mine ?? theirs).sectionType;
+
+        if (mine && theirs) {
+            const fields = changedFields(SECTION_KEYS, before, mine, theirs);
+            if (fields.length === 0) continue;
+            const status = statusOf(fields);
+            items.push({
+                id, kind: 'section', label, status, fields,
+                defaultChoice: status === 'both' ? 'merge' : status,
+                canMerge: status === 'both',
+            });
+        } else if (mine) {
+            // Missing remotely: deleted there, or never created (a local draft)
+            const deletedRemotely = before && !mine.isNew;
+            if (!deletedRemotely) {
+                items.push({ id, kind: 'section', label, status: 'added-local', fields: [], defaultChoice: 'local', canMerge: false });
+                continue;
+            }
+            const editedHere = !same(
+                SECTION_KEYS.map(k => mine[k]),
+                SECTION_KEYS.map(k => before[k]),
+            );
+            items.push({
+                id, kind: 'section', label, status: 'deleted-remote', fields: [],
+                // Keep a deleted section only if it was edited here
+                defaultChoice: editedHere ? 'local' : 'remote',
+                canMerge: false,
+            });
+        } else {
+            const deletedHere = baseSections.has(id);
+            items.push({
+                id, kind: 'section', label,
+                status: deletedHere ? 'deleted-local' : 'added-remote',
+                fields: [],
+                defaultChoice: deletedHere ? 'local' : 'remote',
+                canMerge: false,
+            });
+        }
+    }
+
+    return items;
+};
+
+// ─── resolve ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build the merged snapshot from `choices` ({ [itemId]: 'local'|'remote'|'merge' }).
+ * Items without a choice use their `defaultChoice`. Items that don't differ
+ * keep the local value (which equals the remote one).
+ */
+export const resolveCustomization = (base, local, remote, choices = {}) => {
+    const items = diffCustomization(base, local, remote);
+    const choiceFor = (id) => {
+        const item = items.find(i => i.id === id);
+        return item ? (choices[id] ?? item.defaultChoice) : 'local';
+    };
+
+    const theme = {};
+    const themeChoice = choiceFor('theme');
+    for (const key of THEME_KEYS) {
+        theme[key] = themeChoice === 'remote' ? remote[key]
+            : themeChoice === 'merge' ? mergeValue(base[key], local[key], remote[key])
+                : local[key];
+    }
+
+    const baseSections = byId(base.sections);
+    const localSections = byId(local.sections);
+    const remoteSections = byId(remote.sections);
+    const sections = [];
+
+    for (const id of new Set([...localSections.keys(), ...remoteSections.keys()])) {
+        const mine = localSections.get(id);
+        const theirs = remoteSections.get(id);
+        const choice = choiceFor(id);
+
+        if (mine && theirs) {
+            if (choice === 'remote') {
+                sections.push({ ...theirs });
+            } else if (choice === 'merge') {
+                const before = baseSections.get(id) ?? theirs;
+                sections.push({
+                    ...mine,
+                    sortOrder: mergeValue(before.sortOrder, mine.sortOrder, theirs.sortOrder),
+                    isVisible: mergeValue(before.isVisible, mine.isVisible, theirs.isVisible),
+                    variant: mergeValue(before.variant, mine.variant, theirs.variant),
+                    column: mergeValue(before.column, mine.column, theirs.column),
+                    content: mergeContent(before.content, mine.content, theirs.content),
+                });
+            } else {
+                sections.push({ ...mine });
+            }
+        } else if (mine && choice === 'local') {
+            sections.push({ ...mine });
+        } else if (theirs && choice === 'remote') {
+            sections.push({ ...theirs });
+        }
+    }
+
+    return {
+        ...theme,
+        sections: sections
+            .sort((a, b) => a.sortOrder - b.sortOrder)
+            .map((s, i) => ({ ...s, sortOrder: i })),
+    };
+};
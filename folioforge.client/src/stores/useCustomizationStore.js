@@ -1,12 +1,219 @@
 import { create } from 'zustand';
-import { THEME_PRESETS } from '../config/themes';
+import { THEME_PRESETS, paletteKey } from '../config/themes';
 import { CustomizationService } from '../services/customizationService';
+import { DraftStorage } from '../services/draftStorage';
+import { ConflictError, NotFoundError } from '../api/errors';
+import { resolveCustomization } from './customizationMerge';
+import { deriveDarkPalette } from '../utils/palette';
+
+/** Temporary id for a section that only exists in the store until the next save */
+const createDraftId = () =>
+    `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Editor state (theme fields + sections) for a portfolio as returned by the API.
+ */
+const fromPortfolio = (data) => {
+    const primaryColor = data.theme?.primaryColor || '#3B82F6';
+    const secondaryColor = data.theme?.secondaryColor || '#10B981';
+    // Portfolios saved before dark palettes existed get one derived from their colors
+    const dark = deriveDarkPalette({ primary: primaryColor, secondary: secondaryColor });
+
+    return {
+        themeName: data.theme?.name || 'default',
+        primaryColor,
+        secondaryColor,
+        backgroundColor: data.theme?.backgroundColor || '#FFFFFF',
+        textColor: data.theme?.textColor || '#1F2937',
+        darkPrimaryColor: data.theme?.darkPrimaryColor || dark.primary,
+        darkSecondaryColor: data.theme?.darkSecondaryColor || dark.secondary,
+        darkBackgroundColor: data.theme?.darkBackgroundColor || dark.background,
+        darkTextColor: data.theme?.darkTextColor || dark.text,
+        colorMode: data.theme?.colorMode || 'auto',
+        fontHeading: data.theme?.fontHeading || 'Inter',
+        fontBody: data.theme?.fontBody || 'Inter',
+        layout: data.theme?.layout || 'single-column',
+        sections: (data.sections || [])
+            .map(s => ({
+                id: s.id,
+                sectionType: s.sectionType,
+                sortOrder: s.sortOrder,
+                isVisible: s.isVisible ?? true,
+                variant: s.variant || 'default',
+                column: s.column || 'main',
+                content: s.content,
+            }))
+            .sort((a, b) => a.sortOrder - b.sortOrder),
+    };
+};
+
+/**
+ * Insert `section` after `afterSectionId` (or at the end) and re-number sortOrder.
+ */
+const insertSection = (sections, section, afterSectionId) => {
+    const ordered = [...sections].sort((a, b) => a.sortOrder - b.sortOrder);
+    const anchor = ordered.findIndex(s => s.id === afterSectionId);
+    ordered.splice(anchor === -1 ? ordered.length : anchor + 1, 0, section);
+    return ordered.map((s, i) => ({ ...s, sortOrder: i }));
+};
+
+// ─── undo / redo history ─────────────────────────────────────────────────────
+
+/** Maximum number of undo steps kept in memory */
+const MAX_HISTORY = 50;
+
+/** Changes with the same coalesce key closer together than this become one step */
+const COALESCE_MS = 800;
+
+/** Everything the owner can change — the part of the state history restores */
+const SNAPSHOT_KEYS = [
+    'themeName', 'primaryColor', 'secondaryColor', 'backgroundColor', 'textColor',
+    'darkPrimaryColor', 'darkSecondaryColor', 'darkBackgroundColor', 'darkTextColor', 'colorMode',
+    'fontHeading', 'fontBody', 'layout', 'sections', 'deletedSectionIds',
+];
+
+const COLOR_LABELS = {
+    primaryColor: 'primary color',
+    secondaryColor: 'secondary color',
+    backgroundColor: 'background color',
+    textColor: 'text color',
+    darkPrimaryColor: 'dark primary color',
+    darkSecondaryColor: 'dark secondary color',
+    darkBackgroundColor: 'dark background color',
+    darkTextColor: 'dark text color',
+};
+
+const COLOR_MODE_LABELS = {
+    auto: 'Let visitors switch light/dark',
+    light: 'Lock to light mode',
+    dark: 'Lock to dark mode',
+};
+
+/** A `{ primary, secondary, background, text }` palette as the store's dark-palette fields */
+const darkFields = (dark) => ({
+    darkPrimaryColor: dark.primary,
+    darkSecondaryColor: dark.secondary,
+    darkBackgroundColor: dark.background,
+    darkTextColor: dark.text,
+});
+
+const DEFAULT_DARK = deriveDarkPalette({ primary: '#3B82F6', secondary: '#10B981' });
+
+const takeSnapshot = (state) =>
+    Object.fromEntries(SNAPSHOT_KEYS.map(key => [key, state[key]]));
+
+const sectionName = (state, sectionId) =>
+    state.sections.find(s => s.id === sectionId)?.sectionType ?? 'section';
+
+/**
+ * Record the current state as an undo step named `label`.
+ * Returns a partial state to merge into the same `set` as the change itself.
+ * Consecutive changes sharing `coalesceKey` (colour-picker drags, typing)
+ * within COALESCE_MS extend the previous step instead of adding a new one.
+ */
+const recordHistory = (state, label, coalesceKey = null) => {
+    const now = Date.now();
+    const coalesce = coalesceKey !== null
+        && state.lastCoalesceKey === coalesceKey
+        && now - state.lastRecordedAt < COALESCE_MS
+        && state.past.length > 0;
+
+    return {
+        past: coalesce
+            ? state.past
+            : [...state.past, { label, at: now, snapshot: takeSnapshot(state) }].slice(-MAX_HISTORY),
+        future: [],
+        lastCoalesceKey: coalesceKey,
+        lastRecordedAt: now,
+    };
+};
+
+/**
+ * State to restore from `snapshot`. Saved sections that exist now but not in
+ * the snapshot are queued for deletion so the server follows along.
+ */
+const restoreSnapshot = (state, snapshot) => {
+    const kept = new Set(snapshot.sections.map(s => s.id));
+    const orphaned = state.sections
+        .filter(s => !s.isNew && !kept.has(s.id))
+        .map(s => s.id);
+
+    return {
+        ...snapshot,
+        deletedSectionIds: [...new Set([...snapshot.deletedSectionIds, ...orphaned])],
+    };
+};
+
+/**
+ * Move `steps` entries from the `from` stack to the `to` stack ('past' →
+ * 'future' to undo, the reverse to redo), restoring each entry's snapshot
+ * and recording the state it replaces so the move can be reversed.
+ */
+const travel = (state, from, to, steps) => {
+    let source = state[from];
+    let target = state[to];
+    let current = state;
+    for (let i = 0; i < steps && source.length > 0; i++) {
+        const entry = source[source.length - 1];
+        source = source.slice(0, -1);
+        target = [...target, { label: entry.label, at: entry.at, snapshot: takeSnapshot(current) }];
+        current = { ...current, ...restoreSnapshot(current, entry.snapshot) };
+    }
+    if (current === state) return {};
+
+    return {
+        ...takeSnapshot(current),
+        [from]: source,
+        [to]: target,
+        lastCoalesceKey: null,
+        isDirty: true,
+    };
+};
+
+/** True when `state` holds an owner edit that `prev` did not */
+export const didEdit = (state, prev) => SNAPSHOT_KEYS.some(key => state[key] !== prev[key]);
+
+/** Palette shown in the preview and edited in the Colors tab — a locked portfolio only has one */
+export const selectPaletteMode = (state) =>
+    state.colorMode === 'auto' ? state.previewColorMode : state.colorMode;
+
+// ─── local drafts ────────────────────────────────────────────────────────────
+
+/** Quiet period before an edit is written to the local draft */
+const DRAFT_DEBOUNCE_MS = 400;
+
+/**
+ * Fit a stored draft onto the freshly loaded portfolio. Draft sections the
+ * server no longer has are re-created on the next save instead of updated.
+ */
+const draftToState = (state, snapshot) => {
+    const onServer = new Set(state.sections.filter(s => !s.isNew).map(s => s.id));
+    const sections = snapshot.sections.map(s =>
+        !s.isNew && !onServer.has(s.id) ? { ...s, isNew: true } : s
+    );
+    return restoreSnapshot(state, {
+        ...snapshot,
+        sections,
+        deletedSectionIds: snapshot.deletedSectionIds.filter(id => onServer.has(id)),
+    });
+};
+
+/** Apply `mapSnapshot` to every undo and redo step */
+const mapHistory = (state, mapSnapshot) => ({
+    past: state.past.map(entry => ({ ...entry, snapshot: mapSnapshot(entry.snapshot) })),
+    future: state.future.map(entry => ({ ...entry, snapshot: mapSnapshot(entry.snapshot) })),
+});
 
 /**
  * Zustand store for portfolio customization state.
  * 
  * Manages theme presets, colors, fonts, layout, and sections
- * with live preview support and dirty-state tracking.
+ * with live preview support, dirty-state tracking, a bounded
+ * undo/redo history (`past` / `future`, named steps), a local draft
+ * of unsaved edits per portfolio (see `DraftStorage`) and optimistic
+ * concurrency: saves carry the loaded `version`, and a save rejected
+ * because the portfolio changed elsewhere stages a `conflict` to resolve
+ * section by section (see `customizationMerge`).
  */
 export const useCustomizationStore = create((set, get) => ({
     // --- State ---
@@ -16,41 +223,69 @@ export const useCustomizationStore = create((set, get) => ({
     secondaryColor: '#10B981',
     backgroundColor: '#FFFFFF',
     textColor: '#1F2937',
+    ...darkFields(DEFAULT_DARK),
+    colorMode: 'auto',       // 'auto' | 'light' | 'dark' — see COLOR_MODES
     fontHeading: 'Inter',
     fontBody: 'Inter',
     layout: 'single-column',
-    sections: [],            // array of { id, sectionType, sortOrder, isVisible, variant, content }
+    sections: [],            // array of { id, sectionType, sortOrder, isVisible, variant, column, content, isNew? }
+    deletedSectionIds: [],   // saved sections removed locally, deleted on the next save
     isDirty: false,
     isSaving: false,
     isLoading: false,
+    saveStatus: 'idle',      // 'idle' | 'saving' | 'saved' | 'error' | 'conflict'
+    saveError: null,         // message of the last failed save
+    lastSavedAt: null,
+    pendingDraft: null,      // { savedAt, snapshot, baseVersion, baseline } found on load, until restored or discarded
+
+    // --- Concurrency ---
+    version: null,           // server version the editor is based on; sent with every save
+    baseline: null,          // theme fields + sections as the server had them at `version`
+    conflict: null,          // { source: 'save'|'draft', base, local, remote, remoteVersion } awaiting resolution
+
+    // --- History ---
+    past: [],                // [{ label, at, snapshot }] — oldest first; snapshot is the state *before* the step
+    future: [],              // undone steps — next redo last
+    lastCoalesceKey: null,
+    lastRecordedAt: 0,
+
+    // --- Preview ---
+    visionSimulation: 'none', // colour-vision simulation for the live preview (see VISION_SIMULATIONS); never saved
+    previewColorMode: 'light', // palette shown in the live preview and edited in the Colors tab; never saved
 
     // --- Load from API ---
     loadCustomization: async (portfolioId) => {
         set({ isLoading: true });
         try {
             const data = await CustomizationService.get(portfolioId);
+            const loaded = fromPortfolio(data);
             set({
                 portfolio: data,
-                themeName: data.theme?.name || 'default',
-                primaryColor: data.theme?.primaryColor || '#3B82F6',
-                secondaryColor: data.theme?.secondaryColor || '#10B981',
-                backgroundColor: data.theme?.backgroundColor || '#FFFFFF',
-                textColor: data.theme?.textColor || '#1F2937',
-                fontHeading: data.theme?.fontHeading || 'Inter',
-                fontBody: data.theme?.fontBody || 'Inter',
-                layout: data.theme?.layout || 'single-column',
-                sections: (data.sections || [])
-                    .map(s => ({
-                        id: s.id,
-                        sectionType: s.sectionType,
-                        sortOrder: s.sortOrder,
-                        isVisible: s.isVisible ?? true,
-                        variant: s.variant || 'default',
-                        content: s.content,
-                    }))
-                    .sort((a, b) => a.sortOrder - b.sortOrder),
+                ...loaded,
+                deletedSectionIds: [],
+                version: data.version ?? null,
+                baseline: loaded,
+                conflict: null,
+                past: [],
+                future: [],
+                lastCoalesceKey: null,
                 isDirty: false,
+                saveStatus: 'idle',
+                saveError: null,
+                lastSavedAt: null,
+                pendingDraft: null,
             });
+
+            // Offer unsaved work from an earlier visit, unless it matches what was just loaded
+            const draft = DraftStorage.get(portfolioId);
+            if (draft) {
+                const loaded = JSON.stringify(takeSnapshot(get()));
+                if (JSON.stringify(takeSnapshot({ ...get(), ...draft.snapshot })) === loaded) {
+                    DraftStorage.clear(portfolioId);
+                } else {
+                    set({ pendingDraft: draft });
+                }
+            }
         } catch (err) {
             console.error('Failed to load customization:', err);
         } finally {
@@ -60,15 +295,25 @@ export const useCustomizationStore = create((set, get) => ({
 
     // --- Save to API ---
     saveCustomization: async (portfolioId) => {
-        const state = get();
-        set({ isSaving: true });
+        set({ isSaving: true, saveStatus: 'saving', saveError: null });
         try {
-            await CustomizationService.save(portfolioId, {
+            // Section creates/deletes go first so the PUT only references real ids
+            await get().syncSectionChanges(portfolioId);
+
+            const state = get();
+            const saved = takeSnapshot(state);
+            const result = await CustomizationService.save(portfolioId, {
+                version: state.version ?? undefined,
                 themeName: state.themeName,
                 primaryColor: state.primaryColor,
                 secondaryColor: state.secondaryColor,
                 backgroundColor: state.backgroundColor,
                 textColor: state.textColor,
+                darkPrimaryColor: state.darkPrimaryColor,
+                darkSecondaryColor: state.darkSecondaryColor,
+                darkBackgroundColor: state.darkBackgroundColor,
+                darkTextColor: state.darkTextColor,
+                colorMode: state.colorMode,
                 fontHeading: state.fontHeading,
                 fontBody: state.fontBody,
                 layout: state.layout,
@@ -77,44 +322,265 @@ export const useCustomizationStore = create((set, get) => ({
                     sortOrder: s.sortOrder,
                     isVisible: s.isVisible,
                     variant: s.variant,
+                    column: s.column,
                     // Always forward the current content so edits persist
                     content: s.content ?? null,
                 })),
             });
-            set({ isDirty: false });
+
+            // Edits made while the request was in flight stay dirty for the next save
+            const isCurrent = !didEdit(get(), saved);
+            // A draft still waiting on restore-or-discard is kept until the owner decides
+            if (isCurrent && !get().pendingDraft) DraftStorage.clear(portfolioId);
+            set({
+                isDirty: !isCurrent,
+                saveStatus: 'saved',
+                lastSavedAt: Date.now(),
+                version: result?.version ?? state.version,
+                baseline: { ...saved, sections: saved.sections.map(s => ({ ...s, isNew: false })) },
+            });
         } catch (err) {
+            if (err instanceof ConflictError) {
+                await get().openConflict(portfolioId);
+                throw err;
+            }
             console.error('Failed to save customization:', err);
+            set({ saveStatus: 'error', saveError: err.message || 'Could not save changes' });
             throw err;
         } finally {
             set({ isSaving: false });
         }
     },
 
+    /**
+     * Push locally added and deleted sections to the API.
+     * Each step is recorded as soon as it succeeds, so a failed save can be
+     * retried without creating duplicates. Every step carries `version` and
+     * moves it on, so a stale editor gets a ConflictError before changing anything.
+     */
+    syncSectionChanges: async (portfolioId) => {
+        for (const sectionId of get().deletedSectionIds) {
+            try {
+                const { version } = await CustomizationService.deleteSection(portfolioId, sectionId, get().version);
+                set({ version });
+            } catch (err) {
+                // Already gone on the server — nothing left to delete
+                if (!(err instanceof NotFoundError)) throw err;
+            }
+            // Undoing past this point must re-create the section, not update it
+            set(state => ({
+                deletedSectionIds: state.deletedSectionIds.filter(id => id !== sectionId),
+                ...mapHistory(state, snapshot => ({
+                    ...snapshot,
+                    sections: snapshot.sections.map(s =>
+                        s.id === sectionId ? { ...s, isNew: true } : s
+                    ),
+                    deletedSectionIds: snapshot.deletedSectionIds.filter(id => id !== sectionId),
+                })),
+            }));
+        }
+
+        for (const draft of get().sections.filter(s => s.isNew)) {
+            const { section: created, version } = await CustomizationService.createSection(portfolioId, {
+                sectionType: draft.sectionType,
+                variant: draft.variant,
+                content: draft.content ?? '{}',
+                sortOrder: draft.sortOrder,
+            }, get().version);
+            // Swap the draft id for the server id, keeping edits made meanwhile
+            const promote = (sections) => sections.map(s =>
+                s.id === draft.id ? { ...s, id: created.id, isNew: false } : s
+            );
+            set(state => ({
+                version,
+                sections: promote(state.sections),
+                ...mapHistory(state, snapshot => ({
+                    ...snapshot,
+                    sections: promote(snapshot.sections),
+                })),
+            }));
+        }
+    },
+
+    // --- Conflicts ---
+    /**
+     * Fetch the portfolio as it is on the server and stage a conflict between
+     * it and the editor's state for the owner to resolve.
+     */
+    openConflict: async (portfolioId) => {
+        try {
+            const data = await CustomizationService.get(portfolioId);
+            set(state => ({
+                conflict: {
+                    source: 'save',
+                    base: state.baseline,
+                    local: takeSnapshot(state),
+                    remote: fromPortfolio(data),
+                    remoteVersion: data.version ?? null,
+                },
+                saveStatus: 'conflict',
+                saveError: null,
+            }));
+        } catch (err) {
+            console.error('Failed to load the latest portfolio:', err);
+            set({ saveStatus: 'error', saveError: 'Changed elsewhere, and the latest version could not be loaded' });
+        }
+    },
+
+    /**
+     * Apply the owner's per-item choices ({ [itemId]: 'local'|'remote'|'merge' },
+     * see `diffCustomization`) as one undoable step, rebased on the server
+     * version so the next save goes through.
+     */
+    resolveConflict: (choices = {}) => {
+        const { conflict } = get();
+        if (!conflict) return;
+
+        const merged = resolveCustomization(conflict.base, conflict.local, conflict.remote, choices);
+        const onServer = new Set(conflict.remote.sections.map(s => s.id));
+        const kept = new Set(merged.sections.map(s => s.id));
+
+        set(state => ({
+            ...recordHistory(state, 'Resolve conflicting changes'),
+            ...merged,
+            sections: merged.sections.map(s => ({ ...s, isNew: !onServer.has(s.id) })),
+            deletedSectionIds: [...onServer].filter(id => !kept.has(id)),
+            version: conflict.remoteVersion,
+            baseline: conflict.remote,
+            conflict: null,
+            saveStatus: 'idle',
+            isDirty: true,
+        }));
+    },
+
+    // --- Local drafts ---
+    /**
+     * Write the current unsaved edits to the local draft right away.
+     * Skipped while an earlier draft is still offered, so it isn't overwritten.
+     */
+    saveDraft: () => {
+        const state = get();
+        if (state.portfolio?.id && state.isDirty && !state.pendingDraft) {
+            DraftStorage.save(state.portfolio.id, takeSnapshot(state), {
+                baseVersion: state.version,
+                baseline: state.baseline,
+            });
+        }
+    },
+
+    /**
+     * Apply the draft found on load as one undoable step. A draft made on an
+     * older server version goes through conflict resolution instead.
+     */
+    restoreDraft: () => {
+        const { pendingDraft, version, baseline } = get();
+        if (!pendingDraft) return;
+
+        const isStale = pendingDraft.baseline && pendingDraft.baseVersion != null
+            && version != null && pendingDraft.baseVersion !== version;
+        if (isStale) {
+            set({
+                conflict: {
+                    source: 'draft',
+                    base: pendingDraft.baseline,
+                    local: pendingDraft.snapshot,
+                    remote: baseline,
+                    remoteVersion: version,
+                },
+                pendingDraft: null,
+            });
+            return;
+        }
+
+        set(state => ({
+            ...recordHistory(state, 'Restore unsaved draft'),
+            ...draftToState(state, pendingDraft.snapshot),
+            pendingDraft: null,
+            isDirty: true,
+        }));
+    },
+
+    /** Drop the draft found on load, locally and in storage. */
+    discardDraft: () => {
+        const { portfolio } = get();
+        DraftStorage.clear(portfolio?.id);
+        set({ pendingDraft: null });
+    },
+
+    // --- Undo / redo ---
+    /** Step back `steps` named changes (default one). */
+    undo: (steps = 1) => set(state => travel(state, 'past', 'future', steps)),
+
+    /** Re-apply `steps` undone changes (default one). */
+    redo: (steps = 1) => set(state => travel(state, 'future', 'past', steps)),
+
     // --- Apply a theme preset ---
-    applyTheme: (themeId) => {
-        const theme = THEME_PRESETS.find(t => t.id === themeId);
+    /** Apply a built-in preset by id, or a preset object (e.g. one of the user's own). */
+    applyTheme: (themeOrId) => {
+        const theme = typeof themeOrId === 'string'
+            ? THEME_PRESETS.find(t => t.id === themeOrId)
+            : themeOrId;
         if (!theme) return;
-        set({
+        set(state => ({
+            ...recordHistory(state, `Apply ${theme.name} theme`),
             themeName: theme.id,
             primaryColor: theme.colors.primary,
             secondaryColor: theme.colors.secondary,
             backgroundColor: theme.colors.background,
             textColor: theme.colors.text,
+            ...darkFields(theme.darkColors ?? deriveDarkPalette(theme.colors)),
             fontHeading: theme.fonts.heading,
             fontBody: theme.fonts.body,
             layout: theme.layout,
             isDirty: true,
-        });
+        }));
     },
 
+    // --- Apply generated colours to the light or dark palette (fonts and layout stay as they are) ---
+    applyPalette: (colors, label = 'Apply generated palette', mode = 'light') => set(state => ({
+        ...recordHistory(state, label),
+        [paletteKey('primaryColor', mode)]: colors.primary,
+        [paletteKey('secondaryColor', mode)]: colors.secondary,
+        [paletteKey('backgroundColor', mode)]: colors.background,
+        [paletteKey('textColor', mode)]: colors.text,
+        isDirty: true,
+    })),
+
     // --- Individual setters ---
-    setColor: (key, value) => set({ [key]: value, isDirty: true }),
-    setFont: (key, value) => set({ [key]: value, isDirty: true }),
-    setLayout: (layout) => set({ layout, isDirty: true }),
+    setColor: (key, value) => set(state => ({
+        ...recordHistory(state, `Change ${COLOR_LABELS[key] ?? key}`, `color:${key}`),
+        [key]: value,
+        isDirty: true,
+    })),
+    setFont: (key, value) => set(state => ({
+        ...recordHistory(state, `Change ${key === 'fontHeading' ? 'heading' : 'body'} font to ${value}`),
+        [key]: value,
+        isDirty: true,
+    })),
+    setLayout: (layout) => set(state => ({
+        ...recordHistory(state, `Switch to ${layout} layout`),
+        layout,
+        isDirty: true,
+    })),
+
+    /** Let visitors switch light/dark ('auto') or lock the portfolio to one mode. */
+    setColorMode: (colorMode) => set(state => ({
+        ...recordHistory(state, COLOR_MODE_LABELS[colorMode] ?? `Set color mode to ${colorMode}`),
+        colorMode,
+        isDirty: true,
+    })),
+
+    // Preview-only: not edits, so no history step and nothing to save
+    setVisionSimulation: (visionSimulation) => set({ visionSimulation }),
+    setPreviewColorMode: (previewColorMode) => set({ previewColorMode }),
 
     // --- Section management ---
     toggleSection: (sectionId) => {
         set(state => ({
+            ...recordHistory(
+                state,
+                `${state.sections.find(s => s.id === sectionId)?.isVisible ? 'Hide' : 'Show'} ${sectionName(state, sectionId)}`,
+            ),
             sections: state.sections.map(s =>
                 s.id === sectionId ? { ...s, isVisible: !s.isVisible } : s
             ),
@@ -123,14 +589,16 @@ export const useCustomizationStore = create((set, get) => ({
     },
 
     reorderSections: (newSections) => {
-        set({
+        set(state => ({
+            ...recordHistory(state, 'Reorder sections'),
             sections: newSections.map((s, i) => ({ ...s, sortOrder: i })),
             isDirty: true,
-        });
+        }));
     },
 
     setSectionVariant: (sectionId, variant) => {
         set(state => ({
+            ...recordHistory(state, `Change ${sectionName(state, sectionId)} style to ${variant}`),
             sections: state.sections.map(s =>
                 s.id === sectionId ? { ...s, variant } : s
             ),
@@ -138,12 +606,24 @@ export const useCustomizationStore = create((set, get) => ({
         }));
     },
 
+    /** Put a section in the main or side column of the two-column layout. */
+    setSectionColumn: (sectionId, column) => {
+        set(state => ({
+            ...recordHistory(state, `Move ${sectionName(state, sectionId)} to the ${column} column`),
+            sections: state.sections.map(s =>
+                s.id === sectionId ? { ...s, column } : s
+            ),
+            isDirty: true,
+        }));
+    },
+
     /**
      * Update the raw JSON content string of a single section.
      * `newContent` must be a valid JSON string (the serialised section payload).
      */
     updateSectionContent: (sectionId, newContent) => {
         set(state => ({
+            ...recordHistory(state, `Edit ${sectionName(state, sectionId)} content`, `content:${sectionId}`),
             sections: state.sections.map(s =>
                 s.id === sectionId ? { ...s, content: newContent } : s
             ),
@@ -151,20 +631,90 @@ export const useCustomizationStore = create((set, get) => ({
         }));
     },
 
+    /**
+     * Add a section by hand. It stays a local draft until the next save.
+     * `content` must be a JSON string. Returns the draft's temporary id.
+     */
+    addSection: ({ sectionType, variant = 'default', column = 'main', content = '{}' }, afterSectionId = null) => {
+        const id = createDraftId();
+        set(state => ({
+            ...recordHistory(state, `Add ${sectionType} section`),
+            sections: insertSection(state.sections, {
+                id,
+                sectionType,
+                sortOrder: 0,
+                isVisible: true,
+                variant,
+                column,
+                content,
+                isNew: true,
+            }, afterSectionId),
+            isDirty: true,
+        }));
+        return id;
+    },
+
+    /** Copy a section (type, variant, column, visibility and content) directly below it. */
+    duplicateSection: (sectionId) => {
+        const source = get().sections.find(s => s.id === sectionId);
+        if (!source) return null;
+
+        const id = createDraftId();
+        set(state => ({
+            ...recordHistory(state, `Duplicate ${source.sectionType}`),
+            sections: insertSection(state.sections, {
+                ...source,
+                id,
+                isNew: true,
+            }, sectionId),
+            isDirty: true,
+        }));
+        return id;
+    },
+
+    /** Remove a section. Saved sections are deleted on the server at the next save. */
+    deleteSection: (sectionId) => {
+        const target = get().sections.find(s => s.id === sectionId);
+        if (!target) return;
+
+        set(state => ({
+            ...recordHistory(state, `Delete ${target.sectionType}`),
+            sections: state.sections
+                .filter(s => s.id !== sectionId)
+                .sort((a, b) => a.sortOrder - b.sortOrder)
+                .map((s, i) => ({ ...s, sortOrder: i })),
+            deletedSectionIds: target.isNew
+                ? state.deletedSectionIds
+                : [...state.deletedSectionIds, sectionId],
+            isDirty: true,
+        }));
+    },
+
     // --- Reset ---
     resetToDefaults: () => {
         const defaultTheme = THEME_PRESETS[0];
-        set({
+        set(state => ({
+            ...recordHistory(state, 'Reset to defaults'),
             themeName: defaultTheme.id,
             primaryColor: defaultTheme.colors.primary,
             secondaryColor: defaultTheme.colors.secondary,
             backgroundColor: defaultTheme.colors.background,
             textColor: defaultTheme.colors.text,
+            ...darkFields(deriveDarkPalette(defaultTheme.colors)),
+            colorMode: 'auto',
             fontHeading: defaultTheme.fonts.heading,
             fontBody: defaultTheme.fonts.body,
             layout: defaultTheme.layout,
-            sections: get().sections.map(s => ({ ...s, isVisible: true, variant: 'default' })),
+            sections: state.sections.map(s => ({ ...s, isVisible: true, variant: 'default', column: 'main' })),
             isDirty: true,
-        });
+        }));
     },
 }));
+
+// Keep the local draft in step with unsaved edits
+let draftTimer = null;
+useCustomizationStore.subscribe((state, prev) => {
+    if (!state.isDirty || !didEdit(state, prev)) return;
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(() => useCustomizationStore.getState().saveDraft(), DRAFT_DEBOUNCE_MS);
+});
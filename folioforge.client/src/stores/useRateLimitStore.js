@@ -0,0 +1,31 @@
+import { create } from 'zustand';
+import { readHeader } from '../api/errors';
+
+/**
+ * Rate-limit quota as the API last reported it
+ *
+ * Every API response carries `RateLimit-Limit` / `RateLimit-Remaining` from
+ * the server's token bucket for that endpoint; the API client records them
+ * here, and a 429 records until when requests will be refused. The numbers
+ * are for whichever endpoint answered last, so they're a hint for the UI
+ * (`RateLimitIndicator`), not something to gate requests on.
+ */
+export const useRateLimitStore = create((set) => ({
+    /** Bucket capacity, or null before the first response with headers */
+    limit: null,
+    /** Requests left right now */
+    remaining: null,
+    /** Epoch ms until which requests are refused (after a 429), or null */
+    throttledUntil: null,
+
+    record: (headers) => {
+        const limit = readHeader(headers, 'RateLimit-Limit');
+        const remaining = readHeader(headers, 'RateLimit-Remaining');
+        if (limit === null || remaining === null) return;
+
+        // An accepted request means the wait after a 429 is over
+        set({ limit: Number(limit), remaining: Number(remaining), throttledUntil: null });
+    },
+
+    throttle: (retryAt) => set({ remaining: 0, throttledUntil: retryAt }),
+}));
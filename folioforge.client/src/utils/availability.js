@@ -0,0 +1,131 @@
+/**
+ * Availability block of the Contact section.
+ *
+ * Stored next to the links in the section's content:
+ *   { links: [{ type, value, label? }, …], availability: { show, status, message, roles, timeZone, availableFrom } }
+ * - status:        'open' | 'freelance' | 'not-looking'
+ * - message:       free text; each status has a default
+ * - roles:         preferred roles, e.g. ['Staff Engineer', 'Tech Lead']
+ * - timeZone:      IANA zone, e.g. 'Europe/Berlin' — visitors see the owner's local time
+ * - availableFrom: 'YYYY-MM-DD', shown while it's in the future
+ *
+ * Content saved before availability existed has no `availability` and keeps
+ * showing the old "open to work" badge.
+ */
+
+export const MAX_ROLES = 6;
+
+export const AVAILABILITY_STATUSES = {
+    open: {
+        label: 'Open to work',
+        defaultMessage: 'I\'m open to new opportunities and exciting projects. Let\'s create something amazing together!',
+    },
+    freelance: {
+        label: 'Available for freelance',
+        defaultMessage: 'I\'m taking on freelance and contract work. Tell me about your project!',
+    },
+    'not-looking': {
+        label: 'Not looking right now',
+        defaultMessage: 'I\'m not looking for new roles at the moment, but I\'m always happy to chat.',
+    },
+};
+
+export const DEFAULT_AVAILABILITY = {
+    show: true,
+    status: 'open',
+    message: '',
+    roles: [],
+    timeZone: '',
+    availableFrom: '',
+};
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** Whether the browser knows an IANA time zone */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/** Every IANA zone the browser knows, for pickers (empty on older browsers) */
+export const listTimeZones = () =>
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+/** The viewer's own time zone */
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Availability from a Contact section's content, with defaults filled in.
+ * @param {string|Object} content
+ */
+export const parseAvailability = (content) => {
+    let raw;
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        raw = parsed?.availability;
+    } catch { /* use defaults */ }
+
+    if (!raw || typeof raw !== 'object') return { ...DEFAULT_AVAILABILITY };
+
+    return {
+        show: raw.show !== false,
+        status: raw.status in AVAILABILITY_STATUSES ? raw.status : DEFAULT_AVAILABILITY.status,
+        message: typeof raw.message === 'string' ? raw.message : '',
+        roles: Array.isArray(raw.roles)
+            ? raw.roles.filter(r => typeof r === 'string' && r.trim()).slice(0, MAX_ROLES)
+            : [],
+        timeZone: isValidTimeZone(raw.timeZone) ? raw.timeZone : '',
+        availableFrom: /^\d{4}-\d{2}-\d{2}$/.test(raw.availableFrom ?? '') ? raw.availableFrom : '',
+    };
+};
+
+/**
+ * The "available from" date when it's still ahead, formatted for display; null otherwise.
+ * @param {string} availableFrom - 'YYYY-MM-DD'
+ * @param {Date} [now]
+ */
+export const upcomingStartDate = (availableFrom, now = new Date()) => {
+    if (!availableFrom) return null;
+    const [year, month, day] = availableFrom.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (Number.isNaN(date.getTime()) || date <= now) return null;
+    return date.toLocaleDateString(undefined, { dateStyle: 'long' });
+};
+
+/** Minutes `timeZone` is ahead of UTC at `date` */
+const offsetMinutes = (timeZone, date) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric',
+        }).formatToParts(date).map(p => [p.type, p.value]),
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+/**
+ * The owner's local time for visitors, e.g.
+ * `{ time: '14:05', zone: 'Berlin', difference: '2 h ahead of you' }`.
+ * `difference` is null when the visitor is in the same zone offset.
+ * @param {string} timeZone - IANA zone
+ * @param {Date} [now]
+ */
+export const describeLocalTime = (timeZone, now = new Date()) => {
+    const time = now.toLocaleTimeString(undefined, { timeZone, hour: 'numeric', minute: '2-digit' });
+    const zone = timeZone.split('/').pop().replace(/_/g, ' ');
+
+    const diff = offsetMinutes(timeZone, now) + now.getTimezoneOffset();
+    if (diff === 0) return { time, zone, difference: null };
+
+    const hours = Math.abs(diff) / 60;
+    const amount = Number.isInteger(hours) ? `${hours} h` : `${hours.toFixed(1)} h`;
+    return { time, zone, difference: `${amount} ${diff > 0 ? 'ahead of' : 'behind'} you` };
+};
@@ -0,0 +1,169 @@
+/**
+ * Colour helpers
+ *
+ * Hex parsing, RGB/HSL conversion and WCAG 2.2 contrast maths for the
+ * customization editor, plus the colour-vision simulations used by the
+ * live preview.
+ */
+
+// ─── parsing & conversion ────────────────────────────────────────────────────
+
+/**
+ * Normalize user input to `#RRGGBB`. Accepts 3- or 6-digit hex, with or
+ * without the leading `#`, in any case.
+ * @returns {string|null} Uppercase `#RRGGBB`, or null when not a hex colour
+ */
+export const parseHex = (value) => {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value ?? '').trim());
+    if (!match) return null;
+    const digits = match[1].length === 3
+        ? [...match[1]].map(d => d + d).join('')
+        : match[1];
+    return `#${digits.toUpperCase()}`;
+};
+
+export const hexToRgb = (hex) => {
+    const n = parseInt(parseHex(hex).slice(1), 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+};
+
+export const rgbToHex = ({ r, g, b }) =>
+    `#${[r, g, b].map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+
+/** @returns {{ h: number, s: number, l: number }} Hue in degrees, saturation and lightness 0–100 */
+export const rgbToHsl = ({ r, g, b }) => {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l: l * 100 };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    return { h: h * 60, s: s * 100, l: l * 100 };
+};
+
+export const hslToRgb = ({ h, s, l }) => {
+    const sn = s / 100;
+    const ln = l / 100;
+    const k = (n) => (n + h / 30) % 12;
+    const a = sn * Math.min(ln, 1 - ln);
+    const f = (n) => ln - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+};
+
+export const hexToHsl = (hex) => rgbToHsl(hexToRgb(hex));
+export const hslToHex = (hsl) => rgbToHex(hslToRgb(hsl));
+
+// ─── WCAG contrast ───────────────────────────────────────────────────────────
+
+/** Minimum contrast ratios from WCAG 2.2 (1.4.3 / 1.4.6) */
+export const WCAG_THRESHOLDS = {
+    normal: { AA: 4.5, AAA: 7 },
+    large:  { AA: 3,   AAA: 4.5 },
+};
+
+const channel = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+/** Relative luminance (0 = black, 1 = white) */
+export const relativeLuminance = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+};
+
+/** Contrast ratio between two colours, from 1 to 21 */
+export const contrastRatio = (a, b) => {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Score a foreground/background pair.
+ * @param {'normal'|'large'} [size] - Large is ≥ 24px, or ≥ 18.66px bold
+ * @returns {{ ratio: number, AA: boolean, AAA: boolean }}
+ */
+export const scoreContrast = (foreground, background, size = 'normal') => {
+    const ratio = contrastRatio(foreground, background);
+    const { AA, AAA } = WCAG_THRESHOLDS[size];
+    return { ratio, AA: ratio >= AA, AAA: ratio >= AAA };
+};
+
+/**
+ * The colour closest to `color` that reaches `minRatio` against every one
+ * of `backdrops`. Hue and saturation are kept; only lightness moves, by as
+ * little as possible.
+ * @returns {string|null} `#RRGGBB`, or null when no lightness satisfies all backdrops
+ */
+export const nearestAccessibleColor = (color, backdrops, minRatio) => {
+    const { h, s, l } = hexToHsl(color);
+    const passes = (hex) => backdrops.every(bg => contrastRatio(hex, bg) >= minRatio);
+    if (passes(parseHex(color))) return parseHex(color);
+
+    // Step outwards from the current lightness, trying darker and lighter alike
+    for (let delta = 0.5; delta <= 100; delta += 0.5) {
+        for (const candidate of [l - delta, l + delta]) {
+            if (candidate < 0 || candidate > 100) continue;
+            const hex = hslToHex({ h, s, l: candidate });
+            if (passes(hex)) return hex;
+        }
+    }
+    return null;
+};
+
+// ─── colour-vision simulation ────────────────────────────────────────────────
+
+/**
+ * Colour-vision deficiencies the preview can simulate. Matrices are
+ * Machado et al. (2009) at full severity, for linear RGB — the default
+ * colour space of SVG `feColorMatrix`.
+ */
+export const VISION_SIMULATIONS = [
+    { id: 'none',          label: 'Typical vision' },
+    {
+        id: 'protanopia', label: 'Protanopia', description: 'Red-blind (~1% of men)',
+        matrix: [
+            0.152286, 1.052583, -0.204868,
+            0.114503, 0.786281, 0.099216,
+            -0.003882, -0.048116, 1.051998,
+        ],
+    },
+    {
+        id: 'deuteranopia', label: 'Deuteranopia', description: 'Green-blind (~1% of men)',
+        matrix: [
+            0.367322, 0.860646, -0.227968,
+            0.280085, 0.672501, 0.047413,
+            -0.011820, 0.042940, 0.968881,
+        ],
+    },
+    {
+        id: 'tritanopia', label: 'Tritanopia', description: 'Blue-blind (rare)',
+        matrix: [
+            1.255528, -0.076749, -0.178779,
+            -0.078411, 0.930809, 0.147602,
+            0.004733, 0.691367, 0.303900,
+        ],
+    },
+    {
+        id: 'achromatopsia', label: 'Achromatopsia', description: 'No colour vision',
+        matrix: [
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+        ],
+    },
+];
+
+/** `values` for an SVG feColorMatrix: the 3×3 matrix padded to 4×5 */
+export const toFeColorMatrix = (matrix) => [
+    ...matrix.slice(0, 3), 0, 0,
+    ...matrix.slice(3, 6), 0, 0,
+    ...matrix.slice(6, 9), 0, 0,
+    0, 0, 0, 1, 0,
+].join(' ');
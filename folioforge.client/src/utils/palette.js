@@ -0,0 +1,169 @@
+import { parseHex, hexToHsl, hslToHex, rgbToHex, rgbToHsl, nearestAccessibleColor } from './color';
+
+/**
+ * Palette generation
+ *
+ * Derives full four-colour themes (primary, secondary, background, text)
+ * from one seed colour using classic colour-wheel schemes, each in a light
+ * and a dark variant, and samples dominant colours from an image so a logo
+ * or photo can serve as the seed. Also derives a dark palette from a light
+ * one for portfolios that haven't defined their own.
+ */
+
+export const PALETTE_SCHEMES = [
+    { id: 'complementary', label: 'Complementary', hueOffsets: [180] },
+    { id: 'analogous',     label: 'Analogous',     hueOffsets: [30, -30] },
+    { id: 'triadic',       label: 'Triadic',       hueOffsets: [120, 240] },
+    { id: 'monochrome',    label: 'Monochrome',    hueOffsets: [0] },
+];
+
+export const PALETTE_MODES = ['light', 'dark'];
+
+/** Minimum contrast each generated colour keeps against the background */
+const MIN_CONTRAST = { text: 7, primary: 3, secondary: 3 };
+
+const wrapHue = (h) => ((h % 360) + 360) % 360;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/** Small deterministic nudge per regeneration, so "Regenerate" gives new but stable options */
+const jitter = (variant, salt, range) =>
+    variant === 0 ? 0 : ((variant * 47 + salt * 13) % (2 * range + 1)) - range;
+
+/** Background and text tinted with the seed hue, for either mode */
+const neutrals = ({ h, s }, isLight, variant = 0) => ({
+    background: isLight
+        ? hslToHex({ h, s: Math.min(s, 40) * 0.5, l: 97 + jitter(variant, 3, 2) })
+        : hslToHex({ h, s: Math.min(s, 35) * 0.6, l: 9 + jitter(variant, 3, 2) }),
+    text: isLight
+        ? hslToHex({ h, s: Math.min(s, 30) * 0.5, l: 13 })
+        : hslToHex({ h, s: Math.min(s, 20) * 0.4, l: 92 }),
+});
+
+/** Nudge every colour not in `locked` until it reads on the palette's background */
+const ensureContrast = (colors, locked = {}) => {
+    const result = { ...colors };
+    for (const key of Object.keys(MIN_CONTRAST)) {
+        if (locked[key]) continue;
+        result[key] = nearestAccessibleColor(result[key], [result.background], MIN_CONTRAST[key])
+            ?? nearestAccessibleColor(result[key], [result.background], 4.5)
+            ?? result[key];
+    }
+    return result;
+};
+
+const buildPalette = (seed, scheme, mode, variant, locked) => {
+    const { h, s, l } = seed;
+    const isLight = mode === 'light';
+    const hueOffset = scheme.hueOffsets[variant % scheme.hueOffsets.length] + jitter(variant, 1, 12);
+
+    const generated = {
+        primary: hslToHex(seed),
+        secondary: scheme.id === 'monochrome'
+            ? hslToHex({ h, s: s * 0.55, l: clamp(l + (isLight ? -18 : 18), 10, 90) })
+            : hslToHex({ h: wrapHue(h + hueOffset), s, l: clamp(l + jitter(variant, 2, 8), 15, 85) }),
+        ...neutrals(seed, isLight, variant),
+    };
+
+    return ensureContrast({ ...generated, ...locked }, locked);
+};
+
+/**
+ * Palettes for every scheme, each in light and dark.
+ *
+ * @param {string} seed - `#RRGGBB`
+ * @param {object} [options]
+ * @param {{ light?: object, dark?: object }} [options.locked]
+ *        Per mode, colours ({ primary?, secondary?, background?, text? }) to keep as
+ *        they are in every palette of that mode
+ * @param {number} [options.variant] - Bump to regenerate the unlocked colours
+ * @returns {{ id, scheme, label, mode, colors: { primary, secondary, background, text } }[]}
+ */
+export const generatePalettes = (seed, { locked = {}, variant = 0 } = {}) => {
+    const base = hexToHsl(seed);
+    return PALETTE_SCHEMES.flatMap(scheme => PALETTE_MODES.map(mode => ({
+        id: `${scheme.id}-${mode}`,
+        scheme: scheme.id,
+        label: scheme.label,
+        mode,
+        colors: buildPalette(base, scheme, mode, variant, locked[mode] ?? {}),
+    })));
+};
+
+/**
+ * A dark palette for a portfolio that only has light colours: the same
+ * primary and secondary, lightened where needed to read on a deep
+ * background tinted with the primary hue.
+ * @param {{ primary: string, secondary: string }} light
+ * @returns {{ primary, secondary, background, text }}
+ */
+export const deriveDarkPalette = (light) => {
+    const primary = parseHex(light.primary) ?? '#3B82F6';
+    const secondary = parseHex(light.secondary) ?? primary;
+    return ensureContrast({ primary, secondary, ...neutrals(hexToHsl(primary), false) });
+};
+
+// ─── image sampling ──────────────────────────────────────────────────────────
+
+/** Longest side the image is scaled to before sampling */
+const SAMPLE_SIZE = 64;
+
+/** Colours closer than this (RGB distance) count as the same swatch */
+const MIN_DISTANCE = 48;
+
+const distance = (a, b) => Math.hypot(a.r - b.r, a.g - b.g, a.b - b.b);
+
+/**
+ * Dominant colours of an image, sampled locally on a canvas — nothing is
+ * uploaded. Pixels are bucketed (4 bits per channel) and ranked by how
+ * common and how saturated they are, so brand colours beat the white or
+ * grey backdrop most logos sit on.
+ *
+ * @param {Blob} file - Any image the browser can decode
+ * @param {number} [count]
+ * @returns {Promise<string[]>} Up to `count` `#RRGGBB` colours, most dominant first
+ * @throws When the file can't be decoded as an image
+ */
+export const extractImageColors = async (file, count = 6) => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, SAMPLE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close?.();
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue; // transparent
+        const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+        const bucket = buckets.get(key) ?? { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count += 1;
+        bucket.r += data[i];
+        bucket.g += data[i + 1];
+        bucket.b += data[i + 2];
+        buckets.set(key, bucket);
+    }
+
+    const ranked = [...buckets.values()]
+        .map(({ count: n, r, g, b }) => {
+            const rgb = { r: r / n, g: g / n, b: b / n };
+            return { rgb, weight: n * (0.3 + rgbToHsl(rgb).s / 100) };
+        })
+        .sort((a, b) => b.weight - a.weight);
+
+    const picked = [];
+    for (const { rgb } of ranked) {
+        if (picked.every(p => distance(p, rgb) >= MIN_DISTANCE)) picked.push(rgb);
+        if (picked.length === count) break;
+    }
+    return picked.map(rgbToHex);
+};
+
+/** Whether two palettes hold the same four colours */
+export const samePalette = (a, b) =>
+    ['primary', 'secondary', 'background', 'text'].every(key => parseHex(a[key]) === parseHex(b[key]));
@@ -0,0 +1,50 @@
+/**
+ * Proof of work for the public contact form.
+ *
+ * The API hands out a challenge (`GET /api/p/:slug/contact/challenge`) and
+ * only accepts a message with a solution: a counter such that SHA-256 of
+ * `"{token}:{counter}"` starts with `difficulty` zero bits. At the default
+ * difficulty that's tens of thousands of hashes — a second or two while the
+ * visitor types, but real cost for anyone sending thousands of messages.
+ */
+
+/** Hashes per batch; the digests run off the main thread, batching keeps the promise overhead down */
+const BATCH_SIZE = 256;
+
+const encoder = new TextEncoder();
+
+/**
+ * Number of leading zero bits in a hash.
+ * @param {Uint8Array} bytes
+ */
+export const leadingZeroBits = (bytes) => {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+};
+
+/**
+ * Find a solution for a contact challenge.
+ * @param {{ token: string, difficulty: number }} challenge
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string>} The counter, as sent to the API
+ */
+export const solveChallenge = async ({ token, difficulty }, { signal } = {}) => {
+    for (let start = 0; ; start += BATCH_SIZE) {
+        signal?.throwIfAborted();
+
+        const counters = Array.from({ length: BATCH_SIZE }, (_, i) => start + i);
+        const hashes = await Promise.all(counters.map(counter =>
+            crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${counter}`)),
+        ));
+
+        const index = hashes.findIndex(hash => leadingZeroBits(new Uint8Array(hash)) >= difficulty);
+        if (index !== -1) return String(counters[index]);
+    }
+};
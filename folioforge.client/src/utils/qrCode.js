@@ -0,0 +1,89 @@
+import qrcode from 'qrcode-generator';
+import { nearestAccessibleColor, parseHex } from './color';
+
+/**
+ * QR codes for sharing a portfolio, drawn entirely in the browser.
+ *
+ * The modules take the portfolio's primary colour, darkened just enough to
+ * stay readable on a white background — scanners want dark-on-light and a
+ * clear contrast, so a pale brand colour is never used as-is.
+ */
+
+const BACKGROUND = '#FFFFFF';
+const FALLBACK_COLOR = '#111827';
+
+/** Contrast the modules need against the background to scan reliably */
+const MIN_CONTRAST = 4.5;
+
+/** Quiet zone around the code, in modules (the spec asks for 4) */
+const MARGIN = 4;
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** The module colour for a theme colour: as close to it as scanning allows */
+export const qrColor = (color) =>
+    (parseHex(color) && nearestAccessibleColor(color, [BACKGROUND], MIN_CONTRAST)) || FALLBACK_COLOR;
+
+/**
+ * Encode text as a square grid of modules.
+ * @param {string} text
+ * @returns {boolean[][]} rows of modules, true = dark
+ */
+export const qrMatrix = (text) => {
+    // The library reads one byte per character; hand it UTF-8
+    const utf8 = String.fromCharCode(...new TextEncoder().encode(text));
+    const qr = qrcode(0, 'M');
+    qr.addData(utf8, 'Byte');
+    qr.make();
+
+    const count = qr.getModuleCount();
+    return Array.from({ length: count }, (_, row) =>
+        Array.from({ length: count }, (_, col) => qr.isDark(row, col)),
+    );
+};
+
+/**
+ * The code as a standalone SVG document, one path for all dark modules.
+ * @param {string} text
+ * @param {{ color?: string }} [options] - Theme colour for the modules
+ */
+export const qrSvg = (text, { color } = {}) => {
+    const matrix = qrMatrix(text);
+    const size = matrix.length + MARGIN * 2;
+    const path = matrix
+        .flatMap((cells, row) => cells.map((dark, col) =>
+            (dark ? `M${col + MARGIN} ${row + MARGIN}h1v1h-1z` : '')))
+        .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="${BACKGROUND}"/>`
+        + `<path d="${path}" fill="${qrColor(color)}"/>`
+        + '</svg>';
+};
+
+/**
+ * The code as a PNG, for people who want to drop it into slides or print it.
+ * @param {string} text
+ * @param {{ color?: string, size?: number }} [options] - `size` is the target width in pixels
+ * @returns {Promise<Blob>}
+ */
+export const qrPng = (text, { color, size = 1024 } = {}) => {
+    const matrix = qrMatrix(text);
+    const modules = matrix.length + MARGIN * 2;
+    // Whole pixels per module keep the edges sharp
+    const scale = Math.max(1, Math.floor(size / modules));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = modules * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = qrColor(color);
+    matrix.forEach((cells, row) => cells.forEach((dark, col) => {
+        if (dark) ctx.fillRect((col + MARGIN) * scale, (row + MARGIN) * scale, scale, scale);
+    }));
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not draw the QR code.'))), 'image/png');
+    });
+};
@@ -0,0 +1,376 @@
+import { unzipSync, strFromU8 } from 'fflate';
+
+/**
+ * Resume file checks and normalization, before anything is uploaded.
+ *
+ * PDFs are uploaded as they are, after checking size, page count, password
+ * protection and that they have a text layer. Everything else is turned into
+ * plain text here and uploaded as a `.txt` file, which the API accepts next
+ * to PDFs:
+ * - DOCX: paragraphs of `word/document.xml`, list items as "- "
+ * - Markdown / plain text: as is, decoded as UTF-8 (Windows-1252 fallback)
+ * - LinkedIn data export (ZIP): profile, positions, education, skills and
+ *   projects CSVs laid out as a resume
+ */
+
+export const RESUME_MAX_BYTES = 10 * 1024 * 1024;  // matches the API's upload limit
+export const RESUME_MAX_PAGES = 10;
+/** LinkedIn exports carry messages and connections we never read */
+const ARCHIVE_MAX_BYTES = 50 * 1024 * 1024;
+const MIN_TEXT_LENGTH = 100;
+const PREVIEW_LENGTH = 600;
+const THUMBNAIL_WIDTH = 240;
+/** Pages checked for a text layer — a scan has none on any of them */
+const TEXT_PROBE_PAGES = 3;
+
+export const RESUME_ACCEPT = '.pdf,.docx,.md,.markdown,.txt,.zip';
+
+export const RESUME_FORMAT_LABELS = {
+    pdf: 'PDF',
+    docx: 'Word document',
+    text: 'Text',
+    linkedin: 'LinkedIn export',
+};
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const extensionOf = (name) => (name.match(/\.([^.]+)$/)?.[1] ?? '').toLowerCase();
+
+const baseNameOf = (name) => name.replace(/\.[^.]+$/, '') || 'resume';
+
+export const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];       // PK\x03\x04
+
+/** Plain text, unless it contains NUL bytes (any binary format does) */
+const decodeText = (bytes) => {
+    if (bytes.includes(0)) return null;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        // Older editors on Windows save ANSI
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+};
+
+/** Tidy whitespace so the AI sees the same text whatever the source */
+export const normalizeText = (text) =>
+    text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+const textFile = (text, sourceName) =>
+    new File([text], `${baseNameOf(sourceName)}.txt`, { type: 'text/plain' });
+
+const preview = (text) => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text);
+
+const fail = (error) => ({ ok: false, error });
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, doubled quotes, newlines in quotes)
+ * into objects keyed by the header row. LinkedIn prefixes some files with a
+ * "Notes:" paragraph before the header; it's skipped.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    let start = 0;
+    if (/^notes:/i.test(rows[0]?.[0] ?? '')) {
+        start = rows.findIndex(r => r.length === 1 && r[0] === '');
+        start = start === -1 ? rows.length : start + 1;
+    }
+    const [header = [], ...body] = rows.slice(start);
+    const keys = header.map(h => h.replace(/^\uFEFF/, '').trim());
+    return body
+        .filter(r => r.some(cell => cell.trim() !== ''))
+        .map(r => Object.fromEntries(keys.map((key, i) => [key, (r[i] ?? '').trim()])));
+};
+
+// ─── DOCX ────────────────────────────────────────────────────────────────────
+
+/** Text of one `w:p`, with tabs and line breaks kept */
+const paragraphText = (paragraph) => {
+    let text = '';
+    const walk = (node) => {
+        for (const child of node.childNodes) {
+            if (child.namespaceURI !== WORD_NS) continue;
+            if (child.localName === 't') text += child.textContent;
+            else if (child.localName === 'tab') text += '\t';
+            else if (child.localName === 'br' || child.localName === 'cr') text += '\n';
+            else if (child.localName !== 'pPr') walk(child);
+        }
+    };
+    walk(paragraph);
+    return text;
+};
+
+/** Plain text of a Word document's body */
+export const docxToText = (xml) => {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const paragraphs = Array.from(doc.getElementsByTagNameNS(WORD_NS, 'p'));
+    return paragraphs
+        .map(p => {
+            const text = paragraphText(p);
+            const isListItem = p.getElementsByTagNameNS(WORD_NS, 'numPr').length > 0;
+            return isListItem && text.trim() ? `- ${text}` : text;
+        })
+        .join('\n');
+};
+
+// ─── LinkedIn export ─────────────────────────────────────────────────────────
+
+const LINKEDIN_FILES = ['profile.csv', 'positions.csv', 'education.csv', 'skills.csv', 'projects.csv', 'email addresses.csv'];
+
+const dateRange = (from, to) => {
+    if (!from && !to) return '';
+    return ` (${from || '?'} – ${to || 'Present'})`;
+};
+
+/**
+ * Lay a LinkedIn data export out as a plain-text resume.
+ *
+ * @param {{ [lowerCaseFileName: string]: string }} csvFiles - CSV text by base file name
+ */
+export const linkedInToText = (csvFiles) => {
+    const read = (name) => (csvFiles[name] ? parseCsv(csvFiles[name]) : []);
+    const blocks = [];
+
+    const [profile = {}] = read('profile.csv');
+    const name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+    blocks.push([name, profile.Headline, profile['Geo Location']].filter(Boolean).join('\n'));
+    if (profile.Summary) blocks.push(`SUMMARY\n${profile.Summary}`);
+
+    const positions = read('positions.csv');
+    if (positions.length) {
+        blocks.push('EXPERIENCE\n' + positions.map(p =>
+            [
+                `${p.Title || 'Role'} — ${p['Company Name'] || 'Company'}${dateRange(p['Started On'], p['Finished On'])}`,
+                p.Location,
+                p.Description,
+            ].filter(Boolean).join('\n')
+        ).join('\n\n'));
+    }
+
+    const education = read('education.csv');
+    if (education.length) {
+        blocks.push('EDUCATION\n' + education.map(e =>
+            [
+                `${[e['Degree Name'], e['School Name']].filter(Boolean).join(', ')}${dateRange(e['Start Date'], e['End Date'])}`,
+                e.Notes,
+                e.Activities,
+            ].filter(Boolean).join('\n')
+        ).join('\n\n'));
+    }
+
+    const skills = read('skills.csv').map(s => s.Name).filter(Boolean);
+    if (skills.length) blocks.push(`SKILLS\n${skills.join(', ')}`);
+
+    const projects = read('projects.csv');
+    if (projects.length) {
+        blocks.push('PROJECTS\n' + projects.map(p =>
+            [
+                `${p.Title}${p.Url ? ` (${p.Url})` : ''}${dateRange(p['Started On'], p['Finished On'])}`,
+                p.Description,
+            ].filter(Boolean).join('\n')
+        ).join('\n\n'));
+    }
+
+    const contact = [
+        ...read('email addresses.csv').map(e => e['Email Address']).filter(Boolean).map(e => `Email: ${e}`),
+        // Websites come as "[PORTFOLIO:https://…],[OTHER:https://…]"
+        profile.Websites && `Websites: ${profile.Websites.replace(/\[[A-Z]+:([^\]]+)\]/g, '$1')}`,
+        profile['Twitter Handles'] && `Twitter: ${profile['Twitter Handles']}`,
+    ].filter(Boolean);
+    if (contact.length) blocks.push(`CONTACT\n${contact.join('\n')}`);
+
+    return blocks.filter(Boolean).join('\n\n');
+};
+
+// ─── per-format preparation ──────────────────────────────────────────────────
+
+/** pdf.js is large; only load it when a PDF is picked */
+const loadPdfJs = async () => {
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+    return pdfjs;
+};
+
+const renderThumbnail = async (page) => {
+    const viewport = page.getViewport({ scale: 1 });
+    const scaled = page.getViewport({ scale: THUMBNAIL_WIDTH / viewport.width });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(scaled.width);
+    canvas.height = Math.floor(scaled.height);
+    await page.render({ canvas, viewport: scaled }).promise;
+    return canvas.toDataURL('image/png');
+};
+
+const preparePdf = async (file, bytes) => {
+    if (file.size > RESUME_MAX_BYTES) {
+        return fail(`This PDF is ${formatBytes(file.size)} — the limit is ${formatBytes(RESUME_MAX_BYTES)}.`);
+    }
+
+    const pdfjs = await loadPdfJs();
+    let pdf;
+    try {
+        // pdf.js takes ownership of the buffer it's given
+        pdf = await pdfjs.getDocument({ data: bytes.slice() }).promise;
+    } catch (err) {
+        if (err?.name === 'PasswordException') {
+            return fail('This PDF is password-protected. Remove the password (or export it again) and try again.');
+        }
+        return fail("This PDF couldn't be opened — it may be damaged.");
+    }
+
+    try {
+        if (pdf.numPages > RESUME_MAX_PAGES) {
+            return fail(`This PDF has ${pdf.numPages} pages. Resumes can have at most ${RESUME_MAX_PAGES} — is this the right file?`);
+        }
+
+        let hasText = false;
+        for (let n = 1; n <= Math.min(pdf.numPages, TEXT_PROBE_PAGES) && !hasText; n++) {
+            const content = await (await pdf.getPage(n)).getTextContent();
+            hasText = content.items.some(item => item.str?.trim());
+        }
+        if (!hasText) {
+            return fail("This PDF has no selectable text — it looks like a scan. Export it from your editor as a text PDF, or upload the Word file.");
+        }
+
+        let thumbnail = null;
+        try {
+            thumbnail = await renderThumbnail(await pdf.getPage(1));
+        } catch {
+            // The preview is a nicety; the file is still fine to upload
+        }
+
+        return { ok: true, format: 'pdf', upload: file, pages: pdf.numPages, thumbnail };
+    } finally {
+        pdf.destroy();
+    }
+};
+
+const prepareText = (file, text) => {
+    const normalized = normalizeText(text);
+    if (normalized.length < MIN_TEXT_LENGTH) {
+        return fail("There isn't enough text in this file to build a portfolio from.");
+    }
+    const upload = textFile(normalized, file.name);
+    if (upload.size > RESUME_MAX_BYTES) {
+        return fail(`The text in this file is over ${formatBytes(RESUME_MAX_BYTES)} — is this the right file?`);
+    }
+    return { ok: true, upload, preview: preview(normalized) };
+};
+
+const prepareArchive = (file, bytes) => {
+    let entries;
+    try {
+        entries = unzipSync(bytes, {
+            filter: ({ name }) => name === 'word/document.xml'
+                || LINKEDIN_FILES.includes(name.split('/').pop().toLowerCase()),
+        });
+    } catch {
+        return fail("This archive couldn't be opened — it may be damaged or encrypted.");
+    }
+
+    if (entries['word/document.xml']) {
+        const result = prepareText(file, docxToText(strFromU8(entries['word/document.xml'])));
+        return result.ok ? { ...result, format: 'docx' } : result;
+    }
+
+    const csvFiles = Object.fromEntries(
+        Object.entries(entries).map(([name, data]) => [name.split('/').pop().toLowerCase(), strFromU8(data)])
+    );
+    if (!csvFiles['profile.csv'] && !csvFiles['positions.csv']) {
+        return fail("This ZIP isn't a Word document or a LinkedIn data export.");
+    }
+    const result = prepareText(file, linkedInToText(csvFiles));
+    return result.ok ? { ...result, format: 'linkedin' } : result;
+};
+
+// ─── public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Check a picked or dropped resume and get it ready to upload.
+ * Detects the format from the file's bytes (the extension only decides
+ * whether unknown text is accepted), so a renamed file is still caught.
+ *
+ * @param {File} file
+ * @returns {Promise<
+ *   { ok: true, format: 'pdf'|'docx'|'text'|'linkedin', upload: File, pages?: number,
+ *     thumbnail?: string|null, preview?: string }
+ *   | { ok: false, error: string }
+ * >}
+ */
+export const prepareResumeFile = async (file) => {
+    if (!file || file.size === 0) return fail('This file is empty.');
+    if (file.size > ARCHIVE_MAX_BYTES) {
+        return fail(`This file is ${formatBytes(file.size)} — the limit is ${formatBytes(RESUME_MAX_BYTES)}.`);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    if (startsWith(bytes, PDF_MAGIC)) return preparePdf(file, bytes);
+    if (startsWith(bytes, ZIP_MAGIC)) return prepareArchive(file, bytes);
+
+    const extension = extensionOf(file.name);
+    if (['md', 'markdown', 'txt'].includes(extension)) {
+        if (file.size > RESUME_MAX_BYTES) {
+            return fail(`This file is ${formatBytes(file.size)} — the limit is ${formatBytes(RESUME_MAX_BYTES)}.`);
+        }
+        const text = decodeText(bytes);
+        if (text === null) return fail("This doesn't look like a text file.");
+        const result = prepareText(file, text);
+        return result.ok ? { ...result, format: 'text' } : result;
+    }
+
+    if (extension === 'doc') {
+        return fail('Old Word (.doc) files aren\'t supported. Save it as .docx or PDF and try again.');
+    }
+    return fail('Upload a PDF, Word (.docx), Markdown or text file, or a LinkedIn data export (.zip).');
+};
@@ -0,0 +1,360 @@
+import { contactLinkFields, withContactLinkFields } from './socialLinks';
+
+/**
+ * Review and merge for AI resume imports.
+ *
+ * An uploaded resume is parsed into a proposal (`GET …/resume-import`):
+ * one `{ sectionType, content }` per section, in the same content shapes the
+ * editors use. Nothing is written until the owner has compared it with their
+ * current sections and chosen what to take.
+ *
+ * `buildImportReview` lines the proposal up against the portfolio — section by
+ * section, and inside list sections item by item — and `resolveImport` turns
+ * the owner's decisions back into section content for the apply call.
+ *
+ * A section decision has a `mode`: 'keep' (leave mine), 'replace' (take the
+ * AI's) or 'merge' (choose per row). Row choices depend on the row status:
+ * - 'matched' (same item on both sides): 'mine' | 'ai' | 'merge' (mine, blanks filled from the AI's)
+ * - 'new' (only the AI found it):        'add' | 'skip'
+ * - 'existing' (only I have it):         'keep' | 'remove'
+ * - 'field' (a contact link):            'mine' | 'ai'
+ * Rows that are identical on both sides have status 'same' and no choice.
+ */
+
+/**
+ * How each section type is compared. `items` sections match entries on
+ * `keyFields` (case- and spacing-insensitive); `tags` compare strings;
+ * `fields` compare the named values inside `container` — or, with `toFields`,
+ * the values it derives from the content (written back by `fromFields`);
+ * `text` compares `field`.
+ */
+const SECTION_KINDS = {
+    about:     { kind: 'text', field: 'content', label: 'Bio / About' },
+    skills:    { kind: 'tags', label: 'Skills' },
+    timeline:  { kind: 'items', keyFields: ['Company', 'Role'], label: 'Work Experience' },
+    projects:  { kind: 'items', keyFields: ['Name'], label: 'Projects' },
+    education: { kind: 'items', keyFields: ['Institution', 'Degree'], label: 'Education' },
+    contact:   {
+        kind: 'fields', container: 'links', label: 'Contact',
+        // Links are an ordered list now; compare them per network
+        toFields: contactLinkFields, fromFields: withContactLinkFields,
+    },
+};
+
+/** The editors and the AI name some fields differently; treat each group as one field */
+const FIELD_ALIASES = [
+    ['Description', 'Points'],
+    ['Link', 'Url'],
+    ['GPA', 'Gpa', 'Grade'],
+];
+
+export const ITEM_FIELD_LABELS = {
+    Points: 'Highlights',
+    Description: 'Highlights',
+    TechStack: 'Tech stack',
+    Url: 'Link',
+    Gpa: 'GPA',
+    Linkedin: 'LinkedIn',
+    Github: 'GitHub',
+};
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isBlank = (value) =>
+    value == null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+
+const normalize = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const parseContent = (json) => {
+    try {
+        const value = JSON.parse(json);
+        return value && typeof value === 'object' ? value : {};
+    } catch {
+        return {};
+    }
+};
+
+/** `items` of a list section; bare arrays are accepted like the editors do */
+const itemsOf = (parsed) => (Array.isArray(parsed) ? parsed : parsed?.items ?? []);
+
+/** Value of `name` on `item`, whatever its casing */
+const readField = (item, name) => {
+    const key = Object.keys(item ?? {}).find(k => k.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : item[key];
+};
+
+const aliasesOf = (key) =>
+    FIELD_ALIASES.find(group => group.some(k => k.toLowerCase() === key.toLowerCase())) ?? [key];
+
+/** Match key for an item, or null when none of its key fields are filled */
+const itemKey = (item, keyFields) => {
+    const key = keyFields.map(f => normalize(readField(item, f))).join('|');
+    return key.replace(/\|/g, '') ? key : null;
+};
+
+/** Mine, with every field I left blank filled from the AI's item */
+const fillBlanks = (mine, ai) => {
+    const merged = { ...mine };
+    for (const [key, value] of Object.entries(ai)) {
+        if (isBlank(value)) continue;
+        const mineHasIt = aliasesOf(key).some(alias => !isBlank(readField(mine, alias)));
+        if (!mineHasIt) merged[key] = value;
+    }
+    return merged;
+};
+
+/** Label for a section type without a kind of its own */
+const labelFor = (sectionType) => SECTION_KINDS[normalize(sectionType)]?.label ?? sectionType;
+
+// ─── rows ────────────────────────────────────────────────────────────────────
+
+/** My items in my order (matched or not), then the items only the AI found */
+const itemRows = (mineItems, aiItems, keyFields) => {
+    const matches = new Map();
+    const added = [];
+    const unmatched = mineItems.map((item, index) => ({ index, key: itemKey(item, keyFields) }));
+
+    aiItems.forEach((ai, aiIndex) => {
+        const key = itemKey(ai, keyFields);
+        const at = key === null ? -1 : unmatched.findIndex(m => m.key === key);
+        if (at === -1) {
+            added.push({ id: `ai-${aiIndex}`, status: 'new', mine: null, ai });
+            return;
+        }
+        const [{ index }] = unmatched.splice(at, 1);
+        matches.set(index, ai);
+    });
+
+    const mine = mineItems.map((item, index) => {
+        const ai = matches.get(index);
+        if (!ai) return { id: `mine-${index}`, status: 'existing', mine: item, ai: null };
+        return {
+            id: `mine-${index}`,
+            status: same(item, ai) ? 'same' : 'matched',
+            mine: item,
+            ai,
+            // False when every field the AI filled is already filled in mine
+            canFill: !same(fillBlanks(item, ai), item),
+        };
+    });
+    return [...mine, ...added];
+};
+
+const tagRows = (mineTags, aiTags) => {
+    const mineKeys = new Set(mineTags.map(normalize));
+    const aiKeys = new Set(aiTags.map(normalize));
+    return [
+        ...mineTags.map(tag => ({
+            id: `tag-${normalize(tag)}`,
+            status: aiKeys.has(normalize(tag)) ? 'same' : 'existing',
+            mine: tag,
+            ai: aiKeys.has(normalize(tag)) ? tag : null,
+        })),
+        ...aiTags
+            .filter(tag => !mineKeys.has(normalize(tag)))
+            .map(tag => ({ id: `tag-${normalize(tag)}`, status: 'new', mine: null, ai: tag })),
+    ].filter((row, index, rows) => rows.findIndex(r => r.id === row.id) === index);
+};
+
+const fieldRows = (mineFields, aiFields) => {
+    const names = [...Object.keys(mineFields)];
+    for (const name of Object.keys(aiFields)) {
+        if (!names.some(n => n.toLowerCase() === name.toLowerCase())) names.push(name);
+    }
+    return names
+        .map(name => ({ name, mine: readField(mineFields, name), ai: readField(aiFields, name) }))
+        .filter(({ ai }) => !isBlank(ai))
+        .map(({ name, mine, ai }) => ({
+            id: `field-${name.toLowerCase()}`,
+            name,
+            status: normalize(mine) === normalize(ai) ? 'same' : 'field',
+            mine: mine ?? '',
+            ai,
+        }));
+};
+
+const defaultRowChoice = (row) => {
+    switch (row.status) {
+        case 'new':      return 'add';
+        case 'existing': return 'keep';
+        // Curated content wins; only blanks are taken from the AI
+        case 'matched':  return row.canFill ? 'merge' : 'mine';
+        case 'field':    return isBlank(row.mine) ? 'ai' : 'mine';
+        default:         return null;
+    }
+};
+
+// ─── review ──────────────────────────────────────────────────────────────────
+
+/**
+ * Line a proposal up against the portfolio's sections.
+ *
+ * @param {Array<{ id, sectionType, content }>} sections - The portfolio's current sections
+ * @param {Array<{ sectionType, content }>} proposal - The import's sections
+ * @returns {Array<{
+ *   id, sectionType, label, kind, field?, container?, keyFields?, current: { id, content }|null,
+ *   mine: object, ai: object, rows: Array, isIdentical: boolean, isEmpty: boolean,
+ * }>} One entry per proposed section
+ */
+export const buildImportReview = (sections, proposal) =>
+    proposal.map((proposed, index) => {
+        const type = normalize(proposed.sectionType);
+        const config = SECTION_KINDS[type] ?? { kind: 'whole' };
+        const current = sections.find(s => normalize(s.sectionType) === type) ?? null;
+        const mine = current ? parseContent(current.content) : {};
+        const ai = parseContent(proposed.content);
+
+        let rows = [];
+        if (config.kind === 'items') {
+            rows = itemRows(itemsOf(mine), itemsOf(ai), config.keyFields);
+        } else if (config.kind === 'tags') {
+            rows = tagRows(itemsOf(mine).map(String), itemsOf(ai).map(String));
+        } else if (config.kind === 'fields') {
+            rows = config.toFields
+                ? fieldRows(config.toFields(mine), config.toFields(ai))
+                : fieldRows(mine[config.container] ?? {}, ai[config.container] ?? {});
+        }
+
+        // The AI found nothing for this section
+        const isEmpty = config.kind === 'text' ? isBlank(ai[config.field])
+            : config.kind === 'fields' ? rows.length === 0
+                : config.kind === 'whole' ? Object.keys(ai).length === 0
+                    : itemsOf(ai).length === 0;
+        const isIdentical = config.kind === 'text'
+            ? normalize(mine[config.field]) === normalize(ai[config.field])
+            : config.kind === 'whole'
+                ? same(mine, ai)
+                : rows.every(row => row.status === 'same' || row.status === 'existing');
+
+        return {
+            id: `${type}-${index}`,
+            sectionType: current?.sectionType ?? proposed.sectionType,
+            label: labelFor(proposed.sectionType),
+            kind: config.kind,
+            field: config.field,
+            container: config.container,
+            keyFields: config.keyFields,
+            current: current ? { id: current.id, content: current.content } : null,
+            mine,
+            ai,
+            rows,
+            isIdentical: Boolean(current) && isIdentical,
+            isEmpty,
+        };
+    });
+
+/** Sections that can be merged row by row; text and unknown types are all-or-nothing */
+export const canMergeSection = (section) => section.kind !== 'text' && section.kind !== 'whole';
+
+/**
+ * Starting decisions: sections I don't have yet are added, sections I have are
+ * merged keeping my items and edits, and sections the AI found nothing for (or
+ * found exactly what I have) are kept.
+ *
+ * @returns {{ [sectionId]: { mode: 'keep'|'replace'|'merge', rows: { [rowId]: string } } }}
+ */
+export const defaultImportDecisions = (review) =>
+    Object.fromEntries(review.map(section => {
+        const rows = Object.fromEntries(
+            section.rows
+                .map(row => [row.id, defaultRowChoice(row)])
+                .filter(([, choice]) => choice !== null),
+        );
+        let mode = 'keep';
+        if (!section.isEmpty && !section.isIdentical) {
+            if (!section.current) mode = 'replace';
+            else if (canMergeSection(section)) mode = 'merge';
+            // Text I've already written is kept unless I choose the AI's
+            else if (section.kind === 'text' && isBlank(section.mine[section.field])) mode = 'replace';
+        }
+        return [section.id, { mode, rows }];
+    }));
+
+// ─── resolve ─────────────────────────────────────────────────────────────────
+
+const mergeRows = (section, choices) => {
+    const result = [];
+    for (const row of section.rows) {
+        const choice = choices[row.id] ?? defaultRowChoice(row);
+        switch (row.status) {
+            case 'same':
+            case 'existing':
+                if (row.status === 'same' || choice !== 'remove') result.push(row.mine);
+                break;
+            case 'new':
+                if (choice === 'add') result.push(row.ai);
+                break;
+            case 'matched':
+                result.push(choice === 'ai' ? row.ai : choice === 'merge' ? fillBlanks(row.mine, row.ai) : row.mine);
+                break;
+            default:
+                break;
+        }
+    }
+    return result;
+};
+
+/** The section's content after its decision, as an object */
+const resolveSection = (section, decision) => {
+    const { mode, rows = {} } = decision ?? { mode: 'keep' };
+    if (mode === 'keep') return section.mine;
+    if (mode === 'replace' || !canMergeSection(section)) return section.ai;
+
+    if (section.kind === 'fields') {
+        const { container } = section;
+        const { toFields, fromFields } = SECTION_KINDS[normalize(section.sectionType)] ?? {};
+        const links = { ...(toFields ? toFields(section.mine) : section.mine[container] ?? {}) };
+        for (const row of section.rows) {
+            if (row.status !== 'field' || (rows[row.id] ?? defaultRowChoice(row)) !== 'ai') continue;
+            // Write back under my casing when I already have the field
+            const key = Object.keys(links).find(k => k.toLowerCase() === row.name.toLowerCase()) ?? row.name;
+            links[key] = row.ai;
+        }
+        return fromFields ? fromFields(section.mine, links) : { ...section.mine, [container]: links };
+    }
+
+    // Keep any other keys of my content object (titles, settings) around the list
+    return { ...section.mine, items: mergeRows(section, rows) };
+};
+
+/**
+ * The sections to send to `POST …/resume-import/apply`: one entry per section
+ * whose content changes, with `sectionId` for sections I already have.
+ * Sections that end up unchanged are left out.
+ *
+ * @returns {Array<{ sectionId?: string, sectionType: string, content: string }>}
+ */
+export const resolveImport = (review, decisions = {}) =>
+    review.flatMap(section => {
+        const decision = decisions[section.id];
+        if (!decision || decision.mode === 'keep') return [];
+
+        const content = resolveSection(section, decision);
+        if (section.current && same(content, section.mine)) return [];
+
+        const entry = { sectionType: section.sectionType, content: JSON.stringify(content) };
+        return [section.current ? { ...entry, sectionId: section.current.id } : entry];
+    });
+
+/**
+ * Readable fields of a timeline / project / education item, for the
+ * side-by-side view: `[{ key, label, value }]`, blanks left out.
+ */
+export const describeItem = (item) =>
+    Object.entries(item ?? {})
+        .filter(([, value]) => !isBlank(value))
+        .map(([key, value]) => ({
+            key,
+            label: ITEM_FIELD_LABELS[key] ?? key,
+            value: Array.isArray(value) ? value.join(' · ') : String(value),
+        }));
+
+/** Title line for an item row, from the section's key fields */
+export const itemTitle = (section, item) => {
+    const parts = (section.keyFields ?? []).map(f => readField(item, f)).filter(v => !isBlank(v));
+    return parts.join(' · ') || '(untitled)';
+};
@@ -0,0 +1,331 @@
+import {
+    BookOpenText,
+    Brush,
+    CalendarClock,
+    ChartNoAxesColumn,
+    CodeXml,
+    Feather,
+    GitMerge,
+    Globe,
+    Layers,
+    Link2,
+    Mail,
+    MessagesSquare,
+    Palette,
+    Phone,
+    Play,
+    Trophy,
+} from 'lucide-react';
+import { GitHubIcon, LinkedInIcon, XIcon } from '../components/ui/BrandIcons';
+
+/**
+ * Contact Link Registry
+ *
+ * The Contact section's links are an ordered list in its content:
+ *   { links: [{ type: 'github', value: 'https://github.com/ada' },
+ *             { type: 'custom', value: 'https://ada.blog', label: 'Blog' }] }
+ * `value` is stored normalized (see `normalizeLink`). Older content — and the
+ * AI's resume parse — has an object instead (`{ github, linkedin, twitter,
+ * email, portfolio }`, any casing); `parseContactLinks` reads both.
+ *
+ * A type looks like:
+ * {
+ *   label:       'GitHub',
+ *   icon:        Component,            // takes className
+ *   kind:        'url' | 'email' | 'phone',
+ *   hosts:       ['github.com'],       // URLs must be on one of these (or a subdomain);
+ *                                      // omit to accept any host
+ *   canonicalHost: 'x.com',           // rewrite matching URLs to this host
+ *   fromHandle:  (handle) => url,      // turn '@ada' / 'ada' into a URL; omit to require URLs
+ *   handlePattern: /^[\w-]+$/,         // what a handle may look like (after the leading @)
+ *   placeholder: '@ada or https://…',
+ *   color:       'hover:bg-… hover:text-…', // card hover colours
+ *   aliases:     ['twitter'],          // legacy object keys that mean this type
+ * }
+ *
+ * More types can be added with `registerLinkType` before the section renders.
+ */
+
+const registry = new Map();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+const DEFAULT_HANDLE = /^[\w.-]{1,100}$/;
+
+/** Register (or replace) a link type. */
+export const registerLinkType = (type, definition) => {
+    if (!type) throw new Error('Link type is required');
+    registry.set(type, { kind: 'url', icon: Link2, color: 'hover:bg-slate-700 hover:text-white', ...definition });
+};
+
+/** Definition for a link type, or null. */
+export const getLinkType = (type) => registry.get(type) ?? null;
+
+/** `[type, definition]` pairs in registration order, for pickers. */
+export const getLinkTypes = () => [...registry.entries()];
+
+// ─── built-in types ───────────────────────────────────────────────────────────
+
+registerLinkType('github', {
+    label: 'GitHub', icon: GitHubIcon, hosts: ['github.com'],
+    fromHandle: h => `https://github.com/${h}`, handlePattern: /^[a-z\d](?:[a-z\d-]{0,38})$/i,
+    placeholder: '@ada or https://github.com/ada', color: 'hover:bg-slate-800 hover:text-white',
+});
+registerLinkType('gitlab', {
+    label: 'GitLab', icon: GitMerge, hosts: ['gitlab.com'],
+    fromHandle: h => `https://gitlab.com/${h}`,
+    placeholder: '@ada or https://gitlab.com/ada', color: 'hover:bg-orange-600 hover:text-white',
+});
+registerLinkType('linkedin', {
+    label: 'LinkedIn', icon: LinkedInIcon, hosts: ['linkedin.com'],
+    fromHandle: h => `https://www.linkedin.com/in/${h}`, handlePattern: /^[\w-]{3,100}$/,
+    placeholder: 'ada-lovelace or https://linkedin.com/in/…', color: 'hover:bg-blue-600 hover:text-white',
+});
+registerLinkType('x', {
+    label: 'X', icon: XIcon, hosts: ['x.com', 'twitter.com'], canonicalHost: 'x.com', aliases: ['twitter'],
+    fromHandle: h => `https://x.com/${h}`, handlePattern: /^\w{1,15}$/,
+    placeholder: '@ada or https://x.com/ada',
+    color: 'hover:bg-slate-900 dark:hover:bg-white dark:hover:text-slate-900 hover:text-white',
+});
+registerLinkType('mastodon', {
+    label: 'Mastodon', icon: MessagesSquare,
+    // @user@instance.social → https://instance.social/@user
+    fromHandle: (h) => {
+        const [user, server] = h.split('@');
+        return `https://${server}/@${user}`;
+    },
+    handlePattern: /^\w{1,30}@[a-z\d-]+(\.[a-z\d-]+)+$/i,
+    placeholder: '@ada@mastodon.social', color: 'hover:bg-violet-600 hover:text-white',
+});
+registerLinkType('bluesky', {
+    label: 'Bluesky', icon: Feather, hosts: ['bsky.app'],
+    // Bare names are on the default bsky.social server
+    fromHandle: h => `https://bsky.app/profile/${h.includes('.') ? h : `${h}.bsky.social`}`,
+    handlePattern: /^[a-z\d-]+(\.[a-z\d-]+)*$/i,
+    placeholder: '@ada.bsky.social', color: 'hover:bg-sky-500 hover:text-white',
+});
+registerLinkType('stackoverflow', {
+    label: 'Stack Overflow', icon: Layers, hosts: ['stackoverflow.com'],
+    fromHandle: h => `https://stackoverflow.com/users/${h}`, handlePattern: /^\d+$/,
+    placeholder: 'User id or https://stackoverflow.com/users/…', color: 'hover:bg-orange-500 hover:text-white',
+});
+registerLinkType('dribbble', {
+    label: 'Dribbble', icon: Palette, hosts: ['dribbble.com'],
+    fromHandle: h => `https://dribbble.com/${h}`,
+    placeholder: '@ada or https://dribbble.com/ada', color: 'hover:bg-pink-500 hover:text-white',
+});
+registerLinkType('behance', {
+    label: 'Behance', icon: Brush, hosts: ['behance.net'],
+    fromHandle: h => `https://www.behance.net/${h}`,
+    placeholder: 'ada or https://behance.net/ada', color: 'hover:bg-blue-700 hover:text-white',
+});
+registerLinkType('youtube', {
+    label: 'YouTube', icon: Play, hosts: ['youtube.com', 'youtu.be'],
+    fromHandle: h => `https://www.youtube.com/@${h}`,
+    placeholder: '@channel or https://youtube.com/@channel', color: 'hover:bg-red-600 hover:text-white',
+});
+registerLinkType('medium', {
+    label: 'Medium', icon: BookOpenText, hosts: ['medium.com'],
+    fromHandle: h => `https://medium.com/@${h}`,
+    placeholder: '@ada or https://medium.com/@ada', color: 'hover:bg-slate-900 hover:text-white',
+});
+registerLinkType('devto', {
+    label: 'dev.to', icon: CodeXml, hosts: ['dev.to'],
+    fromHandle: h => `https://dev.to/${h}`,
+    placeholder: '@ada or https://dev.to/ada', color: 'hover:bg-slate-900 hover:text-white',
+});
+registerLinkType('leetcode', {
+    label: 'LeetCode', icon: Trophy, hosts: ['leetcode.com'],
+    fromHandle: h => `https://leetcode.com/u/${h}`,
+    placeholder: 'ada or https://leetcode.com/u/ada', color: 'hover:bg-amber-500 hover:text-white',
+});
+registerLinkType('kaggle', {
+    label: 'Kaggle', icon: ChartNoAxesColumn, hosts: ['kaggle.com'],
+    fromHandle: h => `https://www.kaggle.com/${h}`,
+    placeholder: 'ada or https://kaggle.com/ada', color: 'hover:bg-cyan-500 hover:text-white',
+});
+registerLinkType('email', {
+    label: 'Email', icon: Mail, kind: 'email',
+    placeholder: 'ada@example.com', color: 'hover:bg-red-500 hover:text-white',
+});
+registerLinkType('phone', {
+    label: 'Phone', icon: Phone, kind: 'phone',
+    placeholder: '+44 20 7946 0958', color: 'hover:bg-green-600 hover:text-white',
+});
+registerLinkType('booking', {
+    label: 'Book a call', icon: CalendarClock,
+    fromHandle: h => `https://calendly.com/${h}`,
+    placeholder: 'https://calendly.com/ada or cal.com/…', color: 'hover:bg-emerald-600 hover:text-white',
+});
+registerLinkType('website', {
+    label: 'Website', icon: Globe, aliases: ['portfolio'],
+    placeholder: 'https://ada.dev', color: 'hover:bg-indigo-600 hover:text-white',
+});
+registerLinkType('custom', {
+    label: 'Custom link', icon: Link2,
+    placeholder: 'https://…',
+});
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const hostMatches = (host, hosts) =>
+    hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+
+/** Whether input is a URL (rather than a handle) for this type */
+const looksLikeUrl = (raw, def) => {
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(raw) || /^www\./i.test(raw)) return true;
+    const host = raw.split('/')[0].toLowerCase();
+    if (def.hosts) return hostMatches(host.replace(/^www\./, ''), def.hosts);
+    return !raw.includes('@') && /^[a-z\d-]+(\.[a-z\d-]+)+$/i.test(host);
+};
+
+const normalizeUrl = (raw, def) => {
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch {
+        return { error: 'That doesn\'t look like a link.' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return { error: 'Links must start with https://.' };
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    if (def.hosts && !hostMatches(host, def.hosts)) {
+        return { error: `That isn't a ${def.label} link.` };
+    }
+    if (def.canonicalHost && host !== def.canonicalHost) url.hostname = def.canonicalHost;
+    url.protocol = 'https:';
+
+    return { value: url.toString().replace(/\/$/, '') };
+};
+
+/**
+ * Check and normalize what the owner typed for a link: handles become
+ * profile URLs, URLs get https and the network's canonical host, emails and
+ * phone numbers are checked and tidied.
+ * @param {string} type
+ * @param {string} input
+ * @returns {{ value: string } | { error: string }}
+ */
+export const normalizeLink = (type, input) => {
+    const def = getLinkType(type);
+    const raw = (input ?? '').trim();
+    if (!def) return { error: 'Unknown link type.' };
+    if (!raw) return { error: 'Enter a link.' };
+
+    if (def.kind === 'email') {
+        const email = raw.replace(/^mailto:/i, '');
+        return EMAIL_PATTERN.test(email) ? { value: email } : { error: 'That email address doesn\'t look right.' };
+    }
+
+    if (def.kind === 'phone') {
+        const phone = raw.replace(/^tel:/i, '').replace(/[\s().-]/g, '');
+        return PHONE_PATTERN.test(phone) ? { value: phone } : { error: 'Enter a phone number with its country code, e.g. +44 20 7946 0958.' };
+    }
+
+    if (looksLikeUrl(raw, def)) return normalizeUrl(raw, def);
+
+    if (!def.fromHandle) return { error: 'Enter a full link, starting with https://.' };
+    const handle = raw.replace(/^@/, '');
+    if (!(def.handlePattern ?? DEFAULT_HANDLE).test(handle)) {
+        return { error: `That doesn't look like a ${def.label} handle or link.` };
+    }
+    return normalizeUrl(def.fromHandle(handle), def);
+};
+
+/** href for a stored link: mailto:/tel: for email and phone */
+export const linkHref = (type, value) => {
+    const kind = getLinkType(type)?.kind;
+    if (kind === 'email') return `mailto:${value}`;
+    if (kind === 'phone') return `tel:${value}`;
+    return value;
+};
+
+/** Legacy object key → link type ('Twitter' → 'x', 'portfolio' → 'website') */
+const typeForKey = (key) => {
+    const lower = key.toLowerCase();
+    if (registry.has(lower)) return lower;
+    return [...registry.entries()].find(([, def]) => def.aliases?.includes(lower))?.[0] ?? null;
+};
+
+/**
+ * The Contact section's links as an ordered list, from either content shape.
+ * Entries with an unknown type or no value are dropped.
+ * @param {string|Object} content
+ * @returns {Array<{ type: string, value: string, label?: string }>}
+ */
+export const parseContactLinks = (content) => {
+    let links;
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        // The oldest content kept the links at the top level
+        links = parsed?.links ?? parsed;
+    } catch { /* no links */ }
+
+    if (Array.isArray(links)) {
+        return links.filter(link =>
+            link && registry.has(link.type) && typeof link.value === 'string' && link.value.trim());
+    }
+    if (links && typeof links === 'object') {
+        return Object.entries(links)
+            .map(([key, value]) => ({ type: typeForKey(key), value }))
+            .filter(link => link.type && typeof link.value === 'string' && link.value.trim());
+    }
+    return [];
+};
+
+/**
+ * Links ready to render: normalized, with label, icon and href. Links that
+ * don't validate are left out rather than rendered broken.
+ * @param {string|Object} content
+ */
+export const resolveContactLinks = (content) =>
+    parseContactLinks(content).flatMap((link) => {
+        const def = getLinkType(link.type);
+        const normalized = normalizeLink(link.type, link.value);
+        if (normalized.error) return [];
+        return [{
+            type: link.type,
+            label: (link.type === 'custom' && link.label?.trim()) || def.label,
+            icon: def.icon,
+            color: def.color,
+            href: linkHref(link.type, normalized.value),
+            external: def.kind === 'url',
+        }];
+    });
+
+// ─── resume import ────────────────────────────────────────────────────────────
+
+/**
+ * Links as `{ [label]: value }`, one per type (custom links left out), so the
+ * resume import can compare the AI's links with the owner's field by field.
+ * Values are normalized where they validate, so 'github.com/ada' and '@ada' match.
+ */
+export const contactLinkFields = (content) => {
+    const fields = {};
+    for (const link of parseContactLinks(content)) {
+        const def = getLinkType(link.type);
+        if (link.type === 'custom' || def.label in fields) continue;
+        const normalized = normalizeLink(link.type, link.value);
+        fields[def.label] = normalized.value ?? link.value;
+    }
+    return fields;
+};
+
+/**
+ * Content with `fields` (from `contactLinkFields`) written back into its
+ * links list: a type that's already there is updated in place, a new one is
+ * appended. Other keys of the content are kept.
+ */
+export const withContactLinkFields = (content, fields) => {
+    const links = parseContactLinks(content).map(link => ({ ...link }));
+    for (const [label, value] of Object.entries(fields)) {
+        const type = [...registry.entries()].find(([, def]) => def.label === label)?.[0];
+        if (!type) continue;
+        const existing = links.find(link => link.type === type);
+        if (existing) existing.value = value;
+        else links.push({ type, value });
+    }
+    return { ...content, links };
+};
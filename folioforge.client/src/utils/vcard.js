@@ -0,0 +1,171 @@
+import { getLinkType, normalizeLink, parseContactLinks } from './socialLinks';
+
+/**
+ * vCard (.vcf) contact cards for portfolios.
+ *
+ * Version 3.0 — the one every phone's contacts app imports. Built from the
+ * portfolio's visible sections: the name and headline from the Hero (or
+ * the portfolio title), the bio from About as the note, and email, phone
+ * and profile links from Contact.
+ */
+
+/** Link types that are a person's own sites rather than social profiles */
+const SITE_TYPES = new Set(['website', 'booking', 'custom']);
+
+/** Longest note kept; contacts apps show a few lines at most */
+const MAX_NOTE = 500;
+
+/** Lines are folded at 75 bytes (RFC 2425 §5.8.1) */
+const MAX_LINE_BYTES = 75;
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+const escapeValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/[,;]/g, m => `\\${m}`);
+
+/** URIs aren't escaped, so drop control characters: a line break would start a new property */
+const uriValue = (value) => String(value).replace(/\p{Cc}/gu, '');
+
+/** Fold a content line without splitting a multi-byte character */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts toward their length
+        const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const firstSection = (portfolio, type) => (portfolio?.sections || []).find(
+    s => s.sectionType?.toLowerCase() === type && s.isVisible !== false,
+);
+
+const parseObject = (content) => {
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+/** About content is a string or `{ content | bio | summary | text }` */
+const aboutText = (content) => {
+    try {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        if (typeof parsed === 'string') return parsed;
+        return parsed?.content || parsed?.bio || parsed?.summary || parsed?.text || '';
+    } catch {
+        return typeof content === 'string' ? content : '';
+    }
+};
+
+/** "Ada King Lovelace" → family "Lovelace", given "Ada", additional "King" */
+const splitName = (fullName) => {
+    const words = fullName.trim().split(/\s+/).filter(Boolean);
+    if (words.length < 2) return { family: '', given: words[0] ?? '', additional: '' };
+    return {
+        family: words.at(-1),
+        given: words[0],
+        additional: words.slice(1, -1).join(' '),
+    };
+};
+
+// ─── public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Serialize a contact card.
+ * @param {Object} card
+ * @param {string} card.name
+ * @param {string} [card.title] - Job title / headline
+ * @param {string} [card.note]
+ * @param {string} [card.photoUrl]
+ * @param {string[]} [card.emails]
+ * @param {string[]} [card.phones]
+ * @param {string} [card.url] - The portfolio
+ * @param {{ type: string, href: string, social: boolean }[]} [card.links] - `type` like `github`
+ * @returns {string} vCard text, CRLF line endings
+ */
+export const buildVCard = ({ name, title, note, photoUrl, emails = [], phones = [], url, links = [] }) => {
+    const { family, given, additional } = splitName(name);
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${[family, given, additional, '', ''].map(escapeValue).join(';')}`,
+        `FN:${escapeValue(name)}`,
+    ];
+
+    if (title) lines.push(`TITLE:${escapeValue(title)}`);
+    emails.forEach(email => lines.push(`EMAIL;TYPE=INTERNET:${escapeValue(email)}`));
+    phones.forEach(phone => lines.push(`TEL;TYPE=CELL:${escapeValue(phone)}`));
+    if (url) lines.push(`URL:${uriValue(url)}`);
+    links.forEach(({ type, href, social }) =>
+        lines.push(`${social ? 'X-SOCIALPROFILE' : 'URL'};TYPE=${type.replace(/[^A-Za-z0-9-]/g, '')}:${uriValue(href)}`));
+    if (photoUrl) lines.push(`PHOTO;VALUE=URI:${uriValue(photoUrl)}`);
+    if (note) lines.push(`NOTE:${escapeValue(note)}`);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * The contact card for a portfolio.
+ * @param {Object} portfolio - With `title` and `sections`
+ * @param {string} [url] - Public address of the portfolio
+ */
+export const portfolioCard = (portfolio, url) => {
+    const hero = parseObject(firstSection(portfolio, 'hero')?.content);
+    const about = firstSection(portfolio, 'about');
+    const contact = firstSection(portfolio, 'contact');
+
+    const bio = aboutText(about?.content).trim();
+    const card = {
+        name: (hero.name || portfolio?.title || 'Portfolio').trim(),
+        title: hero.headline?.trim() || '',
+        note: bio.length > MAX_NOTE ? `${bio.slice(0, MAX_NOTE - 1).trimEnd()}…` : bio,
+        photoUrl: /^https:\/\//i.test(hero.avatarUrl ?? '') ? hero.avatarUrl : '',
+        emails: [],
+        phones: [],
+        url,
+        links: [],
+    };
+
+    parseContactLinks(contact?.content).forEach(({ type, value, label }) => {
+        const def = getLinkType(type);
+        const { value: normalized } = normalizeLink(type, value);
+        if (!def || !normalized) return;
+
+        if (def.kind === 'email') card.emails.push(normalized);
+        else if (def.kind === 'phone') card.phones.push(normalized);
+        // The portfolio itself is already the card's main URL
+        else if (normalized !== url) {
+            const name = type === 'custom' && label?.trim() ? label : type;
+            card.links.push({
+                type: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other',
+                href: normalized,
+                social: !SITE_TYPES.has(type),
+            });
+        }
+    });
+
+    return card;
+};
+
+/** File name for a card, e.g. `ada-lovelace.vcf` */
+export const vcardFileName = (name) =>
+    `${name.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contact'}.vcf`;